@@ -5,7 +5,7 @@
  */
 
 require('dotenv').config();
-const { db } = require('./firebase');
+const { db } = require('./storage');
 
 async function checkLatestTransaction() {
   try {
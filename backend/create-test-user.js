@@ -6,7 +6,7 @@
  */
 
 require('dotenv').config();
-const { db } = require('./firebase');
+const { db } = require('./storage');
 
 async function createTestUser() {
   console.log('🔧 Creating test user...\n');
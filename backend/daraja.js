@@ -1,7 +1,7 @@
 const axios = require('axios');
 
 const darajaApi = axios.create({
-  baseURL: 'https://sandbox.safaricom.co.ke',
+  baseURL: process.env.DARAJA_BASE_URL || 'https://sandbox.safaricom.co.ke',
   headers: {
     'Content-Type': 'application/json',
   },
@@ -88,7 +88,280 @@ async function simulateC2BPayment(meterNo, amount) {
   }
 }
 
+/**
+ * Register the C2B validation and confirmation URLs for the paybill short code
+ * @param {Object} [options]
+ * @param {string} [options.validationUrl] - Defaults to DARAJA_C2B_VALIDATION_URL
+ * @param {string} [options.confirmationUrl] - Defaults to DARAJA_C2B_CONFIRMATION_URL
+ * @param {string} [options.responseType] - What Daraja does when the validation URL cannot be reached:
+ *   'Cancelled' (reject the payment) or 'Completed' (accept it). Defaults to DARAJA_C2B_RESPONSE_TYPE or 'Cancelled'
+ * @returns {Promise<Object>} Daraja API response
+ */
+async function registerC2BUrls(options = {}) {
+  try {
+    const accessToken = await getAccessToken();
+    const shortCode = process.env.DARAJA_SHORTCODE;
+    const validationUrl = options.validationUrl || process.env.DARAJA_C2B_VALIDATION_URL;
+    const confirmationUrl = options.confirmationUrl || process.env.DARAJA_C2B_CONFIRMATION_URL;
+    const responseType = options.responseType || process.env.DARAJA_C2B_RESPONSE_TYPE || 'Cancelled';
+
+    if (!shortCode) {
+      throw new Error('Daraja ShortCode not set in .env');
+    }
+    if (!validationUrl || !confirmationUrl) {
+      throw new Error('Daraja C2B validation or confirmation URL not set in .env');
+    }
+    if (responseType !== 'Completed' && responseType !== 'Cancelled') {
+      throw new Error('C2B ResponseType must be Completed or Cancelled');
+    }
+
+    const payload = {
+      ShortCode: shortCode,
+      ResponseType: responseType,
+      ConfirmationURL: confirmationUrl,
+      ValidationURL: validationUrl,
+    };
+
+    console.log('Registering C2B URLs:', JSON.stringify(payload, null, 2));
+
+    const response = await darajaApi.post('/mpesa/c2b/v1/registerurl', payload, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+    console.log('C2B URL registration response received:', JSON.stringify(response.data, null, 2));
+    return response.data;
+  } catch (error) {
+    console.error('Error in registerC2BUrls:', error.response ? JSON.stringify(error.response.data) : error.message);
+    throw new Error(`Failed to register C2B URLs: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize a Kenyan phone number to the 2547XXXXXXXX format Daraja expects
+ * @param {string} phoneNumber - Phone number as entered (07..., +2547..., 2547...)
+ * @returns {string} Normalized MSISDN
+ */
+function normalizePhoneNumber(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+
+  if (/^254[17]\d{8}$/.test(digits)) {
+    return digits;
+  }
+  if (/^0[17]\d{8}$/.test(digits)) {
+    return `254${digits.substring(1)}`;
+  }
+  if (/^[17]\d{8}$/.test(digits)) {
+    return `254${digits}`;
+  }
+
+  throw new Error(`Invalid phone number: ${phoneNumber}`);
+}
+
+/**
+ * Generate the STK Push timestamp (YYYYMMDDHHMMSS, East Africa Time)
+ * @param {Date} date - Date to format (defaults to now)
+ * @returns {string} Timestamp string
+ */
+function generateTimestamp(date = new Date()) {
+  // Daraja validates the timestamp against Nairobi local time (UTC+3)
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return [
+    eat.getUTCFullYear(),
+    pad(eat.getUTCMonth() + 1),
+    pad(eat.getUTCDate()),
+    pad(eat.getUTCHours()),
+    pad(eat.getUTCMinutes()),
+    pad(eat.getUTCSeconds()),
+  ].join('');
+}
+
+/**
+ * Generate the STK Push password: base64(ShortCode + Passkey + Timestamp)
+ * @param {string} shortCode - The Lipa Na M-Pesa business short code
+ * @param {string} passkey - The Lipa Na M-Pesa passkey
+ * @param {string} timestamp - Timestamp from generateTimestamp()
+ * @returns {string} Base64 encoded password
+ */
+function generatePassword(shortCode, passkey, timestamp) {
+  return Buffer.from(`${shortCode}${passkey}${timestamp}`).toString('base64');
+}
+
+/**
+ * Read the Lipa Na M-Pesa Online configuration from the environment
+ * @returns {{shortCode: string, passkey: string}} STK Push configuration
+ */
+function getStkConfig() {
+  const shortCode = process.env.DARAJA_STK_SHORTCODE || process.env.DARAJA_SHORTCODE;
+  const passkey = process.env.DARAJA_PASSKEY;
+
+  if (!shortCode || !passkey) {
+    throw new Error('Daraja STK ShortCode or Passkey not set in .env');
+  }
+
+  return { shortCode, passkey };
+}
+
+/**
+ * Initiate an STK Push (Lipa Na M-Pesa Online) prompt on the customer's phone
+ * @param {string} meterNo - The meter number (AccountReference)
+ * @param {number} amount - The amount to pay
+ * @param {string} phoneNumber - The customer's phone number
+ * @returns {Promise<Object>} Daraja API response (MerchantRequestID, CheckoutRequestID, ...)
+ */
+async function initiateStkPush(meterNo, amount, phoneNumber) {
+  try {
+    const accessToken = await getAccessToken();
+    const { shortCode, passkey } = getStkConfig();
+    const callbackUrl = process.env.DARAJA_STK_CALLBACK_URL;
+
+    if (!callbackUrl) {
+      throw new Error('Daraja STK callback URL not set in .env');
+    }
+
+    const msisdn = normalizePhoneNumber(phoneNumber);
+    const timestamp = generateTimestamp();
+
+    const payload = {
+      BusinessShortCode: shortCode,
+      Password: generatePassword(shortCode, passkey, timestamp),
+      Timestamp: timestamp,
+      TransactionType: 'CustomerPayBillOnline',
+      // Whole shillings; the routes reject anything else (validatePaymentAmount)
+      Amount: Number(amount),
+      PartyA: msisdn,
+      PartyB: shortCode,
+      PhoneNumber: msisdn,
+      CallBackURL: callbackUrl,
+      AccountReference: meterNo,
+      TransactionDesc: `Units for meter ${meterNo}`,
+    };
+
+    console.log(`Sending STK Push for meter ${meterNo} to ${msisdn} (amount ${payload.Amount})`);
+
+    const response = await darajaApi.post('/mpesa/stkpush/v1/processrequest', payload, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+    console.log('STK Push response received:', JSON.stringify(response.data, null, 2));
+    return response.data;
+  } catch (error) {
+    console.error('Error in initiateStkPush:', error.response ? JSON.stringify(error.response.data) : error.message);
+    throw new Error(`Failed to initiate STK Push: ${error.message}`);
+  }
+}
+
+/**
+ * Query the status of an STK Push request
+ * @param {string} checkoutRequestId - The CheckoutRequestID returned by initiateStkPush
+ * @returns {Promise<Object>} Daraja API response (ResultCode, ResultDesc, ...)
+ */
+async function queryStkPushStatus(checkoutRequestId) {
+  try {
+    const accessToken = await getAccessToken();
+    const { shortCode, passkey } = getStkConfig();
+    const timestamp = generateTimestamp();
+
+    const payload = {
+      BusinessShortCode: shortCode,
+      Password: generatePassword(shortCode, passkey, timestamp),
+      Timestamp: timestamp,
+      CheckoutRequestID: checkoutRequestId,
+    };
+
+    const response = await darajaApi.post('/mpesa/stkpushquery/v1/query', payload, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+    return response.data;
+  } catch (error) {
+    // Daraja answers with an error while the customer has not yet responded to the prompt
+    if (error.response && error.response.data) {
+      return {
+        pending: true,
+        errorCode: error.response.data.errorCode,
+        errorMessage: error.response.data.errorMessage,
+      };
+    }
+    console.error('Error in queryStkPushStatus:', error.message);
+    throw new Error(`Failed to query STK Push status: ${error.message}`);
+  }
+}
+
+/**
+ * Ask Daraja to reverse a completed M-Pesa payment. The outcome arrives later
+ * on DARAJA_REVERSAL_RESULT_URL (or DARAJA_REVERSAL_TIMEOUT_URL if the request
+ * times out in Daraja's queue).
+ * @param {Object} params
+ * @param {string} params.receipt - M-Pesa receipt number of the payment (TransactionID)
+ * @param {number} params.amount - Amount to return
+ * @param {string} params.shortCode - Short code that received the payment
+ * @param {string} params.remarks - Why the payment is reversed
+ * @returns {Promise<Object>} Daraja API response (OriginatorConversationID, ConversationID, ResponseCode, ...)
+ */
+async function requestReversal({ receipt, amount, shortCode, remarks }) {
+  try {
+    const initiator = process.env.DARAJA_INITIATOR_NAME;
+    const securityCredential = process.env.DARAJA_SECURITY_CREDENTIAL;
+    const resultUrl = process.env.DARAJA_REVERSAL_RESULT_URL;
+    const timeoutUrl = process.env.DARAJA_REVERSAL_TIMEOUT_URL;
+
+    if (!initiator || !securityCredential) {
+      throw new Error('Daraja initiator name or security credential not set in .env');
+    }
+    if (!resultUrl || !timeoutUrl) {
+      throw new Error('Daraja reversal result or timeout URL not set in .env');
+    }
+
+    const accessToken = await getAccessToken();
+    const payload = {
+      Initiator: initiator,
+      SecurityCredential: securityCredential,
+      CommandID: 'TransactionReversal',
+      TransactionID: receipt,
+      Amount: amount,
+      ReceiverParty: shortCode,
+      // Sic: Daraja spells it this way; 11 is an organisation short code
+      RecieverIdentifierType: '11',
+      ResultURL: resultUrl,
+      QueueTimeOutURL: timeoutUrl,
+      // Daraja limits remarks to 100 characters
+      Remarks: String(remarks || 'Reversal').slice(0, 100),
+      Occasion: ''
+    };
+
+    console.log(`Requesting reversal of ${receipt} (amount ${amount})`);
+
+    const response = await darajaApi.post('/mpesa/reversal/v1/request', payload, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+    console.log('Reversal response received:', JSON.stringify(response.data, null, 2));
+    return response.data;
+  } catch (error) {
+    console.error('Error in requestReversal:', error.response ? JSON.stringify(error.response.data) : error.message);
+    throw new Error(`Failed to request reversal: ${error.message}`);
+  }
+}
+
 module.exports = {
+  darajaApi,
   getAccessToken,
   simulateC2BPayment,
+  registerC2BUrls,
+  initiateStkPush,
+  queryStkPushStatus,
+  requestReversal,
+  normalizePhoneNumber,
+  generateTimestamp,
+  generatePassword,
 };
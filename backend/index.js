@@ -1,21 +1,66 @@
 require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
-const { createTransactionForMeter, findUserIdByMeter, saveCallbackTransaction, calculateUserBalance } = require('./transactions');
-const { simulateC2BPayment } = require('./daraja');
-const { db } = require('./firebase');
+const { TRANSACTION_STATUS, normalizeStatus, transitionTransaction, startExpiryWorker, createTransactionForMeter, findUserIdByMeter, saveCallbackTransaction, saveStkCallbackTransaction, validatePaymentAmount, validateC2BPayment, saveC2BConfirmation, findTransactionByReference } = require('./transactions');
+const { simulateC2BPayment, initiateStkPush, queryStkPushStatus, normalizePhoneNumber } = require('./daraja');
+const userRepo = require('./repositories/usersRepository');
 const iotRoutes = require('./routes/iot');
-
-// Ensure firebase initialization happens by importing firebase.js
-require('./firebase');
+const deviceRoutes = require('./routes/devices');
+const { requireDeviceSignature } = require('./middleware/deviceAuth');
+const { redeemToken } = require('./services/meterService');
+const { getBalance, onEntry } = require('./services/ledgerService');
+const { watchMeter } = require('./services/meterEventsService');
+const ledgerRoutes = require('./routes/ledger');
+const tariffRoutes = require('./routes/tariffs');
+const meterRoutes = require('./routes/meters');
+const alertRoutes = require('./routes/alerts');
+const alerts = require('./services/alertService');
+const { syncRelay } = require('./services/commandService');
+const telemetry = require('./services/telemetryService');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const ownership = require('./services/ownershipService');
+const { validateHistoryQuery, listTransactions } = require('./services/transactionHistoryService');
+const { getReceipt, renderReceiptPdf } = require('./services/statementService');
+const reversals = require('./services/reversalService');
+const adminRoutes = require('./routes/admin');
+const webhookRoutes = require('./routes/webhooks');
+const { requireDarajaSource } = require('./middleware/webhookAuth');
+const webhooks = require('./services/webhookService');
+const { receiveWebhook } = webhooks;
+const { requireAuth, requireOwner, requireRole } = require('./middleware/auth');
+const { idempotent } = require('./middleware/idempotency');
+const { hashPassword, validatePassword } = require('./services/authService');
 
 const app = express();
 
+// Behind ngrok or a load balancer, req.ip must come from X-Forwarded-For for the callback IP allowlist
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
+// Processors for callbacks stored in the webhook inbox
+webhooks.registerHandler('daraja_callback', saveCallbackTransaction);
+webhooks.registerHandler('stk_callback', saveStkCallbackTransaction);
+webhooks.registerHandler('c2b_confirmation', saveC2BConfirmation);
+webhooks.registerHandler('reversal_result', payload => reversals.handleReversalResult(payload));
+webhooks.registerHandler('reversal_timeout', payload => reversals.handleReversalResult(payload, { timedOut: true }));
+
+// Every balance change may start (or clear) a low-balance alert
+onEntry(meterNo => alerts.checkMeterAlerts(meterNo));
+// ...and disconnect or reconnect the meter
+onEntry(syncRelay);
+
+function webhookSource(req) {
+  return { ip: req.ip, user_agent: req.header('user-agent') || null };
+}
+
 // CORS middleware for frontend integration
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'http://localhost:5173');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Admin-Key, Idempotency-Key');
+  res.header('Access-Control-Expose-Headers', 'Idempotent-Replayed, Retry-After');
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -24,63 +69,24 @@ app.use((req, res, next) => {
   }
 });
 
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Keep the raw body so device signatures can be verified byte for byte
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// User lookup endpoint for frontend authentication
-app.get('/users/lookup', async (req, res) => {
-  try {
-    const { email, meter_no } = req.query;
-
-    if (!email || !meter_no) {
-      return res.status(400).json({ 
-        error: 'Both email and meter_no query parameters are required' 
-      });
-    }
-
-    console.log(`Looking up user with email: ${email}, meter_no: ${meter_no}`);
-
-    const usersRef = db.ref('users');
-    const snapshot = await usersRef.once('value');
-
-    if (!snapshot.exists()) {
-      return res.status(404).json({ error: 'No users found in database' });
-    }
-
-    const users = snapshot.val();
-    const userKey = Object.keys(users).find(key => 
-      users[key].email === email && users[key].meter_no === meter_no
-    );
-
-    if (!userKey) {
-      return res.status(404).json({ error: 'User not found with provided credentials' });
-    }
-
-    const userData = {
-      user_id: userKey,
-      name: users[userKey].name || 'Unknown',
-      email: users[userKey].email,
-      meter_no: users[userKey].meter_no,
-      balance: users[userKey].balance || 0,
-      latest_transaction_id: users[userKey].latest_transaction_id || null
-    };
-
-    console.log(`Found user: ${userData.user_id}`);
-    res.status(200).json(userData);
-  } catch (error) {
-    console.error('Error looking up user:', error.message);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+app.use('/auth', authRoutes);
 
 // Register new user endpoint
 app.post('/users', async (req, res) => {
   try {
-    const { name, email, meter_no, phone_number } = req.body;
+    const { name, email, meter_no, phone_number, password } = req.body;
     
     // Validate required fields
     if (!name || !email || !meter_no || !phone_number) {
@@ -88,46 +94,64 @@ app.post('/users', async (req, res) => {
         error: 'All fields are required: name, email, meter_no, phone_number' 
       });
     }
+
+    // Password is optional: accounts without one sign in with a one-time code
+    if (password !== undefined && password !== '') {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+    }
     
-    // Check if user with this email or meter_no already exists
-    const usersRef = db.ref('users');
-    const snapshot = await usersRef.once('value');
-    const users = snapshot.val() || {};
+    // Check if user with this email already exists
+    const users = await userRepo.listUsers();
     
-    // Check for existing email or meter number
+    // Check for existing email
     for (const userKey in users) {
       const user = users[userKey];
-      if (user.email === email) {
+      if (user.email === email.trim().toLowerCase()) {
         return res.status(409).json({ 
           error: 'User with this email already exists' 
         });
       }
-      if (user.meter_no === meter_no) {
-        return res.status(409).json({ 
-          error: 'User with this meter number already exists' 
-        });
-      }
+    }
+
+    // A meter belongs to one account; more meters are linked with POST /users/:userId/meters
+    if (await findUserIdByMeter(meter_no.trim())) {
+      return res.status(409).json({ 
+        error: 'User with this meter number already exists' 
+      });
     }
     
     // Create new user
-    const newUserRef = usersRef.push();
     const userData = {
       name: name.trim(),
       email: email.trim().toLowerCase(),
-      meter_no: meter_no.trim(),
       phone_number: phone_number.trim(),
       balance: 0,
       created_at: new Date().toISOString(),
       latest_transaction_id: null
     };
     
-    await newUserRef.set(userData);
+    const userId = await userRepo.createUser({
+      ...userData,
+      auth: password ? { password_hash: await hashPassword(password) } : null
+    });
+
+    const link = await ownership.linkMeter(userId, meter_no, { reason: 'REGISTERED' });
+    if (!link.success) {
+      // Another registration took the meter in the meantime
+      await userRepo.deleteUser(userId);
+      return res.status(409).json({ error: 'User with this meter number already exists' });
+    }
     
-    console.log(`Created new user: ${newUserRef.key} - ${name} (${email}) - Meter: ${meter_no}`);
+    console.log(`Created new user: ${userId} - ${name} (${email}) - Meter: ${meter_no}`);
     
     res.status(201).json({
-      user_id: newUserRef.key,
-      ...userData
+      user_id: userId,
+      ...userData,
+      meter_no: link.meter_no,
+      meters: [link.meter_no]
     });
     
   } catch (error) {
@@ -136,38 +160,45 @@ app.post('/users', async (req, res) => {
   }
 });
 
-// Get transactions for a specific user
-app.get('/transactions/:userId', async (req, res) => {
+// A page of a user's transactions: purchases for their meters and units they bought for others
+// ?cursor=&limit=&status=SUCCESS,REVERSED&from=&to=&min_amount=&max_amount=&q=<M-Pesa receipt>
+app.get('/transactions/:userId', requireAuth, requireOwner, async (req, res) => {
   try {
     const { userId } = req.params;
-    console.log(`Fetching transactions for user: ${userId}`);
-    
-    const transactionsRef = db.ref('transactions');
-    const snapshot = await transactionsRef.orderByChild('user_id').equalTo(userId).once('value');
-    
-    if (!snapshot.exists()) {
-      console.log(`No transactions found for user ${userId}`);
-      return res.status(200).json([]);
+    const { errors, filters } = validateHistoryQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid transaction query', details: errors });
     }
-    
-    const transactionsData = snapshot.val();
-    const transactions = Object.keys(transactionsData)
-      .map(key => ({
-        id: key,
-        ...transactionsData[key]
-      }))
-      .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
-    
-    console.log(`Found ${transactions.length} transactions for user ${userId}`);
-    res.status(200).json(transactions);
+
+    const page = await listTransactions(userId, filters);
+    console.log(`Found ${page.transactions.length} transactions for user ${userId}`);
+    res.status(200).json(page);
   } catch (error) {
     console.error('Error fetching transactions:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get user balance by meter number (returns persisted balance in units)
-app.get('/users/:meterNo/balance', async (req, res) => {
+// PDF receipt for a purchase, for the meter's owner or whoever paid for it
+app.get('/transactions/:transactionId/receipt', requireAuth, async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const result = await getReceipt(transactionId, req.user.user_id);
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 409).json({ error: result.message });
+    }
+
+    res.type('application/pdf');
+    res.set('Content-Disposition', `attachment; filename="receipt-${transactionId}.pdf"`);
+    res.send(renderReceiptPdf(result.receipt));
+  } catch (error) {
+    console.error('Error creating receipt:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get user balance by meter number (returns the ledger balance in units)
+app.get('/users/:meterNo/balance', requireAuth, requireOwner, async (req, res) => {
   try {
     const { meterNo } = req.params;
     console.log(`Fetching balance for meter: ${meterNo}`);
@@ -178,25 +209,12 @@ app.get('/users/:meterNo/balance', async (req, res) => {
       return res.status(404).json({ error: `No user found with meter_no: ${meterNo}` });
     }
 
-    // Prefer persisted balance on the user record (units). If missing, fall back to recomputing.
-    const userSnap = await db.ref(`users/${userId}`).once('value');
-    if (userSnap.exists()) {
-      const user = userSnap.val();
-      const persistedBalance = typeof user.balance === 'number' ? user.balance : (user.balance ? parseFloat(user.balance) : null);
-      if (persistedBalance !== null && persistedBalance !== undefined && !Number.isNaN(persistedBalance)) {
-        return res.status(200).json({
-          meter_no: meterNo,
-          availableUnits: Number(parseFloat(persistedBalance).toFixed(2)),
-          timestamp: new Date().toISOString()
-        });
-      }
-    }
-
-    // Fallback to recomputing if persisted balance isn't present or isn't numeric
-    const balanceData = await calculateUserBalance(userId);
+    // The meter's ledger account is the single source of truth for balances
+    const availableUnits = await getBalance(meterNo);
     return res.status(200).json({
       meter_no: meterNo,
-      availableUnits: balanceData.availableUnits,
+      user_id: userId,
+      availableUnits: Number(availableUnits.toFixed(2)),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -206,94 +224,156 @@ app.get('/users/:meterNo/balance', async (req, res) => {
 });
 
 // M-Pesa Daraja callback endpoint
-app.post('/daraja/callback', async (req, res) => {
+app.post('/daraja/callback{/:token}', requireDarajaSource, async (req, res) => {
   const timestamp = new Date().toISOString();
   console.log(`[${timestamp}] Received Daraja callback:`, JSON.stringify(req.body, null, 2));
-  
+
+  let inbox;
   try {
-    const payload = req.body || {};
-    
-    // Process the callback using the new saveCallbackTransaction function
-    const result = await saveCallbackTransaction(payload);
-    
-    if (result.success) {
-      if (result.duplicate) {
-        console.log(`[${timestamp}] Duplicate transaction detected: ${result.message}`);
-        // Always respond 200 to Daraja to stop retries
-        return res.status(200).json({
-          ResultCode: 0,
-          ResultDesc: "Confirmation received successfully (duplicate)",
-          TransactionID: result.transaction_id
-        });
-      } else {
-        console.log(`[${timestamp}] Transaction processed successfully: ${result.transaction_id}`);
-        return res.status(200).json({
-          ResultCode: 0,
-          ResultDesc: "Confirmation received successfully",
-          TransactionID: result.transaction_id
-        });
-      }
-    } else {
-      // Log error but still respond 200 to Daraja to prevent retries
-      console.error(`[${timestamp}] Failed to process callback: ${result.message}`);
-      return res.status(200).json({
-        ResultCode: 1,
-        ResultDesc: result.message || "Failed to process transaction"
-      });
-    }
-    
+    // Persist first so the payment survives a processing failure
+    inbox = await receiveWebhook('daraja_callback', req.body || {}, webhookSource(req));
   } catch (error) {
-    // Log error but always respond 200 to Daraja to prevent infinite retries
-    console.error(`[${timestamp}] Error handling Daraja callback:`, error.message);
+    // Nothing was stored: let Daraja retry
+    console.error(`[${timestamp}] Failed to store Daraja callback:`, error.message);
+    return res.status(500).json({ ResultCode: 1, ResultDesc: 'Temporary failure, please retry' });
+  }
+
+  if (inbox.status === 'PROCESSED') {
+    const duplicate = inbox.result && inbox.result.duplicate;
+    console.log(`[${timestamp}] Callback ${inbox.id} processed${duplicate ? ' (duplicate)' : ''}: ${inbox.result.transaction_id}`);
     return res.status(200).json({
-      ResultCode: 1,
-      ResultDesc: "Internal server error"
+      ResultCode: 0,
+      ResultDesc: duplicate ? 'Confirmation received successfully (duplicate)' : 'Confirmation received successfully',
+      TransactionID: inbox.result.transaction_id
     });
   }
+
+  // Stored in the inbox and retried automatically
+  console.error(`[${timestamp}] Callback ${inbox.id} not processed yet (${inbox.status}); queued for retry`);
+  return res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Confirmation received; processing queued'
+  });
+});
+
+// Daraja C2B validation URL: accept or reject a paybill payment before it completes
+app.post('/daraja/c2b/validation{/:token}', requireDarajaSource, async (req, res) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] Received C2B validation:`, JSON.stringify(req.body, null, 2));
+
+  try {
+    const result = await validateC2BPayment(req.body || {});
+
+    if (!result.accepted) {
+      console.log(`[${timestamp}] Rejected C2B payment ${req.body.TransID || ''}: ${result.message}`);
+      return res.status(200).json({ ResultCode: result.code, ResultDesc: 'Rejected' });
+    }
+
+    console.log(`[${timestamp}] ${result.message}`);
+    return res.status(200).json({ ResultCode: '0', ResultDesc: 'Accepted' });
+  } catch (error) {
+    // Reject rather than accept a payment we could not check
+    console.error(`[${timestamp}] Error validating C2B payment:`, error.message);
+    return res.status(200).json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+  }
+});
+
+// Daraja C2B confirmation URL: the payment has completed
+app.post('/daraja/c2b/confirmation{/:token}', requireDarajaSource, async (req, res) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] Received C2B confirmation:`, JSON.stringify(req.body, null, 2));
+
+  try {
+    const inbox = await receiveWebhook('c2b_confirmation', req.body || {}, webhookSource(req));
+    console.log(`[${timestamp}] C2B confirmation ${inbox.id}: ${inbox.status}`);
+  } catch (error) {
+    console.error(`[${timestamp}] Failed to store C2B confirmation:`, error.message);
+    return res.status(500).json({ ResultCode: 1, ResultDesc: 'Temporary failure, please retry' });
+  }
+
+  // Stored in the inbox (failures are retried), so Daraja can stop sending it
+  return res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+});
+
+// Daraja Reversal API: the result, or a timeout in Daraja's queue
+[
+  { path: '/daraja/reversal/result{/:token}', type: 'reversal_result', label: 'reversal result' },
+  { path: '/daraja/reversal/timeout{/:token}', type: 'reversal_timeout', label: 'reversal timeout' }
+].forEach(({ path, type, label }) => {
+  app.post(path, requireDarajaSource, async (req, res) => {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] Received ${label}:`, JSON.stringify(req.body, null, 2));
+
+    try {
+      const inbox = await receiveWebhook(type, req.body || {}, webhookSource(req));
+      console.log(`[${timestamp}] ${label} ${inbox.id}: ${inbox.status}`);
+    } catch (error) {
+      console.error(`[${timestamp}] Failed to store ${label}:`, error.message);
+      return res.status(500).json({ ResultCode: 1, ResultDesc: 'Temporary failure, please retry' });
+    }
+
+    // Stored in the inbox (failures are retried), so Daraja can stop sending it
+    return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  });
 });
 
 const PORT = process.env.PORT || 3000;
-// Route to trigger a C2B payment simulation
-app.post('/daraja/simulate', async (req, res) => {
+// Route to trigger a C2B payment simulation (send an Idempotency-Key header to make retries safe).
+// Any registered meter may be paid for; the signed-in user is recorded as the payer.
+app.post('/daraja/simulate', requireAuth, idempotent, async (req, res) => {
   const timestamp = new Date().toISOString();
   console.log(`[${timestamp}] Received simulate request:`, JSON.stringify(req.body, null, 2));
   
   try {
-    const { meter_no, amount } = req.body;
-    if (!meter_no || !amount) {
-      console.error(`[${timestamp}] Missing required fields: meter_no=${meter_no}, amount=${amount}`);
+    const { meter_no } = req.body;
+    if (!meter_no || !req.body.amount) {
+      console.error(`[${timestamp}] Missing required fields: meter_no=${meter_no}, amount=${req.body.amount}`);
       return res.status(400).json({ error: 'meter_no and amount are required' });
     }
+    const { errors, amount } = validatePaymentAmount(req.body.amount);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid amount', details: errors });
+    }
+
+    if (!(await findUserIdByMeter(meter_no))) {
+      return res.status(404).json({ error: `No user found with meter_no: ${meter_no}` });
+    }
+
+    // Recorded before Daraja is called; credited only when the confirmation arrives
+    const transaction = await createTransactionForMeter(meter_no, amount, TRANSACTION_STATUS.INITIATED, null, {
+      channel: 'C2B',
+      payer_user_id: req.user.user_id
+    });
+
+    let darajaResponse;
+    try {
+      console.log(`[${timestamp}] Simulating C2B payment for meter ${meter_no} with amount ${amount}`);
+      darajaResponse = await simulateC2BPayment(meter_no, amount);
+    } catch (darajaError) {
+      await transitionTransaction(transaction.transaction_id, TRANSACTION_STATUS.FAILED, { result_desc: darajaError.message });
+      throw darajaError;
+    }
+    console.log(`[${timestamp}] Daraja simulation response:`, JSON.stringify(darajaResponse, null, 2));
 
-    console.log(`[${timestamp}] Simulating C2B payment for meter ${meter_no} with amount ${amount}`);
-    const darajaResponse = await simulateC2BPayment(meter_no, amount);
-    console.log(`[${timestamp}] Daraja simulation successful:`, JSON.stringify(darajaResponse, null, 2));
-    
-    // Create initial transaction record after successful simulation
     if (darajaResponse.ResponseCode === '0') {
-      try {
-        console.log(`[${timestamp}] Creating initial transaction record...`);
-        const transaction = await createTransactionForMeter(
-          meter_no, 
-          amount, 
-          'SUCCESS', // Set as SUCCESS since Daraja simulation was successful
-          darajaResponse.OriginatorCoversationID || null
-        );
-        console.log(`[${timestamp}] Created transaction ${transaction.transaction_id} with SUCCESS status`);
-        
-        // Return enhanced response with transaction info
-        res.status(200).json({
-          ...darajaResponse,
-          transaction_id: transaction.transaction_id,
-          status: 'SUCCESS'
-        });
-      } catch (dbError) {
-        console.error(`[${timestamp}] Failed to create transaction record:`, dbError.message);
-        // Still return success from Daraja, but log the DB error
-        res.status(200).json(darajaResponse);
-      }
+      await transitionTransaction(transaction.transaction_id, TRANSACTION_STATUS.PENDING, {
+        reference: darajaResponse.OriginatorCoversationID || null
+      });
+      console.log(`[${timestamp}] Transaction ${transaction.transaction_id} is PENDING until Daraja confirms the payment`);
+      res.status(200).json({
+        ...darajaResponse,
+        transaction_id: transaction.transaction_id,
+        status: TRANSACTION_STATUS.PENDING
+      });
     } else {
-      res.status(200).json(darajaResponse);
+      await transitionTransaction(transaction.transaction_id, TRANSACTION_STATUS.FAILED, {
+        result_desc: darajaResponse.ResponseDescription || null
+      });
+      res.status(200).json({
+        ...darajaResponse,
+        transaction_id: transaction.transaction_id,
+        status: TRANSACTION_STATUS.FAILED
+      });
     }
   } catch (error) {
     console.error(`[${timestamp}] Error in /daraja/simulate:`, error.message);
@@ -301,36 +381,261 @@ app.post('/daraja/simulate', async (req, res) => {
     res.status(500).json({ error: `Failed to simulate payment: ${error.message}` });
   }
 });
-// app.use('/api/iot', iotRoutes);
-app.get('/meter/:meterNo/balance', async (req, res) => {
+
+// Route to prompt the customer's phone with an STK Push (Lipa Na M-Pesa Online).
+// Any registered meter may be paid for; the signed-in user is the payer and is prompted by default.
+app.post('/daraja/stkpush', requireAuth, idempotent, async (req, res) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] Received STK Push request:`, JSON.stringify(req.body, null, 2));
+
+  try {
+    const { meter_no } = req.body;
+    if (!meter_no || !req.body.amount) {
+      return res.status(400).json({ error: 'meter_no and amount are required' });
+    }
+    const { errors, amount } = validatePaymentAmount(req.body.amount);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid amount', details: errors });
+    }
+
+    if (!(await findUserIdByMeter(meter_no))) {
+      return res.status(404).json({ error: `No user found with meter_no: ${meter_no}` });
+    }
+
+    // Default to the phone number the payer registered with
+    let phoneNumber = req.body.phone_number;
+    if (!phoneNumber) {
+      const payer = await userRepo.getUser(req.user.user_id);
+      phoneNumber = payer && payer.phone_number;
+    }
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'phone_number is required' });
+    }
+
+    let msisdn;
+    try {
+      msisdn = normalizePhoneNumber(phoneNumber);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    // Recorded before Daraja is called; credited only when the STK callback confirms the payment
+    const transaction = await createTransactionForMeter(meter_no, amount, TRANSACTION_STATUS.INITIATED, null, {
+      channel: 'STK',
+      phone_number: msisdn,
+      payer_user_id: req.user.user_id
+    });
+
+    let darajaResponse;
+    try {
+      darajaResponse = await initiateStkPush(meter_no, amount, msisdn);
+    } catch (darajaError) {
+      await transitionTransaction(transaction.transaction_id, TRANSACTION_STATUS.FAILED, { result_desc: darajaError.message });
+      throw darajaError;
+    }
+
+    if (darajaResponse.ResponseCode !== '0') {
+      await transitionTransaction(transaction.transaction_id, TRANSACTION_STATUS.FAILED, {
+        result_desc: darajaResponse.ResponseDescription || null
+      });
+      return res.status(502).json({
+        ...darajaResponse,
+        error: darajaResponse.ResponseDescription || 'STK Push request was not accepted'
+      });
+    }
+
+    await transitionTransaction(transaction.transaction_id, TRANSACTION_STATUS.PENDING, {
+      reference: darajaResponse.CheckoutRequestID,
+      merchant_request_id: darajaResponse.MerchantRequestID || null
+    });
+    console.log(`[${timestamp}] Transaction ${transaction.transaction_id} is PENDING for CheckoutRequestID ${darajaResponse.CheckoutRequestID}`);
+
+    res.status(200).json({
+      ...darajaResponse,
+      transaction_id: transaction.transaction_id,
+      phone_number: msisdn,
+      status: TRANSACTION_STATUS.PENDING
+    });
+  } catch (error) {
+    console.error(`[${timestamp}] Error in /daraja/stkpush:`, error.message);
+    res.status(500).json({ error: `Failed to initiate STK Push: ${error.message}` });
+  }
+});
+
+// M-Pesa Daraja STK Push callback endpoint
+app.post('/daraja/stk/callback{/:token}', requireDarajaSource, async (req, res) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] Received STK callback:`, JSON.stringify(req.body, null, 2));
+
+  try {
+    const inbox = await receiveWebhook('stk_callback', req.body || {}, webhookSource(req));
+    console.log(`[${timestamp}] STK callback ${inbox.id}: ${inbox.status}`);
+  } catch (error) {
+    console.error(`[${timestamp}] Failed to store STK callback:`, error.message);
+    return res.status(500).json({ ResultCode: 1, ResultDesc: 'Temporary failure, please retry' });
+  }
+
+  // Stored in the inbox (failures are retried), so Daraja can stop sending it
+  return res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Accepted'
+  });
+});
+
+// Poll the status of an STK Push by its CheckoutRequestID
+app.get('/daraja/stkpush/:checkoutRequestId', requireAuth, async (req, res) => {
+  try {
+    const { checkoutRequestId } = req.params;
+
+    // The payer polls; so may the meter's owner
+    const transaction = await findTransactionByReference(checkoutRequestId);
+    if (!transaction || ![transaction.user_id, transaction.payer_user_id].includes(req.user.user_id)) {
+      return res.status(404).json({ error: `No transaction found for CheckoutRequestID: ${checkoutRequestId}` });
+    }
+
+    let status = normalizeStatus(transaction.status);
+    let resultDesc = transaction.result_desc || null;
+
+    // Ask Daraja directly when the callback has not landed yet
+    if (status === TRANSACTION_STATUS.PENDING) {
+      const query = await queryStkPushStatus(checkoutRequestId);
+
+      if (!query.pending && query.ResultCode !== undefined && String(query.ResultCode) !== '0') {
+        // Cancelled, timed out or failed on the handset; the callback carries no metadata either way
+        const failed = await transitionTransaction(transaction.id, TRANSACTION_STATUS.FAILED, {
+          result_code: Number(query.ResultCode),
+          result_desc: query.ResultDesc || null
+        });
+        if (failed.transaction) {
+          status = normalizeStatus(failed.transaction.status);
+          resultDesc = failed.transaction.result_desc || null;
+        }
+      }
+    }
+
+    res.status(200).json({
+      transaction_id: transaction.id,
+      checkout_request_id: checkoutRequestId,
+      meter_no: transaction.meter_no,
+      amount: transaction.amount,
+      units: transaction.units,
+      status,
+      mpesa_receipt: transaction.mpesa_receipt || null,
+      token: transaction.token || null,
+      result_desc: resultDesc
+    });
+  } catch (error) {
+    console.error('Error fetching STK Push status:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.use('/api/iot', iotRoutes);
+app.use('/users', userRoutes);
+app.use('/tariffs', tariffRoutes);
+app.use('/meters', meterRoutes);
+app.use('/alerts', alertRoutes);
+app.use('/admin/devices', requireRole('admin'), deviceRoutes);
+app.use('/admin/ledger', requireRole('support', 'admin'), ledgerRoutes);
+app.use('/admin/webhooks', requireRole('support', 'admin'), webhookRoutes);
+app.use('/admin', requireRole('support', 'admin'), adminRoutes);
+
+app.get('/meter/:meterNo/balance', requireAuth, requireOwner, async (req, res) => {
   try {
     const meterNo = req.params.meterNo;
-    const snap = await db.ref(`meters/${meterNo}/balance`).once('value');
-    res.json({ meterNo, balance: snap.val() || 0 });
+    const balance = await getBalance(meterNo);
+    res.json({ meterNo, balance });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// ESP32 sends consumption updates
-app.post('/consume', async (req, res) => {
+// Live balance and transaction updates for the dashboard, as Server-Sent Events
+const EVENTS_HEARTBEAT_MS = 25000;
+
+app.get('/meter/:meterNo/events', requireAuth, requireOwner, (req, res) => {
+  const { meterNo } = req.params;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  // A meter that changed hands keeps its history; only this user's transactions are streamed
+  const stop = watchMeter(meterNo, (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }, { userId: req.user.user_id });
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENTS_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    stop();
+  });
+});
+
+// ESP32 redeems a 20-digit token entered on the keypad; units are credited once per token
+const TOKEN_REDEEM_STATUS = {
+  INVALID: 400,
+  NOT_FOUND: 404,
+  ALREADY_REDEEMED: 409,
+  EXPIRED: 410,
+  VOIDED: 410
+};
+
+app.post('/meter/:meterNo/tokens/redeem', requireDeviceSignature, async (req, res) => {
   try {
-    const key = req.header('x-api-key');
-    if (key !== API_KEY) return res.status(401).json({ error: 'Unauthorized' });
+    const { meterNo } = req.params;
+    const { token } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
 
-    const { meterNo, units } = req.body;
-    if (!meterNo || typeof units !== 'number') {
-      return res.status(400).json({ error: 'meterNo and units are required' });
+    const result = await redeemToken(meterNo, String(token));
+    if (!result.success) {
+      console.log(`Token redemption rejected for meter ${meterNo}: ${result.code}`);
+      return res.status(TOKEN_REDEEM_STATUS[result.code] || 400).json({
+        error: result.message,
+        code: result.code
+      });
     }
 
-    const result = await consumeUnits(meterNo, units);
-    res.json({ ok: true, ...result });
+    console.log(`Meter ${meterNo} redeemed token #${result.sequence}: ${result.units} units`);
+    res.json({
+      ok: true,
+      meterNo,
+      units: result.units,
+      sequence: result.sequence,
+      transaction_id: result.transaction_id,
+      balance: result.newBalance
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-app.listen(PORT, () => {
-  console.log(`M-Pesa middleware server listening on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`Daraja callback: http://localhost:${PORT}/daraja/callback`);
-});
\ No newline at end of file
+
+// Started only when run directly, so tests can load the app without a server or workers
+if (require.main === module) {
+  // Retry failed callbacks in the background
+  webhooks.startRetryWorker(parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS || '60', 10) * 1000);
+  // Expire payments Daraja never confirmed
+  startExpiryWorker(parseInt(process.env.TRANSACTION_SWEEP_INTERVAL_SECONDS || '60', 10) * 1000);
+  // Forecasts shrink with time even when no readings arrive
+  alerts.startAlertWorker(parseInt(process.env.ALERT_SWEEP_INTERVAL_MINUTES || '60', 10) * 60 * 1000);
+  // Roll old telemetry up into hourly summaries
+  telemetry.startTelemetryWorker(parseInt(process.env.TELEMETRY_COMPACT_INTERVAL_MINUTES || '60', 10) * 60 * 1000);
+
+  app.listen(PORT, () => {
+    console.log(`M-Pesa middleware server listening on port ${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/health`);
+    console.log(`Daraja callback: http://localhost:${PORT}/daraja/callback`);
+    console.log(`Daraja STK callback: http://localhost:${PORT}/daraja/stk/callback`);
+    console.log(`Daraja C2B validation: http://localhost:${PORT}/daraja/c2b/validation`);
+    console.log(`Daraja C2B confirmation: http://localhost:${PORT}/daraja/c2b/confirmation`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,92 @@
+// middleware/auth.js
+const { db } = require('../storage');
+const { verifyAccessToken, ROLES } = require('../services/authService');
+const { meterNumbers } = require('../repositories/usersRepository');
+
+/**
+ * Require a valid access token (Authorization: Bearer <token>).
+ * The user record is read on every request so meter reassignments and role
+ * changes apply immediately. Sets req.user to { user_id, meter_no, meters, role },
+ * where meter_no is the primary meter and meters all the user's meters.
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const header = req.header('authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const claims = verifyAccessToken(token);
+    if (!claims) {
+      return res.status(401).json({ error: 'Invalid or expired access token' });
+    }
+
+    const userSnap = await db.ref(`users/${claims.user_id}`).once('value');
+    if (!userSnap.exists()) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+
+    const user = userSnap.val();
+    req.user = {
+      user_id: claims.user_id,
+      meter_no: user.meter_no || null,
+      meters: meterNumbers(user),
+      role: ROLES.includes(user.role) ? user.role : 'customer'
+    };
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * Only let the signed-in user act on their own account and meters.
+ * Checks route :userId, route :meterNo and the meter_no in the body or query.
+ * Must run after requireAuth.
+ */
+function requireOwner(req, res, next) {
+  const { userId, meterNo } = req.params;
+  const targetMeter = meterNo || (req.body && req.body.meter_no) || req.query.meter_no;
+
+  if (userId && userId !== req.user.user_id) {
+    return res.status(403).json({ error: 'Not allowed to access another user\'s data' });
+  }
+  if (targetMeter && !(req.user.meters || []).includes(String(targetMeter))) {
+    return res.status(403).json({ error: 'Not allowed to access another user\'s meter' });
+  }
+
+  next();
+}
+
+/**
+ * Require one of the given roles.
+ * Scripts may still authenticate with the operator key (x-admin-key), which acts as an admin.
+ * @param {...string} roles - Allowed roles (see ROLES)
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (req.header('x-admin-key') !== undefined) {
+      if (!adminKey || req.header('x-admin-key') !== adminKey) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      req.user = { user_id: null, meter_no: null, meters: [], role: 'admin', via: 'api_key' };
+      return next();
+    }
+
+    const checkRole = () => {
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Insufficient role' });
+      }
+      next();
+    };
+
+    // Already authenticated by an outer guard
+    if (req.user) return checkRole();
+    requireAuth(req, res, checkRole);
+  };
+}
+
+module.exports = { requireAuth, requireOwner, requireRole };
@@ -0,0 +1,48 @@
+// middleware/deviceAuth.js
+const { verifyDeviceRequest, markSeen } = require('../services/deviceService');
+
+/**
+ * Require an HMAC-signed request from a provisioned meter.
+ *
+ * Headers:
+ * - x-meter-no:         meter the device belongs to
+ * - x-device-timestamp: unix time (seconds) the request was signed at
+ * - x-device-nonce:     unique value per request (8-64 chars of [A-Za-z0-9_-])
+ * - x-device-signature: hex HMAC-SHA256 of "METHOD\nPATH\nTIMESTAMP\nNONCE\nBODY" with the device secret
+ *
+ * A device may only act on its own meter (route :meterNo or body meterNo).
+ */
+async function requireDeviceSignature(req, res, next) {
+  try {
+    const meterNo = req.header('x-meter-no');
+    const targetMeter = (req.params && req.params.meterNo) || (req.body && req.body.meterNo);
+
+    if (targetMeter && meterNo && String(targetMeter) !== String(meterNo)) {
+      return res.status(403).json({ error: 'Device is not allowed to act on this meter' });
+    }
+
+    const result = await verifyDeviceRequest({
+      meterNo,
+      timestamp: req.header('x-device-timestamp'),
+      nonce: req.header('x-device-nonce'),
+      signature: req.header('x-device-signature'),
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody || ''
+    });
+
+    if (!result.success) {
+      console.warn(`Rejected device request for meter ${meterNo || 'unknown'}: ${result.message}`);
+      return res.status(401).json({ error: 'Unauthorized', reason: result.message });
+    }
+
+    req.device = { meterNo };
+    // For the health view; never holds up the request
+    markSeen(meterNo).catch(err => console.warn(`Failed to record last_seen for meter ${meterNo}:`, err.message));
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+module.exports = { requireDeviceSignature };
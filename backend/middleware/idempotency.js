@@ -0,0 +1,68 @@
+// middleware/idempotency.js
+const { fingerprintRequest, claimKey, completeKey, releaseKey } = require('../services/idempotencyService');
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * Make a POST safe to retry with an Idempotency-Key header.
+ *
+ * - First request with a key runs normally; its response is stored.
+ * - A repeat with the same key and body gets the stored response
+ *   (with Idempotent-Replayed: true) without running the route again.
+ * - A repeat while the first is still running gets 409.
+ * - Reusing a key with a different body gets 422.
+ *
+ * 5xx responses are not stored, so the client may retry them with the same key.
+ * Requests without the header are not affected. Must run after requireAuth.
+ */
+async function idempotent(req, res, next) {
+  const key = req.header('idempotency-key');
+  if (!key) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 8-128 characters of [A-Za-z0-9_-]' });
+  }
+
+  const scope = req.user && req.user.user_id ? req.user.user_id : 'anonymous';
+  const path = `${req.baseUrl}${req.route ? req.route.path : req.path}`;
+
+  let claim;
+  try {
+    claim = await claimKey(scope, key, fingerprintRequest(req.method, path, req.body));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  if (claim.outcome === 'MISMATCH') {
+    return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+  }
+  if (claim.outcome === 'IN_PROGRESS') {
+    res.set('Retry-After', '1');
+    return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+  }
+  if (claim.outcome === 'REPLAY') {
+    console.log(`Replaying ${req.method} ${path} for idempotency key of ${scope}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.record.response_status).json(JSON.parse(claim.record.response_body));
+  }
+
+  let settled = false;
+  const settle = (action) => {
+    if (settled) return;
+    settled = true;
+    action().catch(err => console.error(`Failed to update idempotency key for ${scope}:`, err.message));
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const statusCode = res.statusCode;
+    settle(() => (statusCode >= 500 ? releaseKey(scope, key) : completeKey(scope, key, statusCode, body)));
+    return json(body);
+  };
+  // Finished without res.json() (e.g. the default error handler): let the client try the key again
+  res.on('finish', () => settle(() => releaseKey(scope, key)));
+
+  next();
+}
+
+module.exports = { idempotent };
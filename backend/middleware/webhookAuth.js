@@ -0,0 +1,51 @@
+// middleware/webhookAuth.js
+const crypto = require('crypto');
+
+function allowedIps() {
+  return (process.env.DARAJA_ALLOWED_IPS || '')
+    .split(',')
+    .map(ip => ip.trim())
+    .filter(Boolean);
+}
+
+function normalizeIp(ip) {
+  // IPv4 clients show up as ::ffff:a.b.c.d on dual-stack sockets
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+function tokenMatches(given, expected) {
+  const left = Buffer.from(String(given || ''));
+  const right = Buffer.from(expected);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Only accept callbacks that come from Daraja.
+ *
+ * - DARAJA_ALLOWED_IPS: comma-separated source IPs; when set, other IPs are rejected.
+ *   Behind a proxy, set TRUST_PROXY so req.ip is the client address.
+ * - DARAJA_WEBHOOK_TOKEN: shared secret that must appear as the last path
+ *   segment of the callback URL (e.g. /daraja/stk/callback/<token>).
+ *
+ * Either check is skipped when its variable is unset.
+ */
+function requireDarajaSource(req, res, next) {
+  const ip = normalizeIp(req.ip);
+  // Never log req.path: it contains the secret token
+  const route = req.route ? req.route.path : 'callback';
+  const ips = allowedIps();
+  if (ips.length > 0 && !ips.includes(ip)) {
+    console.warn(`Rejected ${route} from ${ip}: source IP not allowed`);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const expectedToken = process.env.DARAJA_WEBHOOK_TOKEN;
+  if (expectedToken && !tokenMatches(req.params.token, expectedToken)) {
+    console.warn(`Rejected ${route} from ${ip}: invalid URL token`);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  next();
+}
+
+module.exports = { requireDarajaSource };
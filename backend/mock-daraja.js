@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * Run a local mock of the Daraja API for offline development
+ * Point the backend at it with DARAJA_BASE_URL=http://localhost:4000
+ * Uses MOCK_DARAJA_PORT, MOCK_DARAJA_CALLBACK_URL, MOCK_DARAJA_CALLBACK_DELAY_MS,
+ * MOCK_DARAJA_FAILURE_RATE and MOCK_DARAJA_DUPLICATE_RATE
+ * Run with: node mock-daraja.js
+ */
+
+require('dotenv').config();
+const { createDarajaMock } = require('./mock/darajaMock');
+
+async function run() {
+  const port = parseInt(process.env.MOCK_DARAJA_PORT || '4000', 10);
+  const mock = createDarajaMock({
+    callbackUrl: process.env.MOCK_DARAJA_CALLBACK_URL || 'http://localhost:3000/daraja/callback',
+    callbackDelayMs: parseInt(process.env.MOCK_DARAJA_CALLBACK_DELAY_MS || '2000', 10),
+    failureRate: parseFloat(process.env.MOCK_DARAJA_FAILURE_RATE || '0'),
+    duplicateRate: parseFloat(process.env.MOCK_DARAJA_DUPLICATE_RATE || '0')
+  });
+
+  try {
+    const url = await mock.listen(port, '0.0.0.0');
+    console.log(`🧪 Mock Daraja listening on ${url}`);
+    console.log(`   C2B callbacks go to ${mock.config.callbackUrl} after ${mock.config.callbackDelayMs}ms`);
+    console.log(`   Failure rate ${mock.config.failureRate}, duplicate rate ${mock.config.duplicateRate}`);
+  } catch (error) {
+    console.error('❌ Could not start the mock:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
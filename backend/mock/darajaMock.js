@@ -0,0 +1,358 @@
+// mock/darajaMock.js
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { generateTimestamp } = require('../daraja');
+
+/*
+ * A local stand-in for the Daraja API, for offline development and
+ * end-to-end tests. Point the backend at it with DARAJA_BASE_URL.
+ *
+ *   GET  /oauth/v1/generate                  access token (any Basic credentials)
+ *   POST /mpesa/c2b/v1/registerurl           remembers the URLs
+ *   POST /mpesa/c2b/v1/simulate              then posts a payment callback to callbackUrl
+ *   POST /mpesa/stkpush/v1/processrequest    then posts the STK result to the request's CallBackURL
+ *   POST /mpesa/stkpushquery/v1/query        "being processed" until the STK result is sent
+ *   POST /mpesa/transactionstatus/v1/query   then posts the result to the request's ResultURL
+ *   POST /mpesa/reversal/v1/request          then posts the result to the request's ResultURL
+ *
+ * Callbacks are sent after callbackDelayMs. failureRate is the share of
+ * payments that fail (the customer cancels), and duplicateRate the share of
+ * callbacks that are sent twice, as Daraja sometimes does.
+ *
+ * Control routes for scripts and tests:
+ *
+ *   GET  /mock/requests   every API request received
+ *   GET  /mock/callbacks  every callback sent, with the response status
+ *   POST /mock/config     change callbackUrl, callbackDelayMs, failureRate, duplicateRate or sendCallbacks
+ *   POST /mock/reset      forget requests, callbacks and payments
+ */
+
+// ResultCodes the mock uses for failed payments
+const FAILURE_RESULTS = [
+  { code: 1032, desc: 'Request cancelled by user' },
+  { code: 1, desc: 'The balance is insufficient for the transaction' },
+  { code: 2001, desc: 'The initiator information is invalid' }
+];
+
+const ERRORS = {
+  INVALID_TOKEN: { status: 401, errorCode: '404.001.03', errorMessage: 'Invalid Access Token' },
+  INVALID_CREDENTIALS: { status: 400, errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' },
+  BAD_REQUEST: { status: 400, errorCode: '400.002.02', errorMessage: 'Bad Request' },
+  PROCESSING: { status: 500, errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' }
+};
+
+function randomId(prefix, length = 12) {
+  return `${prefix}${crypto.randomBytes(length).toString('hex').slice(0, length)}`;
+}
+
+// M-Pesa receipts are 10 upper-case letters and digits, e.g. RKT3XYZ9AB
+function receiptNumber() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  return Array.from(crypto.randomBytes(10), byte => chars[byte % chars.length]).join('');
+}
+
+/**
+ * Create a mock Daraja server
+ * @param {Object} [options]
+ * @param {string} [options.callbackUrl] - Where C2B simulate callbacks go (default http://localhost:3000/daraja/callback)
+ * @param {number} [options.callbackDelayMs] - Delay before each callback (default 2000)
+ * @param {number} [options.failureRate] - Share of payments that fail, 0..1 (default 0)
+ * @param {number} [options.duplicateRate] - Share of callbacks sent twice, 0..1 (default 0)
+ * @param {boolean} [options.sendCallbacks] - false leaves every payment pending, as if the customer never answered (default true)
+ * @param {string} [options.accessToken] - Issue this token instead of a random one
+ * @param {Function} [options.random] - Source of numbers in [0, 1), for deterministic tests
+ * @returns {Object} { app, config, requests, callbacks, respond, settle, reset, listen, close }
+ */
+function createDarajaMock(options = {}) {
+  const config = {
+    callbackUrl: options.callbackUrl || 'http://localhost:3000/daraja/callback',
+    callbackDelayMs: options.callbackDelayMs ?? 2000,
+    failureRate: options.failureRate ?? 0,
+    duplicateRate: options.duplicateRate ?? 0,
+    sendCallbacks: options.sendCallbacks ?? true
+  };
+  const random = options.random || Math.random;
+
+  const requests = [];
+  const callbacks = [];
+  const pending = new Set();
+  const accessTokens = new Set();
+  const stkPushes = new Map();
+  const registeredUrls = {};
+  let overrides = {};
+  let server = null;
+
+  const app = express();
+  app.use(express.json());
+
+  function sendError(res, error) {
+    const { status, ...body } = error;
+    res.status(status).json({ requestId: randomId('mock-', 8), ...body });
+  }
+
+  function paymentOutcome() {
+    if (random() >= config.failureRate) return { code: 0, desc: 'The service request is processed successfully.' };
+    return FAILURE_RESULTS[Math.floor(random() * FAILURE_RESULTS.length)];
+  }
+
+  // Post a callback after the configured delay, sometimes twice
+  function scheduleCallback(url, payload, onSent) {
+    if (!config.sendCallbacks) return;
+    const copies = random() < config.duplicateRate ? 2 : 1;
+    for (let copy = 0; copy < copies; copy++) {
+      const delivery = new Promise(resolve => {
+        const timer = setTimeout(async () => {
+          const record = { url, payload, duplicate: copy > 0, sent_at: new Date().toISOString() };
+          try {
+            const response = await axios.post(url, payload, { timeout: 10000 });
+            record.status = response.status;
+          } catch (error) {
+            record.status = error.response ? error.response.status : null;
+            record.error = error.message;
+            console.warn(`[daraja mock] Callback to ${url} failed: ${error.message}`);
+          }
+          callbacks.push(record);
+          if (copy === 0 && onSent) onSent();
+          resolve();
+        }, config.callbackDelayMs);
+        timer.unref();
+      });
+      pending.add(delivery);
+      delivery.finally(() => pending.delete(delivery));
+    }
+  }
+
+  // Record every request, and let tests replace any route's answer
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, body: req.body, headers: req.headers, received_at: new Date().toISOString() });
+    const override = overrides[req.path];
+    if (!override) return next();
+
+    const reply = override(req.body);
+    if (reply && reply.status !== undefined && reply.body !== undefined) {
+      return res.status(reply.status).json(reply.body);
+    }
+    res.json(reply);
+  });
+
+  app.get('/oauth/v1/generate', (req, res) => {
+    const [scheme, credentials] = (req.header('authorization') || '').split(' ');
+    const decoded = scheme === 'Basic' && credentials ? Buffer.from(credentials, 'base64').toString() : '';
+    if (req.query.grant_type !== 'client_credentials' || !decoded.includes(':')) {
+      return sendError(res, ERRORS.INVALID_CREDENTIALS);
+    }
+
+    const token = options.accessToken || randomId('mock', 28);
+    accessTokens.add(token);
+    res.json({ access_token: token, expires_in: '3599' });
+  });
+
+  // Everything else needs a token from /oauth/v1/generate
+  app.use('/mpesa', (req, res, next) => {
+    const [scheme, token] = (req.header('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !accessTokens.has(token)) {
+      return sendError(res, ERRORS.INVALID_TOKEN);
+    }
+    next();
+  });
+
+  app.post('/mpesa/c2b/v1/registerurl', (req, res) => {
+    const { ShortCode, ConfirmationURL, ValidationURL, ResponseType } = req.body || {};
+    if (!ShortCode || !ConfirmationURL || !ValidationURL) return sendError(res, ERRORS.BAD_REQUEST);
+
+    registeredUrls[ShortCode] = { ConfirmationURL, ValidationURL, ResponseType };
+    res.json({ OriginatorCoverstionID: randomId('mock-', 8), ResponseCode: '0', ResponseDescription: 'Success' });
+  });
+
+  app.post('/mpesa/c2b/v1/simulate', (req, res) => {
+    const { ShortCode, Amount, Msisdn, BillRefNumber } = req.body || {};
+    if (!ShortCode || !(Number(Amount) > 0) || !Msisdn) return sendError(res, ERRORS.BAD_REQUEST);
+
+    const conversationId = randomId('mock-', 16);
+    const outcome = paymentOutcome();
+    const receipt = outcome.code === 0 ? receiptNumber() : null;
+
+    // The shape saveCallbackTransaction() reads
+    scheduleCallback(config.callbackUrl, {
+      ResultCode: outcome.code,
+      ResultDesc: outcome.desc,
+      OriginatorCoversationID: conversationId,
+      TransactionType: 'Pay Bill',
+      MpesaReceiptNumber: receipt,
+      Amount: Number(Amount),
+      TransactionDate: generateTimestamp(),
+      BusinessShortCode: ShortCode,
+      BillRefNumber: BillRefNumber || null,
+      PhoneNumber: Msisdn
+    });
+
+    res.json({
+      OriginatorCoversationID: conversationId,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+  });
+
+  app.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+    const { BusinessShortCode, Password, Timestamp, Amount, PhoneNumber, CallBackURL, AccountReference } = req.body || {};
+    if (!BusinessShortCode || !Password || !Timestamp || !(Number(Amount) > 0) || !PhoneNumber || !CallBackURL) {
+      return sendError(res, ERRORS.BAD_REQUEST);
+    }
+
+    const merchantRequestId = randomId('mock-', 12);
+    const checkoutRequestId = `ws_CO_${Timestamp}${randomId('', 10)}`;
+    const outcome = paymentOutcome();
+    const push = { merchantRequestId, checkoutRequestId, outcome, completed: false };
+    stkPushes.set(checkoutRequestId, push);
+
+    const stkCallback = {
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResultCode: outcome.code,
+      ResultDesc: outcome.desc
+    };
+    if (outcome.code === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: Number(Amount) },
+          { Name: 'MpesaReceiptNumber', Value: receiptNumber() },
+          { Name: 'TransactionDate', Value: Number(generateTimestamp()) },
+          { Name: 'PhoneNumber', Value: Number(PhoneNumber) }
+        ]
+      };
+    }
+    scheduleCallback(CallBackURL, { Body: { stkCallback } }, () => { push.completed = true; });
+
+    console.log(`[daraja mock] STK Push ${checkoutRequestId} for ${AccountReference || 'unknown account'}: ResultCode ${outcome.code}`);
+    res.json({
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+  });
+
+  app.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+    const push = stkPushes.get((req.body || {}).CheckoutRequestID);
+    if (!push) return sendError(res, ERRORS.BAD_REQUEST);
+    if (!push.completed) return sendError(res, ERRORS.PROCESSING);
+
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: push.merchantRequestId,
+      CheckoutRequestID: push.checkoutRequestId,
+      ResultCode: String(push.outcome.code),
+      ResultDesc: push.outcome.desc
+    });
+  });
+
+  // Transaction status and reversal answer asynchronously on the request's ResultURL
+  function asyncResultRoute(path, buildParameters) {
+    app.post(path, (req, res) => {
+      const body = req.body || {};
+      if (!body.TransactionID || !body.ResultURL) return sendError(res, ERRORS.BAD_REQUEST);
+
+      const originatorConversationId = randomId('mock-', 16);
+      const conversationId = randomId('AG_', 16);
+      const outcome = paymentOutcome();
+
+      scheduleCallback(body.ResultURL, {
+        Result: {
+          ResultType: 0,
+          ResultCode: outcome.code,
+          ResultDesc: outcome.desc,
+          OriginatorConversationID: originatorConversationId,
+          ConversationID: conversationId,
+          TransactionID: outcome.code === 0 ? receiptNumber() : body.TransactionID,
+          ResultParameters: outcome.code === 0 ? { ResultParameter: buildParameters(body) } : undefined,
+          ReferenceData: { ReferenceItem: { Key: 'QueueTimeoutURL', Value: body.QueueTimeOutURL || null } }
+        }
+      });
+
+      res.json({
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        ResponseCode: '0',
+        ResponseDescription: 'Accept the service request successfully.'
+      });
+    });
+  }
+
+  asyncResultRoute('/mpesa/transactionstatus/v1/query', body => [
+    { Key: 'ReceiptNo', Value: body.TransactionID },
+    { Key: 'TransactionStatus', Value: 'Completed' },
+    { Key: 'FinalisedTime', Value: Number(generateTimestamp()) }
+  ]);
+
+  asyncResultRoute('/mpesa/reversal/v1/request', body => [
+    { Key: 'DebitAccountBalance', Value: 'Utility Account|KES|0.00|0.00|0.00|0.00' },
+    { Key: 'Amount', Value: Number(body.Amount) || 0 },
+    { Key: 'OriginalTransactionID', Value: body.TransactionID },
+    { Key: 'TransCompletedTime', Value: Number(generateTimestamp()) },
+    { Key: 'CreditPartyPublicName', Value: body.ReceiverParty || null }
+  ]);
+
+  app.get('/mock/requests', (req, res) => res.json(requests));
+  app.get('/mock/callbacks', (req, res) => res.json(callbacks));
+  app.post('/mock/config', (req, res) => {
+    ['callbackUrl', 'callbackDelayMs', 'failureRate', 'duplicateRate', 'sendCallbacks'].forEach(key => {
+      if (req.body && req.body[key] !== undefined) config[key] = req.body[key];
+    });
+    res.json(config);
+  });
+  app.post('/mock/reset', (req, res) => {
+    reset();
+    res.json({ ok: true });
+  });
+
+  app.use((req, res) => sendError(res, { status: 404, errorCode: '404.001.01', errorMessage: 'Resource not found' }));
+
+  function reset() {
+    requests.length = 0;
+    callbacks.length = 0;
+    stkPushes.clear();
+    overrides = {};
+  }
+
+  return {
+    app,
+    config,
+    requests,
+    callbacks,
+    registeredUrls,
+    /**
+     * Answer a path with handler(body) until reset(). Return a plain body
+     * for a 200, or { status, body } for anything else.
+     */
+    respond(path, handler) {
+      overrides[path] = handler;
+    },
+    /**
+     * Wait until every scheduled callback has been sent
+     */
+    async settle() {
+      while (pending.size > 0) await Promise.all([...pending]);
+    },
+    reset,
+    /**
+     * Start listening
+     * @param {number} [port] - Port (0 picks a free one)
+     * @param {string} [host] - Interface to bind
+     * @returns {Promise<string>} Base URL of the mock
+     */
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+        server.once('error', reject);
+      });
+    },
+    close() {
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+  };
+}
+
+module.exports = { createDarajaMock, FAILURE_RESULTS };
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * Balance reconciliation job
+ * Reports drift between each meter's ledger account and the legacy
+ * meters/<no>/balance and users/<id>/balance fields.
+ * Run with: node reconcile-balances.js [--repair]
+ */
+
+require('dotenv').config();
+const { reconcileBalances } = require('./services/ledgerService');
+
+async function run() {
+  const repair = process.argv.includes('--repair');
+  console.log(`🔍 Reconciling balances${repair ? ' (repair mode)' : ''}...\n`);
+
+  try {
+    const report = await reconcileBalances({ repair });
+
+    report.drift.forEach(({ meter_no, user_id, issues }) => {
+      console.log(`⚠️  Meter ${meter_no} (user ${user_id || 'unlinked'}):`);
+      issues.forEach(issue => {
+        const detail = issue.message || `expected ${issue.expected}, found ${issue.actual}`;
+        console.log(`   - ${issue.field}: ${detail}`);
+      });
+    });
+
+    console.log(`\n✅ Checked ${report.checked} meters, ${report.drift.length} with drift${repair ? `, ${report.repaired} repaired` : ''}`);
+    process.exit(report.drift.length > 0 && !repair ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+
+/**
+ * Register the C2B validation and confirmation URLs with Daraja
+ * Uses DARAJA_C2B_VALIDATION_URL, DARAJA_C2B_CONFIRMATION_URL and DARAJA_C2B_RESPONSE_TYPE
+ * Run with: node register-c2b-urls.js
+ */
+
+require('dotenv').config();
+const { registerC2BUrls } = require('./daraja');
+
+async function run() {
+  console.log('🔗 Registering C2B URLs with Daraja...\n');
+
+  try {
+    const response = await registerC2BUrls();
+    console.log(`\n✅ ${response.ResponseDescription || 'URLs registered'}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Registration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,46 @@
+// repositories/consumptionRepository.js
+const { db } = require('../storage');
+
+/**
+ * Reserve an ID for a new consumption record
+ * @returns {string} Consumption ID (sorts chronologically)
+ */
+function newConsumptionId() {
+  return db.ref('unit_consumption').push().key;
+}
+
+/**
+ * Write a consumption record
+ * @param {string} consumptionId - ID from newConsumptionId()
+ * @param {Object} data - Consumption record
+ */
+async function saveConsumption(consumptionId, data) {
+  await db.ref(`unit_consumption/${consumptionId}`).set(data);
+}
+
+/**
+ * All consumption records of a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object[]>} Records (with id), unordered
+ */
+async function listByUser(userId) {
+  const snap = await db.ref('unit_consumption').orderByChild('user_id').equalTo(userId).once('value');
+  return Object.entries(snap.val() || {}).map(([id, record]) => ({ id, ...record }));
+}
+
+/**
+ * All consumption records of a meter
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<Object[]>} Records (with id), unordered
+ */
+async function listByMeter(meterNo) {
+  const snap = await db.ref('unit_consumption').orderByChild('meter_no').equalTo(meterNo).once('value');
+  return Object.entries(snap.val() || {}).map(([id, record]) => ({ id, ...record }));
+}
+
+module.exports = {
+  newConsumptionId,
+  saveConsumption,
+  listByUser,
+  listByMeter
+};
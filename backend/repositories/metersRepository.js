@@ -0,0 +1,37 @@
+// repositories/metersRepository.js
+const { db } = require('../storage');
+
+/**
+ * Get a meter record (account, device, balance projection, owner link)
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<Object|null>} The meter or null if not found
+ */
+async function getMeter(meterNo) {
+  const snap = await db.ref(`meters/${meterNo}`).once('value');
+  return snap.exists() ? snap.val() : null;
+}
+
+/**
+ * Provisioning status of the meter's device
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<string|null>} ACTIVE, REVOKED, ... or null if never provisioned
+ */
+async function getDeviceStatus(meterNo) {
+  const snap = await db.ref(`meters/${meterNo}/device/status`).once('value');
+  return snap.val();
+}
+
+/**
+ * Update fields on a meter
+ * @param {string} meterNo - The meter number
+ * @param {Object} fields - Fields to write (null removes a field)
+ */
+async function updateMeter(meterNo, fields) {
+  await db.ref(`meters/${meterNo}`).update(fields);
+}
+
+module.exports = {
+  getMeter,
+  getDeviceStatus,
+  updateMeter
+};
@@ -0,0 +1,186 @@
+// repositories/transactionsRepository.js
+const { db } = require('../storage');
+
+function toList(snap) {
+  return Object.entries(snap.val() || {}).map(([id, transaction]) => ({ id, ...transaction }));
+}
+
+async function listWhere(field, value) {
+  return toList(await db.ref('transactions').orderByChild(field).equalTo(value).once('value'));
+}
+
+// user_transactions/<userId>/<transactionId> = true for the meter's owner and the payer
+function indexUpdates(transactionId, data) {
+  const updates = {};
+  [data.user_id, data.payer_user_id].filter(Boolean).forEach(userId => {
+    updates[`user_transactions/${userId}/${transactionId}`] = true;
+  });
+  return updates;
+}
+
+/**
+ * Reserve an ID for a new transaction
+ * @returns {string} Transaction ID (sorts chronologically)
+ */
+function newTransactionId() {
+  return db.ref('transactions').push().key;
+}
+
+/**
+ * Get a transaction
+ * @param {string} transactionId - The transaction ID
+ * @returns {Promise<Object|null>} The transaction (with id) or null if not found
+ */
+async function getTransaction(transactionId) {
+  const snap = await db.ref(`transactions/${transactionId}`).once('value');
+  return snap.exists() ? { id: transactionId, ...snap.val() } : null;
+}
+
+/**
+ * Write a new transaction, and index it under its owner and payer
+ * @param {string} transactionId - ID from newTransactionId()
+ * @param {Object} data - Transaction record
+ */
+async function saveTransaction(transactionId, data) {
+  await db.ref().update({ [`transactions/${transactionId}`]: data, ...indexUpdates(transactionId, data) });
+}
+
+/**
+ * Update fields on a transaction
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} fields - Fields to write (null removes a field)
+ */
+async function updateTransaction(transactionId, fields) {
+  await db.ref(`transactions/${transactionId}`).update(fields);
+}
+
+/**
+ * Atomically read-modify-write a transaction. update(current) returns the
+ * new record, or undefined to leave it unchanged. It may be called with null
+ * first and again with the stored value.
+ * @param {string} transactionId - The transaction ID
+ * @param {Function} update - (current) => next | undefined
+ * @returns {Promise<Object>} { committed, transaction } - transaction is the stored record (with id) or null
+ */
+async function mutateTransaction(transactionId, update) {
+  const result = await db.ref(`transactions/${transactionId}`).transaction(update);
+  const value = result.snapshot.val();
+  return { committed: result.committed, transaction: value ? { id: transactionId, ...value } : null };
+}
+
+/**
+ * First transaction with this reference (OriginatorCoversationID, CheckoutRequestID, TransID)
+ * @param {string} reference - The reference
+ * @returns {Promise<Object|null>} Transaction (with id) or null
+ */
+async function findByReference(reference) {
+  if (!reference) return null;
+  return (await listWhere('reference', reference))[0] || null;
+}
+
+/**
+ * The transaction whose reversal Daraja gave this OriginatorConversationID
+ * @param {string} conversationId - OriginatorConversationID from the reversal request
+ * @returns {Promise<Object|null>} Transaction (with id) or null
+ */
+async function findByReversalReference(conversationId) {
+  if (!conversationId) return null;
+  return (await listWhere('reversal/originator_conversation_id', conversationId))[0] || null;
+}
+
+/**
+ * Transactions recorded with this M-Pesa receipt number
+ * @param {string} receipt - MpesaReceiptNumber / TransID
+ * @returns {Promise<Object[]>} Transactions (with id)
+ */
+async function listByReceipt(receipt) {
+  if (!receipt) return [];
+  return listWhere('mpesa_receipt', receipt);
+}
+
+/**
+ * All transactions of a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object[]>} Transactions (with id), unordered
+ */
+function listByUser(userId) {
+  return listWhere('user_id', userId);
+}
+
+/**
+ * Transactions a user paid for, including those for other people's meters
+ * @param {string} userId - The paying user's ID
+ * @returns {Promise<Object[]>} Transactions (with id), unordered
+ */
+function listByPayer(userId) {
+  return listWhere('payer_user_id', userId);
+}
+
+/**
+ * All transactions of a meter
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<Object[]>} Transactions (with id), unordered
+ */
+function listByMeter(meterNo) {
+  return listWhere('meter_no', meterNo);
+}
+
+/**
+ * All transactions in a status
+ * @param {string} status - e.g. PENDING
+ * @returns {Promise<Object[]>} Transactions (with id), unordered
+ */
+function listByStatus(status) {
+  return listWhere('status', status);
+}
+
+/**
+ * A page of a user's transaction IDs, newest first (IDs sort by creation)
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {string} [options.before] - Only IDs older than this one
+ * @param {number} [options.limit=50] - At most this many
+ * @returns {Promise<string[]>} Transaction IDs, newest first
+ */
+async function listUserTransactionIds(userId, { before = null, limit = 50 } = {}) {
+  let query = db.ref(`user_transactions/${userId}`).orderByKey();
+  // endAt is inclusive, so fetch one more and drop the cursor itself
+  if (before) query = query.endAt(before);
+  const snap = await query.limitToLast(before ? limit + 1 : limit).once('value');
+  return Object.keys(snap.val() || {}).filter(id => id !== before).reverse().slice(0, limit);
+}
+
+/**
+ * Index a user's transactions written before user_transactions existed.
+ * Runs once per user; later transactions are indexed by saveTransaction().
+ * @param {string} userId - The user ID
+ */
+async function ensureUserIndex(userId) {
+  const marker = db.ref(`user_transactions_indexed/${userId}`);
+  if ((await marker.once('value')).exists()) return;
+
+  const [received, paid] = await Promise.all([listByUser(userId), listByPayer(userId)]);
+  const updates = {};
+  [...received, ...paid].forEach(transaction => {
+    updates[`user_transactions/${userId}/${transaction.id}`] = true;
+  });
+  updates[`user_transactions_indexed/${userId}`] = new Date().toISOString();
+  await db.ref().update(updates);
+}
+
+module.exports = {
+  newTransactionId,
+  getTransaction,
+  saveTransaction,
+  updateTransaction,
+  mutateTransaction,
+  findByReference,
+  findByReversalReference,
+  listByReceipt,
+  listByUser,
+  listByPayer,
+  listByMeter,
+  listByStatus,
+  listUserTransactionIds,
+  ensureUserIndex
+};
@@ -0,0 +1,86 @@
+// repositories/usersRepository.js
+const { db } = require('../storage');
+
+/**
+ * Get a user record
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The user or null if not found
+ */
+async function getUser(userId) {
+  const snap = await db.ref(`users/${userId}`).once('value');
+  return snap.exists() ? snap.val() : null;
+}
+
+/**
+ * All users keyed by user ID
+ * @returns {Promise<Object>} { userId: user }
+ */
+async function listUsers() {
+  const snap = await db.ref('users').once('value');
+  return snap.val() || {};
+}
+
+/**
+ * Meter numbers linked to a user, primary meter first
+ * @param {Object} user - User record
+ * @returns {string[]} Meter numbers (users from before multiple meters only have meter_no)
+ */
+function meterNumbers(user) {
+  if (!user) return [];
+  const linked = Object.keys(user.meters || {}).sort();
+  if (!user.meter_no) return linked;
+  return [user.meter_no, ...linked.filter(meterNo => meterNo !== user.meter_no)];
+}
+
+/**
+ * Find the ID of the user a meter is registered to
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<string|null>} User ID or null if not found
+ */
+async function findUserIdByMeter(meterNo) {
+  // The meter's owner link is authoritative; older users are only found by their meter_no
+  const linkSnap = await db.ref(`meters/${meterNo}/user_id`).once('value');
+  if (linkSnap.exists()) return linkSnap.val();
+
+  const snap = await db.ref('users').orderByChild('meter_no').equalTo(meterNo).once('value');
+  if (!snap.exists()) return null;
+  return Object.keys(snap.val())[0];
+}
+
+/**
+ * Create a user
+ * @param {Object} data - User record
+ * @returns {Promise<string>} The new user ID
+ */
+async function createUser(data) {
+  const ref = db.ref('users').push();
+  await ref.set(data);
+  return ref.key;
+}
+
+/**
+ * Delete a user
+ * @param {string} userId - The user ID
+ */
+async function deleteUser(userId) {
+  await db.ref(`users/${userId}`).remove();
+}
+
+/**
+ * Update fields on a user
+ * @param {string} userId - The user ID
+ * @param {Object} fields - Fields to write (null removes a field)
+ */
+async function updateUser(userId, fields) {
+  await db.ref(`users/${userId}`).update(fields);
+}
+
+module.exports = {
+  getUser,
+  listUsers,
+  meterNumbers,
+  findUserIdByMeter,
+  createUser,
+  deleteUser,
+  updateUser
+};
@@ -0,0 +1,188 @@
+// routes/admin.js
+const express = require('express');
+const router = express.Router();
+const admin = require('../services/adminService');
+const telemetry = require('../services/telemetryService');
+const registers = require('../services/registerService');
+const reversals = require('../services/reversalService');
+const { requireRole } = require('../middleware/auth');
+
+// Map service result codes to HTTP status
+const RESULT_STATUS = {
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  DARAJA_ERROR: 502
+};
+
+function sendResult(res, result, successStatus = 200) {
+  if (!result.success) {
+    return res.status(RESULT_STATUS[result.code] || 400).json({ error: result.message });
+  }
+  res.status(successStatus).json(result);
+}
+
+// List or search users (?q= matches name, email, meter number or phone)
+router.get('/users', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    res.json(await admin.searchUsers({ q: req.query.q, limit }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A user with their recent transactions
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const detail = await admin.getUserDetail(req.params.userId);
+    if (!detail) return res.status(404).json({ error: 'User not found' });
+    res.json(detail);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change a user's role (admin)
+router.put('/users/:userId/role', requireRole('admin'), async (req, res) => {
+  try {
+    sendResult(res, await admin.setUserRole(req.params.userId, (req.body || {}).role, req.user));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List or search meters (?q= matches meter number, owner name or email)
+router.get('/meters', async (req, res) => {
+  try {
+    res.json(await admin.listMeters({ q: req.query.q }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Manually credit or debit a meter with a reason (admin)
+router.post('/meters/:meterNo/adjustments', requireRole('admin'), async (req, res) => {
+  try {
+    sendResult(res, await admin.adjustBalance(req.params.meterNo, req.body || {}, req.user), 201);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A meter's relay state and recent device commands
+router.get('/meters/:meterNo/commands', async (req, res) => {
+  try {
+    res.json(await admin.getMeterCommands(req.params.meterNo));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send a command to a meter's device: RELAY_OFF, RELAY_ON or SYNC_BALANCE (admin)
+router.post('/meters/:meterNo/commands', requireRole('admin'), async (req, res) => {
+  try {
+    sendResult(res, await admin.sendMeterCommand(req.params.meterNo, req.body || {}, req.user), 201);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A meter's health: last seen, firmware, signal, latest reading, open events and the billing register
+router.get('/meters/:meterNo/health', async (req, res) => {
+  try {
+    const meterNo = req.params.meterNo;
+    const [health, { register, gaps }] = await Promise.all([
+      telemetry.getMeterHealth(meterNo),
+      registers.getRegisterStatus(meterNo)
+    ]);
+    res.json({ ...health, register, register_gaps: gaps });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Hourly voltage, current, power factor and power (?from=&to=, ISO dates; default the last 24 hours)
+const MAX_TELEMETRY_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+
+router.get('/meters/:meterNo/telemetry', async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to).getTime() : Date.now();
+    const from = req.query.from ? new Date(req.query.from).getTime() : to - 24 * 60 * 60 * 1000;
+    const errors = [];
+    if (Number.isNaN(from)) errors.push('from must be a date');
+    if (Number.isNaN(to)) errors.push('to must be a date');
+    if (errors.length === 0 && from >= to) errors.push('from must be before to');
+    if (errors.length === 0 && to - from > MAX_TELEMETRY_RANGE_MS) errors.push('The range may be at most 31 days');
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid range', details: errors });
+    }
+
+    res.json(await telemetry.getTelemetry(req.params.meterNo, { from, to }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Tamper and anomaly events, newest first (?open=true for unacknowledged ones, ?meter_no=)
+router.get('/meter-events', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    res.json(await telemetry.listEvents({
+      meterNo: req.query.meter_no || null,
+      open: req.query.open === 'true',
+      limit
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark a tamper or anomaly event as handled (admin)
+router.post('/meter-events/:eventId/acknowledge', requireRole('admin'), async (req, res) => {
+  try {
+    sendResult(res, await admin.acknowledgeMeterEvent(req.params.eventId, req.body || {}, req.user));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Move a meter and its balance to another user (admin)
+router.post('/meters/:meterNo/reassign', requireRole('admin'), async (req, res) => {
+  try {
+    const { user_id, reason } = req.body || {};
+    sendResult(res, await admin.reassignMeter(req.params.meterNo, user_id, { reason }, req.user));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change of tenancy: close out the owner's balance and hand the meter to a new tenant (admin)
+router.post('/meters/:meterNo/transfer', requireRole('admin'), async (req, res) => {
+  try {
+    sendResult(res, await admin.transferMeter(req.params.meterNo, req.body || {}, req.user));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Everyone who has owned a meter, newest first
+router.get('/meters/:meterNo/ownership', async (req, res) => {
+  try {
+    res.json(await admin.getMeterOwnership(req.params.meterNo));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reverse a successful payment through Daraja: its units are held until Daraja answers (admin).
+// { reason, force } - force reverses even if some of the units were used
+router.post('/transactions/:transactionId/reverse', requireRole('admin'), async (req, res) => {
+  try {
+    const { reason, force } = req.body || {};
+    sendResult(res, await reversals.reverseTransaction(req.params.transactionId, { reason, force: force === true }, req.user), 202);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// routes/alerts.js
+const express = require('express');
+const router = express.Router();
+const alerts = require('../services/alertService');
+const { requireAuth } = require('../middleware/auth');
+
+router.use(requireAuth);
+
+// Low-balance alert settings of the signed-in user
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await alerts.getSettings(req.user.user_id);
+    if (!settings) return res.status(404).json({ error: 'User not found' });
+    res.json(settings);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put('/settings', async (req, res) => {
+  try {
+    const errors = alerts.validateSettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid alert settings', details: errors });
+    }
+
+    res.json(await alerts.updateSettings(req.user.user_id, req.body));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// In-app alerts, newest first: ?limit=20
+router.get('/notifications', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 100);
+    res.json(await alerts.listNotifications(req.user.user_id, limit));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/notifications/:notificationId/read', async (req, res) => {
+  try {
+    const found = await alerts.markNotificationRead(req.user.user_id, req.params.notificationId);
+    if (!found) return res.status(404).json({ error: 'Notification not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+// routes/auth.js
+const express = require('express');
+const router = express.Router();
+const { db } = require('../storage');
+const auth = require('../services/authService');
+const { requireAuth } = require('../middleware/auth');
+
+// Email + password login
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ error: 'email and password are required' });
+    }
+
+    const result = await auth.loginWithPassword(email, password);
+    if (!result.success) {
+      return res.status(401).json({ error: result.message });
+    }
+
+    console.log(`User ${result.session.user.user_id} logged in with password`);
+    res.json(result.session);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send a one-time login code by SMS or email
+router.post('/otp/request', async (req, res) => {
+  try {
+    const { email, channel = 'email' } = req.body || {};
+    if (!email) {
+      return res.status(400).json({ error: 'email is required' });
+    }
+
+    const result = await auth.requestOtp(email, channel);
+    if (!result.success) {
+      return res.status(result.retry_after ? 429 : 400).json({
+        error: result.message,
+        retry_after: result.retry_after
+      });
+    }
+
+    res.json({ message: result.message });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Exchange a one-time code for a session
+router.post('/otp/verify', async (req, res) => {
+  try {
+    const { email, code } = req.body || {};
+    if (!email || !code) {
+      return res.status(400).json({ error: 'email and code are required' });
+    }
+
+    const result = await auth.verifyOtp(email, code);
+    if (!result.success) {
+      return res.status(401).json({ error: result.message });
+    }
+
+    console.log(`User ${result.session.user.user_id} logged in with a one-time code`);
+    res.json(result.session);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rotate the refresh token and get a new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {};
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'refresh_token is required' });
+    }
+
+    const result = await auth.refreshSession(refresh_token);
+    if (!result.success) {
+      return res.status(401).json({ error: result.message });
+    }
+
+    res.json(result.session);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// End the session behind a refresh token
+router.post('/logout', async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {};
+    if (refresh_token) {
+      await auth.revokeSession(refresh_token);
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The signed-in user
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const snap = await db.ref(`users/${req.user.user_id}`).once('value');
+    if (!snap.exists()) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+    res.json(auth.toPublicUser(req.user.user_id, snap.val()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// routes/devices.js
+const express = require('express');
+const router = express.Router();
+const { getDevice, rotateDeviceKey, revokeDeviceKey } = require('../services/deviceService');
+const { findUserIdByMeter } = require('../transactions');
+
+// Get a meter's device credential status (the secret is never returned here)
+router.get('/:meterNo', async (req, res) => {
+  try {
+    const device = await getDevice(req.params.meterNo);
+    if (!device) return res.status(404).json({ error: 'Device is not provisioned' });
+    res.json(device);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Provision a device secret, or rotate it if one exists. The secret is only shown in this response.
+router.post('/:meterNo/rotate', async (req, res) => {
+  try {
+    const { meterNo } = req.params;
+    const userId = await findUserIdByMeter(meterNo);
+    if (!userId) {
+      return res.status(404).json({ error: `No user found with meter_no: ${meterNo}` });
+    }
+
+    const device = await rotateDeviceKey(meterNo, userId);
+    res.status(201).json(device);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke a device secret; the meter is locked out until it is rotated again
+router.post('/:meterNo/revoke', async (req, res) => {
+  try {
+    const device = await revokeDeviceKey(req.params.meterNo);
+    if (!device) return res.status(404).json({ error: 'Device is not provisioned' });
+    res.json(device);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
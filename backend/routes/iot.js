@@ -1,30 +1,37 @@
 // routes/iot.js
 const express = require('express');
 const router = express.Router();
-const { processPayment, consumeUnits } = require('../services/meterService');
-const { db } = require('../firebase');
+const { consumeUnits } = require('../services/meterService');
+const { requireDeviceSignature } = require('../middleware/deviceAuth');
+const { getBalance } = require('../services/ledgerService');
+const commands = require('../services/commandService');
+const telemetry = require('../services/telemetryService');
+const registers = require('../services/registerService');
+
+// Map service result codes to HTTP status
+const RESULT_STATUS = {
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+// Every ESP32 call is signed with the meter's own device secret (see middleware/deviceAuth.js)
 
-// Secure your ESP32 calls with an API key
-const API_KEY = process.env.API_KEY || 'default-key';
 // Get meter balance (for ESP32 or frontend)
-router.get('/meter/:meterNo/balance', async (req, res) => {
+router.get('/meter/:meterNo/balance', requireDeviceSignature, async (req, res) => {
   try {
     const meterNo = req.params.meterNo;
-    const snap = await db.ref(`meters/${meterNo}/balance`).once('value');
-    res.json({ meterNo, balance: snap.val() || 0 });
+    const balance = await getBalance(meterNo);
+    res.json({ meterNo, balance });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// ESP32 sends consumption updates
-router.post('/consume', async (req, res) => {
+// ESP32 sends consumption updates (older firmware; each POST is billed, so retries bill twice)
+router.post('/consume', requireDeviceSignature, async (req, res) => {
   try {
-    const key = req.header('x-api-key');
-    if (key !== API_KEY) return res.status(401).json({ error: 'Unauthorized' });
-
     const { meterNo, units } = req.body;
-    if (!meterNo || typeof units !== 'number') {
+    if (!meterNo || typeof units !== 'number' || units < 0) {
       return res.status(400).json({ error: 'meterNo and units are required' });
     }
 
@@ -35,5 +42,71 @@ router.post('/consume', async (req, res) => {
   }
 });
 
-module.exports = router;
+// ESP32 sends numbered cumulative register readings, including any it buffered while offline
+router.post('/meter/:meterNo/readings', requireDeviceSignature, async (req, res) => {
+  try {
+    const { errors, batch } = registers.validateReadings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid readings', details: errors });
+    }
+
+    const result = await registers.recordReadings(req.params.meterNo, batch);
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ESP32 asks which register reading was billed last, e.g. after a reboot
+router.get('/meter/:meterNo/register', requireDeviceSignature, async (req, res) => {
+  try {
+    const meterNo = req.params.meterNo;
+    const { register } = await registers.getRegisterStatus(meterNo);
+    res.json({ meterNo, register });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ESP32 uploads batched electrical readings, tamper events and its status
+router.post('/meter/:meterNo/telemetry', requireDeviceSignature, async (req, res) => {
+  try {
+    const { errors, batch } = telemetry.validateBatch(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid telemetry', details: errors });
+    }
+
+    const result = await telemetry.ingestTelemetry(req.params.meterNo, batch);
+    res.json({ ok: true, accepted: result.accepted, events: result.events.map(event => event.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// ESP32 polls for commands (relay switching, balance sync); each one is then acknowledged
+router.get('/meter/:meterNo/commands', requireDeviceSignature, async (req, res) => {
+  try {
+    const meterNo = req.params.meterNo;
+    const pending = await commands.claimPendingCommands(meterNo);
+    const balance = await getBalance(meterNo);
+    res.json({ meterNo, balance, commands: pending });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ESP32 reports the result of a command: { success, error?, relay_state? }
+router.post('/meter/:meterNo/commands/:commandId/ack', requireDeviceSignature, async (req, res) => {
+  try {
+    const { meterNo, commandId } = req.params;
+    const result = await commands.acknowledgeCommand(meterNo, commandId, req.body || {});
+    if (!result.success) {
+      return res.status(RESULT_STATUS[result.code] || 400).json({ error: result.message });
+    }
+    res.json({ ok: true, command: result.command });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
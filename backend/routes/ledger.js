@@ -0,0 +1,30 @@
+// routes/ledger.js
+const express = require('express');
+const router = express.Router();
+const { getBalance, getEntries, reconcileBalances } = require('../services/ledgerService');
+const { requireRole } = require('../middleware/auth');
+
+// Report (and with ?repair=true, fix) drift between the ledger and the legacy balance fields
+router.post('/reconcile', requireRole('admin'), async (req, res) => {
+  try {
+    const repair = req.query.repair === 'true';
+    const report = await reconcileBalances({ repair });
+    res.json(report);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// View a meter's balance and most recent ledger entries
+router.get('/:meterNo', async (req, res) => {
+  try {
+    const { meterNo } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const [balance, entries] = await Promise.all([getBalance(meterNo), getEntries(meterNo, limit)]);
+    res.json({ meterNo, balance, entries });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
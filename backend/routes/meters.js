@@ -0,0 +1,49 @@
+// routes/meters.js
+const express = require('express');
+const router = express.Router();
+const { resolveHistoryRange, getConsumptionHistory, forecastMeter } = require('../services/consumptionService');
+const { ownedSince } = require('../services/ownershipService');
+const { lookupMeter } = require('../services/beneficiaryService');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+
+// Confirm a meter before paying for it; the owner's name is masked
+router.get('/:meterNo/lookup', requireAuth, async (req, res) => {
+  try {
+    const meter = await lookupMeter(req.params.meterNo);
+    if (!meter) return res.status(404).json({ error: `No meter registered with number ${req.params.meterNo}` });
+    res.json({
+      meter_no: meter.meter_no,
+      owner_name: meter.owner_name,
+      own: req.user.meters.includes(meter.meter_no)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Usage and purchases per hour, day or month: ?from=&to=&bucket=hour|day|month
+router.get('/:meterNo/consumption', requireAuth, requireOwner, async (req, res) => {
+  try {
+    const { errors, range } = resolveHistoryRange(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid range', details: errors });
+    }
+
+    // Usage from before the meter was theirs belongs to the previous owner
+    const since = await ownedSince(req.params.meterNo, req.user.user_id);
+    res.json(await getConsumptionHistory(req.params.meterNo, range, { since }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Days until the balance runs out at the recent rate of use
+router.get('/:meterNo/forecast', requireAuth, requireOwner, async (req, res) => {
+  try {
+    res.json(await forecastMeter(req.params.meterNo));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
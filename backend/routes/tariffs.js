@@ -0,0 +1,60 @@
+// routes/tariffs.js
+const express = require('express');
+const router = express.Router();
+const { getActiveTariff, listTariffs, createTariff, validateTariff, quotePurchase } = require('../services/tariffService');
+const { findUserIdByMeter } = require('../transactions');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+// Tariff in force right now
+router.get('/active', async (req, res) => {
+  try {
+    res.json(await getActiveTariff());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Exact units and charges for a purchase before paying (for any registered meter, see gift top-ups)
+router.get('/quote', requireAuth, async (req, res) => {
+  try {
+    const { meter_no } = req.query;
+    const amount = parseFloat(req.query.amount);
+    if (!meter_no || !(amount > 0)) {
+      return res.status(400).json({ error: 'meter_no and a positive amount are required' });
+    }
+
+    const userId = await findUserIdByMeter(meter_no);
+    if (!userId) {
+      return res.status(404).json({ error: `No user found with meter_no: ${meter_no}` });
+    }
+
+    res.json(await quotePurchase(meter_no, amount));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// All tariff versions (admin)
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await listTariffs());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a tariff version; it applies from its effective_from date (admin)
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateTariff(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid tariff', details: errors });
+    }
+
+    res.status(201).json(await createTariff(req.body));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
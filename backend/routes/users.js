@@ -0,0 +1,118 @@
+// routes/users.js
+const express = require('express');
+const router = express.Router();
+const ownership = require('../services/ownershipService');
+const beneficiaries = require('../services/beneficiaryService');
+const statements = require('../services/statementService');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+
+// Map service result codes to HTTP status
+const RESULT_STATUS = {
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+const LINK_ACTIONS = ['link', 'unlink'];
+
+// The signed-in user's own account only. Not requireOwner: the meters in these
+// routes (a meter being linked, a favourite) are not the user's own.
+function requireSelf(req, res, next) {
+  if (req.params.userId !== req.user.user_id) {
+    return res.status(403).json({ error: 'Not allowed to access another user\'s data' });
+  }
+  next();
+}
+
+// The signed-in user's meters with their balances, primary meter first
+router.get('/:userId/meters', requireAuth, requireOwner, async (req, res) => {
+  try {
+    const meters = await ownership.listUserMeters(req.params.userId);
+    if (!meters) return res.status(404).json({ error: 'User not found' });
+    res.json(meters);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Link another meter, or unlink one: { meter_no, action: link|unlink, label?, carry_to_meter? }
+// Unlinking closes out the meter's balance; carry_to_meter moves it to another of the user's meters.
+router.post('/:userId/meters', requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { meter_no: meterNo, action = 'link', label, carry_to_meter: carryTo } = req.body || {};
+    if (!meterNo || !LINK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `meter_no and an action of ${LINK_ACTIONS.join(' or ')} are required` });
+    }
+
+    const result = action === 'link'
+      ? await ownership.linkMeter(req.user.user_id, String(meterNo), { label })
+      : await ownership.unlinkMeter(req.user.user_id, String(meterNo), { carryTo: carryTo ? String(carryTo) : null });
+    if (!result.success) {
+      return res.status(RESULT_STATUS[result.code] || 400).json({ error: result.message });
+    }
+
+    res.status(action === 'link' ? 201 : 200).json({ ...result, meters: await ownership.listUserMeters(req.user.user_id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Monthly statement of one of the user's meters: ?month=YYYY-MM&format=pdf|csv&meter_no=
+// (defaults: this month, PDF, the primary meter)
+router.get('/:userId/statement', requireAuth, requireOwner, async (req, res) => {
+  try {
+    const { errors, month, format } = statements.validateStatementQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid statement request', details: errors });
+    }
+    const meterNo = req.query.meter_no ? String(req.query.meter_no) : req.user.meter_no;
+    if (!meterNo) return res.status(404).json({ error: 'No meter on this account' });
+
+    const statement = await statements.getStatement(req.user.user_id, meterNo, month);
+    const filename = `statement-${meterNo}-${month}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.type('text/csv; charset=utf-8').send(statements.renderStatementCsv(statement));
+    } else {
+      res.type('application/pdf').send(statements.renderStatementPdf(statement));
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Meters the user pays for on someone else's behalf, with the owners' masked names
+router.get('/:userId/favourites', requireAuth, requireSelf, async (req, res) => {
+  try {
+    res.json(await beneficiaries.listFavourites(req.user.user_id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Save a meter (or rename a saved one): { label? }
+router.put('/:userId/favourites/:meterNo', requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { label } = req.body || {};
+    const result = await beneficiaries.saveFavourite(req.user.user_id, req.params.meterNo, { label });
+    if (!result.success) {
+      return res.status(RESULT_STATUS[result.code] || 400).json({ error: result.message });
+    }
+    res.json(result.favourite);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/:userId/favourites/:meterNo', requireAuth, requireSelf, async (req, res) => {
+  try {
+    const result = await beneficiaries.removeFavourite(req.user.user_id, req.params.meterNo);
+    if (!result.success) {
+      return res.status(RESULT_STATUS[result.code] || 400).json({ error: result.message });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
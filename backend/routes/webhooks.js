@@ -0,0 +1,48 @@
+// routes/webhooks.js
+const express = require('express');
+const router = express.Router();
+const { listEntries, getEntry, replayEntry } = require('../services/webhookService');
+const { requireRole } = require('../middleware/auth');
+
+const INBOX_STATUSES = ['RECEIVED', 'PROCESSING', 'PROCESSED', 'FAILED', 'DEAD'];
+
+// List inbox entries (?status=FAILED&limit=50)
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !INBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${INBOX_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json(await listEntries({ status, limit }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// One entry with its payload, attempts and last error
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await getEntry(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Webhook entry not found' });
+    res.json(entry);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Process a FAILED or DEAD entry again now (admin)
+router.post('/:id/replay', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await replayEntry(req.params.id, req.user);
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 409).json({ error: result.message });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,407 @@
+// services/adminService.js
+const { db } = require('../storage');
+const ledger = require('./ledgerService');
+const { toPublicUser, ROLES } = require('./authService');
+const commands = require('./commandService');
+const telemetry = require('./telemetryService');
+const ownership = require('./ownershipService');
+const { meterNumbers } = require('../repositories/usersRepository');
+const { findUserIdByMeter, normalizeStatus } = require('../transactions');
+
+/*
+ * Operator actions for the admin console. Every change is written to
+ * admin_audit/<id> with the acting user (or "api_key" for scripts).
+ */
+
+function matchesQuery(values, q) {
+  if (!q) return true;
+  const needle = String(q).trim().toLowerCase();
+  return values.some(value => value && String(value).toLowerCase().includes(needle));
+}
+
+function actorId(actor) {
+  return actor && actor.user_id ? actor.user_id : 'api_key';
+}
+
+/**
+ * Record an operator action
+ * @param {Object} actor - req.user of the operator
+ * @param {string} action - What was done (ADJUST_BALANCE, REVERSE_TRANSACTION, ...)
+ * @param {Object} details - Action-specific fields
+ */
+async function recordAudit(actor, action, details) {
+  await db.ref('admin_audit').push().set({
+    actor: actorId(actor),
+    action,
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * List users, optionally filtered by name, email, meter or phone
+ * @param {Object} options
+ * @param {string} [options.q] - Search text
+ * @param {number} [options.limit] - Maximum results
+ * @returns {Promise<Object[]>} Users, newest first
+ */
+async function searchUsers({ q = '', limit = 100 } = {}) {
+  const snap = await db.ref('users').once('value');
+  const users = snap.val() || {};
+
+  return Object.entries(users)
+    .filter(([, user]) => matchesQuery([user.name, user.email, user.phone_number, ...meterNumbers(user)], q))
+    .map(([userId, user]) => ({ ...toPublicUser(userId, user), created_at: user.created_at || null }))
+    .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')))
+    .slice(0, limit);
+}
+
+/**
+ * Get a user with their recent transactions
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} { user, transactions } or null if not found
+ */
+async function getUserDetail(userId) {
+  const userSnap = await db.ref(`users/${userId}`).once('value');
+  if (!userSnap.exists()) return null;
+
+  const txSnap = await db.ref('transactions').orderByChild('user_id').equalTo(userId).once('value');
+  const transactions = Object.entries(txSnap.val() || {})
+    .map(([id, transaction]) => ({ id, ...transaction, status: normalizeStatus(transaction.status) }))
+    .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime())
+    .slice(0, 50);
+
+  return {
+    user: { ...toPublicUser(userId, userSnap.val()), created_at: userSnap.val().created_at || null },
+    transactions
+  };
+}
+
+/**
+ * List meters with their owner, ledger balance and device status
+ * @param {Object} options
+ * @param {string} [options.q] - Search text (meter number, owner name or email)
+ * @returns {Promise<Object[]>} Meters sorted by meter number
+ */
+async function listMeters({ q = '' } = {}) {
+  const [metersSnap, usersSnap] = await Promise.all([
+    db.ref('meters').once('value'),
+    db.ref('users').once('value')
+  ]);
+  const meters = metersSnap.val() || {};
+  const users = usersSnap.val() || {};
+
+  // The meter's owner link wins over users that still list it
+  const owners = {};
+  Object.entries(users).forEach(([userId, user]) => {
+    meterNumbers(user).forEach(meterNo => { owners[meterNo] = userId; });
+  });
+  Object.entries(meters).forEach(([meterNo, meter]) => {
+    if (meter.user_id) owners[meterNo] = meter.user_id;
+  });
+
+  const meterNos = new Set([...Object.keys(meters), ...Object.keys(owners)]);
+  return [...meterNos]
+    .map(meterNo => {
+      const meter = meters[meterNo] || {};
+      const userId = owners[meterNo] || null;
+      const user = userId ? users[userId] : null;
+      const balance = meter.account ? meter.account.balance : meter.balance;
+      return {
+        meter_no: meterNo,
+        user_id: userId,
+        user_name: user ? user.name || 'Unknown' : null,
+        user_email: user ? user.email : null,
+        balance: ledger.round4(Number(balance) || 0),
+        ledger_opened: Boolean(meter.account),
+        device_status: meter.device ? meter.device.status : 'UNPROVISIONED',
+        relay: meter.relay ? meter.relay.desired : 'ON',
+        last_seen: meter.health ? meter.health.last_seen || null : null,
+        updated_at: meter.account ? meter.account.updated_at : null
+      };
+    })
+    .filter(meter => matchesQuery([meter.meter_no, meter.user_name, meter.user_email], q))
+    .sort((a, b) => a.meter_no.localeCompare(b.meter_no));
+}
+
+/**
+ * Manually credit or debit a meter
+ * @param {string} meterNo - The meter number
+ * @param {Object} adjustment
+ * @param {string} adjustment.type - CREDIT or DEBIT
+ * @param {number} adjustment.units - Units to move
+ * @param {string} adjustment.reason - Why (stored on the ledger entry)
+ * @param {Object} actor - req.user of the operator
+ * @returns {Promise<Object>} { success, message, entry? }
+ */
+async function adjustBalance(meterNo, { type, units, reason }, actor) {
+  const amount = parseFloat(units);
+  if (type !== 'CREDIT' && type !== 'DEBIT') {
+    return { success: false, message: 'type must be CREDIT or DEBIT' };
+  }
+  if (!(amount > 0)) {
+    return { success: false, message: 'units must be a positive number' };
+  }
+  if (!reason || !String(reason).trim()) {
+    return { success: false, message: 'reason is required' };
+  }
+
+  const userId = await findUserIdByMeter(meterNo);
+  if (!userId) {
+    return { success: false, code: 'NOT_FOUND', message: `No user found with meter_no: ${meterNo}` };
+  }
+
+  const details = {
+    source: 'ADJUSTMENT',
+    reference: `admin:${actorId(actor)}`,
+    userId,
+    description: String(reason).trim()
+  };
+  const entry = type === 'CREDIT'
+    ? await ledger.credit(meterNo, amount, details)
+    : await ledger.debit(meterNo, amount, details);
+
+  await recordAudit(actor, 'ADJUST_BALANCE', {
+    meter_no: meterNo,
+    type,
+    units: entry.units,
+    reason: details.description,
+    ledger_seq: entry.seq
+  });
+  console.log(`Admin ${actorId(actor)} ${type === 'CREDIT' ? 'credited' : 'debited'} ${entry.units} units on meter ${meterNo}: ${details.description}`);
+
+  return { success: true, message: 'Balance adjusted', entry };
+}
+
+/**
+ * Move a meter (and its ledger balance) to another user, e.g. to correct a
+ * meter registered to the wrong account. A change of tenancy is transferMeter.
+ * @param {string} meterNo - The meter number
+ * @param {string} newUserId - The user taking over the meter
+ * @param {Object} options
+ * @param {string} options.reason - Why the meter is reassigned
+ * @param {Object} actor - req.user of the operator
+ * @returns {Promise<Object>} { success, code?, message, previous_user_id?, user_id? }
+ */
+async function reassignMeter(meterNo, newUserId, { reason }, actor) {
+  if (!newUserId) {
+    return { success: false, message: 'user_id is required' };
+  }
+
+  const newUserSnap = await db.ref(`users/${newUserId}`).once('value');
+  if (!newUserSnap.exists()) {
+    return { success: false, code: 'NOT_FOUND', message: `User ${newUserId} not found` };
+  }
+
+  const previousUserId = await findUserIdByMeter(meterNo);
+  if (previousUserId === newUserId) {
+    return { success: false, code: 'CONFLICT', message: 'Meter is already assigned to this user' };
+  }
+
+  // Open the ledger first so the opening balance is taken from the previous owner
+  await ledger.ensureAccount(meterNo, previousUserId);
+
+  if (previousUserId) {
+    const released = await ownership.unlinkMeter(previousUserId, meterNo, { reason: 'REASSIGNED', closeOut: false });
+    if (!released.success) return released;
+  }
+  const linked = await ownership.linkMeter(newUserId, meterNo, { reason: 'REASSIGNED' });
+  if (!linked.success) return linked;
+
+  await recordAudit(actor, 'REASSIGN_METER', {
+    meter_no: meterNo,
+    previous_user_id: previousUserId,
+    user_id: newUserId,
+    reason: reason ? String(reason).trim() : null
+  });
+  console.log(`Admin ${actorId(actor)} reassigned meter ${meterNo} from ${previousUserId || 'nobody'} to ${newUserId}`);
+
+  return { success: true, message: 'Meter reassigned', meter_no: meterNo, previous_user_id: previousUserId, user_id: newUserId };
+}
+
+/**
+ * Change of tenancy: close out the current owner's balance and hand the meter
+ * to the new tenant, who starts from zero
+ * @param {string} meterNo - The meter number
+ * @param {Object} request
+ * @param {string} [request.user_id] - The new tenant; without one the meter is left vacant
+ * @param {string} request.reason - Why (stored on the audit record)
+ * @param {string} [request.carry_to_meter] - Another meter of the outgoing owner to credit their balance to
+ * @param {Object} actor - req.user of the operator
+ * @returns {Promise<Object>} { success, code?, message, previous_user_id?, user_id?, closing_balance?, carried_to? }
+ */
+async function transferMeter(meterNo, { user_id: newUserId = null, reason, carry_to_meter: carryTo = null }, actor) {
+  if (!reason || !String(reason).trim()) {
+    return { success: false, message: 'reason is required' };
+  }
+  if (newUserId && !(await db.ref(`users/${newUserId}`).once('value')).exists()) {
+    return { success: false, code: 'NOT_FOUND', message: `User ${newUserId} not found` };
+  }
+
+  const previousUserId = await findUserIdByMeter(meterNo);
+  if (!previousUserId && !newUserId) {
+    return { success: false, code: 'NOT_FOUND', message: `No user found with meter_no: ${meterNo}` };
+  }
+  if (previousUserId === newUserId) {
+    return { success: false, code: 'CONFLICT', message: 'Meter is already assigned to this user' };
+  }
+
+  let closed = { closing_balance: null, carried_to: null };
+  if (previousUserId) {
+    closed = await ownership.unlinkMeter(previousUserId, meterNo, { reason: 'TENANCY_CHANGE', carryTo: carryTo || null });
+    if (!closed.success) return closed;
+  }
+  if (newUserId) {
+    const linked = await ownership.linkMeter(newUserId, meterNo, { reason: 'TENANCY_CHANGE' });
+    if (!linked.success) return linked;
+  }
+
+  await recordAudit(actor, 'TRANSFER_METER', {
+    meter_no: meterNo,
+    previous_user_id: previousUserId,
+    user_id: newUserId,
+    reason: String(reason).trim(),
+    closing_balance: closed.closing_balance,
+    carried_to: closed.carried_to
+  });
+  console.log(`Admin ${actorId(actor)} transferred meter ${meterNo} from ${previousUserId || 'nobody'} to ${newUserId || 'nobody'}`);
+
+  return {
+    success: true,
+    message: 'Meter transferred',
+    meter_no: meterNo,
+    previous_user_id: previousUserId,
+    user_id: newUserId,
+    closing_balance: closed.closing_balance,
+    carried_to: closed.carried_to
+  };
+}
+
+/**
+ * Everyone who has owned a meter, newest first
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<Object[]>} Ownership records
+ */
+function getMeterOwnership(meterNo) {
+  return ownership.getOwnershipHistory(meterNo);
+}
+
+/**
+ * A meter's relay state and recent device commands
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<Object>} { meter_no, relay, emergency_credit_units, commands }
+ */
+function getMeterCommands(meterNo) {
+  return commands.getCommandStatus(meterNo);
+}
+
+/**
+ * Send a command to a meter's device. A manual RELAY_OFF is not undone by
+ * top-ups; the meter stays off until a RELAY_ON is sent.
+ * @param {string} meterNo - The meter number
+ * @param {Object} request
+ * @param {string} request.type - RELAY_OFF, RELAY_ON or SYNC_BALANCE
+ * @param {string} request.reason - Why (required for relay commands)
+ * @param {Object} actor - req.user of the operator
+ * @returns {Promise<Object>} { success, code?, message, command? }
+ */
+async function sendMeterCommand(meterNo, { type, reason }, actor) {
+  if (!commands.COMMAND_TYPES.includes(type)) {
+    return { success: false, message: `type must be one of: ${commands.COMMAND_TYPES.join(', ')}` };
+  }
+  const trimmedReason = reason ? String(reason).trim() : '';
+  if (type !== 'SYNC_BALANCE' && !trimmedReason) {
+    return { success: false, message: 'reason is required' };
+  }
+
+  const userId = await findUserIdByMeter(meterNo);
+  if (!userId) {
+    return { success: false, code: 'NOT_FOUND', message: `No user found with meter_no: ${meterNo}` };
+  }
+
+  let command;
+  if (type === 'SYNC_BALANCE') {
+    command = await commands.enqueueCommand(meterNo, type, {
+      reason: 'MANUAL',
+      payload: { balance: await ledger.getBalance(meterNo), emergency_credit_units: commands.emergencyCreditUnits() },
+      requestedBy: actorId(actor)
+    });
+  } else {
+    // Always queued, even when the relay should already be in that state, so a stuck device can be nudged
+    command = await commands.setRelay(meterNo, type === 'RELAY_ON' ? 'ON' : 'OFF', {
+      reason: 'MANUAL',
+      requestedBy: actorId(actor)
+    });
+  }
+
+  await recordAudit(actor, 'METER_COMMAND', {
+    meter_no: meterNo,
+    type,
+    command_id: command.id,
+    reason: trimmedReason || null
+  });
+  console.log(`Admin ${actorId(actor)} sent ${type} to meter ${meterNo}${trimmedReason ? `: ${trimmedReason}` : ''}`);
+
+  return { success: true, message: 'Command queued', command };
+}
+
+/**
+ * Acknowledge a tamper or anomaly event
+ * @param {string} eventId - The event ID
+ * @param {Object} options
+ * @param {string} [options.note] - What was done about it
+ * @param {Object} actor - req.user of the operator
+ * @returns {Promise<Object>} { success, code?, message, event? }
+ */
+async function acknowledgeMeterEvent(eventId, { note }, actor) {
+  const trimmedNote = note ? String(note).trim() : null;
+  const event = await telemetry.acknowledgeEvent(eventId, actorId(actor), trimmedNote);
+  if (!event) {
+    return { success: false, code: 'NOT_FOUND', message: 'Event not found' };
+  }
+
+  await recordAudit(actor, 'ACKNOWLEDGE_METER_EVENT', {
+    meter_no: event.meter_no,
+    event_id: eventId,
+    type: event.type,
+    note: trimmedNote
+  });
+  return { success: true, message: 'Event acknowledged', event };
+}
+
+/**
+ * Change a user's role
+ * @param {string} userId - The user ID
+ * @param {string} role - One of ROLES
+ * @param {Object} actor - req.user of the operator
+ * @returns {Promise<Object>} { success, code?, message }
+ */
+async function setUserRole(userId, role, actor) {
+  if (!ROLES.includes(role)) {
+    return { success: false, message: `role must be one of: ${ROLES.join(', ')}` };
+  }
+
+  const userSnap = await db.ref(`users/${userId}`).once('value');
+  if (!userSnap.exists()) {
+    return { success: false, code: 'NOT_FOUND', message: `User ${userId} not found` };
+  }
+
+  await db.ref(`users/${userId}/role`).set(role);
+  await recordAudit(actor, 'SET_ROLE', { user_id: userId, role });
+  return { success: true, message: `Role set to ${role}` };
+}
+
+module.exports = {
+  recordAudit,
+  searchUsers,
+  getUserDetail,
+  listMeters,
+  adjustBalance,
+  reassignMeter,
+  transferMeter,
+  getMeterOwnership,
+  getMeterCommands,
+  sendMeterCommand,
+  acknowledgeMeterEvent,
+  setUserRole
+};
@@ -0,0 +1,319 @@
+// services/alertService.js
+const { db } = require('../storage');
+const userRepo = require('../repositories/usersRepository');
+const meterRepo = require('../repositories/metersRepository');
+const { forecastMeter } = require('./consumptionService');
+const { sendSms, sendEmail } = require('./messageService');
+const { emergencyCreditUnits } = require('./commandService');
+
+/*
+ * Low-balance alerts.
+ *
+ *   users/<userId>/alert_settings   { enabled, low_balance_units, forecast_days, channels }
+ *   alert_state/<meterNo>/<KIND>    { active, sent_at }
+ *   notifications/<userId>/<id>     in-app alerts { type, title, body, read, created_at }
+ *
+ * An alert is sent when its condition starts to hold, not on every check:
+ * LOW_BALANCE when the balance is at or below low_balance_units, FORECAST
+ * when the forecast drops to forecast_days or fewer. Once the condition
+ * clears (usually after a top-up) the alert can fire again, but not within
+ * ALERT_COOLDOWN_HOURS of the last one of its kind. A check sends at most one
+ * message, for the most urgent kind, which also counts as sent for the others.
+ */
+
+// Most urgent first
+const ALERT_KINDS = ['LOW_BALANCE', 'FORECAST'];
+const CHANNELS = ['sms', 'email', 'in_app'];
+
+function defaultSettings() {
+  return {
+    enabled: true,
+    low_balance_units: parseFloat(process.env.LOW_BALANCE_UNITS || '5'),
+    forecast_days: parseFloat(process.env.LOW_BALANCE_FORECAST_DAYS || '2'),
+    channels: { sms: true, email: true, in_app: true }
+  };
+}
+
+/**
+ * A user's alert settings, with defaults for anything not set
+ * @param {Object} user - User record
+ * @returns {Object} { enabled, low_balance_units, forecast_days, channels }
+ */
+function resolveSettings(user) {
+  const defaults = defaultSettings();
+  const saved = (user && user.alert_settings) || {};
+  return {
+    ...defaults,
+    ...saved,
+    channels: { ...defaults.channels, ...(saved.channels || {}) }
+  };
+}
+
+/**
+ * Validate a settings update
+ * @param {Object} body - Partial settings
+ * @returns {string[]} Problems (empty when valid)
+ */
+function validateSettings(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object') return ['Settings must be an object'];
+
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  ['low_balance_units', 'forecast_days'].forEach(field => {
+    if (body[field] !== undefined && !(typeof body[field] === 'number' && body[field] >= 0)) {
+      errors.push(`${field} must be a number of at least 0`);
+    }
+  });
+  if (body.channels !== undefined) {
+    if (!body.channels || typeof body.channels !== 'object') {
+      errors.push('channels must be an object');
+    } else {
+      Object.entries(body.channels).forEach(([channel, on]) => {
+        if (!CHANNELS.includes(channel)) errors.push(`Unknown channel: ${channel}`);
+        else if (typeof on !== 'boolean') errors.push(`channels.${channel} must be true or false`);
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Get a user's alert settings
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} Settings, or null for an unknown user
+ */
+async function getSettings(userId) {
+  const user = await userRepo.getUser(userId);
+  return user ? resolveSettings(user) : null;
+}
+
+/**
+ * Change a user's alert settings (validate with validateSettings first)
+ * @param {string} userId - The user ID
+ * @param {Object} changes - Partial settings
+ * @returns {Promise<Object>} The settings now in force
+ */
+async function updateSettings(userId, changes) {
+  const user = await userRepo.getUser(userId);
+  const current = resolveSettings(user);
+  const next = {
+    enabled: changes.enabled ?? current.enabled,
+    low_balance_units: changes.low_balance_units ?? current.low_balance_units,
+    forecast_days: changes.forecast_days ?? current.forecast_days,
+    channels: { ...current.channels, ...(changes.channels || {}) }
+  };
+  await userRepo.updateUser(userId, { alert_settings: next });
+  return next;
+}
+
+function formatDays(days) {
+  if (days < 1) return 'less than a day';
+  const rounded = Math.round(days * 10) / 10;
+  return `about ${rounded} day${rounded === 1 ? '' : 's'}`;
+}
+
+function composeAlert(kind, forecast) {
+  const units = `${forecast.balance.toFixed(2)} kWh`;
+  const outlook = forecast.days_remaining === null ? '' : ` (${formatDays(forecast.days_remaining)} at your usual use)`;
+
+  if (kind === 'LOW_BALANCE') {
+    const emergency = emergencyCreditUnits() + forecast.balance;
+    if (forecast.balance <= 0 && emergency > 0) {
+      return {
+        title: 'Using emergency credit',
+        body: `Meter ${forecast.meter_no} has run out of units and is using emergency credit: ${emergency.toFixed(2)} kWh left before it is disconnected. Top up to restore your balance.`
+      };
+    }
+    return {
+      title: forecast.balance > 0 ? 'Low balance' : 'Out of units',
+      body: forecast.balance > 0
+        ? `Meter ${forecast.meter_no} is low on units: ${units} left${outlook}. Top up to avoid losing power.`
+        : `Meter ${forecast.meter_no} has run out of units. Top up to restore power.`
+    };
+  }
+  return {
+    title: 'Units running out soon',
+    body: `Meter ${forecast.meter_no} will run out in ${formatDays(forecast.days_remaining)}: ${units} left at ${forecast.average_daily_units.toFixed(2)} kWh a day. Top up to avoid losing power.`
+  };
+}
+
+// Each channel is tried on its own so one failing gateway does not block the others
+async function deliver(userId, user, meterNo, settings, kind, alert) {
+  const delivered = [];
+  const attempts = [];
+
+  if (settings.channels.in_app) {
+    attempts.push(['in_app', () => db.ref(`notifications/${userId}`).push().set({
+      type: kind,
+      meter_no: meterNo,
+      title: alert.title,
+      body: alert.body,
+      read: false,
+      created_at: new Date().toISOString()
+    })]);
+  }
+  if (settings.channels.sms && user.phone_number) {
+    attempts.push(['sms', () => sendSms(user.phone_number, alert.body)]);
+  }
+  if (settings.channels.email && user.email) {
+    attempts.push(['email', () => sendEmail(user.email, alert.title, alert.body)]);
+  }
+
+  for (const [channel, send] of attempts) {
+    try {
+      await send();
+      delivered.push(channel);
+    } catch (error) {
+      console.error(`Failed to send ${kind} alert to user ${userId} by ${channel}:`, error.message);
+    }
+  }
+  return delivered;
+}
+
+/**
+ * Evaluate a meter's alerts and send any that just became due
+ * @param {string} meterNo - The meter number
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<Object>} { sent, kind?, channels?, forecast? } - sent is false when nothing was due
+ */
+async function checkMeterAlerts(meterNo, now = Date.now()) {
+  const userId = await userRepo.findUserIdByMeter(meterNo);
+  if (!userId) return { sent: false };
+  const user = await userRepo.getUser(userId);
+  const settings = resolveSettings(user);
+  if (!settings.enabled) return { sent: false };
+
+  // Meters that were never topped up have nothing to run low on
+  const meter = await meterRepo.getMeter(meterNo);
+  if (!meter || !meter.account) return { sent: false };
+
+  const forecast = await forecastMeter(meterNo, now);
+  const conditions = {
+    LOW_BALANCE: forecast.balance <= settings.low_balance_units,
+    FORECAST: forecast.days_remaining !== null && forecast.days_remaining <= settings.forecast_days
+  };
+  const cooldownMs = parseFloat(process.env.ALERT_COOLDOWN_HOURS || '24') * 60 * 60 * 1000;
+  const timestamp = new Date(now).toISOString();
+
+  // Claimed in a transaction so concurrent readings send one alert
+  let due = null;
+  const result = await db.ref(`alert_state/${meterNo}`).transaction(current => {
+    const state = current || {};
+    const next = { ...state };
+    let changed = false;
+    due = null;
+
+    ALERT_KINDS.forEach(kind => {
+      const previous = state[kind] || {};
+      if (!conditions[kind]) {
+        if (previous.active) {
+          next[kind] = { ...previous, active: false };
+          changed = true;
+        }
+        return;
+      }
+      if (previous.active) return;
+
+      const cooledDown = !previous.sent_at || now - Date.parse(previous.sent_at) >= cooldownMs;
+      const send = cooledDown && !due;
+      if (send) due = kind;
+      // A less urgent kind is covered by the message sent for a more urgent one
+      next[kind] = { active: true, sent_at: due ? timestamp : previous.sent_at || null };
+      changed = true;
+    });
+
+    // The first attempt runs against the local cache (null). Aborting there would
+    // skip the stored state, so return null and let Firebase retry with the server value.
+    if (!changed) return current === null ? null : undefined; // otherwise abort: nothing to record
+    return next;
+  });
+
+  if (!result.committed || !due) return { sent: false, forecast };
+
+  const alert = composeAlert(due, forecast);
+  const channels = await deliver(userId, user, meterNo, settings, due, alert);
+  console.log(`Sent ${due} alert for meter ${meterNo} to user ${userId} by ${channels.join(', ') || 'no channel'}`);
+  return { sent: true, kind: due, channels, forecast };
+}
+
+/**
+ * Check every assigned meter; forecasts change with time even without new readings
+ * @returns {Promise<Object>} { checked, sent }
+ */
+async function checkAllMeters() {
+  let checked = 0;
+  let sent = 0;
+  for (const user of Object.values(await userRepo.listUsers())) {
+    for (const meterNo of userRepo.meterNumbers(user)) {
+      try {
+        const result = await checkMeterAlerts(meterNo);
+        checked++;
+        if (result.sent) sent++;
+      } catch (error) {
+        console.error(`Alert check failed for meter ${meterNo}:`, error.message);
+      }
+    }
+  }
+  return { checked, sent };
+}
+
+/**
+ * Periodically run checkAllMeters()
+ * @param {number} intervalMs - Time between sweeps
+ * @returns {Object} The interval timer
+ */
+function startAlertWorker(intervalMs) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await checkAllMeters();
+    } catch (err) {
+      console.error('Alert sweep failed:', err.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * A user's in-app notifications, newest first
+ * @param {string} userId - The user ID
+ * @param {number} [limit] - Maximum number returned
+ * @returns {Promise<Object[]>} Notifications (with id)
+ */
+async function listNotifications(userId, limit = 20) {
+  const snap = await db.ref(`notifications/${userId}`).orderByKey().limitToLast(limit).once('value');
+  return Object.entries(snap.val() || {}).map(([id, notification]) => ({ id, ...notification })).reverse();
+}
+
+/**
+ * Mark an in-app notification as read
+ * @param {string} userId - The user ID
+ * @param {string} notificationId - The notification ID
+ * @returns {Promise<boolean>} false when it does not exist
+ */
+async function markNotificationRead(userId, notificationId) {
+  const ref = db.ref(`notifications/${userId}/${notificationId}`);
+  if (!(await ref.once('value')).exists()) return false;
+  await ref.update({ read: true, read_at: new Date().toISOString() });
+  return true;
+}
+
+module.exports = {
+  ALERT_KINDS,
+  resolveSettings,
+  validateSettings,
+  getSettings,
+  updateSettings,
+  checkMeterAlerts,
+  checkAllMeters,
+  startAlertWorker,
+  listNotifications,
+  markNotificationRead
+};
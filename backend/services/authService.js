@@ -0,0 +1,338 @@
+// services/authService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db } = require('../storage');
+const { sendSms, sendEmail } = require('./messageService');
+const { meterNumbers } = require('../repositories/usersRepository');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const OTP_TTL_SECONDS = 5 * 60;
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_ATTEMPTS = 5;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// customer: own account only; support: read-only admin console; admin: everything
+const ROLES = ['customer', 'support', 'admin'];
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not defined in .env');
+  }
+  return secret;
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>"
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (err, derived) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${derived.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Check a password against a stored scrypt hash
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash from hashPassword()
+ * @returns {Promise<boolean>} True if it matches
+ */
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+    crypto.scrypt(password, salt, 64, (err, derived) => {
+      if (err) return reject(err);
+      resolve(safeEqual(derived.toString('hex'), hash));
+    });
+  });
+}
+
+/**
+ * Validate a new password
+ * @param {string} password - Plain-text password
+ * @returns {string|null} Error message or null if acceptable
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Shape a user record for API responses (never includes credentials)
+ */
+function toPublicUser(userId, user) {
+  return {
+    user_id: userId,
+    name: user.name || 'Unknown',
+    email: user.email,
+    meter_no: user.meter_no,
+    meters: meterNumbers(user),
+    phone_number: user.phone_number || null,
+    role: ROLES.includes(user.role) ? user.role : 'customer',
+    balance: user.balance || 0,
+    latest_transaction_id: user.latest_transaction_id || null
+  };
+}
+
+async function findUserByEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  if (!normalized) return null;
+
+  const snap = await db.ref('users').orderByChild('email').equalTo(normalized).once('value');
+  if (!snap.exists()) return null;
+  const [userId, user] = Object.entries(snap.val())[0];
+  return { userId, user };
+}
+
+/**
+ * Issue an access token and a new refresh session for a user
+ * @param {string} userId - The user ID
+ * @param {Object} user - The user record
+ * @returns {Promise<Object>} { access_token, refresh_token, expires_in, user }
+ */
+async function createSession(userId, user) {
+  const sessionRef = db.ref('auth_sessions').push();
+  const secret = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+
+  await sessionRef.set({
+    user_id: userId,
+    token_hash: sha256Hex(secret),
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    revoked_at: null
+  });
+
+  return {
+    ...signAccessToken(userId, user),
+    refresh_token: `${sessionRef.key}.${secret}`,
+    user: toPublicUser(userId, user)
+  };
+}
+
+function signAccessToken(userId, user) {
+  const accessToken = jwt.sign(
+    { sub: userId, meter_no: user.meter_no },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - The JWT
+ * @returns {Object|null} { user_id, meter_no } or null if invalid or expired
+ */
+function verifyAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    return { user_id: payload.sub, meter_no: payload.meter_no };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Log in with email and password
+ * @returns {Promise<Object>} { success, message, session? }
+ */
+async function loginWithPassword(email, password) {
+  const found = await findUserByEmail(email);
+  const passwordHash = found && found.user.auth && found.user.auth.password_hash;
+
+  // Same answer for unknown users and wrong passwords
+  if (!passwordHash || !await verifyPassword(String(password || ''), passwordHash)) {
+    return { success: false, message: 'Invalid email or password' };
+  }
+
+  return { success: true, session: await createSession(found.userId, found.user) };
+}
+
+/**
+ * Send a one-time login code by SMS or email
+ * @param {string} email - The user's email
+ * @param {string} channel - sms or email
+ * @returns {Promise<Object>} { success, message, retry_after? }
+ */
+async function requestOtp(email, channel = 'email') {
+  if (channel !== 'sms' && channel !== 'email') {
+    return { success: false, message: 'channel must be sms or email' };
+  }
+
+  const found = await findUserByEmail(email);
+  // Do not reveal whether the email is registered
+  const accepted = { success: true, message: `If the account exists, a code has been sent by ${channel}` };
+  if (!found) return accepted;
+
+  const { userId, user } = found;
+  if (channel === 'sms' && !user.phone_number) {
+    return { success: false, message: 'No phone number is registered for this account' };
+  }
+
+  const otpRef = db.ref(`auth_otps/${userId}`);
+  const existing = (await otpRef.once('value')).val();
+  if (existing && Date.now() - new Date(existing.sent_at).getTime() < OTP_RESEND_SECONDS * 1000) {
+    const retryAfter = Math.ceil((new Date(existing.sent_at).getTime() + OTP_RESEND_SECONDS * 1000 - Date.now()) / 1000);
+    return { success: false, message: 'Please wait before requesting another code', retry_after: retryAfter };
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await otpRef.set({
+    code_hash: sha256Hex(`${userId}:${code}`),
+    channel,
+    attempts: 0,
+    sent_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + OTP_TTL_SECONDS * 1000).toISOString()
+  });
+
+  const text = `Your IOT Smart Meter login code is ${code}. It expires in ${OTP_TTL_SECONDS / 60} minutes.`;
+  if (channel === 'sms') {
+    await sendSms(user.phone_number, text);
+  } else {
+    await sendEmail(user.email, 'Your login code', text);
+  }
+
+  return accepted;
+}
+
+/**
+ * Log in with a one-time code
+ * @returns {Promise<Object>} { success, message, session? }
+ */
+async function verifyOtp(email, code) {
+  const invalid = { success: false, message: 'Invalid or expired code' };
+  const found = await findUserByEmail(email);
+  if (!found) return invalid;
+
+  const { userId, user } = found;
+  const codeHash = sha256Hex(`${userId}:${String(code || '').trim()}`);
+  let verified = false;
+
+  // Count the attempt and consume the code in one step, so parallel guesses
+  // cannot share an attempt and a code cannot be used twice
+  await db.ref(`auth_otps/${userId}`).transaction(current => {
+    verified = false;
+    // The first attempt runs against the local cache (null); returning null lets
+    // Firebase retry with the server value
+    if (current === null) return null;
+    const attempts = Number(current.attempts) || 0;
+    if (new Date(current.expires_at).getTime() < Date.now() || attempts >= OTP_MAX_ATTEMPTS) return; // abort
+    if (!safeEqual(codeHash, current.code_hash)) {
+      return { ...current, attempts: attempts + 1 };
+    }
+    verified = true;
+    return null; // codes are single use
+  });
+
+  if (!verified) return invalid;
+  return { success: true, session: await createSession(userId, user) };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The old refresh
+ * token stops working; presenting it again revokes the whole session.
+ * @param {string} refreshToken - "<sessionId>.<secret>"
+ * @returns {Promise<Object>} { success, message, session? }
+ */
+async function refreshSession(refreshToken) {
+  const invalid = { success: false, message: 'Invalid refresh token' };
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[A-Za-z0-9_-]+$/.test(sessionId)) return invalid;
+
+  const secretHash = sha256Hex(secret);
+  const nextSecret = crypto.randomBytes(32).toString('hex');
+  let outcome;
+
+  // Check and rotate the token in one step, so two refreshes with the same
+  // token cannot both be issued a successor
+  const result = await db.ref(`auth_sessions/${sessionId}`).transaction(current => {
+    outcome = 'invalid';
+    // The first attempt runs against the local cache (null); returning null lets
+    // Firebase retry with the server value
+    if (current === null) return null;
+    if (current.revoked_at || new Date(current.expires_at).getTime() < Date.now()) return; // abort
+    const now = new Date().toISOString();
+    if (!safeEqual(secretHash, current.token_hash)) {
+      // An old refresh token was replayed: assume it leaked
+      outcome = 'reused';
+      return { ...current, revoked_at: now, revoked_reason: 'reuse_detected' };
+    }
+    outcome = 'rotated';
+    return { ...current, token_hash: sha256Hex(nextSecret), refreshed_at: now };
+  });
+
+  if (outcome === 'reused') {
+    console.warn(`Refresh token reuse detected for session ${sessionId}; session revoked`);
+  }
+  if (outcome !== 'rotated' || !result.committed) return invalid;
+
+  const session = result.snapshot.val();
+  const userSnap = await db.ref(`users/${session.user_id}`).once('value');
+  if (!userSnap.exists()) return invalid;
+
+  return {
+    success: true,
+    session: {
+      ...signAccessToken(session.user_id, userSnap.val()),
+      refresh_token: `${sessionId}.${nextSecret}`,
+      user: toPublicUser(session.user_id, userSnap.val())
+    }
+  };
+}
+
+/**
+ * Revoke the session behind a refresh token
+ * @param {string} refreshToken - "<sessionId>.<secret>"
+ */
+async function revokeSession(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[A-Za-z0-9_-]+$/.test(sessionId)) return;
+
+  const sessionRef = db.ref(`auth_sessions/${sessionId}`);
+  const session = (await sessionRef.once('value')).val();
+  if (session && safeEqual(sha256Hex(secret), session.token_hash)) {
+    await sessionRef.update({ revoked_at: new Date().toISOString(), revoked_reason: 'logout' });
+  }
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  toPublicUser,
+  signAccessToken,
+  verifyAccessToken,
+  loginWithPassword,
+  requestOtp,
+  verifyOtp,
+  refreshSession,
+  revokeSession
+};
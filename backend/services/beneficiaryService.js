@@ -0,0 +1,156 @@
+// services/beneficiaryService.js
+const { db } = require('../storage');
+const userRepo = require('../repositories/usersRepository');
+const { toPublicTransaction } = require('../transactions');
+
+/*
+ * Paying for someone else's meter.
+ *
+ *   users/<userId>/favourite_meters/<meterNo>   { label, added_at }
+ *
+ * Anyone signed in can buy units for any registered meter. Before paying,
+ * the payer looks the meter up and is shown the owner's name masked
+ * ("J*** W***"), enough to confirm the number without revealing who lives
+ * there. The transaction belongs to the meter's owner (user_id) and records
+ * who paid (payer_user_id), so it shows up for both.
+ */
+
+const MAX_FAVOURITES = 20;
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * Mask a name down to the first letter of each word
+ * @param {string} name - e.g. "Jane Wanjiku"
+ * @returns {string|null} e.g. "J*** W***"
+ */
+function maskName(name) {
+  const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+  return words.map(word => `${word[0].toUpperCase()}***`).join(' ');
+}
+
+/**
+ * Confirm a meter before paying for it
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<Object|null>} { meter_no, user_id, owner_name } (owner_name masked), or null if the meter is not registered
+ */
+async function lookupMeter(meterNo) {
+  meterNo = String(meterNo || '').trim();
+  if (!meterNo) return null;
+
+  const userId = await userRepo.findUserIdByMeter(meterNo);
+  if (!userId) return null;
+  const owner = await userRepo.getUser(userId);
+  return { meter_no: meterNo, user_id: userId, owner_name: maskName(owner && owner.name) };
+}
+
+/**
+ * A user's saved meters, with their owners' masked names
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object[]>} [{ meter_no, label, owner_name, added_at }] by label; owner_name is null when the meter is no longer registered
+ */
+async function listFavourites(userId) {
+  const snap = await db.ref(`users/${userId}/favourite_meters`).once('value');
+  const favourites = await Promise.all(Object.entries(snap.val() || {}).map(async ([meterNo, favourite]) => {
+    const meter = await lookupMeter(meterNo);
+    return {
+      meter_no: meterNo,
+      label: favourite.label || null,
+      owner_name: meter ? meter.owner_name : null,
+      added_at: favourite.added_at || null
+    };
+  }));
+  return favourites.sort((a, b) => String(a.label || a.meter_no).localeCompare(String(b.label || b.meter_no)));
+}
+
+/**
+ * Save a meter to pay for again later (adding it again changes the label)
+ * @param {string} userId - The user ID
+ * @param {string} meterNo - The meter number
+ * @param {Object} [options]
+ * @param {string} [options.label] - The user's name for it ("Mum")
+ * @returns {Promise<Object>} { success, code?, message, favourite? }
+ */
+async function saveFavourite(userId, meterNo, { label = null } = {}) {
+  const meter = await lookupMeter(meterNo);
+  if (!meter) {
+    return { success: false, code: 'NOT_FOUND', message: `No meter registered with number ${meterNo}` };
+  }
+
+  const ref = db.ref(`users/${userId}/favourite_meters`);
+  const existing = (await ref.once('value')).val() || {};
+  if (!existing[meter.meter_no] && Object.keys(existing).length >= MAX_FAVOURITES) {
+    return { success: false, code: 'CONFLICT', message: `At most ${MAX_FAVOURITES} meters can be saved` };
+  }
+
+  const favourite = {
+    label: label ? String(label).trim().slice(0, MAX_LABEL_LENGTH) || null : null,
+    added_at: existing[meter.meter_no] ? existing[meter.meter_no].added_at : new Date().toISOString()
+  };
+  await ref.child(meter.meter_no).set(favourite);
+
+  return {
+    success: true,
+    message: 'Meter saved',
+    favourite: { meter_no: meter.meter_no, label: favourite.label, owner_name: meter.owner_name, added_at: favourite.added_at }
+  };
+}
+
+/**
+ * Forget a saved meter
+ * @param {string} userId - The user ID
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<Object>} { success, code?, message }
+ */
+async function removeFavourite(userId, meterNo) {
+  const ref = db.ref(`users/${userId}/favourite_meters/${meterNo}`);
+  if (!(await ref.once('value')).exists()) {
+    return { success: false, code: 'NOT_FOUND', message: `Meter ${meterNo} is not saved` };
+  }
+  await ref.remove();
+  return { success: true, message: 'Meter removed' };
+}
+
+/**
+ * A user's transactions as they see them (toPublicTransaction), with the gifts
+ * marked: gift is SENT for units they bought for someone else (with the
+ * beneficiary's masked name) and RECEIVED for units someone bought for them
+ * (with the payer's masked name). Neither party sees the other's phone number,
+ * user ID or M-Pesa callback.
+ * @param {Object[]} transactions - The user's stored transactions, as paid for or received
+ * @param {string} userId - The user viewing them
+ * @returns {Promise<Object[]>} Public transactions, gifts with gift and counterparty_name
+ */
+async function annotateGifts(transactions, userId) {
+  const names = new Map();
+  const maskedNameOf = async otherId => {
+    if (!names.has(otherId)) {
+      const other = await userRepo.getUser(otherId);
+      names.set(otherId, maskName(other && other.name));
+    }
+    return names.get(otherId);
+  };
+
+  return Promise.all(transactions.map(async transaction => {
+    const { payer_user_id: payerId, user_id: ownerId } = transaction;
+    const shown = toPublicTransaction(transaction);
+    if (!payerId || payerId === ownerId) return shown;
+
+    const sent = payerId === userId;
+    return {
+      ...shown,
+      gift: sent ? 'SENT' : 'RECEIVED',
+      counterparty_name: await maskedNameOf(sent ? ownerId : payerId)
+    };
+  }));
+}
+
+module.exports = {
+  MAX_FAVOURITES,
+  maskName,
+  lookupMeter,
+  annotateGifts,
+  listFavourites,
+  saveFavourite,
+  removeFavourite
+};
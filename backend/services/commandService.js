@@ -0,0 +1,315 @@
+// services/commandService.js
+const { db } = require('../storage');
+const { getBalance, round4 } = require('./ledgerService');
+
+/*
+ * Command queue from the server to a meter's ESP32.
+ *
+ *   meters/<meterNo>/commands/<id>   { type, status, reason, payload, attempts, created_at, sent_at, acked_at, result }
+ *   meters/<meterNo>/relay           { desired, reason, desired_at, state, reported_at }
+ *
+ * The device polls for commands, carries them out and acknowledges each one.
+ *
+ *   PENDING ──poll──▶ SENT ──ack──▶ ACKED | FAILED
+ *
+ * A command that is not acknowledged within COMMAND_ACK_TIMEOUT_SECONDS is
+ * sent again on the next poll, up to COMMAND_MAX_ATTEMPTS times, then EXPIRED.
+ * A newer command of the same kind (relay or balance sync) SUPERSEDES any that
+ * were not acknowledged yet, so a device that was offline only sees the latest.
+ *
+ * The relay follows the ledger (see syncRelay): it is switched off when the
+ * balance is used up, including EMERGENCY_CREDIT_UNITS of emergency credit,
+ * and back on when a top-up brings the balance above zero. A relay that was
+ * switched off by an operator stays off until an operator switches it on.
+ */
+
+const COMMAND_TYPES = ['RELAY_OFF', 'RELAY_ON', 'SYNC_BALANCE'];
+const COMMAND_STATUS = {
+  PENDING: 'PENDING',
+  SENT: 'SENT',
+  ACKED: 'ACKED',
+  FAILED: 'FAILED',
+  SUPERSEDED: 'SUPERSEDED',
+  EXPIRED: 'EXPIRED'
+};
+const OPEN_STATUSES = [COMMAND_STATUS.PENDING, COMMAND_STATUS.SENT];
+
+// Settled commands kept per meter
+const COMMAND_HISTORY_LIMIT = 50;
+
+function commandGroup(type) {
+  return type === 'SYNC_BALANCE' ? 'balance' : 'relay';
+}
+
+/**
+ * Units a meter may consume past zero before it is disconnected
+ * @returns {number} EMERGENCY_CREDIT_UNITS (default 0)
+ */
+function emergencyCreditUnits() {
+  return Math.max(parseFloat(process.env.EMERGENCY_CREDIT_UNITS || '0') || 0, 0);
+}
+
+function ackTimeoutMs() {
+  return parseInt(process.env.COMMAND_ACK_TIMEOUT_SECONDS || '120', 10) * 1000;
+}
+
+function maxAttempts() {
+  return parseInt(process.env.COMMAND_MAX_ATTEMPTS || '5', 10);
+}
+
+// Drop the oldest settled commands beyond the history limit
+function trimHistory(commands) {
+  const settled = Object.keys(commands)
+    .filter(id => !OPEN_STATUSES.includes(commands[id].status))
+    .sort();
+  settled.slice(0, Math.max(settled.length - COMMAND_HISTORY_LIMIT, 0)).forEach(id => { delete commands[id]; });
+  return commands;
+}
+
+/**
+ * Queue a command for a meter's device
+ * @param {string} meterNo - The meter number
+ * @param {string} type - RELAY_OFF, RELAY_ON or SYNC_BALANCE
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the command was sent (BALANCE_EXHAUSTED, TOPPED_UP, MANUAL, ...)
+ * @param {Object} [options.payload] - Data for the device
+ * @param {string} [options.requestedBy] - Operator that sent it, for manual commands
+ * @returns {Promise<Object>} The queued command (with id)
+ */
+async function enqueueCommand(meterNo, type, { reason = null, payload = {}, requestedBy = null } = {}) {
+  if (!COMMAND_TYPES.includes(type)) {
+    throw new Error(`Invalid command type: ${type}`);
+  }
+
+  const id = db.ref(`meters/${meterNo}/commands`).push().key;
+  const now = new Date().toISOString();
+  const command = {
+    type,
+    status: COMMAND_STATUS.PENDING,
+    reason,
+    payload,
+    requested_by: requestedBy,
+    attempts: 0,
+    created_at: now
+  };
+
+  await db.ref(`meters/${meterNo}/commands`).transaction(current => {
+    const commands = { ...(current || {}) };
+    Object.entries(commands).forEach(([otherId, other]) => {
+      if (OPEN_STATUSES.includes(other.status) && commandGroup(other.type) === commandGroup(type)) {
+        commands[otherId] = { ...other, status: COMMAND_STATUS.SUPERSEDED, superseded_by: id, settled_at: now };
+      }
+    });
+    commands[id] = command;
+    return trimHistory(commands);
+  });
+
+  console.log(`Queued ${type} for meter ${meterNo}${reason ? ` (${reason})` : ''}`);
+  return { id, ...command };
+}
+
+/**
+ * Commands for the device to carry out now, oldest first; marks them SENT
+ * @param {string} meterNo - The meter number
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<Object[]>} Commands (with id)
+ */
+async function claimPendingCommands(meterNo, now = Date.now()) {
+  const timestamp = new Date(now).toISOString();
+  let delivered = [];
+
+  await db.ref(`meters/${meterNo}/commands`).transaction(current => {
+    delivered = [];
+    // The first attempt runs against the local cache (null); returning null lets
+    // Firebase retry with the server value. With nothing queued it commits nothing.
+    if (current === null) return null;
+    const commands = { ...current };
+    let changed = false;
+
+    Object.keys(commands).sort().forEach(id => {
+      const command = commands[id];
+      const unanswered = command.status === COMMAND_STATUS.SENT && now - Date.parse(command.sent_at) >= ackTimeoutMs();
+      if (command.status !== COMMAND_STATUS.PENDING && !unanswered) return;
+
+      changed = true;
+      if ((Number(command.attempts) || 0) >= maxAttempts()) {
+        commands[id] = { ...command, status: COMMAND_STATUS.EXPIRED, settled_at: timestamp };
+        return;
+      }
+      commands[id] = { ...command, status: COMMAND_STATUS.SENT, sent_at: timestamp, attempts: (Number(command.attempts) || 0) + 1 };
+      delivered.push({ id, ...commands[id] });
+    });
+
+    if (!changed) return; // abort: nothing due
+    return commands;
+  });
+
+  return delivered.map(({ id, type, payload, reason, attempts, created_at }) => ({ id, type, payload: payload || {}, reason, attempts, created_at }));
+}
+
+/**
+ * Record the device's result for a command
+ * @param {string} meterNo - The meter number
+ * @param {string} commandId - The command ID
+ * @param {Object} result
+ * @param {boolean} result.success - Whether the device carried it out
+ * @param {string} [result.error] - What went wrong
+ * @param {string} [result.relay_state] - ON or OFF, as the device sees it
+ * @returns {Promise<Object>} { success, code?, message, command? }
+ */
+async function acknowledgeCommand(meterNo, commandId, { success, error = null, relay_state: relayState = null } = {}) {
+  if (typeof success !== 'boolean') {
+    return { success: false, message: 'success must be true or false' };
+  }
+  if (relayState !== null && relayState !== 'ON' && relayState !== 'OFF') {
+    return { success: false, message: 'relay_state must be ON or OFF' };
+  }
+
+  const timestamp = new Date().toISOString();
+  const ref = db.ref(`meters/${meterNo}/commands/${commandId}`);
+  let outcome = null;
+
+  const result = await ref.transaction(current => {
+    outcome = null;
+    // Let Firebase retry with the server value; a missing command is decided from the snapshot
+    if (current === null) return null;
+    // The device retried its acknowledgement
+    if (current.status === COMMAND_STATUS.ACKED || current.status === COMMAND_STATUS.FAILED) {
+      outcome = { success: true, message: 'Already acknowledged' };
+      return;
+    }
+    if (!current.sent_at) {
+      outcome = { success: false, code: 'CONFLICT', message: 'Command has not been sent to the device' };
+      return;
+    }
+    // Superseded and expired commands keep their status, but the result is still recorded
+    const status = OPEN_STATUSES.includes(current.status)
+      ? (success ? COMMAND_STATUS.ACKED : COMMAND_STATUS.FAILED)
+      : current.status;
+    return {
+      ...current,
+      status,
+      acked_at: timestamp,
+      settled_at: current.settled_at || timestamp,
+      result: { success, error: error ? String(error).slice(0, 200) : null }
+    };
+  });
+
+  if (!result.snapshot.exists()) {
+    return { success: false, code: 'NOT_FOUND', message: 'Command not found' };
+  }
+  const command = { id: commandId, ...result.snapshot.val() };
+  if (outcome) return outcome.success ? { ...outcome, command } : outcome;
+
+  const reported = relayState || (success && command.type === 'RELAY_ON' ? 'ON' : success && command.type === 'RELAY_OFF' ? 'OFF' : null);
+  if (reported) {
+    await db.ref(`meters/${meterNo}/relay`).update({ state: reported, reported_at: timestamp });
+  }
+  if (!success) {
+    console.warn(`Meter ${meterNo} failed ${command.type} ${commandId}: ${error || 'no reason given'}`);
+  }
+  return { success: true, message: 'Acknowledged', command };
+}
+
+/**
+ * Set the relay state the meter should be in and queue the command for it
+ * @param {string} meterNo - The meter number
+ * @param {string} desired - ON or OFF
+ * @param {Object} options
+ * @param {string} options.reason - Why
+ * @param {Function} [options.when] - (relay) => boolean; the change is skipped when it returns false
+ * @param {string} [options.requestedBy] - Operator, for manual changes
+ * @returns {Promise<Object|null>} The queued command, or null when nothing changed
+ */
+async function setRelay(meterNo, desired, { reason, when = () => true, requestedBy = null }) {
+  const timestamp = new Date().toISOString();
+  const ref = db.ref(`meters/${meterNo}/relay`);
+  // A transaction, so concurrent ledger entries queue one command
+  const change = current => {
+    // The first attempt runs against the local cache (null); returning null lets
+    // Firebase retry with the server value
+    if (current === null) return null;
+    if (!when(current)) return; // abort
+    return { ...current, desired, reason, desired_at: timestamp };
+  };
+
+  let result = await ref.transaction(change);
+  if (result.committed && !result.snapshot.exists()) {
+    // No relay record yet: meters are supplied until told otherwise
+    await ref.transaction(current => current || { desired: 'ON' });
+    result = await ref.transaction(change);
+  }
+  if (!result.committed) return null;
+
+  const balance = await getBalance(meterNo);
+  return enqueueCommand(meterNo, desired === 'ON' ? 'RELAY_ON' : 'RELAY_OFF', {
+    reason,
+    payload: { balance },
+    requestedBy
+  });
+}
+
+/**
+ * Keep the relay and the device's balance in step with a ledger entry
+ * (registered with ledgerService.onEntry)
+ * @param {string} meterNo - The meter number
+ * @param {Object} entry - The committed ledger entry
+ */
+async function syncRelay(meterNo, entry) {
+  const allowance = emergencyCreditUnits();
+  const before = Number(entry.balance_before);
+  const after = Number(entry.balance_after);
+
+  if (after <= -allowance) {
+    await setRelay(meterNo, 'OFF', {
+      reason: 'BALANCE_EXHAUSTED',
+      when: relay => relay.desired !== 'OFF'
+    });
+  } else if (entry.type === 'CREDIT' && after > 0) {
+    await setRelay(meterNo, 'ON', {
+      reason: 'TOPPED_UP',
+      // Only undo automatic disconnects
+      when: relay => relay.desired === 'OFF' && relay.reason === 'BALANCE_EXHAUSTED'
+    });
+  }
+
+  // The device shows the balance and meters against it, so tell it about top-ups and emergency credit
+  const enteredEmergency = allowance > 0 && before > 0 && after <= 0 && after > -allowance;
+  if (entry.type === 'CREDIT' || enteredEmergency) {
+    await enqueueCommand(meterNo, 'SYNC_BALANCE', {
+      reason: entry.type === 'CREDIT' ? entry.source : 'EMERGENCY_CREDIT',
+      payload: { balance: round4(after), emergency_credit_units: allowance }
+    });
+  }
+}
+
+/**
+ * A meter's relay state and recent commands, newest first
+ * @param {string} meterNo - The meter number
+ * @param {number} [limit] - Maximum number of commands
+ * @returns {Promise<Object>} { meter_no, relay, emergency_credit_units, commands }
+ */
+async function getCommandStatus(meterNo, limit = 20) {
+  const [relaySnap, commandsSnap] = await Promise.all([
+    db.ref(`meters/${meterNo}/relay`).once('value'),
+    db.ref(`meters/${meterNo}/commands`).orderByKey().limitToLast(limit).once('value')
+  ]);
+  return {
+    meter_no: meterNo,
+    relay: relaySnap.val() || { desired: 'ON', state: null },
+    emergency_credit_units: emergencyCreditUnits(),
+    commands: Object.entries(commandsSnap.val() || {}).map(([id, command]) => ({ id, ...command })).reverse()
+  };
+}
+
+module.exports = {
+  COMMAND_TYPES,
+  COMMAND_STATUS,
+  emergencyCreditUnits,
+  enqueueCommand,
+  claimPendingCommands,
+  acknowledgeCommand,
+  setRelay,
+  syncRelay,
+  getCommandStatus
+};
@@ -0,0 +1,217 @@
+// services/consumptionService.js
+const consumptionRepo = require('../repositories/consumptionRepository');
+const transactionRepo = require('../repositories/transactionsRepository');
+const { TRANSACTION_STATUS, normalizeStatus } = require('../transactions');
+const { getBalance } = require('./ledgerService');
+
+const BUCKETS = ['hour', 'day', 'month'];
+
+// Buckets follow Nairobi local time (UTC+3, no daylight saving), like Daraja timestamps
+const UTC_OFFSET_MS = 3 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// A month of hourly buckets
+const MAX_BUCKETS = 744;
+
+// Range used when from is not given
+const DEFAULT_SPAN_MS = {
+  hour: DAY_MS,
+  day: 30 * DAY_MS,
+  month: 365 * DAY_MS
+};
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function toMillis(value) {
+  if (value === undefined || value === null || value === '') return NaN;
+  return typeof value === 'number' ? value : new Date(value).getTime();
+}
+
+// Start of the bucket holding ms, in UTC milliseconds
+function bucketStart(ms, bucket) {
+  const local = new Date(ms + UTC_OFFSET_MS);
+  if (bucket === 'hour') {
+    local.setUTCMinutes(0, 0, 0);
+  } else {
+    local.setUTCHours(0, 0, 0, 0);
+    if (bucket === 'month') local.setUTCDate(1);
+  }
+  return local.getTime() - UTC_OFFSET_MS;
+}
+
+function nextBucketStart(start, bucket) {
+  if (bucket === 'hour') return start + HOUR_MS;
+  if (bucket === 'day') return start + DAY_MS;
+  const local = new Date(start + UTC_OFFSET_MS);
+  local.setUTCMonth(local.getUTCMonth() + 1);
+  return local.getTime() - UTC_OFFSET_MS;
+}
+
+// Local label: 2026-01-05T14:00, 2026-01-05 or 2026-01
+function bucketLabel(start, bucket) {
+  const local = new Date(start + UTC_OFFSET_MS).toISOString();
+  if (bucket === 'hour') return local.slice(0, 13) + ':00';
+  if (bucket === 'day') return local.slice(0, 10);
+  return local.slice(0, 7);
+}
+
+/**
+ * Resolve from, to and bucket with their defaults
+ * @param {Object} query - { from, to, bucket } as received (ISO dates or milliseconds)
+ * @returns {Object} { errors, range } - range is { from, to, bucket } in milliseconds when there are no errors
+ */
+function resolveHistoryRange(query = {}) {
+  const errors = [];
+  const bucket = query.bucket || 'day';
+  if (!BUCKETS.includes(bucket)) {
+    errors.push(`bucket must be one of ${BUCKETS.join(', ')}`);
+    return { errors, range: null };
+  }
+
+  const to = query.to ? toMillis(query.to) : Date.now();
+  const from = query.from ? toMillis(query.from) : to - DEFAULT_SPAN_MS[bucket];
+  if (Number.isNaN(from)) errors.push('from must be a date');
+  if (Number.isNaN(to)) errors.push('to must be a date');
+  if (errors.length === 0 && from >= to) errors.push('from must be before to');
+
+  if (errors.length === 0) {
+    let count = 0;
+    for (let start = bucketStart(from, bucket); start < to && count <= MAX_BUCKETS; start = nextBucketStart(start, bucket)) {
+      count++;
+    }
+    if (count > MAX_BUCKETS) {
+      errors.push(`The range holds more than ${MAX_BUCKETS} ${bucket} buckets; use a larger bucket or a shorter range`);
+    }
+  }
+
+  return { errors, range: errors.length === 0 ? { from, to, bucket } : null };
+}
+
+/**
+ * Consumption and purchases of a meter, summed per hour, day or month
+ *
+ * Every bucket in the range is returned, including empty ones, so the series
+ * can be charted directly. Purchases are successful payments, placed at the
+ * time they were settled.
+ *
+ * @param {string} meterNo - The meter number
+ * @param {Object} range - From resolveHistoryRange()
+ * @param {number} range.from - Start, in milliseconds (inclusive)
+ * @param {number} range.to - End, in milliseconds (exclusive)
+ * @param {string} range.bucket - hour, day or month
+ * @param {Object} [options]
+ * @param {number} [options.since] - Leave out records before this time (ms), e.g. a previous owner's
+ * @returns {Promise<Object>} { meter_no, bucket, from, to, utc_offset, series, totals, average_daily_units }
+ */
+async function getConsumptionHistory(meterNo, { from, to, bucket }, { since = null } = {}) {
+  const series = [];
+  const index = new Map();
+  for (let start = bucketStart(from, bucket); start < to; start = nextBucketStart(start, bucket)) {
+    const point = {
+      period_start: new Date(start).toISOString(),
+      label: bucketLabel(start, bucket),
+      units_consumed: 0,
+      units_purchased: 0,
+      amount_paid: 0,
+      readings: 0
+    };
+    index.set(start, point);
+    series.push(point);
+  }
+
+  const inRange = ms => !Number.isNaN(ms) && ms >= from && ms < to && !(since && ms < since);
+  const totals = { units_consumed: 0, units_purchased: 0, amount_paid: 0, readings: 0 };
+
+  (await consumptionRepo.listByMeter(meterNo)).forEach(record => {
+    const at = toMillis(record.timestamp);
+    if (!inRange(at)) return;
+    const units = parseFloat(record.units_consumed) || 0;
+    const point = index.get(bucketStart(at, bucket));
+    point.units_consumed += units;
+    point.readings++;
+    totals.units_consumed += units;
+    totals.readings++;
+  });
+
+  (await transactionRepo.listByMeter(meterNo)).forEach(transaction => {
+    if (normalizeStatus(transaction.status) !== TRANSACTION_STATUS.SUCCESS) return;
+    const at = toMillis(transaction.settled_at || transaction.timestamp);
+    if (!inRange(at)) return;
+    const units = parseFloat(transaction.units) || 0;
+    const amount = parseFloat(transaction.amount) || 0;
+    const point = index.get(bucketStart(at, bucket));
+    point.units_purchased += units;
+    point.amount_paid += amount;
+    totals.units_purchased += units;
+    totals.amount_paid += amount;
+  });
+
+  series.forEach(point => {
+    point.units_consumed = round2(point.units_consumed);
+    point.units_purchased = round2(point.units_purchased);
+    point.amount_paid = round2(point.amount_paid);
+  });
+  Object.keys(totals).forEach(key => { totals[key] = round2(totals[key]); });
+
+  // Over the requested span, so quiet days count towards the average
+  const days = Math.max((Math.min(to, Date.now()) - from) / DAY_MS, 1 / 24);
+
+  return {
+    meter_no: meterNo,
+    bucket,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    utc_offset: '+03:00',
+    series,
+    totals,
+    average_daily_units: round2(totals.units_consumed / days)
+  };
+}
+
+/**
+ * Estimate how long a meter's balance will last at its recent rate of use
+ *
+ * The rate is the consumption of the last FORECAST_WINDOW_DAYS (default 7),
+ * spread over the window, or over the time since the first reading in it for
+ * newer meters (at least one day).
+ *
+ * @param {string} meterNo - The meter number
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<Object>} { meter_no, balance, average_daily_units, days_remaining, runs_out_at, window_days, readings }
+ *   days_remaining and runs_out_at are null when there is no recent use
+ */
+async function forecastMeter(meterNo, now = Date.now()) {
+  const windowDays = parseFloat(process.env.FORECAST_WINDOW_DAYS || '7');
+  const windowStart = now - windowDays * DAY_MS;
+
+  let consumed = 0;
+  let readings = 0;
+  let firstReading = now;
+  (await consumptionRepo.listByMeter(meterNo)).forEach(record => {
+    const at = toMillis(record.timestamp);
+    if (Number.isNaN(at) || at < windowStart || at > now) return;
+    consumed += parseFloat(record.units_consumed) || 0;
+    readings++;
+    firstReading = Math.min(firstReading, at);
+  });
+
+  const spanDays = Math.min(windowDays, Math.max((now - firstReading) / DAY_MS, 1));
+  const averageDailyUnits = consumed / spanDays;
+  const balance = await getBalance(meterNo);
+  const daysRemaining = averageDailyUnits > 0 ? balance / averageDailyUnits : null;
+
+  return {
+    meter_no: meterNo,
+    balance: round2(balance),
+    average_daily_units: round2(averageDailyUnits),
+    days_remaining: daysRemaining === null ? null : round2(daysRemaining),
+    runs_out_at: daysRemaining === null ? null : new Date(now + daysRemaining * DAY_MS).toISOString(),
+    window_days: windowDays,
+    readings
+  };
+}
+
+module.exports = { BUCKETS, resolveHistoryRange, getConsumptionHistory, forecastMeter };
@@ -0,0 +1,181 @@
+// services/deviceService.js
+const crypto = require('crypto');
+const { db } = require('../storage');
+
+// How far a device clock may drift from ours, and how long nonces are remembered
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.DEVICE_SIGNATURE_TOLERANCE_SECONDS || '300', 10);
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Build the string a device signs for a request:
+ * METHOD \n PATH \n TIMESTAMP \n NONCE \n BODY
+ */
+function buildSigningString({ method, path, timestamp, nonce, body }) {
+  return [String(method).toUpperCase(), path, timestamp, nonce, body || ''].join('\n');
+}
+
+/**
+ * Compute the hex HMAC-SHA256 signature for a device request
+ * @param {string} secret - The device secret
+ * @param {Object} request - { method, path, timestamp, nonce, body }
+ * @returns {string} Hex signature
+ */
+function signDeviceRequest(secret, request) {
+  return crypto.createHmac('sha256', secret).update(buildSigningString(request)).digest('hex');
+}
+
+/**
+ * Get a meter's device credential metadata (never includes the secret)
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<Object|null>} Device metadata or null if not provisioned
+ */
+async function getDevice(meterNo) {
+  const snap = await db.ref(`meters/${meterNo}/device`).once('value');
+  if (!snap.exists()) return null;
+
+  const { secret, ...device } = snap.val();
+  return { meter_no: meterNo, ...device };
+}
+
+/**
+ * Provision or rotate a meter's device secret. The previous secret stops working immediately.
+ * @param {string} meterNo - The meter number
+ * @param {string} userId - The user that owns the meter
+ * @returns {Promise<Object>} Device metadata including the new secret (only returned here)
+ */
+async function rotateDeviceKey(meterNo, userId) {
+  const deviceRef = db.ref(`meters/${meterNo}/device`);
+  const existingSnap = await deviceRef.once('value');
+  const existing = existingSnap.val() || {};
+  const now = new Date().toISOString();
+
+  const device = {
+    key_id: crypto.randomBytes(8).toString('hex'),
+    key_version: (Number(existing.key_version) || 0) + 1,
+    secret: crypto.randomBytes(32).toString('hex'),
+    status: 'ACTIVE',
+    provisioned_at: existing.provisioned_at || now,
+    rotated_at: now,
+    revoked_at: null
+  };
+
+  await deviceRef.set(device);
+  // Link the meter to its owner so consumption can be mirrored to the user
+  await db.ref(`meters/${meterNo}/user_id`).set(userId);
+  // Nonces signed with the old key are meaningless now
+  await db.ref(`device_nonces/${meterNo}`).remove();
+
+  console.log(`${existing.key_id ? 'Rotated' : 'Provisioned'} device key for meter ${meterNo} (version ${device.key_version})`);
+  return { meter_no: meterNo, ...device };
+}
+
+/**
+ * Revoke a meter's device secret so all further device requests are rejected
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<Object|null>} Updated device metadata or null if not provisioned
+ */
+async function revokeDeviceKey(meterNo) {
+  const deviceRef = db.ref(`meters/${meterNo}/device`);
+  const snap = await deviceRef.once('value');
+  if (!snap.exists()) return null;
+
+  await deviceRef.update({
+    status: 'REVOKED',
+    revoked_at: new Date().toISOString()
+  });
+
+  console.log(`Revoked device key for meter ${meterNo}`);
+  return getDevice(meterNo);
+}
+
+/**
+ * Record a nonce for a meter; fails if it has been seen within the tolerance window
+ * @returns {Promise<boolean>} True if the nonce is fresh
+ */
+async function claimNonce(meterNo, nonce, timestamp) {
+  const nonceRef = db.ref(`device_nonces/${meterNo}/${nonce}`);
+  const result = await nonceRef.transaction(current => {
+    if (current === null) return timestamp;
+    return; // abort: replay
+  });
+
+  if (result.committed) {
+    // Forget nonces that are older than the tolerance window; their timestamps would be rejected anyway
+    const cutoff = Math.floor(Date.now() / 1000) - SIGNATURE_TOLERANCE_SECONDS;
+    db.ref(`device_nonces/${meterNo}`).orderByValue().endAt(cutoff).once('value')
+      .then(snap => {
+        const updates = {};
+        snap.forEach(child => { updates[child.key] = null; });
+        return Object.keys(updates).length ? db.ref(`device_nonces/${meterNo}`).update(updates) : null;
+      })
+      .catch(err => console.warn(`Failed to prune device nonces for meter ${meterNo}:`, err.message));
+  }
+
+  return result.committed;
+}
+
+/**
+ * Verify a signed device request
+ * @param {Object} request
+ * @param {string} request.meterNo - Meter number claimed by the device
+ * @param {string} request.timestamp - Unix timestamp (seconds) the request was signed at
+ * @param {string} request.nonce - Unique per-request value
+ * @param {string} request.signature - Hex HMAC-SHA256 signature
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Request path including query string
+ * @param {string} request.body - Raw request body
+ * @returns {Promise<Object>} { success, message }
+ */
+async function verifyDeviceRequest({ meterNo, timestamp, nonce, signature, method, path, body }) {
+  if (!meterNo || !timestamp || !nonce || !signature) {
+    return { success: false, message: 'Missing device authentication headers' };
+  }
+
+  const ts = parseInt(timestamp, 10);
+  if (!/^\d+$/.test(String(timestamp)) || Math.abs(Math.floor(Date.now() / 1000) - ts) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { success: false, message: 'Request timestamp is outside the allowed window' };
+  }
+
+  if (!NONCE_PATTERN.test(nonce)) {
+    return { success: false, message: 'Invalid nonce' };
+  }
+
+  const snap = await db.ref(`meters/${meterNo}/device`).once('value');
+  const device = snap.val();
+  if (!device || !device.secret) {
+    return { success: false, message: 'Device is not provisioned' };
+  }
+  if (device.status !== 'ACTIVE') {
+    return { success: false, message: 'Device key has been revoked' };
+  }
+
+  const expected = Buffer.from(signDeviceRequest(device.secret, { method, path, timestamp, nonce, body }), 'hex');
+  const provided = Buffer.from(String(signature), 'hex');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { success: false, message: 'Invalid signature' };
+  }
+
+  if (!await claimNonce(meterNo, nonce, ts)) {
+    return { success: false, message: 'Replayed request' };
+  }
+
+  return { success: true, message: 'Verified' };
+}
+
+/**
+ * Record that a meter's device was heard from (meters/<no>/health/last_seen)
+ * @param {string} meterNo - The meter number
+ */
+async function markSeen(meterNo) {
+  await db.ref(`meters/${meterNo}/health/last_seen`).set(new Date().toISOString());
+}
+
+module.exports = {
+  getDevice,
+  rotateDeviceKey,
+  revokeDeviceKey,
+  verifyDeviceRequest,
+  signDeviceRequest,
+  markSeen
+};
@@ -0,0 +1,119 @@
+// services/idempotencyService.js
+const crypto = require('crypto');
+const { db } = require('../storage');
+
+/*
+ * Client-supplied idempotency keys for payment initiation. Each key is stored
+ * under idempotency_keys/<scope>/<sha256(key)>:
+ *
+ *   { fingerprint, status: IN_PROGRESS | COMPLETED, response_status,
+ *     response_body, claim_id, created_at, completed_at, expires_at }
+ *
+ * The scope is the calling user, so two users can never collide on a key.
+ * Records expire after IDEMPOTENCY_KEY_TTL_HOURS (default 24), after which the
+ * key may be reused.
+ */
+
+function ttlMs() {
+  return parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24') * 60 * 60 * 1000;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// JSON with sorted object keys, so {a,b} and {b,a} fingerprint the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fingerprint of a request: method, route and body
+ * @param {string} method - HTTP method
+ * @param {string} path - Route path
+ * @param {Object} body - Parsed request body
+ * @returns {string} Hex SHA-256
+ */
+function fingerprintRequest(method, path, body) {
+  return sha256(`${method.toUpperCase()} ${path}\n${canonicalJson(body || {})}`);
+}
+
+function keyRef(scope, key) {
+  // Keys may contain characters Firebase does not allow in paths
+  return db.ref(`idempotency_keys/${scope}/${sha256(key)}`);
+}
+
+/**
+ * Claim an idempotency key for a request
+ * @param {string} scope - Owner of the key (user ID)
+ * @param {string} key - Idempotency-Key header value
+ * @param {string} fingerprint - fingerprintRequest() of the request
+ * @returns {Promise<Object>} { outcome: NEW | REPLAY | IN_PROGRESS | MISMATCH, record }
+ */
+async function claimKey(scope, key, fingerprint) {
+  const now = Date.now();
+  const claimId = crypto.randomUUID();
+
+  const result = await keyRef(scope, key).transaction(current => {
+    if (current && new Date(current.expires_at).getTime() > now) return; // abort: key in use
+    return {
+      fingerprint,
+      status: 'IN_PROGRESS',
+      response_status: null,
+      response_body: null,
+      claim_id: claimId,
+      created_at: new Date(now).toISOString(),
+      completed_at: null,
+      expires_at: new Date(now + ttlMs()).toISOString()
+    };
+  });
+
+  const record = result.snapshot.val();
+  if (result.committed && record && record.claim_id === claimId) {
+    return { outcome: 'NEW', record };
+  }
+  if (!record) {
+    throw new Error('Failed to claim idempotency key');
+  }
+  if (record.fingerprint !== fingerprint) {
+    return { outcome: 'MISMATCH', record };
+  }
+  return { outcome: record.status === 'COMPLETED' ? 'REPLAY' : 'IN_PROGRESS', record };
+}
+
+/**
+ * Store the response for a claimed key so repeats get the same answer
+ * @param {string} scope - Owner of the key
+ * @param {string} key - Idempotency-Key header value
+ * @param {number} statusCode - HTTP status that was sent
+ * @param {*} body - JSON body that was sent
+ */
+async function completeKey(scope, key, statusCode, body) {
+  await keyRef(scope, key).update({
+    status: 'COMPLETED',
+    response_status: statusCode,
+    // Stored as a string: Firebase rejects undefined values and some key names
+    response_body: JSON.stringify(body === undefined ? null : body),
+    completed_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Forget a claimed key, e.g. after a server error, so the client can retry with it
+ * @param {string} scope - Owner of the key
+ * @param {string} key - Idempotency-Key header value
+ */
+async function releaseKey(scope, key) {
+  await keyRef(scope, key).remove();
+}
+
+module.exports = {
+  fingerprintRequest,
+  claimKey,
+  completeKey,
+  releaseKey
+};
@@ -0,0 +1,360 @@
+// services/ledgerService.js
+const { db } = require('../storage');
+
+/*
+ * Append-only unit ledger per meter.
+ *
+ *   meters/<meterNo>/account   { balance, seq, last_entry, updated_at }   <- source of truth
+ *   ledger/<meterNo>/<seq>     { type, units, balance_before, balance_after, source, reference, ... }
+ *
+ * Every credit/debit runs as a single Firebase transaction on the account node,
+ * which bumps the sequence, moves the running balance and records the entry as
+ * `last_entry`. The entry is then copied to the ledger under its sequence number
+ * and the balance is projected to the legacy `meters/<no>/balance` and
+ * `users/<id>/balance` fields (the latter for the user's primary meter only).
+ * reconcileBalances() repairs anything a crash left behind between those steps.
+ *
+ * State that has to move together with the balance (the device register, see
+ * registerService) is kept on the account too: postEntry's `prepare` option
+ * works out the units from the account inside the same transaction.
+ */
+
+function round4(x) {
+  return Math.round(x * 10000) / 10000;
+}
+
+// Called after every committed entry (see onEntry)
+const entryListeners = [];
+
+function entryKey(seq) {
+  return String(seq).padStart(12, '0');
+}
+
+/**
+ * Find the user that owns a meter
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<string|null>} User ID or null
+ */
+async function resolveUserId(meterNo) {
+  const linkSnap = await db.ref(`meters/${meterNo}/user_id`).once('value');
+  if (linkSnap.exists()) return linkSnap.val();
+
+  const usersSnap = await db.ref('users').orderByChild('meter_no').equalTo(meterNo).once('value');
+  if (!usersSnap.exists()) return null;
+  return Object.keys(usersSnap.val())[0];
+}
+
+/**
+ * Opening balance for a meter that predates the ledger: the meter balance if
+ * the device has ever reported, otherwise the balance stored on the user
+ * (which belongs to their primary meter, not to meters linked later).
+ */
+async function legacyOpeningBalance(meterNo, userId) {
+  const meterSnap = await db.ref(`meters/${meterNo}/balance`).once('value');
+  if (meterSnap.exists()) return round4(Number(meterSnap.val()) || 0);
+
+  if (userId) {
+    const userSnap = await db.ref(`users/${userId}`).once('value');
+    const user = userSnap.val();
+    if (user && user.meter_no === meterNo && user.balance !== undefined) return round4(Number(user.balance) || 0);
+  }
+  return 0;
+}
+
+/**
+ * Write the latest entry to the ledger and project the balance to the legacy fields
+ */
+async function publishEntry(meterNo, entry, userId = entry.user_id) {
+  const updates = {
+    [`ledger/${meterNo}/${entryKey(entry.seq)}`]: entry,
+    [`meters/${meterNo}/balance`]: entry.balance_after
+  };
+  if (userId) {
+    // users/<id>/balance mirrors the user's primary meter only
+    const primarySnap = await db.ref(`users/${userId}/meter_no`).once('value');
+    if (primarySnap.val() === meterNo) {
+      updates[`users/${userId}/balance`] = entry.balance_after;
+    }
+  }
+  await db.ref().update(updates);
+}
+
+/**
+ * Open the ledger account for a meter if it does not exist yet
+ * @param {string} meterNo - The meter number
+ * @param {string} [userId] - The owning user, if known
+ * @returns {Promise<Object>} The account
+ */
+async function ensureAccount(meterNo, userId = null) {
+  const accountRef = db.ref(`meters/${meterNo}/account`);
+  const existing = await accountRef.once('value');
+  if (existing.exists()) return existing.val();
+
+  const ownerId = userId || await resolveUserId(meterNo);
+  const openingBalance = await legacyOpeningBalance(meterNo, ownerId);
+  const now = new Date().toISOString();
+
+  const result = await accountRef.transaction(current => {
+    if (current) return; // abort: opened concurrently
+    return {
+      balance: openingBalance,
+      seq: 1,
+      updated_at: now,
+      last_entry: {
+        seq: 1,
+        type: 'CREDIT',
+        source: 'OPENING_BALANCE',
+        units: openingBalance,
+        balance_before: 0,
+        balance_after: openingBalance,
+        reference: null,
+        user_id: ownerId,
+        description: 'Opening balance migrated from legacy balance fields',
+        timestamp: now
+      }
+    };
+  });
+
+  const account = result.snapshot.val();
+  if (result.committed) {
+    await publishEntry(meterNo, account.last_entry);
+    console.log(`Opened ledger for meter ${meterNo} with balance ${openingBalance}`);
+  }
+  return account;
+}
+
+/**
+ * Append a credit or debit to a meter's ledger
+ * @param {string} meterNo - The meter number
+ * @param {Object} entry
+ * @param {string} entry.type - CREDIT or DEBIT
+ * @param {number} entry.units - Units to move (positive)
+ * @param {string} entry.source - What caused the entry (PAYMENT, CONSUMPTION, ADJUSTMENT, ...)
+ * @param {string} [entry.reference] - Transaction or record the entry belongs to
+ * @param {string} [entry.userId] - The owning user, if known
+ * @param {string} [entry.description] - Free-text reason
+ * @param {number} [entry.minBalance] - Lowest balance a debit may leave (default 0; negative for emergency credit)
+ * @param {Function} [entry.prepare] - (account) => { units, fields } | null, run inside the transaction in place
+ *   of `units`: fields are stored on the account with the entry; null leaves the account untouched.
+ *   With 0 units only the fields are stored and no entry is posted.
+ * @returns {Promise<Object|null>} The ledger entry (with seq, balance_before and balance_after);
+ *   null when prepare posted nothing
+ */
+async function postEntry(meterNo, { type, units, source, reference = null, userId = null, description = null, minBalance = 0, prepare = null }) {
+  if (type !== 'CREDIT' && type !== 'DEBIT') {
+    throw new Error(`Invalid ledger entry type: ${type}`);
+  }
+  const requested = prepare ? 0 : round4(parseFloat(units));
+  if (!Number.isFinite(requested) || requested < 0) {
+    throw new Error('Ledger units must be a non-negative number');
+  }
+
+  const ownerId = userId || await resolveUserId(meterNo);
+  await ensureAccount(meterNo, ownerId);
+
+  const timestamp = new Date().toISOString();
+  let posted = true;
+  const result = await db.ref(`meters/${meterNo}/account`).transaction(current => {
+    posted = true;
+    // The first attempt runs against the local cache (null); returning null lets
+    // Firebase retry with the server value. ensureAccount() has created the account,
+    // so prepare and the balance check only ever see the real one.
+    if (current === null) return null;
+    const account = current;
+    let amount = requested;
+    let fields = {};
+    if (prepare) {
+      const prepared = prepare(account);
+      if (!prepared) {
+        posted = false;
+        return; // abort: nothing to record
+      }
+      amount = round4(prepared.units);
+      fields = prepared.fields || {};
+      if (!(amount > 0)) {
+        posted = false;
+        return { ...account, ...fields, updated_at: timestamp };
+      }
+    }
+    const before = round4(Number(account.balance) || 0);
+    // Debits never take the balance below minBalance; only what was available is recorded
+    const applied = type === 'DEBIT' ? Math.max(Math.min(amount, round4(before - minBalance)), 0) : amount;
+    const after = round4(type === 'DEBIT' ? before - applied : before + applied);
+    const seq = (Number(account.seq) || 0) + 1;
+
+    return {
+      ...account,
+      ...fields,
+      balance: after,
+      seq,
+      updated_at: timestamp,
+      last_entry: {
+        seq,
+        type,
+        source,
+        units: round4(applied),
+        requested_units: amount,
+        balance_before: before,
+        balance_after: after,
+        reference,
+        user_id: ownerId,
+        description,
+        timestamp
+      }
+    };
+  });
+
+  if (!posted) return null;
+  if (!result.committed || !result.snapshot.exists()) throw new Error(`Failed to commit ledger entry for meter ${meterNo}`);
+
+  const entry = result.snapshot.val().last_entry;
+  await publishEntry(meterNo, entry);
+  notifyEntry(meterNo, entry);
+  return entry;
+}
+
+/**
+ * Run listener(meterNo, entry) after each committed entry, without delaying the caller
+ * @param {Function} listener - May be async; errors are logged
+ */
+function onEntry(listener) {
+  entryListeners.push(listener);
+}
+
+function notifyEntry(meterNo, entry) {
+  entryListeners.forEach(listener => {
+    Promise.resolve()
+      .then(() => listener(meterNo, entry))
+      .catch(err => console.error(`Ledger entry listener failed for meter ${meterNo}:`, err.message));
+  });
+}
+
+/**
+ * Credit units to a meter
+ */
+function credit(meterNo, units, details = {}) {
+  return postEntry(meterNo, { ...details, type: 'CREDIT', units });
+}
+
+/**
+ * Debit units from a meter (floored at zero, or at details.minBalance)
+ */
+function debit(meterNo, units, details = {}) {
+  return postEntry(meterNo, { ...details, type: 'DEBIT', units });
+}
+
+/**
+ * Get the authoritative balance for a meter
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<number>} Available units
+ */
+async function getBalance(meterNo) {
+  const accountSnap = await db.ref(`meters/${meterNo}/account/balance`).once('value');
+  if (accountSnap.exists()) return round4(Number(accountSnap.val()) || 0);
+
+  // Not migrated yet: report what the account would open with, without writing
+  return legacyOpeningBalance(meterNo, await resolveUserId(meterNo));
+}
+
+/**
+ * Get ledger entries for a meter, newest first
+ * @param {string} meterNo - The meter number
+ * @param {number} [limit] - Maximum number of entries
+ * @returns {Promise<Object[]>} Ledger entries
+ */
+async function getEntries(meterNo, limit = 50) {
+  const snap = await db.ref(`ledger/${meterNo}`).orderByKey().limitToLast(limit).once('value');
+  if (!snap.exists()) return [];
+  return Object.values(snap.val()).reverse();
+}
+
+/**
+ * Compare every meter's ledger, account balance and legacy balance fields
+ * @param {Object} options
+ * @param {boolean} options.repair - Fix projections, restore missing entries and open missing accounts
+ * @returns {Promise<Object>} { checked, drift: [...], repaired }
+ */
+async function reconcileBalances({ repair = false } = {}) {
+  const [metersSnap, usersSnap] = await Promise.all([
+    db.ref('meters').once('value'),
+    db.ref('users').once('value')
+  ]);
+  const meters = metersSnap.val() || {};
+  const users = usersSnap.val() || {};
+
+  // Every meter that appears in either tree
+  const meterUsers = {};
+  Object.keys(meters).forEach(meterNo => { meterUsers[meterNo] = meters[meterNo].user_id || null; });
+  Object.keys(users).forEach(userId => {
+    const meterNo = users[userId].meter_no;
+    if (meterNo && !meterUsers[meterNo]) meterUsers[meterNo] = userId;
+  });
+
+  const drift = [];
+  let repaired = 0;
+
+  for (const meterNo of Object.keys(meterUsers)) {
+    const userId = meterUsers[meterNo];
+    const meter = meters[meterNo] || {};
+    const account = meter.account;
+    const user = userId ? users[userId] : null;
+    const userBalance = user && user.meter_no === meterNo ? Number(user.balance) || 0 : null;
+    const issues = [];
+
+    if (!account) {
+      issues.push({ field: 'account', message: 'Ledger account not opened' });
+    } else {
+      const ledgerSnap = await db.ref(`ledger/${meterNo}`).once('value');
+      const entries = Object.values(ledgerSnap.val() || {});
+      const lastEntry = account.last_entry;
+
+      if (lastEntry && !entries.some(entry => entry.seq === lastEntry.seq)) {
+        issues.push({ field: 'ledger', message: `Entry #${lastEntry.seq} missing from ledger` });
+        entries.push(lastEntry);
+      }
+
+      const ledgerBalance = round4(entries.reduce((sum, entry) => {
+        return sum + (entry.type === 'DEBIT' ? -Number(entry.units) : Number(entry.units));
+      }, 0));
+      if (ledgerBalance !== round4(account.balance)) {
+        issues.push({ field: 'account.balance', expected: ledgerBalance, actual: account.balance });
+      }
+      if (round4(Number(meter.balance) || 0) !== round4(account.balance)) {
+        issues.push({ field: 'meters.balance', expected: account.balance, actual: meter.balance ?? null });
+      }
+      if (userBalance !== null && round4(userBalance) !== round4(account.balance)) {
+        issues.push({ field: 'users.balance', expected: account.balance, actual: userBalance });
+      }
+    }
+
+    if (issues.length === 0) continue;
+    drift.push({ meter_no: meterNo, user_id: userId, issues });
+
+    if (repair) {
+      if (!account) {
+        await ensureAccount(meterNo, userId);
+      } else {
+        // The account is authoritative; the ledger is only rewritten when its last entry is missing
+        await publishEntry(meterNo, account.last_entry, userId || account.last_entry.user_id);
+        if (issues.some(issue => issue.field === 'account.balance')) {
+          console.warn(`Meter ${meterNo}: ledger sum does not match account balance; needs manual review`);
+        }
+      }
+      repaired++;
+    }
+  }
+
+  console.log(`Reconciled ${Object.keys(meterUsers).length} meters: ${drift.length} with drift${repair ? `, ${repaired} repaired` : ''}`);
+  return { checked: Object.keys(meterUsers).length, drift, repaired };
+}
+
+module.exports = {
+  credit,
+  debit,
+  getBalance,
+  getEntries,
+  ensureAccount,
+  reconcileBalances,
+  onEntry,
+  round4
+};
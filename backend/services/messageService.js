@@ -0,0 +1,64 @@
+// services/messageService.js
+const { db } = require('../storage');
+
+/*
+ * Outbound SMS and email. The transport for each channel is picked with
+ * SMS_TRANSPORT / EMAIL_TRANSPORT; the default `stub` transport only logs the
+ * message and keeps a copy under message_outbox/ so it can be inspected in
+ * development. Real gateways register themselves with registerTransport().
+ */
+const transports = {
+  sms: {},
+  email: {}
+};
+
+async function stubTransport(channel, message) {
+  console.log(`[${channel} stub] To: ${message.to}${message.subject ? ` | Subject: ${message.subject}` : ''}\n${message.body}`);
+  const ref = db.ref('message_outbox').push();
+  await ref.set({ channel, ...message, transport: 'stub', sent_at: new Date().toISOString() });
+  return { id: ref.key };
+}
+
+transports.sms.stub = message => stubTransport('sms', message);
+transports.email.stub = message => stubTransport('email', message);
+
+/**
+ * Register a transport for a channel
+ * @param {string} channel - sms or email
+ * @param {string} name - Name selected through SMS_TRANSPORT / EMAIL_TRANSPORT
+ * @param {Function} send - async ({ to, subject?, body }) => { id }
+ */
+function registerTransport(channel, name, send) {
+  if (!transports[channel]) throw new Error(`Unknown message channel: ${channel}`);
+  transports[channel][name] = send;
+}
+
+function getTransport(channel) {
+  const name = process.env[`${channel.toUpperCase()}_TRANSPORT`] || 'stub';
+  const transport = transports[channel] && transports[channel][name];
+  if (!transport) throw new Error(`No ${channel} transport named "${name}"`);
+  return transport;
+}
+
+/**
+ * Send an SMS
+ * @param {string} to - Phone number
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} Transport result
+ */
+async function sendSms(to, body) {
+  return getTransport('sms')({ to, body });
+}
+
+/**
+ * Send an email
+ * @param {string} to - Email address
+ * @param {string} subject - Subject line
+ * @param {string} body - Plain-text body
+ * @returns {Promise<Object>} Transport result
+ */
+async function sendEmail(to, subject, body) {
+  return getTransport('email')({ to, subject, body });
+}
+
+module.exports = { sendSms, sendEmail, registerTransport };
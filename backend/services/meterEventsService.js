@@ -0,0 +1,95 @@
+// services/meterEventsService.js
+const { db } = require('../storage');
+const { getBalance } = require('./ledgerService');
+const { annotateGifts } = require('./beneficiaryService');
+
+/*
+ * Live updates for the dashboard. The database is watched rather than the
+ * code paths that write to it, so callbacks, ESP32 consumption, admin
+ * adjustments and writes made by other server instances all reach the
+ * stream the same way.
+ */
+
+/**
+ * Watch a meter's balance and transactions
+ *
+ * onEvent(type, data) is called with:
+ * - 'balance' { meter_no, availableUnits, timestamp }: straight away, then whenever the ledger balance changes
+ * - 'transaction' (the public transaction, as GET /transactions/:userId returns it): whenever
+ *   one of the meter's transactions, or one the user paid for on another meter, is created or
+ *   changes after watching started
+ *
+ * @param {string} meterNo - The meter number
+ * @param {Function} onEvent - (type, data) => void
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only stream this user's transactions, and add those they paid for
+ * @returns {Function} Stops watching
+ */
+function watchMeter(meterNo, onEvent, { userId = null } = {}) {
+  const balanceRef = db.ref(`meters/${meterNo}/account/balance`);
+  const transactionsQuery = db.ref('transactions').orderByChild('meter_no').equalTo(meterNo);
+  const paidQuery = userId ? db.ref('transactions').orderByChild('payer_user_id').equalTo(userId) : null;
+  let stopped = false;
+  // Events go out in order, each shown the way the history shows it
+  let sending = Promise.resolve();
+
+  const onBalance = async () => {
+    try {
+      // getBalance() also covers meters whose ledger account is not open yet
+      const availableUnits = await getBalance(meterNo);
+      if (stopped) return;
+      onEvent('balance', {
+        meter_no: meterNo,
+        availableUnits: Number(availableUnits.toFixed(2)),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Error reading balance for meter ${meterNo}:`, error.message);
+    }
+  };
+
+  const send = (transaction) => {
+    sending = sending
+      .then(async () => {
+        const [shown] = await annotateGifts([transaction], userId);
+        if (!stopped) onEvent('transaction', shown);
+      })
+      .catch(error => console.error(`Error streaming transaction ${transaction.id}:`, error.message));
+  };
+
+  // Calls send() for transactions that changed since the previous snapshot of the query
+  const watchChanges = (include) => {
+    let seen = null;
+    return (snap) => {
+      const current = new Map();
+      snap.forEach(child => {
+        if (include(child.val())) current.set(child.key, JSON.stringify(child.val()));
+      });
+
+      // The first snapshot is what the client already fetched
+      if (seen !== null) {
+        for (const [id, serialized] of current) {
+          if (seen.get(id) !== serialized) send({ id, ...JSON.parse(serialized) });
+        }
+      }
+      seen = current;
+    };
+  };
+
+  const onTransactions = watchChanges(transaction => !userId || transaction.user_id === userId);
+  // Units the user bought for other meters; their own meter's come through the query above
+  const onPaid = watchChanges(transaction => transaction.meter_no !== meterNo);
+
+  balanceRef.on('value', onBalance);
+  transactionsQuery.on('value', onTransactions);
+  if (paidQuery) paidQuery.on('value', onPaid);
+
+  return () => {
+    stopped = true;
+    balanceRef.off('value', onBalance);
+    transactionsQuery.off('value', onTransactions);
+    if (paidQuery) paidQuery.off('value', onPaid);
+  };
+}
+
+module.exports = { watchMeter };
@@ -1,93 +1,97 @@
 // services/meterService.js
-const { db } = require('../firebase');
-
-// conversion rate: 1 KES = X units
-const UNITS_PER_KES = parseFloat(process.env.UNITS_PER_KES || '0.05');
-
-function generateToken() {
-  return Math.floor(10000000 + Math.random() * 90000000).toString();
-}
-
-function round4(x) {
-  return Math.round(x * 10000) / 10000;
-}
+const transactionRepo = require('../repositories/transactionsRepository');
+const consumptionRepo = require('../repositories/consumptionRepository');
+const { issueToken, claimToken } = require('./tokenService');
+const ledger = require('./ledgerService');
+const { quotePurchase } = require('./tariffService');
+const { emergencyCreditUnits } = require('./commandService');
 
 /**
  * processPayment:
- * - Add units to a user's meter
- * - Mirror balance in /users and /meters
- * - Log transaction with token
+ * - Price the payment under the active tariff
+ * - Credit units to a user's meter through the ledger
+ * - Log transaction with token (already applied, so it cannot be redeemed again)
  */
 async function processPayment(userId, meterNo, amount, reference) {
-  const units = round4(amount * UNITS_PER_KES);
-  const meterRef = db.ref(`meters/${meterNo}/balance`);
-  const userRef = db.ref(`users/${userId}/balance`);
-  const transactionRef = db.ref('transactions').push();
-
-  const txnResult = await meterRef.transaction(current => {
-    current = Number(current) || 0;
-    return round4(current + units);
+  const quote = await quotePurchase(meterNo, amount);
+  const units = quote.units;
+  const transactionId = transactionRepo.newTransactionId();
+
+  const entry = await ledger.credit(meterNo, units, {
+    source: 'PAYMENT',
+    reference: transactionId,
+    userId
   });
 
-  if (!txnResult.committed) throw new Error('Failed to commit meter transaction');
-
-  const newBalance = txnResult.snapshot.val();
-  await userRef.set(newBalance);
-
-  const token = generateToken();
   const txData = {
     user_id: userId,
     meter_no: meterNo,
     amount,
     units,
+    remainder: quote.remainder,
+    tariff_id: quote.tariff.id,
+    charges: quote.breakdown,
     status: 'SUCCESS',
-    token,
     reference: reference || null,
+    ledger_seq: entry.seq,
     timestamp: Date.now()
   };
-  await transactionRef.set(txData);
+  await transactionRepo.saveTransaction(transactionId, txData);
+
+  const { token } = await issueToken({
+    meterNo,
+    units,
+    transactionId,
+    status: 'REDEEMED'
+  });
 
-  return { newBalance, units, token };
+  return { newBalance: entry.balance_after, units, token };
 }
 
 /**
- * consumeUnits:
- * - Safely subtracts balance (ESP32 call)
- * - Logs consumption in /unit_consumption
+ * redeemToken:
+ * - Verifies a 20-digit token against the meter's key (ESP32 call)
+ * - Marks it redeemed exactly once; the units were credited to the
+ *   ledger when the payment succeeded, so redemption does not credit again
  */
-async function consumeUnits(meterNo, units) {
-  const meterRef = db.ref(`meters/${meterNo}/balance`);
-  const meterMetaRef = db.ref(`meters/${meterNo}`);
-  const logRef = db.ref('unit_consumption').push();
-
-  const metaSnap = await meterMetaRef.once('value');
-  const meta = metaSnap.val() || {};
-  const userId = meta.user_id || null;
-
-  const prevSnap = await meterRef.once('value');
-  const prevBalance = Number(prevSnap.val() || 0);
+async function redeemToken(meterNo, token) {
+  const claim = await claimToken(meterNo, token);
+  if (!claim.success) return claim;
 
-  const txnResult = await meterRef.transaction(current => {
-    current = Number(current) || 0;
-    return Math.max(0, round4(current - units));
+  await transactionRepo.updateTransaction(claim.transaction_id, {
+    token_redeemed_at: new Date().toISOString()
   });
 
-  if (!txnResult.committed) throw new Error('Failed to update meter balance');
-  const newBalance = txnResult.snapshot.val();
+  const newBalance = await ledger.getBalance(meterNo);
+  return { ...claim, newBalance };
+}
 
-  if (userId) await db.ref(`users/${userId}/balance`).set(newBalance);
+/**
+ * consumeUnits:
+ * - Debits the ledger (ESP32 call), floored at zero less any emergency credit
+ * - Logs consumption in /unit_consumption, as the units the debit actually took
+ */
+async function consumeUnits(meterNo, units) {
+  const consumptionId = consumptionRepo.newConsumptionId();
+
+  const entry = await ledger.debit(meterNo, units, {
+    source: 'CONSUMPTION',
+    reference: consumptionId,
+    minBalance: -emergencyCreditUnits()
+  });
 
   const logData = {
-    user_id: userId,
+    user_id: entry.user_id || null,
     meter_no: meterNo,
-    units_before: prevBalance,
-    units_consumed: units,
-    units_after: newBalance,
+    units_before: entry.balance_before,
+    units_consumed: entry.units,
+    units_after: entry.balance_after,
+    ledger_seq: entry.seq,
     timestamp: Date.now()
   };
-  await logRef.set(logData);
+  await consumptionRepo.saveConsumption(consumptionId, logData);
 
-  return { newBalance, prevBalance, unitsConsumed: units };
+  return { newBalance: entry.balance_after, prevBalance: entry.balance_before, unitsConsumed: entry.units };
 }
 
-module.exports = { processPayment, consumeUnits };
+module.exports = { processPayment, consumeUnits, redeemToken };
@@ -0,0 +1,220 @@
+// services/ownershipService.js
+const { db } = require('../storage');
+const userRepo = require('../repositories/usersRepository');
+const ledger = require('./ledgerService');
+
+/*
+ * Which user a meter belongs to, and who it belonged to before.
+ *
+ *   meters/<meterNo>/user_id             the current owner (what payments and the ledger follow)
+ *   meters/<meterNo>/ownership/<id>      { user_id, reason, started_at, ended_at, end_reason, closing_balance, carried_to }
+ *   users/<userId>/meters/<meterNo>      { label, linked_at }
+ *   users/<userId>/meter_no              the user's primary meter; users/<userId>/balance mirrors its balance
+ *
+ * A user may hold any number of meters, a meter has one owner at a time.
+ * When a tenancy ends the owner's balance is closed out: what is left is
+ * debited from the meter (or a debt from emergency credit written off) as a
+ * TENANCY_CLOSE ledger entry and kept on the ownership record as
+ * closing_balance, so the next owner starts from zero. A positive closing
+ * balance can be carried over to another of the owner's meters.
+ */
+
+function round4(x) {
+  return Math.round(x * 10000) / 10000;
+}
+
+// The open ownership record of a user, if the meter has one
+async function findOpenOwnership(meterNo, userId) {
+  const snap = await db.ref(`meters/${meterNo}/ownership`).once('value');
+  const entry = Object.entries(snap.val() || {})
+    .filter(([, record]) => record.user_id === userId && !record.ended_at)
+    .sort(([a], [b]) => b.localeCompare(a))[0];
+  return entry ? { id: entry[0], ...entry[1] } : null;
+}
+
+/**
+ * Link a meter to a user
+ * @param {string} userId - The user ID
+ * @param {string} meterNo - The meter number
+ * @param {Object} [options]
+ * @param {string} [options.label] - The user's name for the meter ("Shop", "Flat 2B")
+ * @param {string} [options.reason] - Why (REGISTERED, LINKED, TENANCY_CHANGE, ...)
+ * @returns {Promise<Object>} { success, code?, message, meter_no? }
+ */
+async function linkMeter(userId, meterNo, { label = null, reason = 'LINKED' } = {}) {
+  meterNo = String(meterNo || '').trim();
+  if (!meterNo) return { success: false, message: 'meter_no is required' };
+
+  const user = await userRepo.getUser(userId);
+  if (!user) return { success: false, code: 'NOT_FOUND', message: `User ${userId} not found` };
+
+  const owner = await userRepo.findUserIdByMeter(meterNo);
+  if (owner && owner !== userId) {
+    return { success: false, code: 'CONFLICT', message: `Meter ${meterNo} is registered to another account` };
+  }
+  if (owner === userId && user.meters && user.meters[meterNo]) {
+    return { success: true, message: 'Meter already linked', meter_no: meterNo };
+  }
+
+  // Claimed in a transaction so two accounts cannot link the same meter
+  const claim = await db.ref(`meters/${meterNo}/user_id`).transaction(current => {
+    if (current && current !== userId) return; // abort: taken meanwhile
+    return userId;
+  });
+  if (!claim.committed) {
+    return { success: false, code: 'CONFLICT', message: `Meter ${meterNo} is registered to another account` };
+  }
+
+  const now = new Date().toISOString();
+  const updates = {
+    [`users/${userId}/meters/${meterNo}`]: { label: label ? String(label).trim().slice(0, 40) : null, linked_at: now }
+  };
+  if (!user.meter_no) {
+    updates[`users/${userId}/meter_no`] = meterNo;
+    updates[`users/${userId}/balance`] = await ledger.getBalance(meterNo);
+  }
+  // Users from before ownership was tracked already own their meter
+  if (!(await findOpenOwnership(meterNo, userId))) {
+    updates[`meters/${meterNo}/ownership/${db.ref(`meters/${meterNo}/ownership`).push().key}`] = {
+      user_id: userId,
+      reason,
+      started_at: now,
+      ended_at: null
+    };
+  }
+  await db.ref().update(updates);
+
+  console.log(`Linked meter ${meterNo} to user ${userId} (${reason})`);
+  return { success: true, message: 'Meter linked', meter_no: meterNo };
+}
+
+// Bring the meter's balance to zero for the owner that is leaving
+async function closeOutBalance(meterNo, userId, reference) {
+  const balance = await ledger.getBalance(meterNo);
+  if (balance === 0) return 0;
+
+  const details = {
+    source: 'TENANCY_CLOSE',
+    reference,
+    userId,
+    description: 'Balance closed out at the end of the tenancy'
+  };
+  // The units are taken from the account when the entry commits, in case the meter is still running
+  const entry = balance > 0
+    ? await ledger.debit(meterNo, 0, { ...details, prepare: account => ({ units: Math.max(Number(account.balance) || 0, 0) }) })
+    : await ledger.credit(meterNo, 0, { ...details, prepare: account => ({ units: Math.max(-(Number(account.balance) || 0), 0) }) });
+  if (!entry) return 0;
+  return entry.type === 'DEBIT' ? entry.units : round4(-entry.units);
+}
+
+/**
+ * End a user's ownership of a meter
+ * @param {string} userId - The owner
+ * @param {string} meterNo - The meter number
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why (UNLINKED, TENANCY_CHANGE, REASSIGNED, ...)
+ * @param {boolean} [options.closeOut] - Close out the balance (default true); false leaves it with the meter
+ * @param {string} [options.carryTo] - Another of the owner's meters to credit a positive closing balance to
+ * @returns {Promise<Object>} { success, code?, message, closing_balance?, carried_to? }
+ */
+async function unlinkMeter(userId, meterNo, { reason = 'UNLINKED', closeOut = true, carryTo = null } = {}) {
+  const user = await userRepo.getUser(userId);
+  if (!user || !userRepo.meterNumbers(user).includes(meterNo)) {
+    return { success: false, code: 'NOT_FOUND', message: `Meter ${meterNo} is not linked to this account` };
+  }
+  const remaining = userRepo.meterNumbers(user).filter(other => other !== meterNo);
+  if (carryTo && !remaining.includes(carryTo)) {
+    return { success: false, message: 'carry_to_meter must be another meter on the same account' };
+  }
+
+  const ownership = await findOpenOwnership(meterNo, userId);
+  const ownershipId = ownership ? ownership.id : db.ref(`meters/${meterNo}/ownership`).push().key;
+
+  const closingBalance = closeOut ? await closeOutBalance(meterNo, userId, ownershipId) : null;
+  let carriedTo = null;
+  if (carryTo && closingBalance > 0) {
+    await ledger.credit(carryTo, closingBalance, {
+      source: 'TENANCY_TRANSFER',
+      reference: ownershipId,
+      userId,
+      description: `Balance carried over from meter ${meterNo}`
+    });
+    carriedTo = carryTo;
+  }
+
+  const now = new Date().toISOString();
+  const updates = {
+    [`meters/${meterNo}/user_id`]: null,
+    [`users/${userId}/meters/${meterNo}`]: null,
+    [`meters/${meterNo}/ownership/${ownershipId}`]: {
+      user_id: userId,
+      reason: ownership ? ownership.reason : null,
+      started_at: ownership ? ownership.started_at : null,
+      ended_at: now,
+      end_reason: reason,
+      closing_balance: closingBalance,
+      carried_to: carriedTo
+    }
+  };
+  if (user.meter_no === meterNo) {
+    const primary = remaining[0] || null;
+    updates[`users/${userId}/meter_no`] = primary;
+    updates[`users/${userId}/balance`] = primary ? await ledger.getBalance(primary) : 0;
+  }
+  await db.ref().update(updates);
+
+  console.log(`Unlinked meter ${meterNo} from user ${userId} (${reason})${closingBalance ? `, closing balance ${closingBalance}` : ''}`);
+  return { success: true, message: 'Meter unlinked', meter_no: meterNo, closing_balance: closingBalance, carried_to: carriedTo };
+}
+
+/**
+ * A user's meters with their balances, primary meter first
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object[]|null>} [{ meter_no, label, primary, balance, linked_at }], or null for an unknown user
+ */
+async function listUserMeters(userId) {
+  const user = await userRepo.getUser(userId);
+  if (!user) return null;
+
+  return Promise.all(userRepo.meterNumbers(user).map(async meterNo => {
+    const link = (user.meters && user.meters[meterNo]) || {};
+    return {
+      meter_no: meterNo,
+      label: link.label || null,
+      primary: meterNo === user.meter_no,
+      balance: await ledger.getBalance(meterNo),
+      linked_at: link.linked_at || null
+    };
+  }));
+}
+
+/**
+ * When a user's current ownership of a meter started
+ * @param {string} meterNo - The meter number
+ * @param {string} userId - The user ID
+ * @returns {Promise<number|null>} Milliseconds, or null when not recorded (owners from before ownership was tracked)
+ */
+async function ownedSince(meterNo, userId) {
+  const ownership = await findOpenOwnership(meterNo, userId);
+  return ownership && ownership.started_at ? Date.parse(ownership.started_at) : null;
+}
+
+/**
+ * Everyone who has owned a meter, newest first
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<Object[]>} Ownership records (with id)
+ */
+async function getOwnershipHistory(meterNo) {
+  const snap = await db.ref(`meters/${meterNo}/ownership`).once('value');
+  return Object.entries(snap.val() || {})
+    .map(([id, record]) => ({ id, ...record }))
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+module.exports = {
+  linkMeter,
+  unlinkMeter,
+  listUserMeters,
+  ownedSince,
+  getOwnershipHistory
+};
@@ -0,0 +1,165 @@
+// services/pdfService.js
+
+/*
+ * Minimal PDF writer for receipts and statements.
+ *
+ * Documents are A4 pages of left-aligned text in the PDF base fonts
+ * (Helvetica and Helvetica-Bold), which every viewer has, so nothing needs
+ * embedding. Text is WinAnsi (Latin-1); other characters print as "?".
+ * Content flows top to bottom and continues on a new page when a page is
+ * full; a table repeats its header row on each page.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_GAP = 4;
+
+// Latin-1 only, with PDF string escapes
+function pdfString(text) {
+  const latin1 = String(text)
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x20-\xff]/g, '?');
+  return `(${latin1.replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Start a PDF document
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title (shown by viewers)
+ * @returns {Object} Builder: heading, text, fields, table, gap, rule, toBuffer
+ */
+function createPdf({ title = '' } = {}) {
+  const pages = [];
+  let ops;
+  let y;
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  // Move down by height, starting a new page if it does not fit
+  const advance = height => {
+    if (y - height < MARGIN) newPage();
+    y -= height;
+  };
+
+  const write = (x, text, { size = 10, bold = false, grey = false } = {}) => {
+    ops.push(`BT ${grey ? '0.4 g ' : ''}/${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(x)} ${formatNumber(y)} Td ${pdfString(text)} Tj ET`);
+  };
+
+  newPage();
+
+  const doc = {
+    heading(text, size = 16) {
+      advance(size + LINE_GAP);
+      write(MARGIN, text, { size, bold: true });
+      return doc;
+    },
+
+    text(text, options = {}) {
+      const size = options.size || 10;
+      advance(size + LINE_GAP);
+      write(MARGIN, text, { ...options, size });
+      return doc;
+    },
+
+    // Label: value lines, labels in grey
+    fields(pairs, { labelWidth = 150, size = 10 } = {}) {
+      pairs.forEach(([label, value]) => {
+        advance(size + LINE_GAP);
+        write(MARGIN, label, { size, grey: true });
+        write(MARGIN + labelWidth, value === null || value === undefined || value === '' ? '-' : value, { size });
+      });
+      return doc;
+    },
+
+    /**
+     * @param {Object[]} columns - [{ label, width }]; widths in points
+     * @param {Array[]} rows - Cell values, in column order
+     */
+    table(columns, rows, { size = 9 } = {}) {
+      const header = () => {
+        advance(size + LINE_GAP + 2);
+        let x = MARGIN;
+        columns.forEach(column => {
+          write(x, column.label, { size, bold: true });
+          x += column.width;
+        });
+        ops.push(`0.8 G ${MARGIN} ${formatNumber(y - 3)} m ${PAGE_WIDTH - MARGIN} ${formatNumber(y - 3)} l S`);
+      };
+
+      header();
+      rows.forEach(row => {
+        const page = pages.length;
+        advance(size + LINE_GAP);
+        if (pages.length !== page) {
+          y += size + LINE_GAP;
+          header();
+          advance(size + LINE_GAP);
+        }
+        let x = MARGIN;
+        row.forEach((cell, i) => {
+          write(x, cell === null || cell === undefined ? '' : cell, { size });
+          x += columns[i].width;
+        });
+      });
+      return doc;
+    },
+
+    gap(height = 10) {
+      advance(height);
+      return doc;
+    },
+
+    rule() {
+      advance(LINE_GAP * 2);
+      ops.push(`0.8 G ${MARGIN} ${formatNumber(y)} m ${PAGE_WIDTH - MARGIN} ${formatNumber(y)} l S`);
+      return doc;
+    },
+
+    /**
+     * @returns {Buffer} The PDF file
+     */
+    toBuffer() {
+      // 1 catalog, 2 pages, 3-4 fonts, 5 info, then a page and its content per page
+      const objects = [];
+      const pageIds = pages.map((page, i) => 6 + i * 2);
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+      objects[5] = `<< /Title ${pdfString(title)} /Producer (IoT Smart Meter) >>`;
+      pages.forEach((pageOps, i) => {
+        const content = pageOps.join('\n');
+        objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+        objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+      });
+
+      let out = '%PDF-1.4\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(out, 'latin1');
+        out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+      const xref = Buffer.byteLength(out, 'latin1');
+      out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, 'latin1');
+    }
+  };
+
+  return doc;
+}
+
+module.exports = { createPdf };
@@ -0,0 +1,295 @@
+// services/registerService.js
+const { db } = require('../storage');
+const consumptionRepo = require('../repositories/consumptionRepository');
+const ledger = require('./ledgerService');
+const { emergencyCreditUnits } = require('./commandService');
+const { raiseEvent } = require('./telemetryService');
+
+/*
+ * Consumption from the meter's cumulative energy register.
+ *
+ *   meters/<meterNo>/account/register   { register_id, seq, kwh, timestamp, updated_at }
+ *   register_gaps/<meterNo>/<id>        { register_id, from_seq, to_seq, missing, units, from, to, recorded_at }
+ *
+ * The ESP32 numbers every register reading (seq) and keeps the ones it could
+ * not send while offline. The server bills the difference between readings,
+ * so a batch sent twice, or a reading older than the last one accepted, adds
+ * nothing. The register state lives on the ledger account and is advanced in
+ * the same transaction as the debit, so a reading is billed exactly once.
+ *
+ *   first reading / new register_id   baseline, nothing billed (a new register_id
+ *                                     is a replaced meter and raises METER_REPLACED)
+ *   seq <= last seq                   duplicate or out of order, ignored; unless the
+ *                                     register moved on since, then the device lost
+ *                                     its counter and seq is rebased
+ *   seq > last seq + 1                billed in full, the missing seqs are a gap
+ *   register below the last reading   rolled over if it was within the last 10% of
+ *                                     REGISTER_ROLLOVER_KWH, otherwise REGISTER_DECREASE
+ *                                     (a tamper event) and a new baseline
+ */
+
+const MAX_READINGS = 500;
+// A register this close to its maximum that then reads low has wrapped
+const ROLLOVER_WINDOW = 0.1;
+// Devices may be a little ahead of us; anything further is a broken clock
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+const READING_STATUS = {
+  BASELINE: 'BASELINE',
+  ACCEPTED: 'ACCEPTED',
+  DUPLICATE: 'DUPLICATE',
+  REPLACED: 'REPLACED',
+  RESET: 'RESET'
+};
+
+function round4(x) {
+  return Math.round(x * 10000) / 10000;
+}
+
+function rolloverKwh() {
+  return parseFloat(process.env.REGISTER_ROLLOVER_KWH || '100000');
+}
+
+// Unix seconds (what the firmware sends) or an ISO date
+function toMillis(value) {
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+  if (typeof value === 'string' && value) return new Date(value).getTime();
+  return NaN;
+}
+
+/**
+ * Check and normalise a batch of register readings
+ * @param {Object} body - { register_id, readings: [{ seq, register_kwh, timestamp }] }
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} { errors, batch } - batch is { registerId, readings } (by seq) when there are no errors
+ */
+function validateReadings(body, now = Date.now()) {
+  const errors = [];
+  if (!body || typeof body !== 'object') return { errors: ['Body must be an object'], batch: null };
+
+  if (typeof body.register_id !== 'string' || !body.register_id.trim() || body.register_id.length > 64) {
+    errors.push('register_id is required (at most 64 characters)');
+  }
+  if (!Array.isArray(body.readings) || body.readings.length === 0) {
+    errors.push('readings must be a non-empty array');
+  } else if (body.readings.length > MAX_READINGS) {
+    errors.push(`A batch may hold at most ${MAX_READINGS} readings`);
+  }
+  if (errors.length) return { errors, batch: null };
+
+  const readings = body.readings.map((reading, i) => {
+    const label = `readings[${i}]`;
+    if (!reading || typeof reading !== 'object') {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+    if (!Number.isInteger(reading.seq) || reading.seq < 1) {
+      errors.push(`${label}.seq must be a positive integer`);
+    }
+    if (typeof reading.register_kwh !== 'number' || !Number.isFinite(reading.register_kwh) ||
+      reading.register_kwh < 0 || reading.register_kwh >= rolloverKwh()) {
+      errors.push(`${label}.register_kwh must be a number from 0 up to ${rolloverKwh()}`);
+    }
+    const timestamp = toMillis(reading.timestamp);
+    if (Number.isNaN(timestamp)) {
+      errors.push(`${label}.timestamp must be unix seconds or an ISO date`);
+    } else if (timestamp > now + FUTURE_TOLERANCE_MS) {
+      errors.push(`${label}.timestamp is in the future`);
+    }
+    return { seq: reading.seq, kwh: reading.register_kwh, timestamp };
+  });
+
+  if (errors.length) return { errors, batch: null };
+  return {
+    errors,
+    batch: { registerId: body.register_id.trim(), readings: readings.sort((a, b) => a.seq - b.seq) }
+  };
+}
+
+/**
+ * Work out what a batch of readings consumed, given the register state before it
+ * @param {Object|null} register - Stored register state
+ * @param {string} registerId - The register the readings came from
+ * @param {Object[]} readings - Validated readings, by seq
+ * @returns {Object} { register, results, deltas, gaps, events }
+ */
+function applyReadings(register, registerId, readings) {
+  const rollover = rolloverKwh();
+  let state = register;
+  const results = [];
+  const deltas = [];
+  const gaps = [];
+  const events = [];
+
+  const advance = reading => {
+    state = { register_id: registerId, seq: reading.seq, kwh: reading.kwh, timestamp: reading.timestamp };
+  };
+
+  readings.forEach(reading => {
+    if (!state) {
+      advance(reading);
+      results.push({ seq: reading.seq, status: READING_STATUS.BASELINE });
+      return;
+    }
+    if (state.register_id !== registerId) {
+      events.push({
+        category: 'REGISTER',
+        type: 'METER_REPLACED',
+        timestamp: reading.timestamp,
+        detail: { previous_register_id: state.register_id, previous_kwh: state.kwh, register_id: registerId, register_kwh: reading.kwh }
+      });
+      advance(reading);
+      results.push({ seq: reading.seq, status: READING_STATUS.REPLACED });
+      return;
+    }
+
+    // A reading from before the last one, or the same one again
+    const rebased = reading.seq <= state.seq;
+    if (rebased && !(reading.kwh > state.kwh && reading.timestamp > state.timestamp)) {
+      results.push({ seq: reading.seq, status: READING_STATUS.DUPLICATE });
+      return;
+    }
+
+    let units = round4(reading.kwh - state.kwh);
+    if (units < 0) {
+      const wrapped = round4(rollover - state.kwh + reading.kwh);
+      if (state.kwh < rollover * (1 - ROLLOVER_WINDOW) || wrapped > rollover * ROLLOVER_WINDOW) {
+        events.push({
+          category: 'TAMPER',
+          type: 'REGISTER_DECREASE',
+          timestamp: reading.timestamp,
+          detail: { register_id: registerId, previous_kwh: state.kwh, register_kwh: reading.kwh, seq: reading.seq }
+        });
+        advance(reading);
+        results.push({ seq: reading.seq, status: READING_STATUS.RESET });
+        return;
+      }
+      units = wrapped;
+    }
+
+    if (!rebased && reading.seq > state.seq + 1) {
+      gaps.push({
+        register_id: registerId,
+        from_seq: state.seq + 1,
+        to_seq: reading.seq - 1,
+        missing: reading.seq - state.seq - 1,
+        units,
+        from: new Date(state.timestamp).toISOString(),
+        to: new Date(reading.timestamp).toISOString()
+      });
+    }
+    if (units > 0) {
+      deltas.push({ seq: reading.seq, units, from: state.timestamp, timestamp: reading.timestamp });
+    }
+    advance(reading);
+    results.push({ seq: reading.seq, status: READING_STATUS.ACCEPTED, units });
+  });
+
+  return { register: state, results, deltas, gaps, events };
+}
+
+/**
+ * Bill a batch of register readings (ESP32 call; validate with validateReadings first)
+ * @param {string} meterNo - The meter number
+ * @param {Object} batch - { registerId, readings }
+ * @returns {Promise<Object>} { register_id, last_seq, accepted, ignored, units_consumed, balance, results, gaps, events }
+ */
+async function recordReadings(meterNo, { registerId, readings }) {
+  const consumptionId = consumptionRepo.newConsumptionId();
+  const timestamp = new Date().toISOString();
+  let outcome = null;
+
+  // Runs inside the ledger transaction, possibly more than once
+  const prepare = account => {
+    outcome = applyReadings(account.register || null, registerId, readings);
+    if (outcome.register === account.register) return null; // nothing new
+    const units = round4(outcome.deltas.reduce((sum, delta) => sum + delta.units, 0));
+    return { units, fields: { register: { ...outcome.register, updated_at: timestamp } } };
+  };
+
+  const entry = await ledger.debit(meterNo, 0, {
+    source: 'CONSUMPTION',
+    reference: consumptionId,
+    description: `Register ${registerId} readings up to #${readings[readings.length - 1].seq}`,
+    minBalance: -emergencyCreditUnits(),
+    prepare
+  });
+
+  const { register, results, deltas, gaps, events } = outcome;
+  const unitsConsumed = round4(deltas.reduce((sum, delta) => sum + delta.units, 0));
+
+  // Nothing was committed when the batch held only readings already billed
+  const committed = results.some(result => result.status !== READING_STATUS.DUPLICATE);
+  if (committed) {
+    const updates = {};
+    // One consumption record per reading, at the time it was taken, so history stays accurate
+    let running = entry ? entry.balance_before : null;
+    deltas.forEach((delta, i) => {
+      const id = i === 0 ? consumptionId : consumptionRepo.newConsumptionId();
+      const after = entry ? Math.max(round4(running - delta.units), entry.balance_after) : null;
+      updates[`unit_consumption/${id}`] = {
+        user_id: entry ? entry.user_id || null : null,
+        meter_no: meterNo,
+        units_before: running,
+        units_consumed: delta.units,
+        units_after: after,
+        ledger_seq: entry ? entry.seq : null,
+        register_id: registerId,
+        register_seq: delta.seq,
+        period_start: delta.from,
+        timestamp: delta.timestamp
+      };
+      running = after;
+    });
+    gaps.forEach(gap => {
+      updates[`register_gaps/${meterNo}/${db.ref(`register_gaps/${meterNo}`).push().key}`] = { ...gap, recorded_at: timestamp };
+    });
+    if (Object.keys(updates).length > 0) await db.ref().update(updates);
+
+    for (const event of events) {
+      await raiseEvent(meterNo, event.category, event.type, event.timestamp, event.detail);
+    }
+    if (gaps.length > 0) {
+      console.warn(`Meter ${meterNo}: ${gaps.reduce((sum, gap) => sum + gap.missing, 0)} register readings missing`);
+    }
+  }
+
+  const balance = entry ? entry.balance_after : await ledger.getBalance(meterNo);
+  return {
+    register_id: register.register_id,
+    last_seq: register.seq,
+    accepted: results.filter(result => result.status !== READING_STATUS.DUPLICATE).length,
+    ignored: results.filter(result => result.status === READING_STATUS.DUPLICATE).length,
+    units_consumed: unitsConsumed,
+    balance,
+    results,
+    gaps: committed ? gaps : []
+  };
+}
+
+/**
+ * The register state of a meter and its recent gaps, newest first
+ * @param {string} meterNo - The meter number
+ * @param {number} [limit] - Maximum number of gaps
+ * @returns {Promise<Object>} { register, gaps }
+ */
+async function getRegisterStatus(meterNo, limit = 20) {
+  const [registerSnap, gapsSnap] = await Promise.all([
+    db.ref(`meters/${meterNo}/account/register`).once('value'),
+    db.ref(`register_gaps/${meterNo}`).orderByKey().limitToLast(limit).once('value')
+  ]);
+  const register = registerSnap.val();
+  return {
+    register: register ? { ...register, timestamp: new Date(register.timestamp).toISOString() } : null,
+    gaps: Object.entries(gapsSnap.val() || {}).map(([id, gap]) => ({ id, ...gap })).reverse()
+  };
+}
+
+module.exports = {
+  READING_STATUS,
+  MAX_READINGS,
+  validateReadings,
+  applyReadings,
+  recordReadings,
+  getRegisterStatus
+};
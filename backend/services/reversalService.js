@@ -0,0 +1,287 @@
+// services/reversalService.js
+const transactionRepo = require('../repositories/transactionsRepository');
+const ledger = require('./ledgerService');
+const { voidToken } = require('./tokenService');
+const { recordAudit } = require('./adminService');
+const { requestReversal } = require('../daraja');
+const { TRANSACTION_STATUS, normalizeStatus, transitionTransaction } = require('../transactions');
+
+/*
+ * Reversing a payment through the Daraja Reversal API.
+ *
+ *   transactions/<id>/reversal   { status, reason, requested_by, requested_at, forced,
+ *                                  held_units, hold_ledger_seq, originator_conversation_id,
+ *                                  conversation_id, result_code, result_desc, reversal_receipt,
+ *                                  completed_at }
+ *
+ *   SUCCESS --request--> reversal PENDING --result OK--> REVERSED (reversal COMPLETED)
+ *                                          '--failed or timed out--> reversal FAILED, still SUCCESS
+ *
+ * When the reversal is requested, the payment's units are debited from the
+ * meter straight away (a REVERSAL ledger entry), so they cannot be used while
+ * Daraja works on it. If the customer has already used some of them the
+ * request is refused, unless an admin forces it; a forced reversal takes back
+ * what is left and writes off the rest. When Daraja confirms, the transaction
+ * becomes REVERSED and its token is voided. When Daraja refuses or the request
+ * times out in its queue, the held units are credited back and the reversal
+ * can be requested again. Each step is written to the admin audit trail.
+ */
+
+const REVERSAL_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+});
+
+// Paybill payments go to the C2B short code, STK payments to the STK one
+function receivingShortCode(transaction) {
+  if (transaction.channel === 'STK') {
+    return process.env.DARAJA_STK_SHORTCODE || process.env.DARAJA_SHORTCODE;
+  }
+  return process.env.DARAJA_SHORTCODE;
+}
+
+async function updateReversal(transactionId, fields) {
+  const updates = {};
+  Object.entries(fields).forEach(([key, value]) => { updates[`reversal/${key}`] = value; });
+  await transactionRepo.updateTransaction(transactionId, updates);
+}
+
+// Give back units held for a reversal that did not go through
+async function releaseHold(transaction, description) {
+  const held = transaction.reversal && Number(transaction.reversal.held_units);
+  if (!(held > 0)) return null;
+  return ledger.credit(transaction.meter_no, held, {
+    source: 'REVERSAL',
+    reference: transaction.id,
+    userId: transaction.user_id,
+    description
+  });
+}
+
+/**
+ * Ask Daraja to reverse a successful payment and hold its units until it answers
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} options
+ * @param {string} options.reason - Why the payment is reversed
+ * @param {boolean} [options.force] - Reverse even if some units were used (what is left is taken back)
+ * @param {Object} actor - req.user of the operator
+ * @returns {Promise<Object>} { success, code?, message, transaction? }
+ */
+async function reverseTransaction(transactionId, { reason, force = false }, actor) {
+  reason = String(reason || '').trim();
+  if (!reason) {
+    return { success: false, message: 'reason is required' };
+  }
+
+  const transaction = await transactionRepo.getTransaction(transactionId);
+  if (!transaction) {
+    return { success: false, code: 'NOT_FOUND', message: 'Transaction not found' };
+  }
+  if (normalizeStatus(transaction.status) !== TRANSACTION_STATUS.SUCCESS) {
+    return { success: false, code: 'CONFLICT', message: `Only successful transactions can be reversed (status: ${normalizeStatus(transaction.status)})` };
+  }
+  if (!transaction.mpesa_receipt) {
+    return { success: false, code: 'CONFLICT', message: 'Transaction has no M-Pesa receipt to reverse' };
+  }
+
+  // Claim the transaction so only one reversal runs at a time
+  const requestedAt = new Date().toISOString();
+  const requestedBy = actor && actor.user_id ? actor.user_id : 'api_key';
+  const claim = await transactionRepo.mutateTransaction(transactionId, current => {
+    if (current === null) return null;
+    if (normalizeStatus(current.status) !== TRANSACTION_STATUS.SUCCESS) return; // abort
+    if (current.reversal && current.reversal.status === REVERSAL_STATUS.PENDING) return; // abort
+    return {
+      ...current,
+      reversal: {
+        status: REVERSAL_STATUS.PENDING,
+        reason,
+        requested_by: requestedBy,
+        requested_at: requestedAt,
+        forced: Boolean(force),
+        held_units: 0
+      }
+    };
+  });
+  if (!claim.committed) {
+    return { success: false, code: 'CONFLICT', message: 'A reversal of this transaction is already in progress' };
+  }
+
+  // Units only come back off the ledger if they were credited in the first place
+  const units = Number(transaction.units) || 0;
+  let hold = null;
+  if (transaction.ledger_seq && units > 0) {
+    hold = await ledger.debit(transaction.meter_no, units, {
+      source: 'REVERSAL',
+      reference: transactionId,
+      userId: transaction.user_id,
+      description: `Reversal: ${reason}`,
+      // Without force, all of the units must still be there
+      prepare: force ? null : account => (Number(account.balance) >= units ? { units } : null)
+    });
+    if (!hold) {
+      await transactionRepo.updateTransaction(transactionId, { reversal: null });
+      const balance = await ledger.getBalance(transaction.meter_no);
+      const used = Math.round(Math.min(units, units - balance) * 100) / 100;
+      return {
+        success: false,
+        code: 'CONFLICT',
+        message: `${used} of ${units} units have already been used; force the reversal to take back what is left`
+      };
+    }
+  }
+  const held = { held_units: hold ? hold.units : 0, hold_ledger_seq: hold ? hold.seq : null };
+
+  let response;
+  try {
+    response = await requestReversal({
+      receipt: transaction.mpesa_receipt,
+      amount: Number(transaction.amount) || 0,
+      shortCode: receivingShortCode(transaction),
+      remarks: reason
+    });
+    if (String(response.ResponseCode) !== '0') {
+      throw new Error(response.ResponseDescription || `Daraja answered ResponseCode ${response.ResponseCode}`);
+    }
+  } catch (err) {
+    await releaseHold({ ...transaction, reversal: held }, `Reversal not sent: ${err.message}`);
+    await updateReversal(transactionId, {
+      ...held,
+      status: REVERSAL_STATUS.FAILED,
+      result_desc: err.message,
+      completed_at: new Date().toISOString()
+    });
+    console.error(`Reversal of transaction ${transactionId} could not be sent: ${err.message}`);
+    return { success: false, code: 'DARAJA_ERROR', message: err.message };
+  }
+
+  await updateReversal(transactionId, {
+    ...held,
+    originator_conversation_id: response.OriginatorConversationID || null,
+    conversation_id: response.ConversationID || null
+  });
+
+  await recordAudit(actor, 'REVERSE_TRANSACTION', {
+    transaction_id: transactionId,
+    meter_no: transaction.meter_no,
+    reason,
+    forced: Boolean(force),
+    held_units: held.held_units,
+    originator_conversation_id: response.OriginatorConversationID || null
+  });
+  console.log(`${requestedBy} requested reversal of transaction ${transactionId}: ${reason}`);
+
+  return {
+    success: true,
+    message: 'Reversal requested; waiting for Daraja',
+    transaction: await transactionRepo.getTransaction(transactionId)
+  };
+}
+
+/**
+ * Apply a reversal result from Daraja (ResultURL), or a queue timeout (QueueTimeOutURL)
+ * @param {Object} payload - Callback body: { Result: { ResultCode, ResultDesc, OriginatorConversationID, TransactionID, ... } }
+ * @param {Object} [options]
+ * @param {boolean} [options.timedOut] - The request timed out in Daraja's queue
+ * @returns {Promise<Object>} { success, duplicate, message, transaction_id? }
+ */
+async function handleReversalResult(payload, { timedOut = false } = {}) {
+  const result = (payload && payload.Result) || {};
+  const conversationId = result.OriginatorConversationID;
+  if (!conversationId) {
+    return { success: false, duplicate: false, message: 'Result.OriginatorConversationID is required' };
+  }
+
+  // The callback can beat the request's response; failing here lets the inbox retry
+  const transaction = await transactionRepo.findByReversalReference(conversationId);
+  if (!transaction) {
+    return { success: false, duplicate: false, message: `No reversal found for OriginatorConversationID: ${conversationId}` };
+  }
+
+  const transactionId = transaction.id;
+  const reversal = transaction.reversal;
+  const succeeded = !timedOut && Number(result.ResultCode) === 0;
+  const now = new Date().toISOString();
+  const actor = { user_id: reversal.requested_by };
+
+  if (!succeeded) {
+    if (reversal.status !== REVERSAL_STATUS.PENDING) {
+      return { success: true, duplicate: true, message: 'Reversal already settled', transaction_id: transactionId };
+    }
+    const resultDesc = timedOut ? 'Timed out in the Daraja queue' : (result.ResultDesc || 'Reversal failed');
+    await updateReversal(transactionId, {
+      status: REVERSAL_STATUS.FAILED,
+      result_code: timedOut ? null : Number(result.ResultCode),
+      result_desc: resultDesc,
+      completed_at: now
+    });
+    await releaseHold(transaction, `Reversal failed: ${resultDesc}`);
+    await recordAudit(actor, 'REVERSAL_FAILED', {
+      transaction_id: transactionId,
+      meter_no: transaction.meter_no,
+      result_desc: resultDesc,
+      released_units: Number(reversal.held_units) || 0
+    });
+    console.log(`Reversal of transaction ${transactionId} failed: ${resultDesc}`);
+    return { success: true, duplicate: false, message: 'Reversal failure recorded', transaction_id: transactionId };
+  }
+
+  if (reversal.status === REVERSAL_STATUS.COMPLETED) {
+    return { success: true, duplicate: true, message: 'Reversal already completed', transaction_id: transactionId };
+  }
+
+  // A late confirmation after a timeout: the money is gone, so take the units back again
+  let held = { held_units: Number(reversal.held_units) || 0, hold_ledger_seq: reversal.hold_ledger_seq || null };
+  if (reversal.status === REVERSAL_STATUS.FAILED && transaction.ledger_seq) {
+    const entry = await ledger.debit(transaction.meter_no, transaction.units, {
+      source: 'REVERSAL',
+      reference: transactionId,
+      userId: transaction.user_id,
+      description: `Reversal confirmed late: ${reversal.reason}`
+    });
+    held = { held_units: entry.units, hold_ledger_seq: entry.seq };
+  }
+
+  const completed = {
+    ...reversal,
+    ...held,
+    status: REVERSAL_STATUS.COMPLETED,
+    result_code: 0,
+    result_desc: result.ResultDesc || null,
+    reversal_receipt: result.TransactionID || null,
+    completed_at: now
+  };
+  const transition = await transitionTransaction(transactionId, TRANSACTION_STATUS.REVERSED, {
+    reversal: completed,
+    reversed_at: now,
+    reversal_reason: reversal.reason,
+    reversed_by: reversal.requested_by,
+    reversed_units: held.held_units,
+    reversal_ledger_seq: held.hold_ledger_seq
+  });
+  if (!transition.success) {
+    return { success: true, duplicate: true, message: transition.message, transaction_id: transactionId };
+  }
+
+  if (transaction.token) {
+    const voided = await voidToken(transaction.meter_no, transaction.token, reversal.reason);
+    await transactionRepo.updateTransaction(transactionId, { token_status: voided.status });
+  }
+
+  await recordAudit(actor, 'REVERSAL_COMPLETED', {
+    transaction_id: transactionId,
+    meter_no: transaction.meter_no,
+    reversal_receipt: completed.reversal_receipt,
+    reversed_units: held.held_units
+  });
+  console.log(`Transaction ${transactionId} reversed by Daraja (${completed.reversal_receipt})`);
+
+  return { success: true, duplicate: false, message: 'Transaction reversed', transaction_id: transactionId, status: TRANSACTION_STATUS.REVERSED };
+}
+
+module.exports = {
+  REVERSAL_STATUS,
+  reverseTransaction,
+  handleReversalResult
+};
@@ -0,0 +1,377 @@
+// services/statementService.js
+const { db } = require('../storage');
+const userRepo = require('../repositories/usersRepository');
+const transactionRepo = require('../repositories/transactionsRepository');
+const { TRANSACTION_STATUS, normalizeStatus } = require('../transactions');
+const { DEFAULT_TARIFF } = require('./tariffService');
+const { formatToken } = require('./tokenService');
+const { ownedSince } = require('./ownershipService');
+const { maskName } = require('./beneficiaryService');
+const { createPdf } = require('./pdfService');
+
+/*
+ * Receipts for purchases and monthly statements for meters.
+ *
+ * A receipt is built from the transaction (token, units, tariff and charges,
+ * M-Pesa receipt number). A statement is built from the meter's ledger, so it
+ * always adds up: opening balance + purchases - consumption +/- other entries
+ * (adjustments, reversals, tenancy close-outs) = closing balance. Consumption
+ * is summed per day. Months and dates are Nairobi local time (UTC+3), like
+ * the consumption history. A statement only covers the user's own tenancy.
+ */
+
+const STATEMENT_FORMATS = ['pdf', 'csv'];
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const UTC_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+// Only paid-for transactions have a receipt
+const RECEIPT_STATUSES = [TRANSACTION_STATUS.SUCCESS, TRANSACTION_STATUS.REVERSED];
+
+const CHARGE_LABELS = [
+  ['energy_charge', 'Energy charge'],
+  ['fuel_charge', 'Fuel cost charge'],
+  ['erc_levy', 'ERC levy'],
+  ['rep_levy', 'REP levy'],
+  ['fixed_charge', 'Fixed charge'],
+  ['vat', 'VAT']
+];
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function round4(x) {
+  return Math.round(x * 10000) / 10000;
+}
+
+// 2026-01-05 14:30 EAT
+function formatLocal(value) {
+  const ms = typeof value === 'number' ? value : new Date(value).getTime();
+  return `${new Date(ms + UTC_OFFSET_MS).toISOString().slice(0, 16).replace('T', ' ')} EAT`;
+}
+
+function localDate(value) {
+  return new Date(new Date(value).getTime() + UTC_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function currentMonth(now = Date.now()) {
+  return new Date(now + UTC_OFFSET_MS).toISOString().slice(0, 7);
+}
+
+function ksh(amount) {
+  return `KSH ${(Number(amount) || 0).toFixed(2)}`;
+}
+
+async function tariffName(tariffId) {
+  if (!tariffId || tariffId === DEFAULT_TARIFF.id) return DEFAULT_TARIFF.name;
+  const snap = await db.ref(`tariffs/${tariffId}/name`).once('value');
+  return snap.val() || tariffId;
+}
+
+/**
+ * Everything printed on a purchase receipt
+ * @param {string} transactionId - The transaction ID
+ * @param {string} userId - The user asking: the meter's owner or whoever paid
+ * @returns {Promise<Object>} { success, code?, message?, receipt? }
+ */
+async function getReceipt(transactionId, userId) {
+  const transaction = await transactionRepo.getTransaction(transactionId);
+  if (!transaction || ![transaction.user_id, transaction.payer_user_id].includes(userId)) {
+    return { success: false, code: 'NOT_FOUND', message: `Transaction ${transactionId} not found` };
+  }
+  const status = normalizeStatus(transaction.status);
+  if (!RECEIPT_STATUSES.includes(status)) {
+    return { success: false, code: 'CONFLICT', message: `Transaction ${transactionId} is ${status}; receipts are issued once the payment succeeds` };
+  }
+
+  // Names of the other party of a gift are masked, as in the transaction list
+  const isOwner = transaction.user_id === userId;
+  const gift = transaction.payer_user_id && transaction.payer_user_id !== transaction.user_id;
+  const [owner, payer] = await Promise.all([
+    userRepo.getUser(transaction.user_id),
+    gift ? userRepo.getUser(transaction.payer_user_id) : null
+  ]);
+  const nameOf = (user, visible) => (user ? (visible ? user.name : maskName(user.name)) : null);
+
+  return {
+    success: true,
+    receipt: {
+      transaction_id: transaction.id,
+      mpesa_receipt: transaction.mpesa_receipt || null,
+      status,
+      date: transaction.timestamp,
+      meter_no: transaction.meter_no,
+      customer_name: nameOf(owner, isOwner),
+      paid_by: gift ? nameOf(payer, !isOwner) : null,
+      channel: transaction.channel || null,
+      amount: Number(transaction.amount) || 0,
+      units: Number(transaction.units) || 0,
+      remainder: Number(transaction.remainder) || 0,
+      token: transaction.token || null,
+      tariff_id: transaction.tariff_id || null,
+      tariff_name: await tariffName(transaction.tariff_id),
+      charges: transaction.charges || null
+    }
+  };
+}
+
+/**
+ * Render a receipt as a PDF
+ * @param {Object} receipt - From getReceipt()
+ * @returns {Buffer} PDF file
+ */
+function renderReceiptPdf(receipt) {
+  const doc = createPdf({ title: `Receipt ${receipt.transaction_id}` });
+  doc.heading('Payment Receipt')
+    .text('IoT Smart Meter', { grey: true })
+    .gap()
+    .fields([
+      ['Receipt number', receipt.transaction_id],
+      ['M-Pesa receipt', receipt.mpesa_receipt],
+      ['Date', formatLocal(receipt.date)],
+      ['Meter number', receipt.meter_no],
+      ['Customer', receipt.customer_name],
+      ...(receipt.paid_by ? [['Paid by', receipt.paid_by]] : []),
+      ['Status', receipt.status]
+    ])
+    .rule()
+    .fields([
+      ['Amount paid', ksh(receipt.amount)],
+      ['Units', `${receipt.units.toFixed(2)} kWh`],
+      ['Token', receipt.token ? formatToken(receipt.token) : null],
+      ['Tariff', receipt.tariff_name]
+    ]);
+
+  if (receipt.charges) {
+    doc.rule().text('Charges', { bold: true });
+    doc.fields([
+      ...CHARGE_LABELS
+        .filter(([key]) => Number(receipt.charges[key]) > 0)
+        .map(([key, label]) => [label, ksh(receipt.charges[key])]),
+      ['Total', ksh(receipt.charges.total)]
+    ]);
+    if (receipt.remainder > 0) {
+      doc.text(`${ksh(receipt.remainder)} was below the price of 0.01 units and was not converted.`, { size: 8, grey: true });
+    }
+  }
+  if (receipt.status === TRANSACTION_STATUS.REVERSED) {
+    doc.gap().text('This payment was reversed. Its units were taken back and the token is no longer valid.', { bold: true });
+  }
+  return doc.toBuffer();
+}
+
+/**
+ * Check the statement query
+ * @param {Object} query - { month?: YYYY-MM, format?: pdf|csv }
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} { errors, month, format }
+ */
+function validateStatementQuery(query = {}, now = Date.now()) {
+  const errors = [];
+  const month = query.month || currentMonth(now);
+  const format = query.format || 'pdf';
+  if (!MONTH_PATTERN.test(month)) {
+    errors.push('month must be YYYY-MM');
+  } else if (month > currentMonth(now)) {
+    errors.push('month is in the future');
+  }
+  if (!STATEMENT_FORMATS.includes(format)) {
+    errors.push(`format must be one of ${STATEMENT_FORMATS.join(', ')}`);
+  }
+  return { errors, month, format };
+}
+
+/**
+ * A meter's statement for one month
+ * @param {string} userId - The meter's owner
+ * @param {string} meterNo - The meter number
+ * @param {string} month - YYYY-MM (validate with validateStatementQuery first)
+ * @returns {Promise<Object>} { meter_no, customer_name, month, from, to, opening_balance, closing_balance, purchases, consumption, other_entries, totals }
+ */
+async function getStatement(userId, meterNo, month) {
+  const [, year, monthIndex] = month.match(MONTH_PATTERN);
+  const monthStart = Date.UTC(Number(year), Number(monthIndex) - 1, 1) - UTC_OFFSET_MS;
+  const monthEnd = Date.UTC(Number(year), Number(monthIndex), 1) - UTC_OFFSET_MS;
+
+  // Entries from before the user's tenancy belong to the previous owner
+  const since = await ownedSince(meterNo, userId);
+  const from = Math.max(monthStart, since || 0);
+  const to = Math.max(monthEnd, from);
+
+  const ledgerRef = db.ref(`ledger/${meterNo}`).orderByChild('timestamp');
+  const [lastSnap, periodSnap, user] = await Promise.all([
+    ledgerRef.endAt(new Date(to - 1).toISOString()).limitToLast(1).once('value'),
+    ledgerRef.startAt(new Date(from).toISOString()).endAt(new Date(to - 1).toISOString()).once('value'),
+    userRepo.getUser(userId)
+  ]);
+  // The previous owner's close-out can share the tenancy's first millisecond
+  const entries = Object.values(periodSnap.val() || {})
+    .filter(entry => !since || entry.user_id === userId)
+    .sort((a, b) => a.seq - b.seq);
+
+  let openingBalance = 0;
+  let closingBalance = 0;
+  if (entries.length > 0) {
+    openingBalance = round4(entries[0].balance_before);
+    closingBalance = round4(entries[entries.length - 1].balance_after);
+  } else if (!since || since < monthEnd) {
+    // A quiet month: the balance is whatever the last entry left
+    const last = Object.values(lastSnap.val() || {})[0];
+    openingBalance = closingBalance = last ? round4(last.balance_after) : 0;
+  }
+
+  const payments = entries.filter(entry => entry.source === 'PAYMENT');
+  const transactions = await Promise.all(payments.map(entry => transactionRepo.getTransaction(entry.reference)));
+  const purchases = payments.map((entry, i) => {
+    const transaction = transactions[i] || {};
+    return {
+      date: entry.timestamp,
+      transaction_id: entry.reference,
+      mpesa_receipt: transaction.mpesa_receipt || null,
+      amount: Number(transaction.amount) || 0,
+      units: entry.units,
+      token: transaction.token || null
+    };
+  });
+
+  const daily = new Map();
+  entries.filter(entry => entry.source === 'CONSUMPTION' && entry.type === 'DEBIT').forEach(entry => {
+    const day = localDate(entry.timestamp);
+    daily.set(day, round4((daily.get(day) || 0) + entry.units));
+  });
+  const consumption = [...daily.entries()].map(([date, units]) => ({ date, units }));
+
+  const otherEntries = entries
+    .filter(entry => entry.source !== 'PAYMENT' && !(entry.source === 'CONSUMPTION' && entry.type === 'DEBIT'))
+    .map(entry => ({
+      date: entry.timestamp,
+      source: entry.source,
+      description: entry.description || null,
+      reference: entry.reference || null,
+      units: entry.type === 'DEBIT' ? -entry.units : entry.units
+    }));
+
+  return {
+    meter_no: meterNo,
+    customer_name: user ? user.name : null,
+    month,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    opening_balance: openingBalance,
+    closing_balance: closingBalance,
+    purchases,
+    consumption,
+    other_entries: otherEntries,
+    totals: {
+      amount_paid: round2(purchases.reduce((sum, purchase) => sum + purchase.amount, 0)),
+      units_purchased: round4(purchases.reduce((sum, purchase) => sum + purchase.units, 0)),
+      units_consumed: round4(consumption.reduce((sum, day) => sum + day.units, 0)),
+      other_units: round4(otherEntries.reduce((sum, entry) => sum + entry.units, 0))
+    }
+  };
+}
+
+/**
+ * Render a statement as a PDF
+ * @param {Object} statement - From getStatement()
+ * @returns {Buffer} PDF file
+ */
+function renderStatementPdf(statement) {
+  const { totals } = statement;
+  const doc = createPdf({ title: `Statement ${statement.meter_no} ${statement.month}` });
+  doc.heading(`Statement for ${statement.month}`)
+    .text('IoT Smart Meter', { grey: true })
+    .gap()
+    .fields([
+      ['Customer', statement.customer_name],
+      ['Meter number', statement.meter_no],
+      ['Period', `${formatLocal(statement.from)} to ${formatLocal(statement.to)}`]
+    ])
+    .rule()
+    .fields([
+      ['Opening balance', `${statement.opening_balance.toFixed(2)} kWh`],
+      ['Units purchased', `+${totals.units_purchased.toFixed(2)} kWh (${ksh(totals.amount_paid)})`],
+      ['Units consumed', `-${totals.units_consumed.toFixed(2)} kWh`],
+      ...(statement.other_entries.length > 0 ? [['Other entries', `${totals.other_units >= 0 ? '+' : ''}${totals.other_units.toFixed(2)} kWh`]] : []),
+      ['Closing balance', `${statement.closing_balance.toFixed(2)} kWh`]
+    ]);
+
+  doc.gap().text('Purchases', { bold: true, size: 12 });
+  if (statement.purchases.length === 0) {
+    doc.text('No purchases this month', { grey: true });
+  } else {
+    doc.table(
+      [{ label: 'Date', width: 100 }, { label: 'M-Pesa receipt', width: 85 }, { label: 'Amount', width: 70 }, { label: 'Units', width: 50 }, { label: 'Token', width: 190 }],
+      statement.purchases.map(purchase => [
+        formatLocal(purchase.date).slice(0, 16),
+        purchase.mpesa_receipt || '-',
+        ksh(purchase.amount),
+        purchase.units.toFixed(2),
+        purchase.token ? formatToken(purchase.token) : '-'
+      ])
+    );
+  }
+
+  doc.gap().text('Consumption', { bold: true, size: 12 });
+  if (statement.consumption.length === 0) {
+    doc.text('No consumption recorded this month', { grey: true });
+  } else {
+    doc.table(
+      [{ label: 'Date', width: 100 }, { label: 'Units', width: 80 }],
+      statement.consumption.map(day => [day.date, day.units.toFixed(2)])
+    );
+  }
+
+  if (statement.other_entries.length > 0) {
+    doc.gap().text('Other entries', { bold: true, size: 12 });
+    doc.table(
+      [{ label: 'Date', width: 100 }, { label: 'Type', width: 100 }, { label: 'Units', width: 60 }, { label: 'Description', width: 235 }],
+      statement.other_entries.map(entry => [
+        formatLocal(entry.date).slice(0, 16),
+        entry.source,
+        `${entry.units >= 0 ? '+' : ''}${entry.units.toFixed(2)}`,
+        (entry.description || entry.reference || '').slice(0, 60)
+      ])
+    );
+  }
+  return doc.toBuffer();
+}
+
+// Quote a CSV cell; strings that a spreadsheet would run as a formula are prefixed with '
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a statement as CSV, one line per purchase, day of consumption or other entry
+ * @param {Object} statement - From getStatement()
+ * @returns {string} CSV with a header row
+ */
+function renderStatementCsv(statement) {
+  const rows = [
+    ['section', 'date', 'description', 'reference', 'amount_ksh', 'units'],
+    ['OPENING_BALANCE', statement.from, null, null, null, statement.opening_balance],
+    ...statement.purchases.map(purchase => [
+      'PURCHASE', purchase.date, purchase.token ? `Token ${formatToken(purchase.token)}` : null,
+      purchase.mpesa_receipt || purchase.transaction_id, purchase.amount, purchase.units
+    ]),
+    ...statement.consumption.map(day => ['CONSUMPTION', day.date, null, null, null, -day.units]),
+    ...statement.other_entries.map(entry => [entry.source, entry.date, entry.description, entry.reference, null, entry.units]),
+    ['CLOSING_BALANCE', statement.to, null, null, null, statement.closing_balance]
+  ];
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  STATEMENT_FORMATS,
+  getReceipt,
+  renderReceiptPdf,
+  validateStatementQuery,
+  getStatement,
+  renderStatementPdf,
+  renderStatementCsv
+};
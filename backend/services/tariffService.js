@@ -0,0 +1,285 @@
+// services/tariffService.js
+const { db } = require('../storage');
+const userRepo = require('../repositories/usersRepository');
+const { ownedSince } = require('./ownershipService');
+
+/*
+ * Tariff versions live under tariffs/<id>:
+ *
+ * {
+ *   name: 'Domestic 2026',
+ *   effective_from: '2026-07-01T00:00:00.000Z',
+ *   bands: [                              // monthly consumption blocks, cheapest first
+ *     { name: 'Lifeline', up_to: 30, rate: 12.23 },
+ *     { name: 'Ordinary', up_to: 100, rate: 16.3 },
+ *     { name: 'High', up_to: null, rate: 19.08 }
+ *   ],
+ *   fixed_charge: 0,                      // KES per purchase
+ *   fuel_cost_per_unit: 3.6,              // KES per unit
+ *   erc_levy_per_unit: 0.08,              // KES per unit
+ *   rep_levy_rate: 0.05,                  // share of the energy charge
+ *   vat_rate: 0.16                        // on energy, fuel and fixed charges
+ * }
+ *
+ * The version with the latest effective_from that is not in the future applies.
+ */
+
+// Months follow Nairobi local time (UTC+3, no daylight saving), like statements
+const UTC_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+// Used until a tariff is stored: the original flat rate of 1 unit = KSH 25
+const DEFAULT_TARIFF = {
+  id: 'default',
+  name: 'Flat rate',
+  effective_from: '1970-01-01T00:00:00.000Z',
+  bands: [{ name: 'Flat', up_to: null, rate: 25 }],
+  fixed_charge: 0,
+  fuel_cost_per_unit: 0,
+  erc_levy_per_unit: 0,
+  rep_levy_rate: 0,
+  vat_rate: 0
+};
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function floor2(x) {
+  // Guard against 0.29999999 style float error before flooring
+  return Math.floor(round2(x * 100)) / 100;
+}
+
+/**
+ * Validate a tariff definition
+ * @param {Object} tariff - Tariff fields
+ * @returns {string[]} List of problems (empty if valid)
+ */
+function validateTariff(tariff) {
+  const errors = [];
+  if (!tariff || typeof tariff !== 'object') return ['Tariff must be an object'];
+
+  if (!tariff.name) errors.push('name is required');
+  if (!tariff.effective_from || Number.isNaN(new Date(tariff.effective_from).getTime())) {
+    errors.push('effective_from must be a valid date');
+  }
+
+  if (!Array.isArray(tariff.bands) || tariff.bands.length === 0) {
+    errors.push('bands must be a non-empty array');
+  } else {
+    let previous = 0;
+    tariff.bands.forEach((band, index) => {
+      const isLast = index === tariff.bands.length - 1;
+      if (!(Number(band.rate) > 0)) errors.push(`bands[${index}].rate must be a positive number`);
+      if (isLast) {
+        if (band.up_to !== null && band.up_to !== undefined) errors.push('the last band must be open-ended (up_to: null)');
+      } else if (!(Number(band.up_to) > previous)) {
+        errors.push(`bands[${index}].up_to must be greater than the previous band`);
+      } else {
+        previous = Number(band.up_to);
+      }
+    });
+  }
+
+  ['fixed_charge', 'fuel_cost_per_unit', 'erc_levy_per_unit', 'rep_levy_rate', 'vat_rate'].forEach(field => {
+    if (tariff[field] !== undefined && !(Number(tariff[field]) >= 0)) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Split a purchase amount into units and charges under a tariff
+ * @param {number} amount - Gross amount paid in KES
+ * @param {Object} tariff - Tariff version
+ * @param {number} [monthToDateUnits] - Units already bought this month (decides the starting band)
+ * @returns {Object} { units, remainder, bands: [...], breakdown: {...} }
+ */
+function calculatePurchase(amount, tariff = DEFAULT_TARIFF, monthToDateUnits = 0) {
+  const gross = parseFloat(amount) || 0;
+  const vatRate = Number(tariff.vat_rate) || 0;
+  const repRate = Number(tariff.rep_levy_rate) || 0;
+  const fuel = Number(tariff.fuel_cost_per_unit) || 0;
+  const erc = Number(tariff.erc_levy_per_unit) || 0;
+  const fixedCharge = Math.min(Number(tariff.fixed_charge) || 0, gross / (1 + vatRate));
+
+  // Fixed charges (plus their VAT) come off the top
+  let available = gross - fixedCharge * (1 + vatRate);
+  let position = Math.max(0, Number(monthToDateUnits) || 0);
+  let units = 0;
+  const bands = [];
+
+  let bandStart = 0;
+  for (const band of tariff.bands) {
+    const bandEnd = band.up_to === null || band.up_to === undefined ? Infinity : Number(band.up_to);
+    if (position < bandEnd && available > 0) {
+      const rate = Number(band.rate);
+      // All-in price of one unit in this band
+      const unitCost = rate * (1 + repRate + vatRate) + fuel * (1 + vatRate) + erc;
+      const room = bandEnd - position;
+      const bandUnits = Math.min(room, floor2(available / unitCost));
+
+      if (bandUnits > 0) {
+        bands.push({ name: band.name || `Band ${bands.length + 1}`, from: bandStart, up_to: band.up_to ?? null, rate, units: round2(bandUnits) });
+        units += bandUnits;
+        position += bandUnits;
+        available -= bandUnits * unitCost;
+      }
+      if (bandUnits < room) break;
+    }
+    bandStart = bandEnd;
+  }
+
+  units = round2(units);
+  const energyCharge = bands.reduce((sum, band) => sum + band.units * band.rate, 0);
+  const fuelCharge = units * fuel;
+  const ercLevy = units * erc;
+  const repLevy = energyCharge * repRate;
+  const vat = (energyCharge + fuelCharge + fixedCharge) * vatRate;
+  const total = energyCharge + fuelCharge + ercLevy + repLevy + fixedCharge + vat;
+
+  return {
+    units,
+    remainder: round2(Math.max(0, gross - total)),
+    bands: bands.map(band => ({ ...band, amount: round2(band.units * band.rate) })),
+    breakdown: {
+      energy_charge: round2(energyCharge),
+      fuel_charge: round2(fuelCharge),
+      erc_levy: round2(ercLevy),
+      rep_levy: round2(repLevy),
+      fixed_charge: round2(fixedCharge),
+      vat: round2(vat),
+      total: round2(total)
+    }
+  };
+}
+
+/**
+ * Get the tariff version in force at a point in time
+ * @param {Date} [at] - Defaults to now
+ * @returns {Promise<Object>} Tariff (DEFAULT_TARIFF when none is stored)
+ */
+async function getActiveTariff(at = new Date()) {
+  const snap = await db.ref('tariffs')
+    .orderByChild('effective_from')
+    .endAt(at.toISOString())
+    .limitToLast(1)
+    .once('value');
+
+  if (!snap.exists()) return DEFAULT_TARIFF;
+  const [id, tariff] = Object.entries(snap.val())[0];
+  return { id, ...tariff };
+}
+
+/**
+ * List all tariff versions, newest first
+ * @returns {Promise<Object[]>} Tariff versions
+ */
+async function listTariffs() {
+  const snap = await db.ref('tariffs').orderByChild('effective_from').once('value');
+  const tariffs = [];
+  snap.forEach(child => { tariffs.push({ id: child.key, ...child.val() }); });
+  return tariffs.reverse();
+}
+
+/**
+ * Store a new tariff version
+ * @param {Object} tariff - Tariff fields (see validateTariff)
+ * @returns {Promise<Object>} The stored tariff with its id
+ */
+async function createTariff(tariff) {
+  const errors = validateTariff(tariff);
+  if (errors.length > 0) {
+    throw new Error(`Invalid tariff: ${errors.join('; ')}`);
+  }
+
+  const record = {
+    name: String(tariff.name).trim(),
+    effective_from: new Date(tariff.effective_from).toISOString(),
+    bands: tariff.bands.map(band => ({
+      name: band.name || null,
+      up_to: band.up_to === undefined || band.up_to === null ? null : Number(band.up_to),
+      rate: Number(band.rate)
+    })),
+    fixed_charge: Number(tariff.fixed_charge) || 0,
+    fuel_cost_per_unit: Number(tariff.fuel_cost_per_unit) || 0,
+    erc_levy_per_unit: Number(tariff.erc_levy_per_unit) || 0,
+    rep_levy_rate: Number(tariff.rep_levy_rate) || 0,
+    vat_rate: Number(tariff.vat_rate) || 0,
+    created_at: new Date().toISOString()
+  };
+
+  const ref = db.ref('tariffs').push();
+  await ref.set(record);
+  console.log(`Created tariff ${ref.key} (${record.name}) effective ${record.effective_from}`);
+  return { id: ref.key, ...record };
+}
+
+/**
+ * Units the meter's current owner has bought for it so far this calendar month
+ * (Nairobi time), which decides the band a purchase starts in. A previous
+ * tenant's purchases do not count.
+ * @param {string} meterNo - The meter number
+ * @param {Date} [at] - Defaults to now
+ * @returns {Promise<number>} Units purchased this month
+ */
+async function getMonthToDateUnits(meterNo, at = new Date()) {
+  // Required here: transactions.js requires this module
+  const { normalizeStatus, TRANSACTION_STATUS } = require('../transactions');
+
+  const local = new Date(at.getTime() + UTC_OFFSET_MS);
+  const monthStart = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1) - UTC_OFFSET_MS;
+  const ownerId = await userRepo.findUserIdByMeter(meterNo);
+  const since = ownerId ? await ownedSince(meterNo, ownerId) : null;
+  const from = Math.max(monthStart, since || 0);
+
+  const snap = await db.ref('transactions').orderByChild('meter_no').equalTo(meterNo).once('value');
+  if (!snap.exists()) return 0;
+
+  const total = Object.values(snap.val()).reduce((sum, transaction) => {
+    const time = new Date(transaction.timestamp).getTime();
+    if (normalizeStatus(transaction.status) === TRANSACTION_STATUS.SUCCESS && time >= from && time <= at.getTime()) {
+      return sum + (parseFloat(transaction.units) || 0);
+    }
+    return sum;
+  }, 0);
+  return round2(total);
+}
+
+/**
+ * Quote a purchase for a meter under the tariff in force now
+ * @param {string} meterNo - The meter number
+ * @param {number} amount - Gross amount in KES
+ * @returns {Promise<Object>} Quote with units, remainder, band split, charge breakdown and tariff
+ */
+async function quotePurchase(meterNo, amount) {
+  const [tariff, monthToDateUnits] = await Promise.all([
+    getActiveTariff(),
+    getMonthToDateUnits(meterNo)
+  ]);
+  const purchase = calculatePurchase(amount, tariff, monthToDateUnits);
+
+  return {
+    meter_no: meterNo,
+    amount: round2(parseFloat(amount) || 0),
+    ...purchase,
+    month_to_date_units: monthToDateUnits,
+    tariff: {
+      id: tariff.id,
+      name: tariff.name,
+      effective_from: tariff.effective_from
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_TARIFF,
+  validateTariff,
+  calculatePurchase,
+  getActiveTariff,
+  listTariffs,
+  createTariff,
+  getMonthToDateUnits,
+  quotePurchase
+};
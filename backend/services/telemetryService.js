@@ -0,0 +1,474 @@
+// services/telemetryService.js
+const { db } = require('../storage');
+
+/*
+ * Electrical telemetry and health reported by the ESP32.
+ *
+ *   telemetry/<meterNo>/raw/<ms>        { voltage, current, power_factor, power, timestamp }
+ *   telemetry/<meterNo>/hourly/<hour>   { count, voltage: { min, max, sum, count }, ... }
+ *   meters/<meterNo>/health             { last_seen, firmware, rssi, uptime_seconds, last_reading }
+ *   meter_events/<id>                   tamper, anomaly and register events for operators
+ *
+ * Raw readings are keyed by their timestamp, so a batch the device sends
+ * again overwrites itself instead of counting twice. Once older than
+ * TELEMETRY_RAW_RETENTION_HOURS they are folded into hourly summaries (UTC
+ * hours) by the telemetry worker, which also drops summaries older than
+ * TELEMETRY_HOURLY_RETENTION_DAYS. Queries merge both, so the caller always
+ * gets hourly buckets.
+ *
+ * Anomalies are checked per batch: a voltage outside TELEMETRY_VOLTAGE_MIN..MAX,
+ * a current above TELEMETRY_MAX_CURRENT or a power factor below
+ * TELEMETRY_MIN_POWER_FACTOR raises one event per kind, at most once every
+ * TELEMETRY_EVENT_COOLDOWN_MINUTES. Tamper reports always raise an event.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const METRICS = ['voltage', 'current', 'power_factor', 'power'];
+const TAMPER_TYPES = ['COVER_OPEN', 'MAGNET'];
+const MAX_BATCH = 500;
+// Devices may be a little ahead of us; anything further is a broken clock
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+function limits() {
+  return {
+    voltageMin: parseFloat(process.env.TELEMETRY_VOLTAGE_MIN || '216'),
+    voltageMax: parseFloat(process.env.TELEMETRY_VOLTAGE_MAX || '264'),
+    maxCurrent: parseFloat(process.env.TELEMETRY_MAX_CURRENT || '60'),
+    minPowerFactor: parseFloat(process.env.TELEMETRY_MIN_POWER_FACTOR || '0.5')
+  };
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function readingKey(ms) {
+  return String(ms).padStart(13, '0');
+}
+
+// UTC hour holding ms, e.g. 2026-01-05T14
+function hourKey(ms) {
+  return new Date(ms).toISOString().slice(0, 13);
+}
+
+// Unix seconds (what the firmware sends) or an ISO date
+function toMillis(value) {
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+  if (typeof value === 'string' && value) return new Date(value).getTime();
+  return NaN;
+}
+
+/**
+ * Check and normalise a telemetry batch
+ * @param {Object} body - { readings, events, status }
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} { errors, batch } - batch is { readings, events, status } when there are no errors
+ */
+function validateBatch(body, now = Date.now()) {
+  const errors = [];
+  if (!body || typeof body !== 'object') return { errors: ['Body must be an object'], batch: null };
+
+  const readings = body.readings === undefined ? [] : body.readings;
+  const events = body.events === undefined ? [] : body.events;
+  if (!Array.isArray(readings)) errors.push('readings must be an array');
+  if (!Array.isArray(events)) errors.push('events must be an array');
+  if (errors.length) return { errors, batch: null };
+  if (readings.length + events.length > MAX_BATCH) {
+    return { errors: [`A batch may hold at most ${MAX_BATCH} readings and events`], batch: null };
+  }
+
+  const checkTime = (value, label) => {
+    const ms = toMillis(value);
+    if (Number.isNaN(ms)) {
+      errors.push(`${label}.timestamp must be unix seconds or an ISO date`);
+    } else if (ms > now + FUTURE_TOLERANCE_MS) {
+      errors.push(`${label}.timestamp is in the future`);
+    }
+    return ms;
+  };
+
+  const cleanReadings = readings.map((reading, i) => {
+    const label = `readings[${i}]`;
+    if (!reading || typeof reading !== 'object') {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+    const timestamp = checkTime(reading.timestamp, label);
+    const clean = { timestamp };
+    METRICS.forEach(metric => {
+      if (reading[metric] === undefined || reading[metric] === null) return;
+      if (typeof reading[metric] !== 'number' || !Number.isFinite(reading[metric]) || reading[metric] < 0) {
+        errors.push(`${label}.${metric} must be a non-negative number`);
+      } else {
+        clean[metric] = reading[metric];
+      }
+    });
+    if (clean.power_factor > 1) errors.push(`${label}.power_factor must be between 0 and 1`);
+    if (!METRICS.some(metric => clean[metric] !== undefined)) {
+      errors.push(`${label} has no measurements`);
+    }
+    // Active power in watts, when the device did not send it
+    if (clean.power === undefined && clean.voltage !== undefined && clean.current !== undefined) {
+      clean.power = round2(clean.voltage * clean.current * (clean.power_factor ?? 1));
+    }
+    return clean;
+  });
+
+  const cleanEvents = events.map((event, i) => {
+    const label = `events[${i}]`;
+    if (!event || typeof event !== 'object') {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+    if (!TAMPER_TYPES.includes(event.type)) {
+      errors.push(`${label}.type must be one of ${TAMPER_TYPES.join(', ')}`);
+    }
+    const timestamp = checkTime(event.timestamp, label);
+    return { type: event.type, timestamp, detail: event.detail ? String(event.detail).slice(0, 200) : null };
+  });
+
+  let status = null;
+  if (body.status !== undefined) {
+    const { firmware, rssi, uptime_seconds: uptime } = body.status || {};
+    if (firmware !== undefined && typeof firmware !== 'string') errors.push('status.firmware must be a string');
+    if (rssi !== undefined && typeof rssi !== 'number') errors.push('status.rssi must be a number (dBm)');
+    if (uptime !== undefined && typeof uptime !== 'number') errors.push('status.uptime_seconds must be a number');
+    status = { firmware: firmware ?? null, rssi: rssi ?? null, uptime_seconds: uptime ?? null };
+  }
+
+  return {
+    errors,
+    batch: errors.length ? null : { readings: cleanReadings, events: cleanEvents, status }
+  };
+}
+
+// Readings of a batch that break a limit, grouped by kind
+function findAnomalies(readings) {
+  const { voltageMin, voltageMax, maxCurrent, minPowerFactor } = limits();
+  const rules = [
+    { type: 'UNDER_VOLTAGE', metric: 'voltage', test: v => v < voltageMin, worst: Math.min, limit: voltageMin },
+    { type: 'OVER_VOLTAGE', metric: 'voltage', test: v => v > voltageMax, worst: Math.max, limit: voltageMax },
+    { type: 'OVER_CURRENT', metric: 'current', test: v => v > maxCurrent, worst: Math.max, limit: maxCurrent },
+    { type: 'LOW_POWER_FACTOR', metric: 'power_factor', test: v => v < minPowerFactor, worst: Math.min, limit: minPowerFactor }
+  ];
+
+  return rules
+    .map(rule => {
+      const hits = readings.filter(reading => reading[rule.metric] !== undefined && rule.test(reading[rule.metric]));
+      if (hits.length === 0) return null;
+      return {
+        type: rule.type,
+        metric: rule.metric,
+        limit: rule.limit,
+        value: rule.worst(...hits.map(reading => reading[rule.metric])),
+        readings: hits.length,
+        timestamp: Math.min(...hits.map(reading => reading.timestamp))
+      };
+    })
+    .filter(Boolean);
+}
+
+function describeEvent(type, detail) {
+  switch (type) {
+    case 'COVER_OPEN': return 'Meter cover opened';
+    case 'MAGNET': return 'Magnetic interference detected';
+    case 'METER_REPLACED': return `Register replaced: ${detail.previous_register_id} at ${detail.previous_kwh} kWh, now ${detail.register_id} at ${detail.register_kwh} kWh`;
+    case 'REGISTER_DECREASE': return `Register went back from ${detail.previous_kwh} to ${detail.register_kwh} kWh`;
+    default: return `${type.replace(/_/g, ' ').toLowerCase().replace(/^./, c => c.toUpperCase())}: ${detail.metric} ${detail.value} (limit ${detail.limit}) in ${detail.readings} reading${detail.readings === 1 ? '' : 's'}`;
+  }
+}
+
+/**
+ * Raise an event for operators, unless one of the same kind is still cooling down
+ * @returns {Promise<Object|null>} The event (with id), or null when suppressed
+ */
+async function raiseEvent(meterNo, category, type, occurredAt, detail = {}) {
+  const now = Date.now();
+  const cooldownMs = parseFloat(process.env.TELEMETRY_EVENT_COOLDOWN_MINUTES || '60') * 60 * 1000;
+
+  if (category === 'ANOMALY') {
+    // Claimed in a transaction so concurrent batches raise one event
+    const claim = await db.ref(`meters/${meterNo}/health/last_events/${type}`).transaction(last => {
+      if (last && now - Date.parse(last) < cooldownMs) return; // abort: still cooling down
+      return new Date(now).toISOString();
+    });
+    if (!claim.committed) return null;
+  }
+
+  const ref = db.ref('meter_events').push();
+  const event = {
+    meter_no: meterNo,
+    category,
+    type,
+    severity: category === 'TAMPER' ? 'HIGH' : 'MEDIUM',
+    message: describeEvent(type, detail),
+    detail,
+    occurred_at: new Date(occurredAt).toISOString(),
+    created_at: new Date(now).toISOString(),
+    acknowledged_at: null,
+    acknowledged_by: null
+  };
+  await ref.set(event);
+  console.warn(`Meter ${meterNo}: ${event.message}`);
+  return { id: ref.key, ...event };
+}
+
+/**
+ * Store a telemetry batch from a meter (validate with validateBatch first)
+ * @param {string} meterNo - The meter number
+ * @param {Object} batch - From validateBatch()
+ * @returns {Promise<Object>} { accepted, events } - events raised by this batch
+ */
+async function ingestTelemetry(meterNo, { readings, events, status }) {
+  const updates = {};
+  readings.forEach(reading => {
+    updates[`telemetry/${meterNo}/raw/${readingKey(reading.timestamp)}`] = reading;
+  });
+
+  const latest = readings.reduce((last, reading) => (!last || reading.timestamp > last.timestamp ? reading : last), null);
+  if (latest) {
+    const lastSnap = await db.ref(`meters/${meterNo}/health/last_reading/timestamp`).once('value');
+    if (!lastSnap.exists() || latest.timestamp >= Date.parse(lastSnap.val())) {
+      updates[`meters/${meterNo}/health/last_reading`] = { ...latest, timestamp: new Date(latest.timestamp).toISOString() };
+    }
+  }
+  if (status) {
+    Object.entries(status).forEach(([field, value]) => {
+      if (value !== null) updates[`meters/${meterNo}/health/${field}`] = value;
+    });
+  }
+  if (Object.keys(updates).length) await db.ref().update(updates);
+
+  const raised = [];
+  for (const event of events) {
+    raised.push(await raiseEvent(meterNo, 'TAMPER', event.type, event.timestamp, { detail: event.detail }));
+  }
+  for (const anomaly of findAnomalies(readings)) {
+    const { type, timestamp, ...detail } = anomaly;
+    const event = await raiseEvent(meterNo, 'ANOMALY', type, timestamp, detail);
+    if (event) raised.push(event);
+  }
+
+  return { accepted: readings.length, events: raised };
+}
+
+function emptySummary() {
+  return { count: 0 };
+}
+
+// Fold readings into an hourly summary (mutates summary)
+function addToSummary(summary, reading) {
+  summary.count = (summary.count || 0) + 1;
+  METRICS.forEach(metric => {
+    const value = reading[metric];
+    if (value === undefined) return;
+    const stat = summary[metric] || { min: value, max: value, sum: 0, count: 0 };
+    summary[metric] = {
+      min: Math.min(stat.min, value),
+      max: Math.max(stat.max, value),
+      sum: stat.sum + value,
+      count: stat.count + 1
+    };
+  });
+  return summary;
+}
+
+function mergeSummaries(a, b) {
+  const merged = { count: (a.count || 0) + (b.count || 0) };
+  METRICS.forEach(metric => {
+    const x = a[metric];
+    const y = b[metric];
+    if (!x || !y) {
+      if (x || y) merged[metric] = { ...(x || y) };
+      return;
+    }
+    merged[metric] = { min: Math.min(x.min, y.min), max: Math.max(x.max, y.max), sum: x.sum + y.sum, count: x.count + y.count };
+  });
+  return merged;
+}
+
+/**
+ * Hourly telemetry of a meter
+ * @param {string} meterNo - The meter number
+ * @param {Object} range
+ * @param {number} range.from - Start, in milliseconds (inclusive)
+ * @param {number} range.to - End, in milliseconds (exclusive)
+ * @returns {Promise<Object>} { meter_no, from, to, series: [{ hour, count, voltage: { min, max, avg }, ... }] }
+ */
+async function getTelemetry(meterNo, { from, to }) {
+  const [hourlySnap, rawSnap] = await Promise.all([
+    db.ref(`telemetry/${meterNo}/hourly`).orderByKey().startAt(hourKey(from)).endAt(hourKey(to - 1)).once('value'),
+    db.ref(`telemetry/${meterNo}/raw`).orderByKey().startAt(readingKey(from)).endAt(readingKey(to - 1)).once('value')
+  ]);
+
+  const hours = { ...(hourlySnap.val() || {}) };
+  const recent = {};
+  Object.values(rawSnap.val() || {}).forEach(reading => {
+    const hour = hourKey(reading.timestamp);
+    recent[hour] = addToSummary(recent[hour] || emptySummary(), reading);
+  });
+  Object.entries(recent).forEach(([hour, summary]) => {
+    hours[hour] = hours[hour] ? mergeSummaries(hours[hour], summary) : summary;
+  });
+
+  const series = Object.keys(hours).sort().map(hour => {
+    const point = { hour: `${hour}:00:00.000Z`, count: hours[hour].count };
+    METRICS.forEach(metric => {
+      const stat = hours[hour][metric];
+      point[metric] = stat ? { min: round2(stat.min), max: round2(stat.max), avg: round2(stat.sum / stat.count) } : null;
+    });
+    return point;
+  });
+
+  return { meter_no: meterNo, from: new Date(from).toISOString(), to: new Date(to).toISOString(), series };
+}
+
+/**
+ * Fold raw readings past their retention into hourly summaries and drop old summaries
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<Object>} { meters, rolled_up, pruned_hours }
+ */
+async function compactTelemetry(now = Date.now()) {
+  const rawCutoff = now - parseFloat(process.env.TELEMETRY_RAW_RETENTION_HOURS || '48') * HOUR_MS;
+  const hourlyCutoff = now - parseFloat(process.env.TELEMETRY_HOURLY_RETENTION_DAYS || '90') * 24 * HOUR_MS;
+  // Whole hours only, so an hour is never split between raw and summary
+  const rollUpBefore = Math.floor(rawCutoff / HOUR_MS) * HOUR_MS;
+
+  const metersSnap = await db.ref('telemetry').orderByKey().once('value');
+  const meterNos = Object.keys(metersSnap.val() || {});
+  let rolledUp = 0;
+  let prunedHours = 0;
+
+  for (const meterNo of meterNos) {
+    const oldSnap = await db.ref(`telemetry/${meterNo}/raw`).orderByKey().endAt(readingKey(rollUpBefore - 1)).once('value');
+    const old = oldSnap.val() || {};
+    const updates = {};
+
+    const byHour = {};
+    Object.entries(old).forEach(([key, reading]) => {
+      updates[`raw/${key}`] = null;
+      // Too old to keep even as a summary
+      if (reading.timestamp < hourlyCutoff) return;
+      const hour = hourKey(reading.timestamp);
+      byHour[hour] = addToSummary(byHour[hour] || emptySummary(), reading);
+      rolledUp++;
+    });
+    for (const [hour, summary] of Object.entries(byHour)) {
+      const existing = (await db.ref(`telemetry/${meterNo}/hourly/${hour}`).once('value')).val();
+      updates[`hourly/${hour}`] = existing ? mergeSummaries(existing, summary) : summary;
+    }
+
+    const expiredSnap = await db.ref(`telemetry/${meterNo}/hourly`).orderByKey().endAt(hourKey(hourlyCutoff - HOUR_MS)).once('value');
+    Object.keys(expiredSnap.val() || {}).forEach(hour => {
+      updates[`hourly/${hour}`] = null;
+      prunedHours++;
+    });
+
+    // Summaries and the raw readings they replace are written together, so a crash cannot count a reading twice
+    if (Object.keys(updates).length) await db.ref(`telemetry/${meterNo}`).update(updates);
+  }
+
+  if (rolledUp || prunedHours) {
+    console.log(`Compacted telemetry: ${rolledUp} readings rolled up, ${prunedHours} hourly summaries dropped`);
+  }
+  return { meters: meterNos.length, rolled_up: rolledUp, pruned_hours: prunedHours };
+}
+
+/**
+ * Periodically run compactTelemetry()
+ * @param {number} intervalMs - Time between runs
+ * @returns {Object} The interval timer
+ */
+function startTelemetryWorker(intervalMs) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await compactTelemetry();
+    } catch (err) {
+      console.error('Telemetry compaction failed:', err.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * A meter's health: when it last reported, its firmware, signal and latest reading
+ * @param {string} meterNo - The meter number
+ * @returns {Promise<Object>} { meter_no, online, last_seen, firmware, rssi, uptime_seconds, last_reading, open_events }
+ */
+async function getMeterHealth(meterNo) {
+  const [healthSnap, events] = await Promise.all([
+    db.ref(`meters/${meterNo}/health`).once('value'),
+    listEvents({ meterNo, open: true })
+  ]);
+  const { last_events: lastEvents, ...health } = healthSnap.val() || {};
+  const offlineMs = parseFloat(process.env.TELEMETRY_OFFLINE_MINUTES || '15') * 60 * 1000;
+
+  return {
+    meter_no: meterNo,
+    online: Boolean(health.last_seen) && Date.now() - Date.parse(health.last_seen) < offlineMs,
+    last_seen: health.last_seen || null,
+    firmware: health.firmware || null,
+    rssi: health.rssi ?? null,
+    uptime_seconds: health.uptime_seconds ?? null,
+    last_reading: health.last_reading || null,
+    open_events: events
+  };
+}
+
+/**
+ * Tamper and anomaly events, newest first
+ * @param {Object} [options]
+ * @param {string} [options.meterNo] - Only this meter's events
+ * @param {boolean} [options.open] - Only events nobody has acknowledged
+ * @param {number} [options.limit] - Maximum number returned
+ * @returns {Promise<Object[]>} Events (with id)
+ */
+async function listEvents({ meterNo = null, open = false, limit = 100 } = {}) {
+  const query = meterNo
+    ? db.ref('meter_events').orderByChild('meter_no').equalTo(meterNo)
+    : db.ref('meter_events').orderByKey();
+  const snap = await query.once('value');
+
+  return Object.entries(snap.val() || {})
+    .map(([id, event]) => ({ id, ...event }))
+    .filter(event => !open || !event.acknowledged_at)
+    .sort((a, b) => b.id.localeCompare(a.id))
+    .slice(0, limit);
+}
+
+/**
+ * Mark an event as handled
+ * @param {string} eventId - The event ID
+ * @param {string} actorId - Who handled it
+ * @param {string} [note] - What was done
+ * @returns {Promise<Object|null>} The event, or null when it does not exist
+ */
+async function acknowledgeEvent(eventId, actorId, note = null) {
+  const ref = db.ref(`meter_events/${eventId}`);
+  const snap = await ref.once('value');
+  if (!snap.exists()) return null;
+  if (!snap.val().acknowledged_at) {
+    await ref.update({ acknowledged_at: new Date().toISOString(), acknowledged_by: actorId, note });
+  }
+  return { id: eventId, ...(await ref.once('value')).val() };
+}
+
+module.exports = {
+  TAMPER_TYPES,
+  MAX_BATCH,
+  validateBatch,
+  ingestTelemetry,
+  getTelemetry,
+  compactTelemetry,
+  startTelemetryWorker,
+  raiseEvent,
+  getMeterHealth,
+  listEvents,
+  acknowledgeEvent
+};
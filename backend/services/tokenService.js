@@ -0,0 +1,254 @@
+// services/tokenService.js
+const crypto = require('crypto');
+const { db } = require('../storage');
+
+/*
+ * 20-digit prepaid token layout (66 bits, STS-style):
+ *
+ *   [ sequence:16 | units:20 | expiry:14 ] (50-bit payload, masked) [ mac:16 ]
+ *
+ * - sequence: per-meter token counter (mod 65536)
+ * - units:    units in hundredths (max 10485.75)
+ * - expiry:   days since TOKEN_EPOCH after which the token is rejected
+ * - mac:      truncated HMAC over meter number + payload with the meter's key
+ *
+ * The payload is XOR-masked with a keystream derived from the mac so tokens
+ * look random on the keypad, and only the meter holding the key can decode them.
+ */
+const SEQUENCE_BITS = 16n;
+const UNITS_BITS = 20n;
+const EXPIRY_BITS = 14n;
+const MAC_BITS = 16n;
+const PAYLOAD_BITS = SEQUENCE_BITS + UNITS_BITS + EXPIRY_BITS;
+
+const TOKEN_EPOCH = Date.UTC(2020, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_UNITS = Number((1n << UNITS_BITS) - 1n) / 100;
+
+const TOKEN_VALIDITY_DAYS = parseInt(process.env.TOKEN_VALIDITY_DAYS || '90', 10);
+
+function mask(bits) {
+  return (1n << bits) - 1n;
+}
+
+/**
+ * Derive the per-meter token key from the vending key
+ * @param {string} meterNo - The meter number
+ * @returns {Buffer} 32-byte meter key
+ */
+function deriveMeterKey(meterNo) {
+  const vendingKey = process.env.TOKEN_VENDING_KEY;
+  if (!vendingKey) {
+    throw new Error('TOKEN_VENDING_KEY is not defined in .env');
+  }
+  return crypto.createHmac('sha256', vendingKey).update(`meter:${meterNo}`).digest();
+}
+
+function computeMac(meterKey, meterNo, payload) {
+  const digest = crypto.createHmac('sha256', meterKey).update(`${meterNo}:${payload.toString()}`).digest();
+  return BigInt(digest.readUInt16BE(0));
+}
+
+function computeMask(meterKey, mac) {
+  const digest = crypto.createHmac('sha256', meterKey).update(`mask:${mac.toString()}`).digest();
+  return BigInt(`0x${digest.subarray(0, 8).toString('hex')}`) & mask(PAYLOAD_BITS);
+}
+
+/**
+ * Encode a 20-digit token for a meter
+ * @param {Object} params
+ * @param {string} params.meterNo - The meter number the token is valid for
+ * @param {number} params.sequence - Per-meter token sequence number
+ * @param {number} params.units - Units to credit (2 decimal places)
+ * @param {Date} params.expiresAt - Date after which the token is rejected
+ * @returns {string} 20-digit token
+ */
+function encodeToken({ meterNo, sequence, units, expiresAt }) {
+  const centiUnits = Math.round(parseFloat(units) * 100);
+  if (!Number.isFinite(centiUnits) || centiUnits <= 0 || centiUnits > Number(mask(UNITS_BITS))) {
+    throw new Error(`Units must be between 0.01 and ${MAX_UNITS}`);
+  }
+
+  const expiryDays = Math.floor((expiresAt.getTime() - TOKEN_EPOCH) / DAY_MS);
+  if (expiryDays < 0 || expiryDays > Number(mask(EXPIRY_BITS))) {
+    throw new Error('Token expiry is out of range');
+  }
+
+  const payload = ((BigInt(sequence) & mask(SEQUENCE_BITS)) << (UNITS_BITS + EXPIRY_BITS))
+    | (BigInt(centiUnits) << EXPIRY_BITS)
+    | BigInt(expiryDays);
+
+  const meterKey = deriveMeterKey(meterNo);
+  const mac = computeMac(meterKey, meterNo, payload);
+  const token = ((payload ^ computeMask(meterKey, mac)) << MAC_BITS) | mac;
+
+  return token.toString().padStart(20, '0');
+}
+
+/**
+ * Decode and verify a 20-digit token for a meter
+ * @param {string} meterNo - The meter number redeeming the token
+ * @param {string} token - The token (spaces and dashes are ignored)
+ * @returns {Object|null} { sequence, units, expiresAt } or null if the token is not valid for this meter
+ */
+function decodeToken(meterNo, token) {
+  const digits = String(token || '').replace(/[\s-]/g, '');
+  if (!/^\d{20}$/.test(digits)) {
+    return null;
+  }
+
+  const value = BigInt(digits);
+  if (value >> (PAYLOAD_BITS + MAC_BITS) !== 0n) {
+    return null;
+  }
+
+  const meterKey = deriveMeterKey(meterNo);
+  const mac = value & mask(MAC_BITS);
+  const payload = (value >> MAC_BITS) ^ computeMask(meterKey, mac);
+
+  if (computeMac(meterKey, meterNo, payload) !== mac) {
+    return null;
+  }
+
+  const expiryDays = Number(payload & mask(EXPIRY_BITS));
+  return {
+    sequence: Number(payload >> (UNITS_BITS + EXPIRY_BITS)),
+    units: Number((payload >> EXPIRY_BITS) & mask(UNITS_BITS)) / 100,
+    // A token stays valid until the end of its expiry day
+    expiresAt: new Date(TOKEN_EPOCH + (expiryDays + 1) * DAY_MS)
+  };
+}
+
+/**
+ * Issue a token for a transaction and store it under the transaction and the meter's token index
+ * @param {Object} params
+ * @param {string} params.meterNo - The meter number
+ * @param {number} params.units - Units to credit
+ * @param {string} params.transactionId - The transaction the token is issued for
+ * @param {string} [params.status] - Initial token status (ISSUED, or REDEEMED when already credited)
+ * @returns {Promise<Object>} { token, sequence, expires_at }
+ */
+async function issueToken({ meterNo, units, transactionId, status = 'ISSUED' }) {
+  const sequenceResult = await db.ref(`meters/${meterNo}/token_sequence`).transaction(current => {
+    return (Number(current) || 0) + 1;
+  });
+  if (!sequenceResult.committed) throw new Error('Failed to allocate token sequence');
+
+  const sequence = sequenceResult.snapshot.val();
+  const expiresAt = new Date(Date.now() + TOKEN_VALIDITY_DAYS * DAY_MS);
+  const token = encodeToken({ meterNo, sequence, units, expiresAt });
+  const issuedAt = new Date().toISOString();
+
+  await db.ref(`tokens/${meterNo}/${token}`).set({
+    transaction_id: transactionId,
+    meter_no: meterNo,
+    sequence,
+    units,
+    status,
+    issued_at: issuedAt,
+    expires_at: expiresAt.toISOString(),
+    redeemed_at: status === 'REDEEMED' ? issuedAt : null
+  });
+
+  await db.ref(`transactions/${transactionId}`).update({
+    token,
+    token_sequence: sequence,
+    token_expires_at: expiresAt.toISOString()
+  });
+
+  console.log(`Issued token #${sequence} for meter ${meterNo}: ${units} units (transaction ${transactionId})`);
+  return { token, sequence, expires_at: expiresAt.toISOString() };
+}
+
+/**
+ * Claim a token for redemption. A token can only be claimed once.
+ * @param {string} meterNo - The meter number redeeming the token
+ * @param {string} token - The 20-digit token
+ * @returns {Promise<Object>} { success, code, message, units?, transaction_id? }
+ */
+async function claimToken(meterNo, token) {
+  const decoded = decodeToken(meterNo, token);
+  if (!decoded) {
+    return { success: false, code: 'INVALID', message: 'Token is not valid for this meter' };
+  }
+  if (decoded.expiresAt.getTime() < Date.now()) {
+    return { success: false, code: 'EXPIRED', message: 'Token has expired' };
+  }
+
+  const digits = String(token).replace(/[\s-]/g, '');
+  const tokenRef = db.ref(`tokens/${meterNo}/${digits}`);
+  const redeemedAt = new Date().toISOString();
+
+  const claimResult = await tokenRef.transaction(current => {
+    // The first attempt runs against the local cache (null); returning null lets
+    // Firebase retry with the server value instead of aborting early
+    if (current === null) return null;
+    if (current.status !== 'ISSUED') return; // abort: already used
+    return { ...current, status: 'REDEEMED', redeemed_at: redeemedAt };
+  });
+
+  const record = claimResult.snapshot.val();
+  if (!record) {
+    return { success: false, code: 'NOT_FOUND', message: 'Token was not issued for this meter' };
+  }
+  if (record.status === 'VOIDED') {
+    return { success: false, code: 'VOIDED', message: 'Token has been voided', transaction_id: record.transaction_id };
+  }
+  if (!claimResult.committed || record.redeemed_at !== redeemedAt) {
+    return {
+      success: false,
+      code: 'ALREADY_REDEEMED',
+      message: `Token already redeemed at ${record.redeemed_at}`,
+      transaction_id: record.transaction_id
+    };
+  }
+
+  return {
+    success: true,
+    code: 'REDEEMED',
+    message: 'Token redeemed',
+    units: record.units,
+    sequence: record.sequence,
+    transaction_id: record.transaction_id
+  };
+}
+
+/**
+ * Void an unredeemed token so it can no longer be entered on the meter
+ * @param {string} meterNo - The meter number
+ * @param {string} token - The 20-digit token
+ * @param {string} reason - Why the token was voided
+ * @returns {Promise<Object>} { voided, status } where status is the token's final status
+ */
+async function voidToken(meterNo, token, reason) {
+  const voidedAt = new Date().toISOString();
+  const result = await db.ref(`tokens/${meterNo}/${token}`).transaction(current => {
+    if (current === null) return null;
+    if (current.status !== 'ISSUED') return; // abort: already redeemed or voided
+    return { ...current, status: 'VOIDED', voided_at: voidedAt, void_reason: reason || null };
+  });
+
+  const record = result.snapshot.val();
+  if (!record) return { voided: false, status: null };
+  return { voided: result.committed && record.voided_at === voidedAt, status: record.status };
+}
+
+/**
+ * Format a token for display (4-digit groups)
+ * @param {string} token - The 20-digit token
+ * @returns {string} e.g. "1234 5678 9012 3456 7890"
+ */
+function formatToken(token) {
+  return String(token).replace(/(\d{4})(?=\d)/g, '$1 ');
+}
+
+module.exports = {
+  encodeToken,
+  decodeToken,
+  deriveMeterKey,
+  issueToken,
+  claimToken,
+  voidToken,
+  formatToken,
+  MAX_UNITS
+};
@@ -0,0 +1,172 @@
+// services/transactionHistoryService.js
+const transactionRepo = require('../repositories/transactionsRepository');
+const { TRANSACTION_STATUS, normalizeStatus } = require('../transactions');
+const { annotateGifts } = require('./beneficiaryService');
+
+/*
+ * A user's transaction history, a page at a time.
+ *
+ *   user_transactions/<userId>/<transactionId>   true, for the meter's owner and for the payer
+ *
+ * Transaction IDs sort by creation, so pages run newest first by when the
+ * payment was started and the cursor is the ID of the last transaction
+ * returned. Filters are applied while walking the index. A walk stops after
+ * MAX_SCAN transactions, so a narrow filter over a long history can return a
+ * short page (even an empty one) with a next_cursor to carry on from.
+ *
+ * Pages hold public transactions (toPublicTransaction() in transactions.js),
+ * never the stored records, so callbacks and bookkeeping fields stay internal.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_SCAN = 1000;
+const SCAN_CHUNK = 50;
+const MAX_SEARCH_LENGTH = 20;
+
+const STATUSES = Object.values(TRANSACTION_STATUS);
+
+// Push IDs and test IDs: letters, digits, - and _
+const CURSOR_PATTERN = /^[-\w]{1,64}$/;
+
+function parseAmount(value, name, errors) {
+  if (value === undefined || value === '') return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    errors.push(`${name} must be a non-negative number`);
+    return null;
+  }
+  return amount;
+}
+
+function parseDate(value, name, errors) {
+  if (value === undefined || value === '') return null;
+  const ms = new Date(value).getTime();
+  if (Number.isNaN(ms)) {
+    errors.push(`${name} must be an ISO date`);
+    return null;
+  }
+  return ms;
+}
+
+/**
+ * Check and normalise the query of a history request
+ * @param {Object} query - { cursor, limit, status, from, to, min_amount, max_amount, q }
+ * @returns {Object} { errors, filters } - filters for listTransactions()
+ */
+function validateHistoryQuery(query = {}) {
+  const errors = [];
+
+  const cursor = query.cursor || null;
+  if (cursor && !CURSOR_PATTERN.test(cursor)) {
+    errors.push('cursor is not valid');
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const statuses = query.status
+    ? String(query.status).split(',').map(status => status.trim().toUpperCase()).filter(Boolean)
+    : [];
+  if (statuses.some(status => !STATUSES.includes(status))) {
+    errors.push(`status must be one or more of ${STATUSES.join(', ')}`);
+  }
+
+  const from = parseDate(query.from, 'from', errors);
+  const to = parseDate(query.to, 'to', errors);
+  if (from !== null && to !== null && from >= to) {
+    errors.push('from must be before to');
+  }
+
+  const minAmount = parseAmount(query.min_amount, 'min_amount', errors);
+  const maxAmount = parseAmount(query.max_amount, 'max_amount', errors);
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    errors.push('min_amount must not be more than max_amount');
+  }
+
+  const search = String(query.q || '').trim().toUpperCase();
+  if (search.length > MAX_SEARCH_LENGTH) {
+    errors.push(`q must be at most ${MAX_SEARCH_LENGTH} characters`);
+  }
+
+  return {
+    errors,
+    filters: { cursor, limit, statuses, from, to, minAmount, maxAmount, search }
+  };
+}
+
+function matches(transaction, { statuses, from, to, minAmount, maxAmount, search }) {
+  if (statuses.length > 0 && !statuses.includes(normalizeStatus(transaction.status))) return false;
+
+  if (from !== null || to !== null) {
+    const ms = new Date(transaction.timestamp).getTime();
+    if (Number.isNaN(ms)) return false;
+    if (from !== null && ms < from) return false;
+    if (to !== null && ms >= to) return false;
+  }
+
+  const amount = Number(transaction.amount) || 0;
+  if (minAmount !== null && amount < minAmount) return false;
+  if (maxAmount !== null && amount > maxAmount) return false;
+
+  if (search && !String(transaction.mpesa_receipt || '').toUpperCase().includes(search)) return false;
+  return true;
+}
+
+/**
+ * One page of a user's transactions: purchases for their meters and units
+ * they bought for others, newest first
+ * @param {string} userId - The user ID
+ * @param {Object} filters - From validateHistoryQuery()
+ * @returns {Promise<Object>} { transactions, next_cursor } - public transactions; next_cursor is null on the last page
+ */
+async function listTransactions(userId, filters) {
+  await transactionRepo.ensureUserIndex(userId);
+
+  const page = [];
+  let before = filters.cursor;
+  let scanned = 0;
+  let exhausted = false;
+
+  // One extra match tells whether there is a next page
+  while (page.length <= filters.limit && scanned < MAX_SCAN) {
+    const ids = await transactionRepo.listUserTransactionIds(userId, { before, limit: SCAN_CHUNK });
+    if (ids.length === 0) {
+      exhausted = true;
+      break;
+    }
+
+    const transactions = await Promise.all(ids.map(id => transactionRepo.getTransaction(id)));
+    for (let i = 0; i < ids.length && page.length <= filters.limit; i++) {
+      before = ids[i];
+      scanned++;
+      if (transactions[i] && matches(transactions[i], filters)) page.push(transactions[i]);
+    }
+    if (ids.length < SCAN_CHUNK && before === ids[ids.length - 1]) {
+      exhausted = true;
+      break;
+    }
+  }
+
+  const hasMore = page.length > filters.limit;
+  const results = page.slice(0, filters.limit);
+  let nextCursor = null;
+  if (hasMore) {
+    nextCursor = results[results.length - 1].id;
+  } else if (!exhausted) {
+    // Stopped at MAX_SCAN: carry on from the last transaction looked at
+    nextCursor = before;
+  }
+
+  return {
+    // Projected to the public shape, with gifts marked
+    transactions: await annotateGifts(results, userId),
+    next_cursor: nextCursor
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  validateHistoryQuery,
+  listTransactions
+};
@@ -0,0 +1,268 @@
+// services/webhookService.js
+const { db } = require('../storage');
+
+/*
+ * Inbound webhook inbox. Every Daraja callback is stored under
+ * webhook_inbox/<id> before it is processed:
+ *
+ *   RECEIVED -> PROCESSING -> PROCESSED
+ *                          -> FAILED -> (retried with backoff) -> ... -> DEAD
+ *
+ * Failed entries are retried by the retry worker after 30s, 1m, 2m, 4m ...
+ * (capped at 1 hour) until WEBHOOK_MAX_ATTEMPTS is reached, then parked as
+ * DEAD. Operators can replay FAILED and DEAD entries from the admin API.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// A PROCESSING entry older than this was abandoned by a crashed process
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// type -> async (payload) => { success, message, ... }
+const handlers = {};
+
+/**
+ * Register the processor for a webhook type
+ * @param {string} type - e.g. daraja_callback, stk_callback, c2b_confirmation
+ * @param {Function} handler - async (payload) => { success, message, ... }
+ */
+function registerHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+function backoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Persist an inbound webhook before doing anything else with it
+ * @param {string} type - Registered webhook type
+ * @param {Object} payload - Request body
+ * @param {Object} source - { ip, user_agent }
+ * @returns {Promise<string>} Inbox entry ID
+ */
+async function storeWebhook(type, payload, source = {}) {
+  const ref = db.ref('webhook_inbox').push();
+  const now = new Date().toISOString();
+  await ref.set({
+    type,
+    payload: payload || {},
+    source_ip: source.ip || null,
+    user_agent: source.user_agent || null,
+    status: 'RECEIVED',
+    attempts: 0,
+    received_at: now,
+    updated_at: now,
+    next_attempt_at: null,
+    last_error: null,
+    result: null
+  });
+  return ref.key;
+}
+
+/**
+ * Process one inbox entry. Only one process can work on an entry at a time.
+ * @param {string} id - Inbox entry ID
+ * @returns {Promise<Object>} { processed, status, result? } - processed is false if the entry was not claimable
+ */
+async function processEntry(id) {
+  const entryRef = db.ref(`webhook_inbox/${id}`);
+  const startedAt = new Date().toISOString();
+
+  const claim = await entryRef.transaction(current => {
+    if (current === null) return null;
+    const stale = current.status === 'PROCESSING' &&
+      Date.now() - new Date(current.updated_at).getTime() > STALE_PROCESSING_MS;
+    if (current.status !== 'RECEIVED' && current.status !== 'FAILED' && !stale) return; // abort
+    return {
+      ...current,
+      status: 'PROCESSING',
+      attempts: (Number(current.attempts) || 0) + 1,
+      updated_at: startedAt
+    };
+  });
+
+  const entry = claim.snapshot.val();
+  if (!entry || !claim.committed || entry.updated_at !== startedAt) {
+    return { processed: false, status: entry ? entry.status : null };
+  }
+
+  let result;
+  try {
+    const handler = handlers[entry.type];
+    if (!handler) throw new Error(`No handler registered for webhook type ${entry.type}`);
+    result = await handler(entry.payload || {});
+  } catch (err) {
+    result = { success: false, message: err.message };
+  }
+
+  const now = new Date();
+  let update;
+  if (result && result.success) {
+    update = {
+      status: 'PROCESSED',
+      processed_at: now.toISOString(),
+      next_attempt_at: null,
+      last_error: null,
+      result: {
+        message: result.message || null,
+        duplicate: Boolean(result.duplicate),
+        transaction_id: result.transaction_id || null
+      }
+    };
+  } else {
+    const exhausted = entry.attempts >= MAX_ATTEMPTS;
+    update = {
+      status: exhausted ? 'DEAD' : 'FAILED',
+      last_error: (result && result.message) || 'Unknown error',
+      next_attempt_at: exhausted ? null : new Date(now.getTime() + backoffMs(entry.attempts)).toISOString()
+    };
+    console.warn(`Webhook ${id} (${entry.type}) attempt ${entry.attempts} failed: ${update.last_error}${exhausted ? ' — giving up' : ''}`);
+  }
+
+  await entryRef.update({ ...update, updated_at: now.toISOString() });
+  return { processed: true, status: update.status, result };
+}
+
+/**
+ * Store and immediately process an inbound webhook
+ * @returns {Promise<Object>} { id, status, result }
+ */
+async function receiveWebhook(type, payload, source) {
+  const id = await storeWebhook(type, payload, source);
+  const outcome = await processEntry(id);
+  return { id, status: outcome.status, result: outcome.result || null };
+}
+
+/**
+ * Retry every entry that is due: FAILED entries past their backoff, and
+ * RECEIVED or PROCESSING entries a crashed process left behind
+ * @returns {Promise<Object>} { retried, processed }
+ */
+async function retryDueEntries() {
+  const now = Date.now();
+  const [failedSnap, receivedSnap, processingSnap] = await Promise.all([
+    db.ref('webhook_inbox').orderByChild('status').equalTo('FAILED').once('value'),
+    db.ref('webhook_inbox').orderByChild('status').equalTo('RECEIVED').once('value'),
+    db.ref('webhook_inbox').orderByChild('status').equalTo('PROCESSING').once('value')
+  ]);
+
+  const due = [
+    ...Object.entries(failedSnap.val() || {})
+      .filter(([, entry]) => !entry.next_attempt_at || new Date(entry.next_attempt_at).getTime() <= now),
+    ...Object.entries(receivedSnap.val() || {})
+      .filter(([, entry]) => now - new Date(entry.received_at).getTime() > STALE_PROCESSING_MS),
+    ...Object.entries(processingSnap.val() || {})
+      .filter(([, entry]) => now - new Date(entry.updated_at).getTime() > STALE_PROCESSING_MS)
+  ].map(([id]) => id);
+
+  let processed = 0;
+  for (const id of due) {
+    const outcome = await processEntry(id);
+    if (outcome.status === 'PROCESSED') processed++;
+  }
+
+  if (due.length > 0) {
+    console.log(`Webhook retry: ${due.length} due, ${processed} processed`);
+  }
+  return { retried: due.length, processed };
+}
+
+/**
+ * Run retryDueEntries() on an interval
+ * @param {number} intervalMs - How often to look for due entries
+ * @returns {NodeJS.Timeout} The timer
+ */
+function startRetryWorker(intervalMs) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await retryDueEntries();
+    } catch (err) {
+      console.error('Webhook retry worker failed:', err.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * List inbox entries, newest first
+ * @param {Object} options
+ * @param {string} [options.status] - Only entries in this state
+ * @param {number} [options.limit] - Maximum entries
+ * @returns {Promise<Object[]>} Entries with their IDs
+ */
+async function listEntries({ status, limit = 50 } = {}) {
+  const query = status
+    ? db.ref('webhook_inbox').orderByChild('status').equalTo(status)
+    : db.ref('webhook_inbox').orderByKey().limitToLast(limit);
+  const snap = await query.once('value');
+
+  return Object.entries(snap.val() || {})
+    .map(([id, entry]) => ({ id, ...entry }))
+    .sort((a, b) => String(b.received_at).localeCompare(String(a.received_at)))
+    .slice(0, limit);
+}
+
+/**
+ * Get one inbox entry
+ * @param {string} id - Inbox entry ID
+ * @returns {Promise<Object|null>} The entry or null
+ */
+async function getEntry(id) {
+  const snap = await db.ref(`webhook_inbox/${id}`).once('value');
+  return snap.exists() ? { id, ...snap.val() } : null;
+}
+
+/**
+ * Replay a FAILED or DEAD entry now
+ * @param {string} id - Inbox entry ID
+ * @param {Object} actor - req.user of the operator
+ * @returns {Promise<Object>} { success, code?, message, status? }
+ */
+async function replayEntry(id, actor) {
+  const entryRef = db.ref(`webhook_inbox/${id}`);
+  const result = await entryRef.transaction(current => {
+    if (current === null) return null;
+    if (current.status !== 'FAILED' && current.status !== 'DEAD') return; // abort
+    return { ...current, status: 'FAILED', next_attempt_at: null };
+  });
+
+  const entry = result.snapshot.val();
+  if (!entry) {
+    return { success: false, code: 'NOT_FOUND', message: 'Webhook entry not found' };
+  }
+  if (!result.committed) {
+    return { success: false, code: 'CONFLICT', message: `Only FAILED or DEAD entries can be replayed (status: ${entry.status})` };
+  }
+
+  await entryRef.child('replays').push().set({
+    actor: actor && actor.user_id ? actor.user_id : 'api_key',
+    requested_at: new Date().toISOString()
+  });
+
+  const outcome = await processEntry(id);
+  return {
+    success: true,
+    message: outcome.status === 'PROCESSED' ? 'Webhook replayed' : `Replay finished with status ${outcome.status}`,
+    status: outcome.status,
+    error: outcome.result && !outcome.result.success ? outcome.result.message : null
+  };
+}
+
+module.exports = {
+  registerHandler,
+  receiveWebhook,
+  processEntry,
+  retryDueEntries,
+  startRetryWorker,
+  listEntries,
+  getEntry,
+  replayEntry
+};
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * Grant a console role to a user (e.g. to create the first admin)
+ * Run with: node set-user-role.js <email> <customer|support|admin>
+ */
+
+require('dotenv').config();
+const { db } = require('./storage');
+const { ROLES } = require('./services/authService');
+
+async function setRole() {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node set-user-role.js <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    const snap = await db.ref('users').orderByChild('email').equalTo(email.trim().toLowerCase()).once('value');
+    if (!snap.exists()) {
+      console.error(`❌ No user found with email: ${email}`);
+      process.exit(1);
+    }
+
+    const userId = Object.keys(snap.val())[0];
+    await db.ref(`users/${userId}/role`).set(role);
+    console.log(`✅ ${email} (${userId}) is now ${role}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error setting role:', error.message);
+    process.exit(1);
+  }
+}
+
+setRole();
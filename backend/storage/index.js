@@ -0,0 +1,27 @@
+// storage/index.js
+
+/*
+ * Database used by the repositories and services, selected by STORAGE_DRIVER:
+ *
+ * - firebase (default): Firebase Realtime Database, configured in firebase.js
+ * - memory: in-process database (storage/memoryDatabase.js) for running the
+ *   API offline; set MEMORY_DB_FILE to keep the data in a JSON file
+ *
+ * Both expose the same ref()/query/transaction API.
+ */
+
+const driver = (process.env.STORAGE_DRIVER || 'firebase').toLowerCase();
+
+let db;
+if (driver === 'memory') {
+  const { MemoryDatabase } = require('./memoryDatabase');
+  const file = process.env.MEMORY_DB_FILE || null;
+  db = new MemoryDatabase({ file });
+  console.log(`Using in-memory storage${file ? ` persisted to ${file}` : ''}`);
+} else if (driver === 'firebase') {
+  ({ db } = require('../firebase'));
+} else {
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (use firebase or memory)`);
+}
+
+module.exports = { db, driver };
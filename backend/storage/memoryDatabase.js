@@ -0,0 +1,441 @@
+// storage/memoryDatabase.js
+const fs = require('fs');
+
+/*
+ * In-process stand-in for the Firebase Realtime Database Admin API. It covers
+ * what this codebase uses:
+ *
+ *   db.ref(path) .child() .push() .set() .update() .remove() .once('value')
+ *                .transaction() .on('value') .off('value')
+ *   queries:     .orderByChild() .orderByKey() .orderByValue()
+ *                .equalTo() .startAt() .endAt() .limitToFirst() .limitToLast()
+ *   snapshots:   .val() .exists() .key .forEach() .child() .numChildren()
+ *
+ * Values follow Firebase rules: null and empty objects are not stored,
+ * undefined and invalid keys are rejected, and objects with dense integer
+ * keys read back as arrays. Transactions run against the current value, so
+ * the "first run sees null" behaviour of Firebase does not occur.
+ *
+ * Pass a file path to load the data from and save it to a JSON file, so it
+ * survives restarts.
+ */
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+const INVALID_KEY = /[.#$[\]/\x00-\x1f\x7f]/;
+
+// Firebase-style push IDs: 8 time characters then 12 random ones, so keys sort chronologically
+function createPushIdGenerator() {
+  let lastTime = 0;
+  const lastRandom = new Array(12).fill(0);
+
+  return function nextPushId() {
+    let now = Date.now();
+    const sameTime = now === lastTime;
+    lastTime = now;
+
+    let time = '';
+    for (let i = 0; i < 8; i++) {
+      time = PUSH_CHARS.charAt(now % 64) + time;
+      now = Math.floor(now / 64);
+    }
+
+    if (!sameTime) {
+      for (let i = 0; i < 12; i++) lastRandom[i] = Math.floor(Math.random() * 64);
+    } else {
+      // Same millisecond: increment so IDs stay ordered
+      let i = 11;
+      for (; i >= 0 && lastRandom[i] === 63; i--) lastRandom[i] = 0;
+      if (i >= 0) lastRandom[i]++;
+    }
+    return time + lastRandom.map(n => PUSH_CHARS.charAt(n)).join('');
+  };
+}
+
+function splitPath(path) {
+  return String(path || '').split('/').filter(Boolean);
+}
+
+// Validate and copy a value the way Firebase stores it (arrays become objects, empty values vanish)
+function normalize(value, path) {
+  if (value === undefined) {
+    throw new Error(`Database value contains undefined in property '${path || '/'}'`);
+  }
+  if (value === null) return null;
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Database value contains an invalid number in property '${path || '/'}'`);
+  }
+  if (typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (INVALID_KEY.test(key) || key === '') {
+      throw new Error(`Invalid key '${key}' in property '${path || '/'}'`);
+    }
+    const normalized = normalize(child, `${path}/${key}`);
+    if (normalized !== null) result[key] = normalized;
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+// Copy a stored value for a reader; objects with dense integer keys come back as arrays
+function exportValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object') return value;
+
+  const keys = Object.keys(value);
+  if (keys.length === 0) return {};
+  const exported = {};
+  for (const key of keys) exported[key] = exportValue(value[key]);
+
+  const indexes = keys.map(Number);
+  const isArrayLike = keys.every(key => /^(0|[1-9]\d*)$/.test(key)) && Math.max(...indexes) < 2 * keys.length;
+  if (isArrayLike) {
+    const array = new Array(Math.max(...indexes) + 1).fill(null);
+    keys.forEach(key => { array[Number(key)] = exported[key]; });
+    return array;
+  }
+  return exported;
+}
+
+function getIn(node, parts) {
+  let current = node;
+  for (const part of parts) {
+    if (current === null || typeof current !== 'object' || !(part in current)) return null;
+    current = current[part];
+  }
+  return current === undefined ? null : current;
+}
+
+// Copy-on-write set: returns the new node with empty parents pruned
+function setIn(node, parts, value) {
+  if (parts.length === 0) return value;
+  const [head, ...rest] = parts;
+  const base = node !== null && typeof node === 'object' ? { ...node } : {};
+  const child = setIn(base[head] === undefined ? null : base[head], rest, value);
+  if (child === null) {
+    delete base[head];
+  } else {
+    base[head] = child;
+  }
+  return Object.keys(base).length > 0 ? base : null;
+}
+
+// Firebase ordering: null < false < true < numbers < strings < objects
+function typeRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (value === false) return 1;
+  if (value === true) return 2;
+  if (typeof value === 'number') return 3;
+  if (typeof value === 'string') return 4;
+  return 5;
+}
+
+function compareKeys(a, b) {
+  const aInt = /^-?\d{1,10}$/.test(a);
+  const bInt = /^-?\d{1,10}$/.test(b);
+  if (aInt && bInt) return Number(a) - Number(b);
+  if (aInt) return -1;
+  if (bInt) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareValues(a, b) {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (typeof a === 'number' || typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+}
+
+class DataSnapshot {
+  constructor(key, value, orderedKeys = null) {
+    this.key = key;
+    this._value = value === undefined ? null : value;
+    this._orderedKeys = orderedKeys;
+  }
+
+  val() {
+    return exportValue(this._value);
+  }
+
+  exists() {
+    return this._value !== null;
+  }
+
+  child(path) {
+    const parts = splitPath(path);
+    return new DataSnapshot(parts.length ? parts[parts.length - 1] : this.key, getIn(this._value, parts));
+  }
+
+  numChildren() {
+    return this._value !== null && typeof this._value === 'object' ? Object.keys(this._value).length : 0;
+  }
+
+  /**
+   * Call action for each child in query order; return true from action to stop
+   */
+  forEach(action) {
+    if (this._value === null || typeof this._value !== 'object') return false;
+    const keys = this._orderedKeys || Object.keys(this._value).sort(compareKeys);
+    for (const key of keys) {
+      if (action(new DataSnapshot(key, this._value[key])) === true) return true;
+    }
+    return false;
+  }
+}
+
+class Query {
+  constructor(database, parts, params = {}) {
+    this._database = database;
+    this._parts = parts;
+    this._params = params;
+  }
+
+  _with(params) {
+    return new Query(this._database, this._parts, { ...this._params, ...params });
+  }
+
+  orderByChild(path) {
+    return this._with({ orderBy: 'child', childPath: splitPath(path) });
+  }
+
+  orderByKey() {
+    return this._with({ orderBy: 'key' });
+  }
+
+  orderByValue() {
+    return this._with({ orderBy: 'value' });
+  }
+
+  startAt(value) {
+    return this._with({ startAt: value === undefined ? null : value });
+  }
+
+  endAt(value) {
+    return this._with({ endAt: value === undefined ? null : value });
+  }
+
+  equalTo(value) {
+    const bound = value === undefined ? null : value;
+    return this._with({ startAt: bound, endAt: bound });
+  }
+
+  limitToFirst(limit) {
+    return this._with({ limitToFirst: limit, limitToLast: undefined });
+  }
+
+  limitToLast(limit) {
+    return this._with({ limitToLast: limit, limitToFirst: undefined });
+  }
+
+  async once(eventType = 'value') {
+    if (eventType !== 'value') {
+      throw new Error(`Only 'value' events are supported (got '${eventType}')`);
+    }
+    return this._snapshot();
+  }
+
+  /**
+   * Call callback(snapshot) now and after every write that changes the result
+   * @returns {Function} The callback, for off()
+   */
+  on(eventType, callback) {
+    if (eventType !== 'value') {
+      throw new Error(`Only 'value' events are supported (got '${eventType}')`);
+    }
+    this._database._listen(this, callback);
+    return callback;
+  }
+
+  /**
+   * Stop calling callback, or every callback on this location when omitted
+   */
+  off(eventType = 'value', callback = null) {
+    this._database._unlisten(this, callback);
+  }
+
+  // Listeners registered on equivalent queries share a location key, as in Firebase
+  _locationKey() {
+    return JSON.stringify([this._parts, this._params]);
+  }
+
+  _snapshot() {
+    const key = this._parts.length ? this._parts[this._parts.length - 1] : null;
+    const node = getIn(this._database._root, this._parts);
+    if (node === null || typeof node !== 'object') return new DataSnapshot(key, node);
+
+    const { orderBy, childPath, startAt, endAt, limitToFirst, limitToLast } = this._params;
+    const sortValue = (childKey) => {
+      if (orderBy === 'key') return childKey;
+      if (orderBy === 'value') return node[childKey];
+      if (orderBy === 'child') return getIn(node[childKey], childPath);
+      return null;
+    };
+
+    let keys = Object.keys(node).sort((a, b) => {
+      if (orderBy === 'key' || !orderBy) return compareKeys(a, b);
+      return compareValues(sortValue(a), sortValue(b)) || compareKeys(a, b);
+    });
+    if (startAt !== undefined) keys = keys.filter(k => compareValues(sortValue(k), startAt) >= 0);
+    if (endAt !== undefined) keys = keys.filter(k => compareValues(sortValue(k), endAt) <= 0);
+    if (limitToFirst !== undefined) keys = keys.slice(0, limitToFirst);
+    if (limitToLast !== undefined) keys = keys.slice(Math.max(0, keys.length - limitToLast));
+
+    const value = {};
+    keys.forEach(k => { value[k] = node[k]; });
+    return new DataSnapshot(key, keys.length > 0 ? value : null, keys);
+  }
+}
+
+class Reference extends Query {
+  constructor(database, parts) {
+    super(database, parts);
+    this.key = parts.length ? parts[parts.length - 1] : null;
+    this.path = `/${parts.join('/')}`;
+  }
+
+  child(path) {
+    return new Reference(this._database, [...this._parts, ...splitPath(path)]);
+  }
+
+  push(value) {
+    const ref = this.child(this._database._nextPushId());
+    if (value !== undefined) {
+      const write = ref.set(value);
+      ref.then = write.then.bind(write);
+      ref.catch = write.catch.bind(write);
+    }
+    return ref;
+  }
+
+  async set(value) {
+    this._database._write([[this._parts, normalize(value, this.path)]]);
+  }
+
+  async update(values) {
+    if (values === null || typeof values !== 'object') {
+      throw new Error('update() expects an object');
+    }
+    // Keys may be deep paths ("a/b/c"); every write is applied together
+    const writes = Object.entries(values).map(([path, value]) => {
+      const parts = [...this._parts, ...splitPath(path)];
+      return [parts, normalize(value, `/${parts.join('/')}`)];
+    });
+    this._database._write(writes);
+  }
+
+  async remove() {
+    this._database._write([[this._parts, null]]);
+  }
+
+  /**
+   * Run update against the current value. Returning undefined aborts.
+   * @returns {Promise<Object>} { committed, snapshot }
+   */
+  async transaction(update) {
+    const current = exportValue(getIn(this._database._root, this._parts));
+    const next = update(current);
+    if (next === undefined) {
+      return { committed: false, snapshot: new DataSnapshot(this.key, getIn(this._database._root, this._parts)) };
+    }
+    this._database._write([[this._parts, normalize(next, this.path)]]);
+    return { committed: true, snapshot: new DataSnapshot(this.key, getIn(this._database._root, this._parts)) };
+  }
+}
+
+class MemoryDatabase {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSON file to load from and save to
+   * @param {Object} [options.data] - Initial data (ignored when the file exists)
+   */
+  constructor({ file = null, data = null } = {}) {
+    this._file = file;
+    this._nextPushId = createPushIdGenerator();
+    this._saveTimer = null;
+    this._listeners = [];
+    this._root = normalize(data, '');
+
+    if (file && fs.existsSync(file)) {
+      this._root = normalize(JSON.parse(fs.readFileSync(file, 'utf8') || 'null'), '');
+    }
+    if (file) {
+      process.once('exit', () => this.flush());
+    }
+  }
+
+  ref(path = '') {
+    return new Reference(this, splitPath(path));
+  }
+
+  _write(writes) {
+    for (const [parts, value] of writes) {
+      this._root = setIn(this._root, parts, value);
+    }
+    this._scheduleSave();
+    this._notify();
+  }
+
+  _listen(query, callback) {
+    const listener = { query, callback, location: query._locationKey(), last: undefined };
+    this._listeners.push(listener);
+    this._notifyListener(listener);
+  }
+
+  _unlisten(query, callback) {
+    const location = query._locationKey();
+    this._listeners = this._listeners.filter(l => l.location !== location || (callback && l.callback !== callback));
+  }
+
+  _notify() {
+    this._listeners.forEach(listener => this._notifyListener(listener));
+  }
+
+  // Firebase calls value listeners asynchronously, and only when the result changed
+  _notifyListener(listener) {
+    const snapshot = listener.query._snapshot();
+    const serialized = JSON.stringify(snapshot._value);
+    if (serialized === listener.last) return;
+    listener.last = serialized;
+
+    setImmediate(() => {
+      if (!this._listeners.includes(listener)) return;
+      try {
+        listener.callback(snapshot);
+      } catch (error) {
+        console.error('Database listener failed:', error.message);
+      }
+    });
+  }
+
+  _scheduleSave() {
+    if (!this._file || this._saveTimer) return;
+    this._saveTimer = setTimeout(() => this.flush(), 200);
+    this._saveTimer.unref();
+  }
+
+  /**
+   * Write pending changes to the JSON file now
+   */
+  flush() {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+    }
+    if (this._file) {
+      fs.writeFileSync(this._file, JSON.stringify(this._root || {}, null, 2));
+    }
+  }
+
+  /**
+   * Replace all data (e.g. between tests)
+   * @param {Object|null} data
+   */
+  reset(data = null) {
+    this._root = normalize(data, '');
+    this._scheduleSave();
+    this._notify();
+  }
+}
+
+module.exports = { MemoryDatabase };
@@ -6,7 +6,7 @@
  */
 
 require('dotenv').config();
-const { db } = require('./firebase');
+const { db } = require('./storage');
 const { calculateUserBalance } = require('./transactions');
 
 async function testUnits() {
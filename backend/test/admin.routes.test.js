@@ -0,0 +1,322 @@
+// test/admin.routes.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, updateDb, createUser, startApp, request } = require('./helpers');
+const { saveCallbackTransaction } = require('../transactions');
+const ledger = require('../services/ledgerService');
+const { getMonthToDateUnits } = require('../services/tariffService');
+
+let server;
+let alice;
+let support;
+let admin;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+
+const tariff = {
+  name: 'Domestic 2026',
+  effective_from: '2026-01-01T00:00:00.000Z',
+  bands: [
+    { name: 'Lifeline', up_to: 30, rate: 10 },
+    { name: 'Ordinary', up_to: null, rate: 20 }
+  ]
+};
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  alice = await createUser('alice', { name: 'Alice', email: 'alice@example.com', meter_no: 'MTR001' });
+  support = await createUser('support', { name: 'Sam', email: 'sam@example.com', meter_no: 'MTR090', role: 'support' });
+  admin = await createUser('admin', { name: 'Ada', email: 'ada@example.com', meter_no: 'MTR091', role: 'admin' });
+});
+
+async function pay(receipt = 'RKT0000001') {
+  return saveCallbackTransaction({ ResultCode: 0, MpesaReceiptNumber: receipt, Amount: 100, BillRefNumber: 'MTR001' });
+}
+
+describe('role checks', () => {
+  it('keeps customers out of the admin API', async () => {
+    assert.equal((await call('GET', '/admin/users', { token: alice.token })).status, 403);
+    assert.equal((await call('GET', '/admin/users')).status, 401);
+  });
+
+  it('lets support read but not change', async () => {
+    assert.equal((await call('GET', '/admin/users', { token: support.token })).status, 200);
+    const res = await call('POST', '/admin/meters/MTR001/adjustments', {
+      token: support.token,
+      body: { type: 'CREDIT', units: 1, reason: 'Goodwill' }
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it('accepts the operator key as an admin', async () => {
+    const res = await call('GET', '/admin/users', { headers: { 'x-admin-key': 'test-admin-key' } });
+    assert.equal(res.status, 200);
+  });
+});
+
+describe('GET /admin/users', () => {
+  it('searches by name, email, meter or phone', async () => {
+    const res = await call('GET', '/admin/users?q=alice', { token: support.token });
+    assert.deepEqual(res.body.map(user => user.user_id), ['alice']);
+
+    const byMeter = await call('GET', '/admin/users?q=MTR09', { token: support.token });
+    assert.deepEqual(byMeter.body.map(user => user.user_id).sort(), ['admin', 'support']);
+  });
+});
+
+describe('GET /admin/users/:userId', () => {
+  it('returns the user with their transactions', async () => {
+    await pay();
+    const res = await call('GET', '/admin/users/alice', { token: support.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.email, 'alice@example.com');
+    assert.equal(res.body.transactions.length, 1);
+    assert.equal(res.body.transactions[0].status, 'SUCCESS');
+  });
+
+  it('returns 404 for an unknown user', async () => {
+    assert.equal((await call('GET', '/admin/users/nobody', { token: support.token })).status, 404);
+  });
+});
+
+describe('PUT /admin/users/:userId/role', () => {
+  it('changes the role and records an audit entry', async () => {
+    const res = await call('PUT', '/admin/users/alice/role', { token: admin.token, body: { role: 'support' } });
+
+    assert.equal(res.status, 200);
+    assert.equal((await readDb('users/alice')).role, 'support');
+    const [audit] = Object.values(await readDb('admin_audit'));
+    assert.equal(audit.action, 'SET_ROLE');
+    assert.equal(audit.actor, 'admin');
+  });
+
+  it('rejects an unknown role or user', async () => {
+    assert.equal((await call('PUT', '/admin/users/alice/role', { token: admin.token, body: { role: 'root' } })).status, 400);
+    assert.equal((await call('PUT', '/admin/users/nobody/role', { token: admin.token, body: { role: 'admin' } })).status, 404);
+  });
+});
+
+describe('GET /admin/meters', () => {
+  it('lists meters with owner and balance', async () => {
+    await pay();
+    const res = await call('GET', '/admin/meters?q=MTR001', { token: support.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].user_id, 'alice');
+    assert.equal(res.body[0].balance, 4);
+    assert.equal(res.body[0].device_status, 'UNPROVISIONED');
+  });
+});
+
+describe('POST /admin/meters/:meterNo/adjustments', () => {
+  it('credits and debits the ledger', async () => {
+    const credit = await call('POST', '/admin/meters/MTR001/adjustments', {
+      token: admin.token,
+      body: { type: 'CREDIT', units: 3, reason: 'Goodwill' }
+    });
+    assert.equal(credit.status, 201);
+    assert.equal(credit.body.entry.source, 'ADJUSTMENT');
+
+    await call('POST', '/admin/meters/MTR001/adjustments', {
+      token: admin.token,
+      body: { type: 'DEBIT', units: 1, reason: 'Correction' }
+    });
+    assert.equal(await ledger.getBalance('MTR001'), 2);
+  });
+
+  it('requires a type, positive units and a reason', async () => {
+    const bad = [
+      { type: 'GIFT', units: 1, reason: 'x' },
+      { type: 'CREDIT', units: 0, reason: 'x' },
+      { type: 'CREDIT', units: 1 }
+    ];
+    for (const body of bad) {
+      assert.equal((await call('POST', '/admin/meters/MTR001/adjustments', { token: admin.token, body })).status, 400);
+    }
+  });
+
+  it('returns 404 for an unknown meter', async () => {
+    const res = await call('POST', '/admin/meters/UNKNOWN/adjustments', {
+      token: admin.token,
+      body: { type: 'CREDIT', units: 1, reason: 'x' }
+    });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('POST /admin/meters/:meterNo/reassign', () => {
+  it('moves the meter and its balance to another user', async () => {
+    await pay();
+    await createUser('carol', { email: 'carol@example.com', meter_no: null });
+
+    const res = await call('POST', '/admin/meters/MTR001/reassign', {
+      token: admin.token,
+      body: { user_id: 'carol', reason: 'House sold' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.previous_user_id, 'alice');
+    assert.equal((await readDb('users/carol')).meter_no, 'MTR001');
+    assert.equal((await readDb('users/alice')).meter_no, undefined);
+    assert.equal(await ledger.getBalance('MTR001'), 4);
+  });
+
+  it('adds the meter to a user who already has another', async () => {
+    const res = await call('POST', '/admin/meters/MTR001/reassign', { token: admin.token, body: { user_id: 'support' } });
+    assert.equal(res.status, 200);
+    const support = await readDb('users/support');
+    assert.equal(support.meter_no, 'MTR090');
+    assert.ok(support.meters.MTR001);
+  });
+
+  it('refuses the meter\'s current owner', async () => {
+    const res = await call('POST', '/admin/meters/MTR001/reassign', { token: admin.token, body: { user_id: 'alice' } });
+    assert.equal(res.status, 409);
+  });
+});
+
+describe('/admin/ledger', () => {
+  it('shows a meter\'s balance and entries', async () => {
+    await pay();
+    const res = await call('GET', '/admin/ledger/MTR001', { token: support.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.balance, 4);
+    assert.equal(res.body.entries[0].source, 'PAYMENT');
+  });
+
+  it('reports and repairs drift', async () => {
+    await pay();
+    await ledger.ensureAccount('MTR090', 'support');
+    await ledger.ensureAccount('MTR091', 'admin');
+    await updateDb({ 'users/alice/balance': 99 });
+
+    const report = await call('POST', '/admin/ledger/reconcile', { token: admin.token });
+    assert.equal(report.status, 200);
+    assert.deepEqual(report.body.drift.map(d => [d.meter_no, d.issues.map(issue => issue.field)]), [['MTR001', ['users.balance']]]);
+
+    const repaired = await call('POST', '/admin/ledger/reconcile?repair=true', { token: admin.token });
+    assert.equal(repaired.body.repaired, 1);
+    assert.equal((await readDb('users/alice')).balance, 4);
+  });
+
+  it('only lets admins reconcile', async () => {
+    assert.equal((await call('POST', '/admin/ledger/reconcile', { token: support.token })).status, 403);
+  });
+});
+
+describe('/tariffs', () => {
+  it('uses the flat default until a tariff is stored', async () => {
+    const res = await call('GET', '/tariffs/active');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.id, 'default');
+  });
+
+  it('lets an admin add a tariff that then applies', async () => {
+    const created = await call('POST', '/tariffs', { token: admin.token, body: tariff });
+    assert.equal(created.status, 201);
+
+    assert.equal((await call('GET', '/tariffs/active')).body.id, created.body.id);
+    const list = await call('GET', '/tariffs', { token: admin.token });
+    assert.deepEqual(list.body.map(t => t.id), [created.body.id]);
+  });
+
+  it('rejects an invalid tariff', async () => {
+    const res = await call('POST', '/tariffs', { token: admin.token, body: { ...tariff, bands: [] } });
+    assert.equal(res.status, 400);
+    assert.ok(res.body.details.length > 0);
+  });
+
+  it('keeps tariff management admin only', async () => {
+    assert.equal((await call('GET', '/tariffs', { token: support.token })).status, 403);
+    assert.equal((await call('POST', '/tariffs', { token: alice.token, body: tariff })).status, 403);
+  });
+
+  it('quotes a purchase across bands', async () => {
+    await call('POST', '/tariffs', { token: admin.token, body: tariff });
+    const res = await call('GET', '/tariffs/quote?meter_no=MTR001&amount=500', { token: alice.token });
+
+    assert.equal(res.status, 200);
+    // 30 units at 10 (300), then 10 units at 20 (200)
+    assert.equal(res.body.units, 40);
+    assert.deepEqual(res.body.bands.map(band => band.units), [30, 10]);
+  });
+
+  it('counts the current owner\'s purchases in the Nairobi month', async () => {
+    const purchase = (status, units, timestamp) => ({ meter_no: 'MTR001', user_id: 'alice', status, units, timestamp });
+    await updateDb({
+      'transactions/t1': purchase('completed', 10, '2026-03-05T10:00:00.000Z'),
+      // 01:00 on 1 March in Nairobi
+      'transactions/t2': purchase('SUCCESS', 5, '2026-02-28T22:00:00.000Z'),
+      // 23:00 on 28 February in Nairobi
+      'transactions/t3': purchase('SUCCESS', 7, '2026-02-28T20:00:00.000Z'),
+      'transactions/t4': purchase('FAILED', 3, '2026-03-06T10:00:00.000Z')
+    });
+    const at = new Date('2026-03-20T12:00:00.000Z');
+    assert.equal(await getMonthToDateUnits('MTR001', at), 15);
+
+    // Alice moved in on 1 March: the previous tenant's purchase that morning does not count
+    await updateDb({
+      'meters/MTR001/ownership/o1': { user_id: 'alice', reason: 'TENANCY_CHANGE', started_at: '2026-03-01T12:00:00.000Z', ended_at: null }
+    });
+    assert.equal(await getMonthToDateUnits('MTR001', at), 10);
+  });
+
+  it('validates the quote request', async () => {
+    assert.equal((await call('GET', '/tariffs/quote?meter_no=MTR001&amount=0', { token: alice.token })).status, 400);
+    assert.equal((await call('GET', '/tariffs/quote?meter_no=MTR404&amount=100', { token: alice.token })).status, 404);
+  });
+});
+
+describe('/admin/webhooks', () => {
+  async function failedCallback() {
+    await call('POST', '/daraja/callback', {
+      body: { ResultCode: 0, MpesaReceiptNumber: 'RKT0000005', Amount: 100, BillRefNumber: 'MTR777' }
+    });
+    const [id] = Object.keys(await readDb('webhook_inbox'));
+    return id;
+  }
+
+  it('lists and shows inbox entries', async () => {
+    const id = await failedCallback();
+
+    const list = await call('GET', '/admin/webhooks?status=FAILED', { token: support.token });
+    assert.deepEqual(list.body.map(entry => entry.id), [id]);
+
+    const entry = await call('GET', `/admin/webhooks/${id}`, { token: support.token });
+    assert.equal(entry.body.type, 'daraja_callback');
+    assert.match(entry.body.last_error, /MTR777/);
+  });
+
+  it('validates the status filter and unknown IDs', async () => {
+    assert.equal((await call('GET', '/admin/webhooks?status=LOST', { token: support.token })).status, 400);
+    assert.equal((await call('GET', '/admin/webhooks/nope', { token: support.token })).status, 404);
+  });
+
+  it('replays a failed callback once the cause is fixed', async () => {
+    const id = await failedCallback();
+    await createUser('dave', { email: 'dave@example.com', meter_no: 'MTR777' });
+
+    const res = await call('POST', `/admin/webhooks/${id}/replay`, { token: admin.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'PROCESSED');
+    assert.equal(await ledger.getBalance('MTR777'), 4);
+    assert.equal((await call('POST', `/admin/webhooks/${id}/replay`, { token: admin.token })).status, 409);
+  });
+
+  it('only lets admins replay', async () => {
+    const id = await failedCallback();
+    assert.equal((await call('POST', `/admin/webhooks/${id}/replay`, { token: support.token })).status, 403);
+  });
+});
@@ -0,0 +1,212 @@
+// test/alerts.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, updateDb, createUser, startApp, request, simulateFirebaseTransactions } = require('./helpers');
+const ledger = require('../services/ledgerService');
+const { forecastMeter } = require('../services/consumptionService');
+const { checkMeterAlerts, validateSettings } = require('../services/alertService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+let server;
+let alice;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+
+// One reading per day for the week before NOW
+function dailyReadings(meterNo, unitsPerDay) {
+  const updates = {};
+  for (let day = 1; day <= 7; day++) {
+    updates[`unit_consumption/${meterNo}-${day}`] = { meter_no: meterNo, units_consumed: unitsPerDay, timestamp: NOW - day * DAY_MS };
+  }
+  return updates;
+}
+
+// Written directly so the ledger hook does not run its own check alongside the test's
+async function setBalance(meterNo, units) {
+  await updateDb({ [`meters/${meterNo}/account/balance`]: units });
+}
+
+async function outbox() {
+  return Object.values(await readDb('message_outbox') || {});
+}
+
+async function notifications(userId) {
+  return Object.values(await readDb(`notifications/${userId}`) || {});
+}
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  alice = await createUser('alice', { email: 'alice@example.com', meter_no: 'MTR001' });
+  await ledger.credit('MTR001', 20, { source: 'PAYMENT', reference: 'seed' });
+  await updateDb(dailyReadings('MTR001', 4));
+});
+
+describe('forecastMeter', () => {
+  it('divides the balance by the average daily use of the last week', async () => {
+    const forecast = await forecastMeter('MTR001', NOW);
+    assert.equal(forecast.balance, 20);
+    assert.equal(forecast.average_daily_units, 4);
+    assert.equal(forecast.days_remaining, 5);
+    assert.equal(forecast.runs_out_at, new Date(NOW + 5 * DAY_MS).toISOString());
+    assert.equal(forecast.readings, 7);
+  });
+
+  it('has no forecast without recent use', async () => {
+    const forecast = await forecastMeter('MTR001', NOW + 30 * DAY_MS);
+    assert.equal(forecast.days_remaining, null);
+    assert.equal(forecast.runs_out_at, null);
+  });
+});
+
+describe('checkMeterAlerts', () => {
+  it('sends nothing while the balance is healthy', async () => {
+    assert.equal((await checkMeterAlerts('MTR001', NOW)).sent, false);
+    assert.equal((await outbox()).length, 0);
+  });
+
+  it('alerts once when the forecast drops below the threshold', async () => {
+    await setBalance('MTR001', 7);
+
+    const result = await checkMeterAlerts('MTR001', NOW);
+    assert.equal(result.sent, true);
+    assert.equal(result.kind, 'FORECAST');
+    assert.deepEqual(result.channels, ['in_app', 'sms', 'email']);
+
+    const messages = await outbox();
+    assert.deepEqual(messages.map(m => m.channel).sort(), ['email', 'sms']);
+    assert.match(messages[0].body, /MTR001 will run out in about 1.8 days: 7\.00 kWh left/);
+    assert.equal((await notifications('alice'))[0].type, 'FORECAST');
+
+    assert.equal((await checkMeterAlerts('MTR001', NOW + 1000)).sent, false);
+    assert.equal((await outbox()).length, 2);
+  });
+
+  it('escalates to a low-balance alert', async () => {
+    await setBalance('MTR001', 7);
+    await checkMeterAlerts('MTR001', NOW);
+    await setBalance('MTR001', 4);
+
+    const result = await checkMeterAlerts('MTR001', NOW + 1000);
+    assert.equal(result.kind, 'LOW_BALANCE');
+    assert.match((await notifications('alice')).find(n => n.type === 'LOW_BALANCE').body, /4\.00 kWh left/);
+  });
+
+  it('alerts again after a top-up clears the condition and the cooldown passes', async () => {
+    await setBalance('MTR001', 4);
+    assert.equal((await checkMeterAlerts('MTR001', NOW)).kind, 'LOW_BALANCE');
+
+    await setBalance('MTR001', 44);
+    assert.equal((await checkMeterAlerts('MTR001', NOW + 1000)).sent, false);
+    assert.equal((await readDb('alert_state/MTR001/LOW_BALANCE')).active, false);
+
+    await setBalance('MTR001', 4);
+    assert.equal((await checkMeterAlerts('MTR001', NOW + 2000)).sent, false, 'still cooling down');
+    await setBalance('MTR001', 44);
+    await checkMeterAlerts('MTR001', NOW + DAY_MS);
+    await setBalance('MTR001', 4);
+    assert.equal((await checkMeterAlerts('MTR001', NOW + DAY_MS + 2000)).kind, 'LOW_BALANCE');
+  });
+
+  it('re-arms after a top-up when the first transaction run sees null, as on Firebase', async () => {
+    const restore = simulateFirebaseTransactions();
+    try {
+      await setBalance('MTR001', 4);
+      assert.equal((await checkMeterAlerts('MTR001', NOW)).kind, 'LOW_BALANCE');
+      await setBalance('MTR001', 44);
+      await checkMeterAlerts('MTR001', NOW + DAY_MS);
+      assert.equal((await readDb('alert_state/MTR001/LOW_BALANCE')).active, false);
+      await setBalance('MTR001', 4);
+      assert.equal((await checkMeterAlerts('MTR001', NOW + DAY_MS + 2000)).kind, 'LOW_BALANCE');
+    } finally {
+      restore();
+    }
+    assert.equal((await notifications('alice')).filter(n => n.type === 'LOW_BALANCE').length, 2);
+  });
+
+  it('follows the user\'s thresholds and channels', async () => {
+    await updateDb({ 'users/alice/alert_settings': { low_balance_units: 1, forecast_days: 0, channels: { sms: false, email: false, in_app: true } } });
+    await setBalance('MTR001', 4);
+    assert.equal((await checkMeterAlerts('MTR001', NOW)).sent, false);
+
+    await setBalance('MTR001', 0.5);
+    const result = await checkMeterAlerts('MTR001', NOW);
+    assert.deepEqual(result.channels, ['in_app']);
+    assert.equal((await outbox()).length, 0);
+  });
+
+  it('sends nothing when alerts are disabled', async () => {
+    await updateDb({ 'users/alice/alert_settings/enabled': false });
+    await setBalance('MTR001', 0);
+    assert.equal((await checkMeterAlerts('MTR001', NOW)).sent, false);
+  });
+
+  it('is checked when the meter reports consumption', async () => {
+    await ledger.debit('MTR001', 18, { source: 'CONSUMPTION' });
+    for (let i = 0; i < 20 && (await notifications('alice')).length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal((await notifications('alice'))[0].type, 'LOW_BALANCE');
+  });
+});
+
+describe('validateSettings', () => {
+  it('rejects bad values', () => {
+    assert.deepEqual(validateSettings({ low_balance_units: 3, channels: { sms: false } }), []);
+    assert.equal(validateSettings({ low_balance_units: -1 }).length, 1);
+    assert.equal(validateSettings({ forecast_days: '2' }).length, 1);
+    assert.equal(validateSettings({ channels: { pigeon: true } }).length, 1);
+    assert.equal(validateSettings({ enabled: 'yes' }).length, 1);
+  });
+});
+
+describe('/alerts routes', () => {
+  it('reads and updates the signed-in user\'s settings', async () => {
+    const defaults = await call('GET', '/alerts/settings', { token: alice.token });
+    assert.deepEqual(defaults.body, { enabled: true, low_balance_units: 5, forecast_days: 2, channels: { sms: true, email: true, in_app: true } });
+
+    const updated = await call('PUT', '/alerts/settings', { token: alice.token, body: { low_balance_units: 10, channels: { sms: false } } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.low_balance_units, 10);
+    assert.deepEqual(updated.body.channels, { sms: false, email: true, in_app: true });
+
+    const invalid = await call('PUT', '/alerts/settings', { token: alice.token, body: { forecast_days: -2 } });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('lists notifications and marks them read', async () => {
+    await setBalance('MTR001', 0);
+    await checkMeterAlerts('MTR001', NOW);
+
+    const list = await call('GET', '/alerts/notifications', { token: alice.token });
+    assert.equal(list.body.length, 1);
+    assert.equal(list.body[0].read, false);
+
+    const read = await call('POST', `/alerts/notifications/${list.body[0].id}/read`, { token: alice.token });
+    assert.equal(read.status, 200);
+    assert.equal((await call('GET', '/alerts/notifications', { token: alice.token })).body[0].read, true);
+    assert.equal((await call('POST', '/alerts/notifications/nope/read', { token: alice.token })).status, 404);
+  });
+
+  it('requires a signed-in user', async () => {
+    assert.equal((await call('GET', '/alerts/settings')).status, 401);
+  });
+});
+
+describe('GET /meters/:meterNo/forecast', () => {
+  it('returns the forecast for the user\'s own meter', async () => {
+    const res = await call('GET', '/meters/MTR001/forecast', { token: alice.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.balance, 20);
+    assert.equal(res.body.meter_no, 'MTR001');
+  });
+});
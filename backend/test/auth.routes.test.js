@@ -0,0 +1,256 @@
+// test/auth.routes.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, createUser, startApp, request, simulateFirebaseTransactions } = require('./helpers');
+const { verifyOtp, refreshSession } = require('../services/authService');
+
+let server;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+
+const registration = {
+  name: 'Alice',
+  email: 'Alice@Example.com ',
+  meter_no: 'MTR001',
+  phone_number: '254712345678',
+  password: 'correct-horse-1'
+};
+
+async function register(fields = {}) {
+  return call('POST', '/users', { body: { ...registration, ...fields } });
+}
+
+async function login(email = 'alice@example.com', password = registration.password) {
+  return call('POST', '/auth/login', { body: { email, password } });
+}
+
+// The stub email transport keeps a copy of every message in message_outbox
+async function lastOtpCode() {
+  const messages = Object.values(await readDb('message_outbox') || {});
+  return messages[messages.length - 1].body.match(/\d{6}/)[0];
+}
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  resetDb();
+});
+
+describe('POST /users', () => {
+  it('registers a user with a normalized email and a hashed password', async () => {
+    const res = await register();
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.email, 'alice@example.com');
+    assert.equal(res.body.balance, 0);
+    assert.equal(res.body.auth, undefined);
+
+    const stored = await readDb(`users/${res.body.user_id}`);
+    assert.equal(stored.meter_no, 'MTR001');
+    assert.ok(stored.auth.password_hash);
+    assert.ok(!stored.auth.password_hash.includes(registration.password));
+  });
+
+  it('lets a user register without a password', async () => {
+    const res = await register({ password: undefined });
+    assert.equal(res.status, 201);
+    assert.equal((await readDb(`users/${res.body.user_id}`)).auth, undefined);
+  });
+
+  it('requires every field', async () => {
+    assert.equal((await register({ phone_number: '' })).status, 400);
+  });
+
+  it('rejects a weak password', async () => {
+    assert.equal((await register({ password: 'short' })).status, 400);
+  });
+
+  it('rejects a duplicate email or meter number', async () => {
+    await register();
+    assert.equal((await register({ meter_no: 'MTR002' })).status, 409);
+    assert.equal((await register({ email: 'bob@example.com' })).status, 409);
+  });
+});
+
+describe('POST /auth/login', () => {
+  beforeEach(async () => {
+    await register();
+  });
+
+  it('returns an access token, refresh token and the user', async () => {
+    const res = await login();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.token_type, 'Bearer');
+    assert.ok(res.body.access_token);
+    assert.match(res.body.refresh_token, /^[^.]+\.[0-9a-f]+$/);
+    assert.equal(res.body.user.email, 'alice@example.com');
+    assert.equal(res.body.user.role, 'customer');
+  });
+
+  it('rejects a wrong password or unknown email', async () => {
+    assert.equal((await login('alice@example.com', 'wrong-password-1')).status, 401);
+    assert.equal((await login('nobody@example.com')).status, 401);
+  });
+
+  it('requires email and password', async () => {
+    assert.equal((await call('POST', '/auth/login', { body: { email: 'alice@example.com' } })).status, 400);
+  });
+});
+
+describe('POST /auth/otp/request and /auth/otp/verify', () => {
+  beforeEach(async () => {
+    await register({ password: undefined });
+  });
+
+  it('signs in with a one-time code sent by email', async () => {
+    const requested = await call('POST', '/auth/otp/request', { body: { email: 'alice@example.com' } });
+    assert.equal(requested.status, 200);
+
+    const verified = await call('POST', '/auth/otp/verify', {
+      body: { email: 'alice@example.com', code: await lastOtpCode() }
+    });
+    assert.equal(verified.status, 200);
+    assert.ok(verified.body.access_token);
+  });
+
+  it('accepts a code only once', async () => {
+    await call('POST', '/auth/otp/request', { body: { email: 'alice@example.com' } });
+    const code = await lastOtpCode();
+
+    await call('POST', '/auth/otp/verify', { body: { email: 'alice@example.com', code } });
+    const again = await call('POST', '/auth/otp/verify', { body: { email: 'alice@example.com', code } });
+    assert.equal(again.status, 401);
+  });
+
+  it('accepts a code only once when it is sent several times at once', async () => {
+    await call('POST', '/auth/otp/request', { body: { email: 'alice@example.com' } });
+    const code = await lastOtpCode();
+
+    // Straight to the service: requests over HTTP rarely interleave this closely
+    const results = await Promise.all([1, 2, 3].map(() => verifyOtp('alice@example.com', code)));
+    assert.deepEqual(results.map(result => result.success).sort(), [false, false, true]);
+  });
+
+  it('stops accepting guesses after the last attempt, even in parallel', async () => {
+    await call('POST', '/auth/otp/request', { body: { email: 'alice@example.com' } });
+    const code = await lastOtpCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    await Promise.all(Array.from({ length: 8 }, () => verifyOtp('alice@example.com', wrong)));
+    const [otp] = Object.values(await readDb('auth_otps'));
+    assert.equal(otp.attempts, 5);
+
+    const res = await call('POST', '/auth/otp/verify', { body: { email: 'alice@example.com', code } });
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects a wrong code', async () => {
+    await call('POST', '/auth/otp/request', { body: { email: 'alice@example.com' } });
+    const res = await call('POST', '/auth/otp/verify', { body: { email: 'alice@example.com', code: '000000x' } });
+    assert.equal(res.status, 401);
+  });
+
+  it('does not reveal whether an email is registered', async () => {
+    const res = await call('POST', '/auth/otp/request', { body: { email: 'nobody@example.com' } });
+    assert.equal(res.status, 200);
+    assert.equal(await readDb('message_outbox'), null);
+  });
+
+  it('rate limits repeated requests', async () => {
+    await call('POST', '/auth/otp/request', { body: { email: 'alice@example.com' } });
+    const res = await call('POST', '/auth/otp/request', { body: { email: 'alice@example.com' } });
+    assert.equal(res.status, 429);
+    assert.ok(res.body.retry_after > 0);
+  });
+
+  it('rejects an unknown channel', async () => {
+    const res = await call('POST', '/auth/otp/request', { body: { email: 'alice@example.com', channel: 'fax' } });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('POST /auth/refresh and /auth/logout', () => {
+  let session;
+
+  beforeEach(async () => {
+    await register();
+    session = (await login()).body;
+  });
+
+  it('rotates the refresh token', async () => {
+    const res = await call('POST', '/auth/refresh', { body: { refresh_token: session.refresh_token } });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.access_token);
+    assert.notEqual(res.body.refresh_token, session.refresh_token);
+  });
+
+  it('revokes the session when an old refresh token is replayed', async () => {
+    const rotated = await call('POST', '/auth/refresh', { body: { refresh_token: session.refresh_token } });
+
+    const replay = await call('POST', '/auth/refresh', { body: { refresh_token: session.refresh_token } });
+    assert.equal(replay.status, 401);
+
+    const next = await call('POST', '/auth/refresh', { body: { refresh_token: rotated.body.refresh_token } });
+    assert.equal(next.status, 401);
+  });
+
+  it('issues one successor when a refresh token is sent several times at once', async () => {
+    // Straight to the service: requests over HTTP rarely interleave this closely
+    const results = await Promise.all([1, 2, 3].map(() => refreshSession(session.refresh_token)));
+    assert.deepEqual(results.map(result => result.success).sort(), [false, false, true]);
+  });
+
+  it('rotates against the real session when the first transaction run sees null, as on Firebase', async () => {
+    const restore = simulateFirebaseTransactions();
+    let result;
+    try {
+      result = await refreshSession(session.refresh_token);
+    } finally {
+      restore();
+    }
+    assert.equal(result.success, true);
+
+    const res = await call('POST', '/auth/refresh', { body: { refresh_token: result.session.refresh_token } });
+    assert.equal(res.status, 200);
+  });
+
+  it('stops a refresh token working after logout', async () => {
+    assert.equal((await call('POST', '/auth/logout', { body: { refresh_token: session.refresh_token } })).status, 200);
+    const res = await call('POST', '/auth/refresh', { body: { refresh_token: session.refresh_token } });
+    assert.equal(res.status, 401);
+  });
+
+  it('requires a refresh token', async () => {
+    assert.equal((await call('POST', '/auth/refresh', { body: {} })).status, 400);
+  });
+});
+
+describe('GET /auth/me', () => {
+  it('returns the signed-in user', async () => {
+    const { token } = await createUser('alice', { email: 'alice@example.com', role: 'support' });
+    const res = await call('GET', '/auth/me', { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user_id, 'alice');
+    assert.equal(res.body.role, 'support');
+  });
+
+  it('rejects a missing or invalid token', async () => {
+    assert.equal((await call('GET', '/auth/me')).status, 401);
+    assert.equal((await call('GET', '/auth/me', { token: 'not-a-jwt' })).status, 401);
+  });
+
+  it('rejects a token for a deleted user', async () => {
+    const { token } = await createUser('alice');
+    resetDb();
+    assert.equal((await call('GET', '/auth/me', { token })).status, 401);
+  });
+});
@@ -0,0 +1,215 @@
+// test/commands.test.js
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, updateDb, createUser, startApp, request, deviceHeaders, simulateFirebaseTransactions } = require('./helpers');
+const ledger = require('../services/ledgerService');
+const { processPayment, consumeUnits } = require('../services/meterService');
+const { enqueueCommand, claimPendingCommands, acknowledgeCommand } = require('../services/commandService');
+
+let server;
+let secret;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+const adminKey = { 'x-admin-key': 'test-admin-key' };
+
+function signed(method, path, body) {
+  const raw = body === undefined ? '' : JSON.stringify(body);
+  return call(method, path, {
+    body: body === undefined ? undefined : raw,
+    headers: deviceHeaders('MTR001', secret, method, path, raw)
+  });
+}
+
+async function queued() {
+  return Object.values(await readDb('meters/MTR001/commands') || {});
+}
+
+// Relay changes follow ledger entries in the background
+async function waitForCommand(type) {
+  for (let i = 0; i < 50; i++) {
+    const match = (await queued()).find(command => command.type === type && command.status === 'PENDING');
+    if (match) return match;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.fail(`No pending ${type} command`);
+}
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  await createUser('alice', { meter_no: 'MTR001' });
+  await ledger.credit('MTR001', 5, { source: 'PAYMENT', reference: 'seed' });
+  secret = (await call('POST', '/admin/devices/MTR001/rotate', { headers: adminKey })).body.secret;
+  // Start each test with an empty queue
+  await waitForCommand('SYNC_BALANCE');
+  await updateDb({ 'meters/MTR001/commands': null });
+});
+
+afterEach(() => {
+  delete process.env.EMERGENCY_CREDIT_UNITS;
+});
+
+describe('automatic relay commands', () => {
+  it('disconnects the meter when the balance runs out', async () => {
+    await signed('POST', '/api/iot/consume', { meterNo: 'MTR001', units: 5 });
+
+    const command = await waitForCommand('RELAY_OFF');
+    assert.equal(command.reason, 'BALANCE_EXHAUSTED');
+    assert.equal((await readDb('meters/MTR001/relay')).desired, 'OFF');
+
+    // Further readings at zero do not queue it again
+    await signed('POST', '/api/iot/consume', { meterNo: 'MTR001', units: 1 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal((await queued()).filter(c => c.type === 'RELAY_OFF').length, 1);
+  });
+
+  it('reconnects the meter when a payment credits units', async () => {
+    await signed('POST', '/api/iot/consume', { meterNo: 'MTR001', units: 5 });
+    await waitForCommand('RELAY_OFF');
+
+    await processPayment('alice', 'MTR001', 100, 'REF1');
+
+    const command = await waitForCommand('RELAY_ON');
+    assert.equal(command.reason, 'TOPPED_UP');
+    assert.equal((await waitForCommand('SYNC_BALANCE')).payload.balance, 4);
+    // The undelivered RELAY_OFF is no longer worth sending
+    assert.equal((await queued()).find(c => c.type === 'RELAY_OFF').status, 'SUPERSEDED');
+  });
+
+  it('reconnects after a top-up when the first transaction run sees null, as on Firebase', async () => {
+    const restore = simulateFirebaseTransactions();
+    try {
+      await consumeUnits('MTR001', 5);
+      await waitForCommand('RELAY_OFF');
+      assert.equal((await readDb('meters/MTR001/relay')).desired, 'OFF');
+
+      await ledger.credit('MTR001', 4, { source: 'PAYMENT' });
+      assert.equal((await waitForCommand('RELAY_ON')).reason, 'TOPPED_UP');
+      assert.equal((await readDb('meters/MTR001/relay')).desired, 'ON');
+    } finally {
+      restore();
+    }
+  });
+
+  it('lets the meter run on emergency credit before disconnecting', async () => {
+    process.env.EMERGENCY_CREDIT_UNITS = '2';
+
+    const first = await signed('POST', '/api/iot/consume', { meterNo: 'MTR001', units: 6 });
+    assert.equal(first.body.newBalance, -1);
+    assert.equal((await waitForCommand('SYNC_BALANCE')).reason, 'EMERGENCY_CREDIT');
+    assert.equal((await queued()).some(c => c.type === 'RELAY_OFF'), false);
+
+    const second = await signed('POST', '/api/iot/consume', { meterNo: 'MTR001', units: 3 });
+    assert.equal(second.body.newBalance, -2);
+    await waitForCommand('RELAY_OFF');
+
+    // A top-up first repays the emergency credit; the meter is reconnected once the balance is above zero
+    await ledger.credit('MTR001', 1, { source: 'PAYMENT' });
+    await waitForCommand('SYNC_BALANCE');
+    assert.equal((await readDb('meters/MTR001/relay')).desired, 'OFF');
+    await ledger.credit('MTR001', 3, { source: 'PAYMENT' });
+    await waitForCommand('RELAY_ON');
+  });
+});
+
+describe('device command routes', () => {
+  it('delivers pending commands and records acknowledgements', async () => {
+    const queuedCommand = await enqueueCommand('MTR001', 'RELAY_OFF', { reason: 'MANUAL' });
+
+    const poll = await signed('GET', '/api/iot/meter/MTR001/commands');
+    assert.equal(poll.status, 200);
+    assert.equal(poll.body.balance, 5);
+    assert.deepEqual(poll.body.commands.map(c => [c.id, c.type, c.attempts]), [[queuedCommand.id, 'RELAY_OFF', 1]]);
+
+    // Sent commands are not repeated until the acknowledgement is overdue
+    assert.deepEqual((await signed('GET', '/api/iot/meter/MTR001/commands')).body.commands, []);
+
+    const path = `/api/iot/meter/MTR001/commands/${queuedCommand.id}/ack`;
+    const ack = await signed('POST', path, { success: true });
+    assert.equal(ack.status, 200);
+    assert.equal(ack.body.command.status, 'ACKED');
+    assert.equal((await readDb('meters/MTR001/relay')).state, 'OFF');
+
+    // A repeated acknowledgement is accepted
+    assert.equal((await signed('POST', path, { success: true })).status, 200);
+  });
+
+  it('records failures and rejects unknown or undelivered commands', async () => {
+    const failing = await enqueueCommand('MTR001', 'RELAY_ON', { reason: 'MANUAL' });
+    await signed('GET', '/api/iot/meter/MTR001/commands');
+    const failed = await signed('POST', `/api/iot/meter/MTR001/commands/${failing.id}/ack`, { success: false, error: 'Relay stuck', relay_state: 'OFF' });
+    assert.equal(failed.body.command.status, 'FAILED');
+    assert.equal((await readDb('meters/MTR001/relay')).state, 'OFF');
+
+    const undelivered = await enqueueCommand('MTR001', 'SYNC_BALANCE');
+    assert.equal((await signed('POST', `/api/iot/meter/MTR001/commands/${undelivered.id}/ack`, { success: true })).status, 409);
+    assert.equal((await signed('POST', '/api/iot/meter/MTR001/commands/nope/ack', { success: true })).status, 404);
+    assert.equal((await signed('POST', `/api/iot/meter/MTR001/commands/${undelivered.id}/ack`, { success: 'yes' })).status, 400);
+  });
+
+  it('resends unacknowledged commands and gives up after the last attempt', async () => {
+    const command = await enqueueCommand('MTR001', 'RELAY_OFF', { reason: 'MANUAL' });
+    const start = Date.now();
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      const [delivered] = await claimPendingCommands('MTR001', start + attempt * 121000);
+      assert.equal(delivered.attempts, attempt);
+    }
+    assert.deepEqual(await claimPendingCommands('MTR001', start + 6 * 121000), []);
+    assert.equal((await readDb(`meters/MTR001/commands/${command.id}`)).status, 'EXPIRED');
+  });
+
+  it('delivers and acknowledges when the first transaction run sees null, as on Firebase', async () => {
+    const command = await enqueueCommand('MTR001', 'RELAY_OFF', { reason: 'MANUAL' });
+    const restore = simulateFirebaseTransactions();
+    try {
+      const delivered = await claimPendingCommands('MTR001');
+      assert.deepEqual(delivered.map(c => c.id), [command.id]);
+
+      const ack = await acknowledgeCommand('MTR001', command.id, { success: true });
+      assert.equal(ack.success, true);
+      assert.equal(ack.command.status, 'ACKED');
+
+      assert.equal((await acknowledgeCommand('MTR001', 'nope', { success: true })).code, 'NOT_FOUND');
+      assert.deepEqual(await claimPendingCommands('MTR002'), []);
+    } finally {
+      restore();
+    }
+  });
+
+  it('requires a signature from the meter\'s own device', async () => {
+    assert.equal((await call('GET', '/api/iot/meter/MTR001/commands')).status, 401);
+  });
+});
+
+describe('/admin/meters/:meterNo/commands', () => {
+  it('queues a manual disconnect that top-ups do not undo', async () => {
+    const sent = await call('POST', '/admin/meters/MTR001/commands', { headers: adminKey, body: { type: 'RELAY_OFF', reason: 'Tampering' } });
+    assert.equal(sent.status, 201);
+    assert.equal(sent.body.command.type, 'RELAY_OFF');
+
+    await ledger.credit('MTR001', 10, { source: 'PAYMENT' });
+    await waitForCommand('SYNC_BALANCE');
+
+    const status = await call('GET', '/admin/meters/MTR001/commands', { headers: adminKey });
+    assert.equal(status.body.relay.desired, 'OFF');
+    assert.equal(status.body.relay.reason, 'MANUAL');
+    assert.equal(status.body.commands.some(c => c.type === 'RELAY_ON'), false);
+
+    const audit = Object.values(await readDb('admin_audit'));
+    assert.equal(audit[0].action, 'METER_COMMAND');
+  });
+
+  it('validates the command', async () => {
+    assert.equal((await call('POST', '/admin/meters/MTR001/commands', { headers: adminKey, body: { type: 'EXPLODE' } })).status, 400);
+    assert.equal((await call('POST', '/admin/meters/MTR001/commands', { headers: adminKey, body: { type: 'RELAY_ON' } })).status, 400);
+    assert.equal((await call('POST', '/admin/meters/NOPE/commands', { headers: adminKey, body: { type: 'SYNC_BALANCE' } })).status, 404);
+  });
+});
@@ -0,0 +1,97 @@
+// test/consumption.routes.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, updateDb, createUser, startApp, request } = require('./helpers');
+const { resolveHistoryRange } = require('../services/consumptionService');
+
+let server;
+let alice;
+let bob;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+
+function reading(id, meterNo, units, timestamp) {
+  return { [`unit_consumption/${id}`]: { meter_no: meterNo, user_id: 'alice', units_consumed: units, timestamp } };
+}
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  alice = await createUser('alice', { email: 'alice@example.com', meter_no: 'MTR001' });
+  bob = await createUser('bob', { email: 'bob@example.com', meter_no: 'MTR002' });
+
+  await updateDb({
+    // 2026-01-05 01:30 and 23:00 Nairobi time, and 2026-01-06 10:00
+    ...reading('c1', 'MTR001', 1.5, Date.parse('2026-01-04T22:30:00Z')),
+    ...reading('c2', 'MTR001', 2, '2026-01-05T20:00:00.000Z'),
+    ...reading('c3', 'MTR001', 0.25, '2026-01-06T07:00:00.000Z'),
+    ...reading('c4', 'MTR002', 9, '2026-01-05T12:00:00.000Z'),
+    'transactions/t1': { meter_no: 'MTR001', user_id: 'alice', amount: 100, units: 4, status: 'SUCCESS', timestamp: '2026-01-05T09:00:00.000Z', settled_at: '2026-01-05T09:00:05.000Z' },
+    'transactions/t2': { meter_no: 'MTR001', user_id: 'alice', amount: 50, units: 2, status: 'FAILED', timestamp: '2026-01-05T10:00:00.000Z' }
+  });
+});
+
+describe('resolveHistoryRange', () => {
+  it('defaults to the last 30 days by day', () => {
+    const { errors, range } = resolveHistoryRange({ to: '2026-02-01T00:00:00Z' });
+    assert.deepEqual(errors, []);
+    assert.equal(range.bucket, 'day');
+    assert.equal(range.to - range.from, 30 * 24 * 60 * 60 * 1000);
+  });
+
+  it('rejects bad input', () => {
+    assert.match(resolveHistoryRange({ bucket: 'week' }).errors[0], /bucket/);
+    assert.match(resolveHistoryRange({ from: 'soon' }).errors[0], /from/);
+    assert.match(resolveHistoryRange({ from: '2026-02-01', to: '2026-01-01' }).errors[0], /before/);
+    assert.match(resolveHistoryRange({ from: '2025-01-01', to: '2026-01-01', bucket: 'hour' }).errors[0], /more than/);
+  });
+});
+
+describe('GET /meters/:meterNo/consumption', () => {
+  it('sums consumption and purchases per Nairobi day', async () => {
+    const res = await call('GET', '/meters/MTR001/consumption?from=2026-01-04T21:00:00Z&to=2026-01-07T21:00:00Z', { token: alice.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.bucket, 'day');
+    assert.deepEqual(res.body.series.map(p => p.label), ['2026-01-05', '2026-01-06', '2026-01-07']);
+    assert.deepEqual(res.body.series.map(p => p.units_consumed), [3.5, 0.25, 0]);
+    assert.deepEqual(res.body.series.map(p => p.units_purchased), [4, 0, 0]);
+    assert.equal(res.body.series[0].period_start, '2026-01-04T21:00:00.000Z');
+    assert.equal(res.body.series[0].amount_paid, 100);
+    assert.deepEqual(res.body.totals, { units_consumed: 3.75, units_purchased: 4, amount_paid: 100, readings: 3 });
+    assert.equal(res.body.average_daily_units, 1.25);
+  });
+
+  it('buckets by hour and month', async () => {
+    const hourly = await call('GET', '/meters/MTR001/consumption?bucket=hour&from=2026-01-05T20:00:00Z&to=2026-01-05T23:00:00Z', { token: alice.token });
+    assert.deepEqual(hourly.body.series.map(p => [p.label, p.units_consumed]), [
+      ['2026-01-05T23:00', 2],
+      ['2026-01-06T00:00', 0],
+      ['2026-01-06T01:00', 0]
+    ]);
+
+    const monthly = await call('GET', '/meters/MTR001/consumption?bucket=month&from=2025-11-30T21:00:00Z&to=2026-01-31T21:00:00Z', { token: alice.token });
+    assert.deepEqual(monthly.body.series.map(p => [p.label, p.units_consumed]), [
+      ['2025-12', 0],
+      ['2026-01', 3.75]
+    ]);
+  });
+
+  it('rejects an invalid range', async () => {
+    const res = await call('GET', '/meters/MTR001/consumption?bucket=week', { token: alice.token });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details.length, 1);
+  });
+
+  it('only shows the signed-in user\'s meter', async () => {
+    assert.equal((await call('GET', '/meters/MTR001/consumption', { token: bob.token })).status, 403);
+    assert.equal((await call('GET', '/meters/MTR001/consumption')).status, 401);
+  });
+});
@@ -0,0 +1,122 @@
+// test/darajaMock.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, createUser, startApp, startMockDaraja, request } = require('./helpers');
+const { getBalance } = require('../services/ledgerService');
+
+let server;
+let daraja;
+let alice;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+
+async function transactionsFor(meterNo) {
+  return Object.values(await readDb('transactions') || {}).filter(t => t.meter_no === meterNo);
+}
+
+before(async () => {
+  server = await startApp();
+  // A short delay so the app has stored the reference before the callback arrives
+  daraja = await startMockDaraja({
+    sendCallbacks: true,
+    callbackUrl: `${server.baseUrl}/daraja/callback`,
+    callbackDelayMs: 50
+  });
+  process.env.DARAJA_STK_CALLBACK_URL = `${server.baseUrl}/daraja/stk/callback`;
+});
+
+after(async () => {
+  await daraja.settle();
+  await daraja.close();
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  daraja.reset();
+  Object.assign(daraja.config, { failureRate: 0, duplicateRate: 0 });
+  alice = await createUser('alice', { email: 'alice@example.com', meter_no: 'MTR001' });
+});
+
+describe('C2B simulation', () => {
+  it('credits the meter when the confirmation callback arrives', async () => {
+    const res = await call('POST', '/daraja/simulate', { token: alice.token, body: { meter_no: 'MTR001', amount: 100 } });
+    assert.equal(res.body.status, 'PENDING');
+
+    await daraja.settle();
+
+    const [callback] = daraja.callbacks;
+    assert.equal(callback.status, 200);
+    assert.equal(callback.payload.BillRefNumber, 'MTR001');
+    assert.equal(callback.payload.OriginatorCoversationID, res.body.OriginatorCoversationID);
+
+    const transaction = await readDb(`transactions/${res.body.transaction_id}`);
+    assert.equal(transaction.status, 'SUCCESS');
+    assert.equal(transaction.mpesa_receipt, callback.payload.MpesaReceiptNumber);
+    assert.equal(await getBalance('MTR001'), 4);
+  });
+
+  it('credits a duplicated callback once', async () => {
+    daraja.config.duplicateRate = 1;
+    await call('POST', '/daraja/simulate', { token: alice.token, body: { meter_no: 'MTR001', amount: 100 } });
+
+    await daraja.settle();
+
+    assert.equal(daraja.callbacks.length, 2);
+    assert.equal((await transactionsFor('MTR001')).length, 1);
+    assert.equal(await getBalance('MTR001'), 4);
+  });
+
+  it('fails the payment when the mock reports a failure', async () => {
+    daraja.config.failureRate = 1;
+    const res = await call('POST', '/daraja/simulate', { token: alice.token, body: { meter_no: 'MTR001', amount: 100 } });
+
+    await daraja.settle();
+
+    assert.notEqual(daraja.callbacks[0].payload.ResultCode, 0);
+    assert.equal((await readDb(`transactions/${res.body.transaction_id}`)).status, 'FAILED');
+    assert.equal(await getBalance('MTR001'), 0);
+  });
+});
+
+describe('STK Push', () => {
+  it('stays pending until the result is sent, then succeeds', async () => {
+    const push = await call('POST', '/daraja/stkpush', { token: alice.token, body: { meter_no: 'MTR001', amount: 100 } });
+    const path = `/daraja/stkpush/${push.body.CheckoutRequestID}`;
+    assert.equal((await call('GET', path, { token: alice.token })).body.status, 'PENDING');
+
+    await daraja.settle();
+
+    const res = await call('GET', path, { token: alice.token });
+    assert.equal(res.body.status, 'SUCCESS');
+    assert.equal(await getBalance('MTR001'), 4);
+  });
+});
+
+describe('the mock', () => {
+  it('rejects API calls without an access token', async () => {
+    const res = await request(daraja.url, 'POST', '/mpesa/c2b/v1/simulate', { body: { ShortCode: '600988', Amount: 10, Msisdn: '254708374149' } });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.errorCode, '404.001.03');
+  });
+
+  it('sends transaction status and reversal results to the ResultURL', async () => {
+    const token = (await request(daraja.url, 'GET', '/oauth/v1/generate?grant_type=client_credentials', {
+      headers: { Authorization: `Basic ${Buffer.from('key:secret').toString('base64')}` }
+    })).body.access_token;
+    const resultUrl = `${daraja.url}/mock/requests`;
+
+    const reversal = await request(daraja.url, 'POST', '/mpesa/reversal/v1/request', {
+      token,
+      body: { TransactionID: 'RKT0000001', Amount: 100, ResultURL: resultUrl }
+    });
+    assert.equal(reversal.body.ResponseCode, '0');
+
+    await daraja.settle();
+
+    const [result] = daraja.callbacks;
+    assert.equal(result.url, resultUrl);
+    assert.equal(result.payload.Result.ResultCode, 0);
+    assert.equal(result.payload.Result.OriginatorConversationID, reversal.body.OriginatorConversationID);
+  });
+});
@@ -0,0 +1,168 @@
+// test/device.routes.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, createUser, startApp, request, deviceHeaders } = require('./helpers');
+const { saveCallbackTransaction } = require('../transactions');
+const ledger = require('../services/ledgerService');
+
+let server;
+let secret;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+const adminKey = { 'x-admin-key': 'test-admin-key' };
+
+// Send a request signed the way the ESP32 firmware signs it
+function signed(method, path, body, meterNo = 'MTR001', key = secret) {
+  const raw = body === undefined ? '' : JSON.stringify(body);
+  return call(method, path, {
+    body: body === undefined ? undefined : raw,
+    headers: deviceHeaders(meterNo, key, method, path, raw)
+  });
+}
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  await createUser('alice', { meter_no: 'MTR001' });
+  await createUser('bob', { email: 'bob@example.com', meter_no: 'MTR002' });
+  await ledger.credit('MTR001', 5, { source: 'PAYMENT', reference: 'seed' });
+
+  const provisioned = await call('POST', '/admin/devices/MTR001/rotate', { headers: adminKey });
+  secret = provisioned.body.secret;
+});
+
+describe('/admin/devices', () => {
+  it('provisions a device secret and shows it only once', async () => {
+    const res = await call('GET', '/admin/devices/MTR001', { headers: adminKey });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ACTIVE');
+    assert.equal(res.body.key_version, 1);
+    assert.equal(res.body.secret, undefined);
+  });
+
+  it('rotates the secret so the old one stops working', async () => {
+    const rotated = await call('POST', '/admin/devices/MTR001/rotate', { headers: adminKey });
+    assert.equal(rotated.status, 201);
+    assert.equal(rotated.body.key_version, 2);
+
+    assert.equal((await signed('GET', '/api/iot/meter/MTR001/balance', undefined, 'MTR001', secret)).status, 401);
+    assert.equal((await signed('GET', '/api/iot/meter/MTR001/balance', undefined, 'MTR001', rotated.body.secret)).status, 200);
+  });
+
+  it('locks a revoked device out', async () => {
+    const revoked = await call('POST', '/admin/devices/MTR001/revoke', { headers: adminKey });
+    assert.equal(revoked.body.status, 'REVOKED');
+    assert.equal((await signed('GET', '/api/iot/meter/MTR001/balance')).status, 401);
+  });
+
+  it('returns 404 for unknown or unprovisioned meters', async () => {
+    assert.equal((await call('POST', '/admin/devices/UNKNOWN/rotate', { headers: adminKey })).status, 404);
+    assert.equal((await call('GET', '/admin/devices/MTR002', { headers: adminKey })).status, 404);
+    assert.equal((await call('POST', '/admin/devices/MTR002/revoke', { headers: adminKey })).status, 404);
+  });
+
+  it('is admin only', async () => {
+    const { token } = await createUser('support', { email: 'support@example.com', meter_no: 'MTR009', role: 'support' });
+    assert.equal((await call('GET', '/admin/devices/MTR001', { token })).status, 403);
+    assert.equal((await call('GET', '/admin/devices/MTR001', { headers: { 'x-admin-key': 'wrong' } })).status, 401);
+  });
+});
+
+describe('GET /api/iot/meter/:meterNo/balance', () => {
+  it('returns the balance to a signed request', async () => {
+    const res = await signed('GET', '/api/iot/meter/MTR001/balance');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { meterNo: 'MTR001', balance: 5 });
+  });
+
+  it('rejects unsigned requests', async () => {
+    assert.equal((await call('GET', '/api/iot/meter/MTR001/balance')).status, 401);
+  });
+
+  it('rejects a replayed nonce', async () => {
+    const path = '/api/iot/meter/MTR001/balance';
+    const headers = deviceHeaders('MTR001', secret, 'GET', path);
+    assert.equal((await call('GET', path, { headers })).status, 200);
+    assert.equal((await call('GET', path, { headers })).status, 401);
+  });
+
+  it('does not let a device read another meter', async () => {
+    const res = await signed('GET', '/api/iot/meter/MTR002/balance', undefined, 'MTR001');
+    assert.equal(res.status, 403);
+  });
+});
+
+describe('POST /api/iot/consume', () => {
+  it('debits the consumed units', async () => {
+    const res = await signed('POST', '/api/iot/consume', { meterNo: 'MTR001', units: 2 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true, newBalance: 3, prevBalance: 5, unitsConsumed: 2 });
+    assert.equal(Object.keys(await readDb('unit_consumption')).length, 1);
+  });
+
+  it('floors the balance at zero', async () => {
+    const res = await signed('POST', '/api/iot/consume', { meterNo: 'MTR001', units: 9 });
+    assert.equal(res.body.newBalance, 0);
+    assert.equal(await ledger.getBalance('MTR001'), 0);
+  });
+
+  it('validates the reading', async () => {
+    assert.equal((await signed('POST', '/api/iot/consume', { meterNo: 'MTR001', units: -1 })).status, 400);
+    assert.equal((await signed('POST', '/api/iot/consume', { meterNo: 'MTR001', units: '2' })).status, 400);
+  });
+
+  it('rejects a body changed after signing', async () => {
+    const path = '/api/iot/consume';
+    const headers = deviceHeaders('MTR001', secret, 'POST', path, JSON.stringify({ meterNo: 'MTR001', units: 1 }));
+    const res = await call('POST', path, { body: { meterNo: 'MTR001', units: 0 }, headers });
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('POST /meter/:meterNo/tokens/redeem', () => {
+  let token;
+
+  beforeEach(async () => {
+    const payment = await saveCallbackTransaction({
+      ResultCode: 0,
+      MpesaReceiptNumber: 'RKT0000001',
+      Amount: 100,
+      BillRefNumber: 'MTR001'
+    });
+    token = payment.token;
+  });
+
+  it('redeems a token once without crediting it again', async () => {
+    const path = '/meter/MTR001/tokens/redeem';
+    const res = await signed('POST', path, { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.units, 4);
+    // Paid tokens were credited when the payment was confirmed
+    assert.equal(res.body.balance, 9);
+
+    const again = await signed('POST', path, { token });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'ALREADY_REDEEMED');
+  });
+
+  it('rejects a token for another meter', async () => {
+    const bobSecret = (await call('POST', '/admin/devices/MTR002/rotate', { headers: adminKey })).body.secret;
+    const res = await signed('POST', '/meter/MTR002/tokens/redeem', { token }, 'MTR002', bobSecret);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID');
+  });
+
+  it('requires a token', async () => {
+    assert.equal((await signed('POST', '/meter/MTR001/tokens/redeem', {})).status, 400);
+  });
+});
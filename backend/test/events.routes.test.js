@@ -0,0 +1,165 @@
+// test/events.routes.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, updateDb, createUser, startApp, request } = require('./helpers');
+const { saveCallbackTransaction } = require('../transactions');
+const { consumeUnits } = require('../services/meterService');
+const ledger = require('../services/ledgerService');
+
+let server;
+let alice;
+let bob;
+
+/**
+ * Open the event stream and collect events until stop() is called
+ * @returns {Promise<Object>} { status, events, next(type), stop() }
+ */
+async function openStream(meterNo, token) {
+  const controller = new AbortController();
+  const response = await fetch(`${server.baseUrl}/meter/${meterNo}/events`, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal: controller.signal
+  });
+
+  const events = [];
+  const waiting = [];
+  if (response.ok) {
+    (async () => {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      try {
+        for await (const chunk of response.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const type = /^event: (.*)$/m.exec(block);
+            const data = /^data: (.*)$/m.exec(block);
+            if (!type || !data) continue;
+            events.push({ type: type[1], data: JSON.parse(data[1]) });
+            waiting.splice(0).forEach(check => check());
+          }
+        }
+      } catch (err) {
+        // Aborted by stop()
+      }
+    })();
+  }
+
+  let read = 0;
+  return {
+    status: response.status,
+    events,
+    // Resolve with the next unread event of this type
+    next(type) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${type} event`)), 2000);
+        const check = () => {
+          const index = events.findIndex((event, i) => i >= read && event.type === type);
+          if (index === -1) return waiting.push(check);
+          read = index + 1;
+          clearTimeout(timer);
+          resolve(events[index].data);
+        };
+        check();
+      });
+    },
+    stop: () => controller.abort()
+  };
+}
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  alice = await createUser('alice', { email: 'alice@example.com', meter_no: 'MTR001' });
+  bob = await createUser('bob', { email: 'bob@example.com', meter_no: 'MTR002' });
+  await ledger.credit('MTR001', 5, { source: 'PAYMENT', reference: 'seed' });
+});
+
+describe('GET /meter/:meterNo/events', () => {
+  it('sends the balance on connect', async () => {
+    const stream = await openStream('MTR001', alice.token);
+    try {
+      assert.equal(stream.status, 200);
+      const balance = await stream.next('balance');
+      assert.equal(balance.meter_no, 'MTR001');
+      assert.equal(balance.availableUnits, 5);
+    } finally {
+      stream.stop();
+    }
+  });
+
+  it('pushes the new balance and transaction when a payment is confirmed', async () => {
+    const stream = await openStream('MTR001', alice.token);
+    try {
+      await stream.next('balance');
+      await saveCallbackTransaction({ ResultCode: 0, MpesaReceiptNumber: 'RKT0000001', Amount: 100, BillRefNumber: 'MTR001' });
+
+      let transaction = await stream.next('transaction');
+      while (transaction.status !== 'SUCCESS') transaction = await stream.next('transaction');
+      assert.equal(transaction.meter_no, 'MTR001');
+      assert.equal(transaction.units, 4);
+
+      let balance = await stream.next('balance');
+      while (balance.availableUnits !== 9) balance = await stream.next('balance');
+    } finally {
+      stream.stop();
+    }
+  });
+
+  it('streams transactions as the history shows them, including units bought for another meter', async () => {
+    const stream = await openStream('MTR001', alice.token);
+    try {
+      await stream.next('balance');
+      await saveCallbackTransaction({ ResultCode: 0, MpesaReceiptNumber: 'RKT0000001', Amount: 100, BillRefNumber: 'MTR001' });
+      let own = await stream.next('transaction');
+      while (own.status !== 'SUCCESS') own = await stream.next('transaction');
+      assert.equal(own.transaction_id, own.id);
+      for (const field of ['raw_callback', 'settle_lease_until', 'user_id']) {
+        assert.equal(field in own, false, field);
+      }
+
+      // Alice's STK purchase for Bob's meter settles
+      await updateDb({
+        'transactions/gift1': { user_id: 'bob', payer_user_id: 'alice', meter_no: 'MTR002', amount: 100, status: 'PENDING', phone_number: '254712345678' }
+      });
+      const nextGift = async () => {
+        let event = await stream.next('transaction');
+        while (event.id !== 'gift1') event = await stream.next('transaction');
+        return event;
+      };
+      assert.equal((await nextGift()).status, 'PENDING');
+      await updateDb({ 'transactions/gift1/status': 'SUCCESS' });
+      const gift = await nextGift();
+      assert.deepEqual([gift.id, gift.meter_no, gift.status, gift.gift], ['gift1', 'MTR002', 'SUCCESS', 'SENT']);
+      assert.equal('phone_number' in gift, false);
+    } finally {
+      stream.stop();
+    }
+  });
+
+  it('pushes the balance when the meter consumes units', async () => {
+    const stream = await openStream('MTR001', alice.token);
+    try {
+      await stream.next('balance');
+      await consumeUnits('MTR001', 2);
+      assert.equal((await stream.next('balance')).availableUnits, 3);
+      assert.equal(stream.events.filter(e => e.type === 'transaction').length, 0);
+    } finally {
+      stream.stop();
+    }
+  });
+
+  it('only streams the signed-in user\'s meter', async () => {
+    assert.equal((await openStream('MTR001', bob.token)).status, 403);
+    assert.equal((await request(server.baseUrl, 'GET', '/meter/MTR001/events')).status, 401);
+  });
+});
@@ -0,0 +1,174 @@
+// test/gifts.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, createUser, startApp, startMockDaraja, request } = require('./helpers');
+const { saveCallbackTransaction } = require('../transactions');
+const { getBalance } = require('../services/ledgerService');
+const { maskName } = require('../services/beneficiaryService');
+
+let server;
+let daraja;
+let alice;
+let bob;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+
+function stkCallback(checkoutRequestId) {
+  return {
+    Body: {
+      stkCallback: {
+        MerchantRequestID: 'mock-merchant',
+        CheckoutRequestID: checkoutRequestId,
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        CallbackMetadata: {
+          Item: [
+            { Name: 'Amount', Value: 100 },
+            { Name: 'MpesaReceiptNumber', Value: 'RKS0000001' },
+            { Name: 'TransactionDate', Value: 20260105143000 },
+            { Name: 'PhoneNumber', Value: 254712345678 }
+          ]
+        }
+      }
+    }
+  };
+}
+
+before(async () => {
+  daraja = await startMockDaraja();
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+  await daraja.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  daraja.reset();
+  alice = await createUser('alice', { name: 'Alice Kamau', email: 'alice@example.com', meter_no: 'MTR001', phone_number: '254712345678' });
+  bob = await createUser('bob', { name: 'Bob Otieno', email: 'bob@example.com', meter_no: 'MTR002', phone_number: '254722000000' });
+});
+
+describe('GET /meters/:meterNo/lookup', () => {
+  it('confirms a meter with its owner\'s name masked', async () => {
+    const res = await call('GET', '/meters/MTR002/lookup', { token: alice.token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { meter_no: 'MTR002', owner_name: 'B*** O***', own: false });
+    assert.equal((await call('GET', '/meters/MTR001/lookup', { token: alice.token })).body.own, true);
+  });
+
+  it('reports an unregistered meter', async () => {
+    assert.equal((await call('GET', '/meters/MTR404/lookup', { token: alice.token })).status, 404);
+    assert.equal((await call('GET', '/meters/MTR002/lookup')).status, 401);
+  });
+});
+
+describe('paying for another user\'s meter', () => {
+  async function giftPush() {
+    const res = await call('POST', '/daraja/stkpush', { token: alice.token, body: { meter_no: 'MTR002', amount: 100 } });
+    assert.equal(res.status, 200);
+    return res.body;
+  }
+
+  it('prompts the payer\'s phone and records payer and beneficiary', async () => {
+    const push = await giftPush();
+    assert.equal(push.phone_number, '254712345678');
+
+    const transaction = await readDb(`transactions/${push.transaction_id}`);
+    assert.equal(transaction.user_id, 'bob');
+    assert.equal(transaction.payer_user_id, 'alice');
+    assert.equal(transaction.meter_no, 'MTR002');
+  });
+
+  it('credits the beneficiary\'s meter and lets the payer follow the payment', async () => {
+    const push = await giftPush();
+    await call('POST', '/daraja/stk/callback', { body: stkCallback(push.CheckoutRequestID) });
+
+    const status = await call('GET', `/daraja/stkpush/${push.CheckoutRequestID}`, { token: alice.token });
+    assert.equal(status.status, 200);
+    assert.equal(status.body.status, 'SUCCESS');
+    assert.match(status.body.token, /^\d{20}$/);
+    assert.equal(await getBalance('MTR002'), 4);
+    assert.equal(await getBalance('MTR001'), 0);
+  });
+
+  it('shows the purchase to both parties', async () => {
+    const push = await giftPush();
+    await call('POST', '/daraja/stk/callback', { body: stkCallback(push.CheckoutRequestID) });
+    await saveCallbackTransaction({ ResultCode: 0, MpesaReceiptNumber: 'RKT0000001', Amount: 100, BillRefNumber: 'MTR001' });
+
+    const payer = await call('GET', '/transactions/alice', { token: alice.token });
+    assert.deepEqual(payer.body.transactions.map(t => [t.meter_no, t.gift || null]).sort(), [['MTR001', null], ['MTR002', 'SENT']]);
+    assert.equal(payer.body.transactions.find(t => t.gift).counterparty_name, 'B*** O***');
+
+    const beneficiary = await call('GET', '/transactions/bob', { token: bob.token });
+    assert.equal(beneficiary.body.transactions.length, 1);
+    assert.equal(beneficiary.body.transactions[0].gift, 'RECEIVED');
+    assert.equal(beneficiary.body.transactions[0].counterparty_name, 'A*** K***');
+  });
+
+  it('keeps the payer\'s phone number and the callback from the beneficiary', async () => {
+    const push = await giftPush();
+    await call('POST', '/daraja/stk/callback', { body: stkCallback(push.CheckoutRequestID) });
+
+    const [received] = (await call('GET', '/transactions/bob', { token: bob.token })).body.transactions;
+    assert.equal(received.gift, 'RECEIVED');
+    for (const field of ['phone_number', 'raw_callback', 'payer_user_id', 'user_id', 'settle_lease_until']) {
+      assert.equal(field in received, false, field);
+    }
+  });
+
+  it('quotes and simulates a payment for another meter', async () => {
+    const quote = await call('GET', '/tariffs/quote?meter_no=MTR002&amount=100', { token: alice.token });
+    assert.equal(quote.status, 200);
+    assert.equal(quote.body.units, 4);
+
+    const res = await call('POST', '/daraja/simulate', { token: alice.token, body: { meter_no: 'MTR002', amount: 100 } });
+    assert.equal(res.status, 200);
+    assert.equal((await readDb(`transactions/${res.body.transaction_id}`)).payer_user_id, 'alice');
+  });
+
+  it('still keeps the beneficiary\'s balance and meter private', async () => {
+    await giftPush();
+    assert.equal((await call('GET', '/meter/MTR002/balance', { token: alice.token })).status, 403);
+    assert.equal((await call('GET', '/meters/MTR002/consumption', { token: alice.token })).status, 403);
+  });
+});
+
+describe('/users/:userId/favourites', () => {
+  const favourites = (path = '', method = 'GET', body) =>
+    call(method, `/users/alice/favourites${path}`, { token: alice.token, body });
+
+  it('saves, renames and removes a meter', async () => {
+    const saved = await favourites('/MTR002', 'PUT', { label: 'Bob' });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(
+      { meter_no: saved.body.meter_no, label: saved.body.label, owner_name: saved.body.owner_name },
+      { meter_no: 'MTR002', label: 'Bob', owner_name: 'B*** O***' }
+    );
+
+    await favourites('/MTR002', 'PUT', { label: 'Brother' });
+    const list = await favourites();
+    assert.deepEqual(list.body.map(f => [f.meter_no, f.label]), [['MTR002', 'Brother']]);
+
+    assert.equal((await favourites('/MTR002', 'DELETE')).status, 200);
+    assert.deepEqual((await favourites()).body, []);
+    assert.equal((await favourites('/MTR002', 'DELETE')).status, 404);
+  });
+
+  it('only saves registered meters, on the user\'s own account', async () => {
+    assert.equal((await favourites('/MTR404', 'PUT', {})).status, 404);
+    assert.equal((await call('GET', '/users/bob/favourites', { token: alice.token })).status, 403);
+    assert.equal((await call('PUT', '/users/bob/favourites/MTR001', { token: alice.token, body: {} })).status, 403);
+  });
+});
+
+describe('maskName', () => {
+  it('keeps the first letter of each name', () => {
+    assert.equal(maskName('  jane   wanjiku doe '), 'J*** W*** D***');
+    assert.equal(maskName(''), null);
+    assert.equal(maskName(undefined), null);
+  });
+});
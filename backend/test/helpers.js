@@ -0,0 +1,222 @@
+// test/helpers.js
+const http = require('http');
+const crypto = require('crypto');
+
+/*
+ * Shared setup for the test suite. Requiring this file first points the
+ * backend at the in-memory database and a fake configuration, so no test ever
+ * touches Firebase or the Daraja sandbox. Each test file runs in its own
+ * process (node --test), so every file gets a fresh database and app.
+ */
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: 'memory',
+  MEMORY_DB_FILE: '',
+  JWT_SECRET: 'test-jwt-secret',
+  ADMIN_API_KEY: 'test-admin-key',
+  TOKEN_VENDING_KEY: 'test-vending-key',
+  DARAJA_CONSUMER_KEY: 'test-consumer-key',
+  DARAJA_CONSUMER_SECRET: 'test-consumer-secret',
+  DARAJA_SHORTCODE: '600988',
+  DARAJA_TEST_MSISDN: '254708374149',
+  DARAJA_STK_SHORTCODE: '174379',
+  DARAJA_PASSKEY: 'test-passkey',
+  DARAJA_STK_CALLBACK_URL: 'http://localhost/daraja/stk/callback',
+  DARAJA_INITIATOR_NAME: 'testapi',
+  DARAJA_SECURITY_CREDENTIAL: 'test-security-credential',
+  DARAJA_REVERSAL_RESULT_URL: 'http://localhost/daraja/reversal/result',
+  DARAJA_REVERSAL_TIMEOUT_URL: 'http://localhost/daraja/reversal/timeout',
+  DARAJA_ALLOWED_IPS: '',
+  DARAJA_WEBHOOK_TOKEN: '',
+  TRUST_PROXY: '',
+  MIN_VEND_AMOUNT: '10',
+  SMS_TRANSPORT: 'stub',
+  EMAIL_TRANSPORT: 'stub'
+});
+
+// The services log every step; set TEST_VERBOSE=1 to see it
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+const { db } = require('../storage');
+const { darajaApi } = require('../daraja');
+const { signAccessToken } = require('../services/authService');
+const { signDeviceRequest } = require('../services/deviceService');
+const { createDarajaMock } = require('../mock/darajaMock');
+
+/**
+ * Replace all data in the in-memory database
+ * @param {Object} [data] - Initial data, e.g. { users: { u1: {...} } }
+ */
+function resetDb(data = null) {
+  db.reset(data);
+}
+
+/**
+ * Read a path from the in-memory database
+ * @param {string} path - Database path
+ * @returns {Promise<*>} The value or null
+ */
+async function readDb(path) {
+  return (await db.ref(path).once('value')).val();
+}
+
+/**
+ * Write several paths at once, e.g. { 'users/u1/balance': 5 }
+ * @param {Object} updates - Map of path to value (null deletes)
+ */
+async function updateDb(updates) {
+  await db.ref().update(updates);
+}
+
+/**
+ * A user record with sensible defaults
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} User record
+ */
+function userRecord(fields = {}) {
+  return {
+    name: 'Test User',
+    email: 'test@example.com',
+    meter_no: 'MTR001',
+    phone_number: '254712345678',
+    balance: 0,
+    created_at: '2026-01-01T00:00:00.000Z',
+    ...fields
+  };
+}
+
+/**
+ * Store a user and return it with an access token
+ * @param {string} userId - The user ID
+ * @param {Object} [fields] - Fields to override (see userRecord)
+ * @returns {Promise<Object>} { userId, user, token }
+ */
+async function createUser(userId, fields = {}) {
+  const user = userRecord(fields);
+  await db.ref(`users/${userId}`).set(user);
+  return { userId, user, token: signAccessToken(userId, user).access_token };
+}
+
+/**
+ * Start the Express app on a free port
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+async function startApp() {
+  const app = require('../index');
+  const server = await listen(app);
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function listen(handler) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(handler);
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Send a JSON request
+ * @param {string} baseUrl - Server address from startApp()
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} [options]
+ * @param {Object} [options.body] - JSON body
+ * @param {string} [options.token] - Access token sent as a Bearer token
+ * @param {Object} [options.headers] - Extra headers
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+async function request(baseUrl, method, path, { body, token, headers = {} } = {}) {
+  const rawBody = body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body));
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(rawBody !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: rawBody
+  });
+
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch (err) {
+    // Not JSON: keep the text
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+/**
+ * Headers for a request signed with a meter's device secret
+ * @param {string} meterNo - The meter number
+ * @param {string} secret - The device secret
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path including the query string
+ * @param {string} [body] - Exact request body
+ * @returns {Object} x-meter-no, x-device-timestamp, x-device-nonce and x-device-signature
+ */
+function deviceHeaders(meterNo, secret, method, path, body = '') {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomBytes(8).toString('hex');
+  return {
+    'x-meter-no': meterNo,
+    'x-device-timestamp': timestamp,
+    'x-device-nonce': nonce,
+    'x-device-signature': signDeviceRequest(secret, { method, path, timestamp, nonce, body })
+  };
+}
+
+/**
+ * Make transactions run like the Firebase client with an empty local cache:
+ * each update first sees null, then the stored value unless it aborted. The
+ * in-memory driver otherwise always starts from the stored value.
+ * @returns {Function} Restores the normal behaviour
+ */
+function simulateFirebaseTransactions() {
+  const proto = Object.getPrototypeOf(db.ref('simulated'));
+  const original = proto.transaction;
+  proto.transaction = async function transaction(update) {
+    if (update(null) === undefined) {
+      return { committed: false, snapshot: { key: this.key, val: () => null, exists: () => false } };
+    }
+    return original.call(this, update);
+  };
+  return () => { proto.transaction = original; };
+}
+
+/**
+ * Start the bundled Daraja mock and point darajaApi at it. Every request is
+ * recorded and each route answers like the sandbox unless a test overrides it
+ * with respond(). Callbacks are off unless options turn them on, so payments
+ * stay pending until a test posts the callback itself.
+ * @param {Object} [options] - createDarajaMock() options
+ * @returns {Promise<Object>} The mock, with its url
+ */
+async function startMockDaraja(options = {}) {
+  const mock = createDarajaMock({ accessToken: 'mock-access-token', sendCallbacks: false, ...options });
+  mock.url = await mock.listen();
+  darajaApi.defaults.baseURL = mock.url;
+  return mock;
+}
+
+module.exports = {
+  resetDb,
+  readDb,
+  updateDb,
+  userRecord,
+  createUser,
+  startApp,
+  request,
+  deviceHeaders,
+  simulateFirebaseTransactions,
+  startMockDaraja
+};
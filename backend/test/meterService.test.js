@@ -0,0 +1,61 @@
+// test/meterService.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, createUser } = require('./helpers');
+const { consumeUnits } = require('../services/meterService');
+const ledger = require('../services/ledgerService');
+
+describe('consumeUnits', () => {
+  beforeEach(async () => {
+    resetDb();
+    await createUser('user1');
+    await ledger.credit('MTR001', 5, { source: 'PAYMENT', reference: 'seed' });
+  });
+
+  it('debits the ledger and logs the consumption', async () => {
+    const result = await consumeUnits('MTR001', 1.5);
+
+    assert.deepEqual(result, { newBalance: 3.5, prevBalance: 5, unitsConsumed: 1.5 });
+    assert.equal(await ledger.getBalance('MTR001'), 3.5);
+
+    const [log] = Object.values(await readDb('unit_consumption'));
+    assert.equal(log.user_id, 'user1');
+    assert.equal(log.meter_no, 'MTR001');
+    assert.equal(log.units_before, 5);
+    assert.equal(log.units_consumed, 1.5);
+    assert.equal(log.units_after, 3.5);
+    assert.equal(log.ledger_seq, (await ledger.getEntries('MTR001', 1))[0].seq);
+  });
+
+  it('floors the balance at zero when more is consumed than is available', async () => {
+    const result = await consumeUnits('MTR001', 8);
+
+    assert.deepEqual(result, { newBalance: 0, prevBalance: 5, unitsConsumed: 5 });
+    assert.equal(await ledger.getBalance('MTR001'), 0);
+    const [log] = Object.values(await readDb('unit_consumption'));
+    assert.equal(log.units_consumed, 5);
+
+    // The ledger records what was actually taken, and what was asked for
+    const [entry] = await ledger.getEntries('MTR001', 1);
+    assert.equal(entry.units, 5);
+    assert.equal(entry.requested_units, 8);
+  });
+
+  it('stays at zero once the meter is empty', async () => {
+    await consumeUnits('MTR001', 5);
+    const result = await consumeUnits('MTR001', 2);
+
+    assert.deepEqual(result, { newBalance: 0, prevBalance: 0, unitsConsumed: 0 });
+    assert.deepEqual(Object.values(await readDb('unit_consumption')).map(log => log.units_consumed).sort(), [0, 5]);
+  });
+
+  it('keeps the balance consistent across concurrent readings', async () => {
+    await Promise.all([consumeUnits('MTR001', 1), consumeUnits('MTR001', 1), consumeUnits('MTR001', 1)]);
+    assert.equal(await ledger.getBalance('MTR001'), 2);
+  });
+
+  it('rejects negative units', async () => {
+    await assert.rejects(consumeUnits('MTR001', -1), /non-negative/);
+    assert.equal(await ledger.getBalance('MTR001'), 5);
+  });
+});
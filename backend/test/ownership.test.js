@@ -0,0 +1,183 @@
+// test/ownership.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, createUser, startApp, request } = require('./helpers');
+const { saveCallbackTransaction } = require('../transactions');
+const { consumeUnits } = require('../services/meterService');
+const ledger = require('../services/ledgerService');
+
+let server;
+let alice;
+let bob;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+const adminKey = { 'x-admin-key': 'test-admin-key' };
+
+// KSH 100 buys 4 units at the default tariff
+function pay(meterNo, receipt) {
+  return saveCallbackTransaction({ ResultCode: 0, MpesaReceiptNumber: receipt, Amount: 100, BillRefNumber: meterNo });
+}
+
+const link = (user, meterNo, extra = {}) =>
+  call('POST', `/users/${user.userId}/meters`, { token: user.token, body: { meter_no: meterNo, ...extra } });
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  alice = await createUser('alice', { email: 'alice@example.com', meter_no: 'MTR001' });
+  bob = await createUser('bob', { email: 'bob@example.com', meter_no: 'MTR002' });
+});
+
+describe('POST /users', () => {
+  const register = body => call('POST', '/users', {
+    body: { name: 'Carol', email: 'carol@example.com', phone_number: '254711111111', ...body }
+  });
+
+  it('links the meter and starts its ownership history', async () => {
+    const res = await register({ meter_no: 'MTR010' });
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.meters, ['MTR010']);
+
+    const meter = await readDb('meters/MTR010');
+    assert.equal(meter.user_id, res.body.user_id);
+    assert.equal(Object.values(meter.ownership)[0].reason, 'REGISTERED');
+    assert.equal((await readDb(`users/${res.body.user_id}`)).meter_no, 'MTR010');
+  });
+
+  it('refuses a meter that belongs to another account', async () => {
+    await link(alice, 'MTR005');
+    assert.equal((await register({ meter_no: 'MTR002' })).status, 409);
+    assert.equal((await register({ meter_no: 'MTR005' })).status, 409);
+  });
+});
+
+describe('/users/:userId/meters', () => {
+  it('links more meters to an account', async () => {
+    const res = await link(alice, 'MTR005', { label: 'Shop' });
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.meters.map(meter => [meter.meter_no, meter.primary, meter.label]), [
+      ['MTR001', true, null],
+      ['MTR005', false, 'Shop']
+    ]);
+
+    // The new meter is the user's to read and pay for
+    assert.equal((await call('GET', '/meter/MTR005/balance', { token: alice.token })).status, 200);
+    const me = await call('GET', '/auth/me', { token: alice.token });
+    assert.deepEqual(me.body.meters, ['MTR001', 'MTR005']);
+  });
+
+  it('credits payments to the meter they were made for', async () => {
+    await link(alice, 'MTR005');
+    await pay('MTR001', 'RKT0000001');
+    const payment = await pay('MTR005', 'RKT0000002');
+
+    assert.equal((await readDb(`transactions/${payment.transaction_id}`)).user_id, 'alice');
+    assert.equal(await ledger.getBalance('MTR005'), 4);
+    // users/<id>/balance follows the primary meter only
+    assert.equal((await readDb('users/alice')).balance, 4);
+    const meters = await call('GET', '/users/alice/meters', { token: alice.token });
+    assert.deepEqual(meters.body.map(meter => meter.balance), [4, 4]);
+  });
+
+  it('refuses meters of other accounts and other users\' accounts', async () => {
+    assert.equal((await link(alice, 'MTR002')).status, 409);
+    assert.equal((await call('POST', '/users/bob/meters', { token: alice.token, body: { meter_no: 'MTR009' } })).status, 403);
+    assert.equal((await call('GET', '/users/bob/meters', { token: alice.token })).status, 403);
+    assert.equal((await link(alice, 'MTR009', { action: 'steal' })).status, 400);
+  });
+
+  it('closes out the balance of an unlinked meter, optionally into another meter', async () => {
+    await link(alice, 'MTR005');
+    await pay('MTR005', 'RKT0000001');
+
+    const res = await link(alice, 'MTR005', { action: 'unlink', carry_to_meter: 'MTR001' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.closing_balance, 4);
+    assert.equal(res.body.carried_to, 'MTR001');
+    assert.equal(await ledger.getBalance('MTR005'), 0);
+    assert.equal(await ledger.getBalance('MTR001'), 4);
+
+    const history = Object.values(await readDb('meters/MTR005/ownership'));
+    assert.equal(history[0].end_reason, 'UNLINKED');
+    assert.equal(history[0].closing_balance, 4);
+    assert.equal((await call('GET', '/meter/MTR005/balance', { token: alice.token })).status, 403);
+    assert.equal((await link(alice, 'MTR005', { action: 'unlink' })).status, 404);
+  });
+
+  it('makes another meter primary when the primary one is unlinked', async () => {
+    await link(alice, 'MTR005');
+    await pay('MTR005', 'RKT0000001');
+    await link(alice, 'MTR001', { action: 'unlink' });
+
+    const user = await readDb('users/alice');
+    assert.equal(user.meter_no, 'MTR005');
+    assert.equal(user.balance, 4);
+  });
+});
+
+describe('POST /admin/meters/:meterNo/transfer', () => {
+  const transfer = body => call('POST', '/admin/meters/MTR001/transfer', { headers: adminKey, body });
+
+  it('closes out the old tenant and starts the new one from zero', async () => {
+    await createUser('carol', { email: 'carol@example.com', meter_no: null });
+    await pay('MTR001', 'RKT0000001');
+    await consumeUnits('MTR001', 1);
+
+    const res = await transfer({ user_id: 'carol', reason: 'Tenant moved out' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.previous_user_id, 'alice');
+    assert.equal(res.body.closing_balance, 3);
+    assert.equal(await ledger.getBalance('MTR001'), 0);
+    assert.equal((await ledger.getEntries('MTR001', 1))[0].source, 'TENANCY_CLOSE');
+
+    assert.equal((await readDb('users/carol')).meter_no, 'MTR001');
+    assert.equal((await readDb('users/alice')).meter_no, undefined);
+    assert.equal((await readDb('meters/MTR001')).user_id, 'carol');
+
+    const history = await call('GET', '/admin/meters/MTR001/ownership', { headers: adminKey });
+    assert.deepEqual(history.body.map(record => [record.user_id, record.end_reason || null]), [
+      ['carol', null],
+      ['alice', 'TENANCY_CHANGE']
+    ]);
+    const audit = Object.values(await readDb('admin_audit'));
+    assert.equal(audit[0].action, 'TRANSFER_METER');
+  });
+
+  it('hides the previous tenant\'s usage and payments from the new one', async () => {
+    const carol = await createUser('carol', { email: 'carol@example.com', meter_no: null });
+    await pay('MTR001', 'RKT0000001');
+    await consumeUnits('MTR001', 1);
+    await transfer({ user_id: 'carol', reason: 'New lease' });
+
+    const res = await call('GET', '/meters/MTR001/consumption', { token: carol.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.totals.units_consumed, 0);
+    assert.equal(res.body.totals.units_purchased, 0);
+    assert.equal((await call('GET', '/meter/MTR001/balance', { token: alice.token })).status, 403);
+  });
+
+  it('writes off emergency credit the old tenant used', async () => {
+    await ledger.debit('MTR001', 2, { source: 'CONSUMPTION', minBalance: -5 });
+    const res = await transfer({ reason: 'Vacated' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.closing_balance, -2);
+    assert.equal(res.body.user_id, null);
+    assert.equal(await ledger.getBalance('MTR001'), 0);
+    assert.equal((await readDb('meters/MTR001')).user_id, undefined);
+  });
+
+  it('requires a reason, a known user and a change of owner', async () => {
+    assert.equal((await transfer({ user_id: 'bob' })).status, 400);
+    assert.equal((await transfer({ user_id: 'nobody', reason: 'x' })).status, 404);
+    assert.equal((await transfer({ user_id: 'alice', reason: 'x' })).status, 409);
+    assert.equal((await transfer({ user_id: 'bob', reason: 'x', carry_to_meter: 'MTR002' })).status, 400);
+  });
+});
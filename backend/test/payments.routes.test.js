@@ -0,0 +1,452 @@
+// test/payments.routes.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, updateDb, createUser, startApp, startMockDaraja, request } = require('./helpers');
+const { getBalance } = require('../services/ledgerService');
+
+let server;
+let daraja;
+let alice;
+let bob;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+
+function stkCallback(checkoutRequestId, resultCode = 0, fields = {}) {
+  return {
+    Body: {
+      stkCallback: {
+        MerchantRequestID: 'mock-merchant',
+        CheckoutRequestID: checkoutRequestId,
+        ResultCode: resultCode,
+        ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+        ...(resultCode === 0 ? {
+          CallbackMetadata: {
+            Item: [
+              { Name: 'Amount', Value: 100 },
+              { Name: 'MpesaReceiptNumber', Value: 'RKS0000001' },
+              { Name: 'TransactionDate', Value: 20260105143000 },
+              { Name: 'PhoneNumber', Value: 254712345678 }
+            ]
+          }
+        } : {}),
+        ...fields
+      }
+    }
+  };
+}
+
+function c2bConfirmation(fields = {}) {
+  return {
+    TransactionType: 'Pay Bill',
+    TransID: 'RKC0000001',
+    TransTime: '20260105143000',
+    TransAmount: '100.00',
+    BusinessShortCode: '600988',
+    BillRefNumber: 'MTR001',
+    MSISDN: '254712345678',
+    FirstName: 'Test',
+    ...fields
+  };
+}
+
+before(async () => {
+  daraja = await startMockDaraja();
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+  await daraja.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  daraja.reset();
+  delete process.env.DARAJA_WEBHOOK_TOKEN;
+  delete process.env.DARAJA_ALLOWED_IPS;
+  alice = await createUser('alice', { email: 'alice@example.com', meter_no: 'MTR001' });
+  bob = await createUser('bob', { email: 'bob@example.com', meter_no: 'MTR002', phone_number: '254722000000' });
+});
+
+describe('GET /health', () => {
+  it('reports ok', async () => {
+    const res = await call('GET', '/health');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+  });
+});
+
+describe('GET /transactions/:userId', () => {
+  it('lists the user\'s transactions newest first with normalized statuses', async () => {
+    await updateDb({
+      'transactions/t1': { user_id: 'alice', status: 'completed', timestamp: '2026-01-01T00:00:00.000Z' },
+      'transactions/t2': { user_id: 'alice', status: 'PENDING', timestamp: '2026-02-01T00:00:00.000Z' },
+      'transactions/t3': { user_id: 'bob', status: 'SUCCESS', timestamp: '2026-03-01T00:00:00.000Z' }
+    });
+
+    const res = await call('GET', '/transactions/alice', { token: alice.token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.transactions.map(t => [t.id, t.status]), [['t2', 'PENDING'], ['t1', 'SUCCESS']]);
+    assert.equal(res.body.next_cursor, null);
+  });
+
+  it('requires a token', async () => {
+    assert.equal((await call('GET', '/transactions/alice')).status, 401);
+  });
+
+  it('does not show another user\'s transactions', async () => {
+    assert.equal((await call('GET', '/transactions/bob', { token: alice.token })).status, 403);
+  });
+});
+
+describe('GET /users/:meterNo/balance', () => {
+  it('returns the ledger balance', async () => {
+    await saveC2B();
+    const res = await call('GET', '/users/MTR001/balance', { token: alice.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user_id, 'alice');
+    assert.equal(res.body.availableUnits, 4);
+  });
+
+  it('does not show another user\'s meter', async () => {
+    assert.equal((await call('GET', '/users/MTR002/balance', { token: alice.token })).status, 403);
+  });
+});
+
+describe('GET /meter/:meterNo/balance', () => {
+  it('returns the ledger balance', async () => {
+    const res = await call('GET', '/meter/MTR001/balance', { token: alice.token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { meterNo: 'MTR001', balance: 0 });
+  });
+});
+
+async function saveC2B(fields) {
+  const res = await call('POST', '/daraja/c2b/confirmation', { body: c2bConfirmation(fields) });
+  assert.equal(res.status, 200);
+  return res;
+}
+
+describe('POST /daraja/callback', () => {
+  const payment = {
+    ResultCode: 0,
+    ResultDesc: 'Success',
+    MpesaReceiptNumber: 'RKT0000001',
+    Amount: 100,
+    TransactionDate: '20260105143000',
+    BillRefNumber: 'MTR001'
+  };
+
+  it('credits the payment and acknowledges Daraja', async () => {
+    const res = await call('POST', '/daraja/callback', { body: payment });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ResultCode, 0);
+    assert.ok(res.body.TransactionID);
+    assert.equal(await getBalance('MTR001'), 4);
+  });
+
+  it('acknowledges a duplicate without crediting it again', async () => {
+    await call('POST', '/daraja/callback', { body: payment });
+    const res = await call('POST', '/daraja/callback', { body: payment });
+
+    assert.equal(res.status, 200);
+    assert.match(res.body.ResultDesc, /duplicate/);
+    assert.equal(await getBalance('MTR001'), 4);
+  });
+
+  it('queues a callback it cannot process yet', async () => {
+    const res = await call('POST', '/daraja/callback', { body: { ...payment, BillRefNumber: 'UNKNOWN' } });
+
+    assert.equal(res.status, 200);
+    assert.match(res.body.ResultDesc, /queued/);
+    const [entry] = Object.values(await readDb('webhook_inbox'));
+    assert.equal(entry.status, 'FAILED');
+  });
+
+  it('requires the URL token when DARAJA_WEBHOOK_TOKEN is set', async () => {
+    process.env.DARAJA_WEBHOOK_TOKEN = 'secret-token';
+
+    assert.equal((await call('POST', '/daraja/callback', { body: payment })).status, 403);
+    assert.equal((await call('POST', '/daraja/callback/wrong', { body: payment })).status, 403);
+    assert.equal((await call('POST', '/daraja/callback/secret-token', { body: payment })).status, 200);
+  });
+
+  it('rejects sources outside DARAJA_ALLOWED_IPS', async () => {
+    process.env.DARAJA_ALLOWED_IPS = '196.201.214.200';
+    assert.equal((await call('POST', '/daraja/callback', { body: payment })).status, 403);
+  });
+});
+
+describe('POST /daraja/c2b/validation', () => {
+  it('accepts a payment for a known meter', async () => {
+    const res = await call('POST', '/daraja/c2b/validation', { body: c2bConfirmation() });
+    assert.deepEqual(res.body, { ResultCode: '0', ResultDesc: 'Accepted' });
+  });
+
+  it('rejects an unknown account number', async () => {
+    const res = await call('POST', '/daraja/c2b/validation', { body: c2bConfirmation({ BillRefNumber: 'UNKNOWN' }) });
+    assert.equal(res.body.ResultDesc, 'Rejected');
+    assert.equal(res.body.ResultCode, 'C2B00012');
+  });
+
+  it('rejects an amount below MIN_VEND_AMOUNT', async () => {
+    const res = await call('POST', '/daraja/c2b/validation', { body: c2bConfirmation({ TransAmount: '5' }) });
+    assert.equal(res.body.ResultDesc, 'Rejected');
+  });
+});
+
+describe('POST /daraja/c2b/confirmation', () => {
+  it('records and credits the payment', async () => {
+    const res = await saveC2B();
+
+    assert.deepEqual(res.body, { ResultCode: 0, ResultDesc: 'Success' });
+    const [transaction] = Object.values(await readDb('transactions'));
+    assert.equal(transaction.status, 'SUCCESS');
+    assert.equal(transaction.mpesa_receipt, 'RKC0000001');
+    assert.equal(transaction.timestamp, '2026-01-05T14:30:00.000Z');
+    assert.equal(await getBalance('MTR001'), 4);
+  });
+
+  it('credits a repeated confirmation once', async () => {
+    await saveC2B();
+    await saveC2B();
+
+    assert.equal(Object.keys(await readDb('transactions')).length, 1);
+    assert.equal(await getBalance('MTR001'), 4);
+  });
+});
+
+describe('POST /daraja/simulate', () => {
+  it('leaves the payment PENDING until Daraja confirms it', async () => {
+    const res = await call('POST', '/daraja/simulate', {
+      token: alice.token,
+      body: { meter_no: 'MTR001', amount: 100 }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'PENDING');
+    const transaction = await readDb(`transactions/${res.body.transaction_id}`);
+    assert.equal(transaction.status, 'PENDING');
+    assert.equal(transaction.channel, 'C2B');
+    assert.equal(transaction.reference, res.body.OriginatorCoversationID);
+    assert.equal(await getBalance('MTR001'), 0);
+
+    const simulate = daraja.requests.find(r => r.path === '/mpesa/c2b/v1/simulate');
+    assert.equal(simulate.headers.authorization, 'Bearer mock-access-token');
+    assert.deepEqual(simulate.body, {
+      ShortCode: '600988',
+      CommandID: 'CustomerPayBillOnline',
+      Amount: 100,
+      Msisdn: '254708374149',
+      BillRefNumber: 'MTR001'
+    });
+  });
+
+  it('completes the simulated transaction when the confirmation arrives', async () => {
+    const res = await call('POST', '/daraja/simulate', {
+      token: alice.token,
+      body: { meter_no: 'MTR001', amount: 100 }
+    });
+    await saveC2B();
+
+    const transactions = await readDb('transactions');
+    assert.equal(Object.keys(transactions).length, 1);
+    assert.equal(transactions[res.body.transaction_id].status, 'SUCCESS');
+    assert.equal(await getBalance('MTR001'), 4);
+  });
+
+  it('marks the transaction FAILED when Daraja declines the request', async () => {
+    daraja.respond('/mpesa/c2b/v1/simulate', () => ({ ResponseCode: '1', ResponseDescription: 'Declined' }));
+
+    const res = await call('POST', '/daraja/simulate', {
+      token: alice.token,
+      body: { meter_no: 'MTR001', amount: 100 }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'FAILED');
+    assert.equal((await readDb(`transactions/${res.body.transaction_id}`)).status, 'FAILED');
+  });
+
+  it('marks the transaction FAILED when Daraja cannot be reached', async () => {
+    daraja.respond('/mpesa/c2b/v1/simulate', () => ({ status: 503, body: { errorMessage: 'Unavailable' } }));
+
+    const res = await call('POST', '/daraja/simulate', {
+      token: alice.token,
+      body: { meter_no: 'MTR001', amount: 100 }
+    });
+
+    assert.equal(res.status, 500);
+    const [transaction] = Object.values(await readDb('transactions'));
+    assert.equal(transaction.status, 'FAILED');
+  });
+
+  it('validates the body', async () => {
+    const res = await call('POST', '/daraja/simulate', { token: alice.token, body: { meter_no: 'MTR001' } });
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects an amount M-Pesa cannot charge', async () => {
+    for (const amount of ['abc', -5, 99.5, 1e9, 'Infinity']) {
+      const res = await call('POST', '/daraja/simulate', { token: alice.token, body: { meter_no: 'MTR001', amount } });
+      assert.equal(res.status, 400, `amount ${amount}`);
+      assert.equal(res.body.error, 'Invalid amount');
+    }
+    assert.equal(daraja.requests.filter(r => r.path === '/mpesa/c2b/v1/simulate').length, 0);
+    assert.equal(await readDb('transactions'), null);
+  });
+
+  it('does not pay for an unregistered meter', async () => {
+    const res = await call('POST', '/daraja/simulate', {
+      token: alice.token,
+      body: { meter_no: 'MTR404', amount: 100 }
+    });
+    assert.equal(res.status, 404);
+    assert.equal(await readDb('transactions'), null);
+  });
+
+  it('replays a retried request with the same Idempotency-Key', async () => {
+    const options = {
+      token: alice.token,
+      body: { meter_no: 'MTR001', amount: 100 },
+      headers: { 'Idempotency-Key': 'simulate-key-0001' }
+    };
+    const first = await call('POST', '/daraja/simulate', options);
+    const retry = await call('POST', '/daraja/simulate', options);
+
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.equal(retry.body.transaction_id, first.body.transaction_id);
+    assert.equal(daraja.requests.filter(r => r.path === '/mpesa/c2b/v1/simulate').length, 1);
+
+    const mismatch = await call('POST', '/daraja/simulate', { ...options, body: { meter_no: 'MTR001', amount: 200 } });
+    assert.equal(mismatch.status, 422);
+  });
+});
+
+describe('POST /daraja/stkpush', () => {
+  it('prompts the registered phone number and leaves the payment PENDING', async () => {
+    const res = await call('POST', '/daraja/stkpush', {
+      token: alice.token,
+      body: { meter_no: 'MTR001', amount: '100' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'PENDING');
+    assert.equal(res.body.phone_number, '254712345678');
+
+    const push = daraja.requests.find(r => r.path === '/mpesa/stkpush/v1/processrequest');
+    assert.equal(push.body.Amount, 100);
+    assert.equal(push.body.PhoneNumber, '254712345678');
+    assert.equal(push.body.AccountReference, 'MTR001');
+    assert.equal(push.body.BusinessShortCode, '174379');
+
+    const transaction = await readDb(`transactions/${res.body.transaction_id}`);
+    assert.equal(transaction.status, 'PENDING');
+    assert.equal(transaction.channel, 'STK');
+    assert.equal(transaction.amount, 100);
+    assert.equal(transaction.reference, res.body.CheckoutRequestID);
+  });
+
+  it('rejects a fractional amount instead of charging a rounded one', async () => {
+    const res = await call('POST', '/daraja/stkpush', {
+      token: alice.token,
+      body: { meter_no: 'MTR001', amount: 99.5 }
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details, ['amount must be a whole number of shillings']);
+    assert.equal(daraja.requests.filter(r => r.path === '/mpesa/stkpush/v1/processrequest').length, 0);
+    assert.equal(await readDb('transactions'), null);
+  });
+
+  it('accepts a local phone number override', async () => {
+    const res = await call('POST', '/daraja/stkpush', {
+      token: alice.token,
+      body: { meter_no: 'MTR001', amount: 100, phone_number: '0733000000' }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.phone_number, '254733000000');
+  });
+
+  it('rejects an invalid phone number', async () => {
+    const res = await call('POST', '/daraja/stkpush', {
+      token: alice.token,
+      body: { meter_no: 'MTR001', amount: 100, phone_number: '12345' }
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 502 and fails the transaction when Daraja rejects the push', async () => {
+    daraja.respond('/mpesa/stkpush/v1/processrequest', () => ({ ResponseCode: '1', ResponseDescription: 'Invalid' }));
+
+    const res = await call('POST', '/daraja/stkpush', {
+      token: alice.token,
+      body: { meter_no: 'MTR001', amount: 100 }
+    });
+
+    assert.equal(res.status, 502);
+    const [transaction] = Object.values(await readDb('transactions'));
+    assert.equal(transaction.status, 'FAILED');
+  });
+});
+
+describe('POST /daraja/stk/callback and GET /daraja/stkpush/:checkoutRequestId', () => {
+  async function startPush() {
+    const res = await call('POST', '/daraja/stkpush', {
+      token: alice.token,
+      body: { meter_no: 'MTR001', amount: 100 }
+    });
+    return res.body.CheckoutRequestID;
+  }
+
+  it('reports PENDING while the customer has not answered', async () => {
+    const checkoutRequestId = await startPush();
+    const res = await call('GET', `/daraja/stkpush/${checkoutRequestId}`, { token: alice.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'PENDING');
+  });
+
+  it('credits the payment once the callback confirms it', async () => {
+    const checkoutRequestId = await startPush();
+
+    const ack = await call('POST', '/daraja/stk/callback', { body: stkCallback(checkoutRequestId) });
+    assert.deepEqual(ack.body, { ResultCode: 0, ResultDesc: 'Accepted' });
+
+    const res = await call('GET', `/daraja/stkpush/${checkoutRequestId}`, { token: alice.token });
+    assert.equal(res.body.status, 'SUCCESS');
+    assert.equal(res.body.mpesa_receipt, 'RKS0000001');
+    assert.match(res.body.token, /^\d{20}$/);
+    assert.equal(await getBalance('MTR001'), 4);
+  });
+
+  it('marks the payment FAILED when the customer cancels', async () => {
+    const checkoutRequestId = await startPush();
+    await call('POST', '/daraja/stk/callback', { body: stkCallback(checkoutRequestId, 1032) });
+
+    const res = await call('GET', `/daraja/stkpush/${checkoutRequestId}`, { token: alice.token });
+    assert.equal(res.body.status, 'FAILED');
+    assert.equal(await getBalance('MTR001'), 0);
+  });
+
+  it('fails the payment when Daraja reports it cancelled before the callback arrives', async () => {
+    const checkoutRequestId = await startPush();
+    daraja.respond('/mpesa/stkpushquery/v1/query', () => ({
+      ResponseCode: '0',
+      ResultCode: '1032',
+      ResultDesc: 'Request cancelled by user'
+    }));
+
+    const res = await call('GET', `/daraja/stkpush/${checkoutRequestId}`, { token: alice.token });
+    assert.equal(res.body.status, 'FAILED');
+    assert.equal(res.body.result_desc, 'Request cancelled by user');
+  });
+
+  it('hides another user\'s push', async () => {
+    const checkoutRequestId = await startPush();
+    const res = await call('GET', `/daraja/stkpush/${checkoutRequestId}`, { token: bob.token });
+    assert.equal(res.status, 404);
+  });
+});
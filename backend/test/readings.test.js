@@ -0,0 +1,196 @@
+// test/readings.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, createUser, startApp, request, deviceHeaders } = require('./helpers');
+const { validateReadings, applyReadings } = require('../services/registerService');
+
+let server;
+let secret;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+const adminKey = { 'x-admin-key': 'test-admin-key' };
+
+function signed(method, path, body) {
+  const raw = body === undefined ? '' : JSON.stringify(body);
+  return call(method, path, {
+    body: body === undefined ? undefined : raw,
+    headers: deviceHeaders('MTR001', secret, method, path, raw)
+  });
+}
+
+const send = (readings, registerId = 'REG-A') =>
+  signed('POST', '/api/iot/meter/MTR001/readings', { register_id: registerId, readings });
+
+// Readings one minute apart, ending now: [seq, register_kwh]
+function readings(...pairs) {
+  const now = Math.floor(Date.now() / 1000);
+  return pairs.map(([seq, kwh], i) => ({ seq, register_kwh: kwh, timestamp: now - (pairs.length - 1 - i) * 60 }));
+}
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  await createUser('alice', { meter_no: 'MTR001', balance: 50 });
+  secret = (await call('POST', '/admin/devices/MTR001/rotate', { headers: adminKey })).body.secret;
+});
+
+describe('POST /api/iot/meter/:meterNo/readings', () => {
+  it('takes the first reading as a baseline and bills the differences after it', async () => {
+    const first = await send(readings([1, 1000]));
+    assert.equal(first.status, 200);
+    assert.equal(first.body.units_consumed, 0);
+    assert.equal(first.body.balance, 50);
+    assert.equal(first.body.results[0].status, 'BASELINE');
+
+    const next = await send(readings([2, 1001.5], [3, 1004]));
+    assert.equal(next.body.units_consumed, 4);
+    assert.equal(next.body.balance, 46);
+    assert.equal(next.body.last_seq, 3);
+
+    const records = Object.values(await readDb('unit_consumption')).sort((a, b) => a.register_seq - b.register_seq);
+    assert.deepEqual(records.map(record => record.units_consumed), [1.5, 2.5]);
+    assert.deepEqual(records.map(record => record.units_after), [48.5, 46]);
+
+    const entries = Object.values(await readDb('ledger/MTR001')).filter(entry => entry.source === 'CONSUMPTION');
+    assert.equal(entries.length, 1);
+  });
+
+  it('bills a retried batch once', async () => {
+    await send(readings([1, 1000]));
+    const batch = readings([2, 1002], [3, 1003]);
+    const first = await send(batch);
+    const retry = await send(batch);
+
+    assert.equal(first.body.units_consumed, 3);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.units_consumed, 0);
+    assert.equal(retry.body.accepted, 0);
+    assert.equal(retry.body.ignored, 2);
+    assert.equal(retry.body.balance, 47);
+    assert.equal(Object.keys(await readDb('unit_consumption')).length, 2);
+  });
+
+  it('bills concurrent copies of a batch once', async () => {
+    await send(readings([1, 1000]));
+    const batch = readings([2, 1005]);
+    await Promise.all([send(batch), send(batch), send(batch)]);
+
+    const account = await readDb('meters/MTR001/account');
+    assert.equal(account.balance, 45);
+    assert.equal(account.register.seq, 2);
+  });
+
+  it('ignores readings older than the last one billed', async () => {
+    await send(readings([1, 1000], [5, 1010]));
+    const late = await send(readings([3, 1006], [4, 1008]));
+
+    assert.equal(late.body.units_consumed, 0);
+    assert.equal(late.body.last_seq, 5);
+    assert.equal((await readDb('meters/MTR001/account')).balance, 40);
+  });
+
+  it('records missing readings as a gap and bills across it', async () => {
+    await send(readings([1, 1000]));
+    const res = await send(readings([2, 1001], [7, 1009]));
+
+    assert.equal(res.body.units_consumed, 9);
+    assert.equal(res.body.gaps.length, 1);
+    assert.deepEqual(
+      { from: res.body.gaps[0].from_seq, to: res.body.gaps[0].to_seq, missing: res.body.gaps[0].missing, units: res.body.gaps[0].units },
+      { from: 3, to: 6, missing: 4, units: 8 }
+    );
+    assert.equal(Object.keys(await readDb('register_gaps/MTR001')).length, 1);
+
+    const health = await call('GET', '/admin/meters/MTR001/health', { headers: adminKey });
+    assert.equal(health.body.register.seq, 7);
+    assert.equal(health.body.register.kwh, 1009);
+    assert.equal(health.body.register_gaps.length, 1);
+  });
+
+  it('bills across a register rollover', async () => {
+    await send(readings([1, 99998]));
+    const res = await send(readings([2, 3]));
+
+    assert.equal(res.body.units_consumed, 5);
+    assert.equal(res.body.balance, 45);
+  });
+
+  it('treats a register going backwards as tampering and starts again from it', async () => {
+    await send(readings([1, 5000]));
+    const res = await send(readings([2, 4000], [3, 4002]));
+
+    assert.equal(res.body.results[0].status, 'RESET');
+    assert.equal(res.body.units_consumed, 2);
+    const events = Object.values(await readDb('meter_events'));
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'REGISTER_DECREASE');
+    assert.equal(events[0].severity, 'HIGH');
+  });
+
+  it('starts a replaced meter from its own register', async () => {
+    await send(readings([1, 5000], [2, 5004]));
+    const res = await send(readings([1, 12], [2, 13]), 'REG-B');
+
+    assert.equal(res.body.results[0].status, 'REPLACED');
+    assert.equal(res.body.units_consumed, 1);
+    assert.equal(res.body.register_id, 'REG-B');
+    assert.equal(res.body.balance, 45);
+    const events = Object.values(await readDb('meter_events'));
+    assert.equal(events[0].type, 'METER_REPLACED');
+    assert.equal(events[0].category, 'REGISTER');
+  });
+
+  it('rebases the sequence when the device lost its counter', async () => {
+    const earlier = readings([40, 1000]);
+    earlier[0].timestamp -= 3600;
+    await send(earlier);
+    const res = await send(readings([1, 1003]));
+
+    assert.equal(res.body.units_consumed, 3);
+    assert.equal(res.body.last_seq, 1);
+
+    const device = await signed('GET', '/api/iot/meter/MTR001/register');
+    assert.equal(device.status, 200);
+    assert.equal(device.body.register.seq, 1);
+    assert.equal(device.body.register.register_id, 'REG-A');
+  });
+
+  it('rejects invalid readings', async () => {
+    const res = await send([{ seq: 0, register_kwh: -1, timestamp: 'soon' }]);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details.length, 3);
+  });
+
+  it('only accepts readings for the signing meter', async () => {
+    const path = '/api/iot/meter/MTR002/readings';
+    const raw = JSON.stringify({ register_id: 'REG-A', readings: readings([1, 1]) });
+    const res = await call('POST', path, { body: raw, headers: deviceHeaders('MTR001', secret, 'POST', path, raw) });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe('registerService', () => {
+  it('sorts readings by seq', () => {
+    const { batch } = validateReadings({ register_id: 'R', readings: readings([3, 3], [1, 1], [2, 2]) });
+    assert.deepEqual(batch.readings.map(reading => reading.seq), [1, 2, 3]);
+  });
+
+  it('rejects timestamps in the future', () => {
+    const { errors } = validateReadings({ register_id: 'R', readings: [{ seq: 1, register_kwh: 1, timestamp: Math.floor(Date.now() / 1000) + 3600 }] });
+    assert.deepEqual(errors, ['readings[0].timestamp is in the future']);
+  });
+
+  it('leaves the register alone when nothing is new', () => {
+    const register = { register_id: 'R', seq: 5, kwh: 10, timestamp: Date.now() };
+    const outcome = applyReadings(register, 'R', [{ seq: 5, kwh: 10, timestamp: register.timestamp }]);
+    assert.equal(outcome.register, register);
+    assert.equal(outcome.results[0].status, 'DUPLICATE');
+  });
+});
@@ -0,0 +1,219 @@
+// test/reversals.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, createUser, startApp, startMockDaraja, request, simulateFirebaseTransactions } = require('./helpers');
+const { saveCallbackTransaction } = require('../transactions');
+const { consumeUnits } = require('../services/meterService');
+const ledger = require('../services/ledgerService');
+
+let server;
+let daraja;
+let admin;
+let support;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+
+// KSH 100 buys 4 units at the default tariff
+function pay(receipt = 'RKT0000001') {
+  return saveCallbackTransaction({ ResultCode: 0, MpesaReceiptNumber: receipt, Amount: 100, BillRefNumber: 'MTR001' });
+}
+
+const reverse = (transactionId, body = { reason: 'Paid twice' }, token = admin.token) =>
+  call('POST', `/admin/transactions/${transactionId}/reverse`, { token, body });
+
+// Post Daraja's answer for a transaction's pending reversal
+async function darajaResult(transactionId, { code = 0, timeout = false } = {}) {
+  const reversal = await readDb(`transactions/${transactionId}/reversal`);
+  return call('POST', `/daraja/reversal/${timeout ? 'timeout' : 'result'}`, {
+    body: {
+      Result: {
+        ResultType: 0,
+        ResultCode: code,
+        ResultDesc: code === 0 ? 'The service request is processed successfully.' : 'The initiator information is invalid',
+        OriginatorConversationID: reversal.originator_conversation_id,
+        ConversationID: reversal.conversation_id,
+        TransactionID: code === 0 ? 'RKR0000001' : 'RKT0000001'
+      }
+    }
+  });
+}
+
+async function auditActions() {
+  return Object.values(await readDb('admin_audit') || {}).map(entry => entry.action);
+}
+
+before(async () => {
+  daraja = await startMockDaraja();
+  server = await startApp();
+  process.env.DARAJA_REVERSAL_RESULT_URL = `${server.baseUrl}/daraja/reversal/result`;
+  process.env.DARAJA_REVERSAL_TIMEOUT_URL = `${server.baseUrl}/daraja/reversal/timeout`;
+});
+
+after(async () => {
+  await server.close();
+  await daraja.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  daraja.reset();
+  daraja.config.sendCallbacks = false;
+  await createUser('alice', { name: 'Alice', email: 'alice@example.com', meter_no: 'MTR001' });
+  support = await createUser('support', { name: 'Sam', email: 'sam@example.com', meter_no: 'MTR090', role: 'support' });
+  admin = await createUser('admin', { name: 'Ada', email: 'ada@example.com', meter_no: 'MTR091', role: 'admin' });
+});
+
+describe('POST /admin/transactions/:transactionId/reverse', () => {
+  it('asks Daraja to reverse the payment and holds its units', async () => {
+    const payment = await pay();
+    const res = await reverse(payment.transaction_id);
+
+    assert.equal(res.status, 202);
+    assert.equal(res.body.transaction.status, 'SUCCESS');
+    assert.equal(res.body.transaction.reversal.status, 'PENDING');
+    assert.equal(res.body.transaction.reversal.held_units, 4);
+    assert.equal(await ledger.getBalance('MTR001'), 0);
+
+    const sent = daraja.requests.find(r => r.path === '/mpesa/reversal/v1/request').body;
+    assert.equal(sent.CommandID, 'TransactionReversal');
+    assert.equal(sent.TransactionID, 'RKT0000001');
+    assert.equal(sent.Amount, 100);
+    assert.equal(sent.ReceiverParty, '600988');
+    assert.equal(sent.ResultURL, process.env.DARAJA_REVERSAL_RESULT_URL);
+    assert.deepEqual(await auditActions(), ['REVERSE_TRANSACTION']);
+  });
+
+  it('marks the transaction REVERSED and voids the token when Daraja confirms', async () => {
+    const payment = await pay();
+    await reverse(payment.transaction_id);
+    assert.equal((await darajaResult(payment.transaction_id)).status, 200);
+
+    const transaction = await readDb(`transactions/${payment.transaction_id}`);
+    assert.equal(transaction.status, 'REVERSED');
+    assert.equal(transaction.reversal.status, 'COMPLETED');
+    assert.equal(transaction.reversal.reversal_receipt, 'RKR0000001');
+    assert.equal(transaction.reversed_units, 4);
+    assert.equal(transaction.token_status, 'VOIDED');
+    assert.equal(await ledger.getBalance('MTR001'), 0);
+    assert.deepEqual(await auditActions(), ['REVERSE_TRANSACTION', 'REVERSAL_COMPLETED']);
+
+    // A repeated result changes nothing
+    await darajaResult(payment.transaction_id);
+    const reversals = (await ledger.getEntries('MTR001')).filter(entry => entry.source === 'REVERSAL');
+    assert.equal(reversals.length, 1);
+  });
+
+  it('completes end to end through the Daraja mock', async () => {
+    daraja.config.sendCallbacks = true;
+    daraja.config.callbackDelayMs = 100;
+    const payment = await pay();
+    await reverse(payment.transaction_id);
+    await daraja.settle();
+
+    assert.equal((await readDb(`transactions/${payment.transaction_id}`)).status, 'REVERSED');
+    assert.equal(daraja.callbacks[0].status, 200);
+  });
+
+  it('gives the units back when Daraja refuses or times out, and can be tried again', async () => {
+    const payment = await pay();
+    await reverse(payment.transaction_id);
+    await darajaResult(payment.transaction_id, { code: 2001 });
+
+    let transaction = await readDb(`transactions/${payment.transaction_id}`);
+    assert.equal(transaction.status, 'SUCCESS');
+    assert.equal(transaction.reversal.status, 'FAILED');
+    assert.equal(transaction.reversal.result_code, 2001);
+    assert.equal(await ledger.getBalance('MTR001'), 4);
+
+    assert.equal((await reverse(payment.transaction_id)).status, 202);
+    await darajaResult(payment.transaction_id, { timeout: true });
+    transaction = await readDb(`transactions/${payment.transaction_id}`);
+    assert.equal(transaction.reversal.result_desc, 'Timed out in the Daraja queue');
+    assert.equal(await ledger.getBalance('MTR001'), 4);
+    assert.deepEqual(await auditActions(), ['REVERSE_TRANSACTION', 'REVERSAL_FAILED', 'REVERSE_TRANSACTION', 'REVERSAL_FAILED']);
+  });
+
+  it('takes the units back again when a confirmation follows a timeout', async () => {
+    const payment = await pay();
+    await reverse(payment.transaction_id);
+    await darajaResult(payment.transaction_id, { timeout: true });
+    assert.equal(await ledger.getBalance('MTR001'), 4);
+
+    await darajaResult(payment.transaction_id);
+    assert.equal((await readDb(`transactions/${payment.transaction_id}`)).status, 'REVERSED');
+    assert.equal(await ledger.getBalance('MTR001'), 0);
+  });
+
+  it('refuses once units are used, unless forced', async () => {
+    const payment = await pay();
+    await consumeUnits('MTR001', 1);
+
+    const refused = await reverse(payment.transaction_id);
+    assert.equal(refused.status, 409);
+    assert.match(refused.body.error, /1 of 4 units have already been used/);
+    assert.equal(await readDb(`transactions/${payment.transaction_id}/reversal`), null);
+    assert.equal(await ledger.getBalance('MTR001'), 3);
+    assert.equal(daraja.requests.filter(r => r.path === '/mpesa/reversal/v1/request').length, 0);
+
+    const forced = await reverse(payment.transaction_id, { reason: 'Paid twice', force: true });
+    assert.equal(forced.status, 202);
+    assert.equal(forced.body.transaction.reversal.held_units, 3);
+    assert.equal(forced.body.transaction.reversal.forced, true);
+    assert.equal(await ledger.getBalance('MTR001'), 0);
+  });
+
+  it('checks the hold against the real balance when the first transaction run sees null, as on Firebase', async () => {
+    const payment = await pay();
+    const restore = simulateFirebaseTransactions();
+    let res;
+    try {
+      res = await reverse(payment.transaction_id);
+    } finally {
+      restore();
+    }
+    assert.equal(res.status, 202);
+    assert.equal(res.body.transaction.reversal.held_units, 4);
+    assert.equal(await ledger.getBalance('MTR001'), 0);
+  });
+
+  it('releases the units when Daraja rejects the request', async () => {
+    daraja.respond('/mpesa/reversal/v1/request', () => ({
+      status: 500,
+      body: { requestId: 'x', errorCode: '500.003.1001', errorMessage: 'Internal Server Error' }
+    }));
+    const payment = await pay();
+
+    const res = await reverse(payment.transaction_id);
+    assert.equal(res.status, 502);
+    assert.equal(await ledger.getBalance('MTR001'), 4);
+    assert.equal((await readDb(`transactions/${payment.transaction_id}/reversal`)).status, 'FAILED');
+  });
+
+  it('allows one reversal at a time, of successful payments only', async () => {
+    const payment = await pay();
+    await reverse(payment.transaction_id);
+    assert.equal((await reverse(payment.transaction_id)).status, 409);
+
+    await darajaResult(payment.transaction_id);
+    assert.equal((await reverse(payment.transaction_id)).status, 409);
+  });
+
+  it('requires an admin, a reason and an existing transaction', async () => {
+    const payment = await pay();
+    assert.equal((await reverse(payment.transaction_id, {})).status, 400);
+    assert.equal((await reverse('nope')).status, 404);
+    assert.equal((await reverse(payment.transaction_id, { reason: 'x' }, support.token)).status, 403);
+  });
+});
+
+describe('POST /daraja/reversal/result', () => {
+  it('keeps an unmatched result in the inbox for retry', async () => {
+    const res = await call('POST', '/daraja/reversal/result', {
+      body: { Result: { ResultCode: 0, OriginatorConversationID: 'unknown' } }
+    });
+    assert.equal(res.status, 200);
+    const [entry] = Object.values(await readDb('webhook_inbox'));
+    assert.equal(entry.type, 'reversal_result');
+    assert.equal(entry.status, 'FAILED');
+  });
+});
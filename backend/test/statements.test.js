@@ -0,0 +1,186 @@
+// test/statements.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, updateDb, createUser, startApp, request } = require('./helpers');
+const { saveCallbackTransaction } = require('../transactions');
+const { consumeUnits } = require('../services/meterService');
+const { formatToken } = require('../services/tokenService');
+const { createPdf } = require('../services/pdfService');
+const { renderStatementCsv } = require('../services/statementService');
+
+let server;
+let alice;
+let bob;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+const adminKey = { 'x-admin-key': 'test-admin-key' };
+
+// KSH 100 buys 4 units at the default tariff
+function pay(meterNo, receipt) {
+  return saveCallbackTransaction({ ResultCode: 0, MpesaReceiptNumber: receipt, Amount: 100, BillRefNumber: meterNo });
+}
+
+// CSV rows as arrays, without the header
+function csvRows(text) {
+  return text.trim().split('\r\n').slice(1).map(line => line.split(','));
+}
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  alice = await createUser('alice', { name: 'Alice Kamau', email: 'alice@example.com', meter_no: 'MTR001' });
+  bob = await createUser('bob', { name: 'Bob Otieno', email: 'bob@example.com', meter_no: 'MTR002' });
+});
+
+describe('GET /transactions/:transactionId/receipt', () => {
+  it('downloads a PDF with the token, units and M-Pesa receipt number', async () => {
+    const payment = await pay('MTR001', 'RKT0000001');
+    const transaction = await readDb(`transactions/${payment.transaction_id}`);
+
+    const res = await call('GET', `/transactions/${payment.transaction_id}/receipt`, { token: alice.token });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^application\/pdf/);
+    assert.match(res.headers.get('content-disposition'), new RegExp(`receipt-${payment.transaction_id}\\.pdf`));
+    assert.ok(res.body.startsWith('%PDF-1.4'));
+    assert.ok(res.body.trimEnd().endsWith('%%EOF'));
+    assert.ok(res.body.includes('(RKT0000001)'));
+    assert.ok(res.body.includes(`(${formatToken(transaction.token)})`));
+    assert.ok(res.body.includes('(Energy charge)'));
+  });
+
+  it('is only for the payer and the meter\'s owner', async () => {
+    const payment = await pay('MTR001', 'RKT0000001');
+    const path = `/transactions/${payment.transaction_id}/receipt`;
+
+    assert.equal((await call('GET', path, { token: bob.token })).status, 404);
+    assert.equal((await call('GET', path)).status, 401);
+
+    await updateDb({ [`transactions/${payment.transaction_id}/payer_user_id`]: 'bob' });
+    const gift = await call('GET', path, { token: bob.token });
+    assert.equal(gift.status, 200);
+    assert.ok(gift.body.includes('(A*** K***)'));
+  });
+
+  it('waits for the payment to complete', async () => {
+    const payment = await pay('MTR001', 'RKT0000001');
+    await updateDb({ [`transactions/${payment.transaction_id}/status`]: 'PENDING' });
+    const res = await call('GET', `/transactions/${payment.transaction_id}/receipt`, { token: alice.token });
+    assert.equal(res.status, 409);
+    assert.equal((await call('GET', '/transactions/nope/receipt', { token: alice.token })).status, 404);
+  });
+});
+
+describe('GET /users/:userId/statement', () => {
+  const statement = (query, token = alice.token) => call('GET', `/users/alice/statement?${query}`, { token });
+
+  // A February with a payment from January still on the meter
+  async function seedFebruary() {
+    const entry = (seq, fields) => ({
+      [`ledger/MTR001/${String(seq).padStart(12, '0')}`]: { seq, user_id: 'alice', ...fields }
+    });
+    await updateDb({
+      'transactions/tx1': { user_id: 'alice', meter_no: 'MTR001', amount: 250, status: 'SUCCESS', mpesa_receipt: 'RKA0000001', token: '11112222333344445555' },
+      'transactions/tx2': { user_id: 'alice', meter_no: 'MTR001', amount: 100, status: 'SUCCESS', mpesa_receipt: 'RKB0000002', token: '66667777888899990000' },
+      ...entry(1, { type: 'CREDIT', source: 'PAYMENT', units: 10, balance_before: 0, balance_after: 10, reference: 'tx1', timestamp: '2026-01-15T10:00:00.000Z' }),
+      // 01:00 on 1 February in Nairobi
+      ...entry(2, { type: 'DEBIT', source: 'CONSUMPTION', units: 2, balance_before: 10, balance_after: 8, reference: 'c1', timestamp: '2026-01-31T22:00:00.000Z' }),
+      ...entry(3, { type: 'DEBIT', source: 'CONSUMPTION', units: 1, balance_before: 8, balance_after: 7, reference: 'c2', timestamp: '2026-02-10T08:00:00.000Z' }),
+      ...entry(4, { type: 'CREDIT', source: 'PAYMENT', units: 4, balance_before: 7, balance_after: 11, reference: 'tx2', timestamp: '2026-02-11T08:00:00.000Z' }),
+      ...entry(5, { type: 'DEBIT', source: 'ADJUSTMENT', units: 1, balance_before: 11, balance_after: 10, reference: null, description: 'Faulty reading', timestamp: '2026-02-20T08:00:00.000Z' }),
+      ...entry(6, { type: 'DEBIT', source: 'CONSUMPTION', units: 3, balance_before: 10, balance_after: 7, reference: 'c3', timestamp: '2026-02-28T21:00:00.000Z' })
+    });
+  }
+
+  it('reconciles the month as CSV', async () => {
+    await seedFebruary();
+    const res = await statement('month=2026-02&format=csv');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /statement-MTR001-2026-02\.csv/);
+
+    const rows = csvRows(res.body);
+    assert.deepEqual(rows.map(row => row[0]), ['OPENING_BALANCE', 'PURCHASE', 'CONSUMPTION', 'CONSUMPTION', 'ADJUSTMENT', 'CLOSING_BALANCE']);
+    assert.equal(rows[0][5], '10');
+    assert.deepEqual([rows[1][3], rows[1][4], rows[1][5]], ['RKB0000002', '100', '4']);
+    assert.deepEqual(rows.filter(row => row[0] === 'CONSUMPTION').map(row => [row[1], row[5]]), [['2026-02-01', '-2'], ['2026-02-10', '-1']]);
+    assert.equal(rows[4][5], '-1');
+    assert.equal(rows[5][5], '10');
+  });
+
+  it('downloads a PDF statement for the current month by default', async () => {
+    await pay('MTR001', 'RKT0000001');
+    await consumeUnits('MTR001', 1);
+
+    const res = await statement('');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^application\/pdf/);
+    assert.ok(res.body.startsWith('%PDF-1.4'));
+    assert.ok(res.body.includes('(RKT0000001)'));
+    assert.ok(res.body.includes('(Closing balance)'));
+  });
+
+  it('covers only the new tenant\'s time on a transferred meter', async () => {
+    const carol = await createUser('carol', { email: 'carol@example.com', meter_no: null });
+    await pay('MTR001', 'RKT0000001');
+    await consumeUnits('MTR001', 1);
+    await call('POST', '/admin/meters/MTR001/transfer', { headers: adminKey, body: { user_id: 'carol', reason: 'New lease' } });
+    await pay('MTR001', 'RKT0000002');
+
+    const res = await call('GET', '/users/carol/statement?format=csv', { token: carol.token });
+    assert.equal(res.status, 200);
+    const rows = csvRows(res.body);
+    assert.deepEqual(rows.map(row => row[0]), ['OPENING_BALANCE', 'PURCHASE', 'CLOSING_BALANCE']);
+    assert.deepEqual([rows[0][5], rows[1][3], rows[2][5]], ['0', 'RKT0000002', '4']);
+  });
+
+  it('rejects bad requests and other users\' meters', async () => {
+    assert.equal((await statement('month=2026-13')).status, 400);
+    assert.equal((await statement('month=2999-01')).status, 400);
+    assert.equal((await statement('format=xlsx')).status, 400);
+    assert.equal((await statement('meter_no=MTR002')).status, 403);
+    assert.equal((await statement('', bob.token)).status, 403);
+  });
+});
+
+describe('renderStatementCsv', () => {
+  it('keeps spreadsheets from running text as a formula', () => {
+    const csv = renderStatementCsv({
+      from: '2026-02-01',
+      to: '2026-02-28',
+      opening_balance: 0,
+      closing_balance: -1.5,
+      purchases: [],
+      consumption: [{ date: '2026-02-02', units: 1.5 }],
+      other_entries: ['=1+1', '+1', '-2+3', '@SUM(A1)'].map(description => ({
+        source: 'ADJUSTMENT', date: '2026-02-03', description, reference: null, units: 0
+      }))
+    });
+
+    assert.deepEqual(csvRows(csv).slice(2, 6).map(row => row[2]), ["'=1+1", "'+1", "'-2+3", "'@SUM(A1)"]);
+    // Numbers are written as they are
+    assert.deepEqual(csvRows(csv)[1], ['CONSUMPTION', '2026-02-02', '', '', '', '-1.5']);
+  });
+});
+
+describe('createPdf', () => {
+  it('escapes text and continues tables on new pages', () => {
+    const rows = Array.from({ length: 100 }, (_, i) => [`Row ${i}`, '(x)']);
+    const pdf = createPdf({ title: 'Test' })
+      .heading('Back\\slash')
+      .table([{ label: 'Name', width: 200 }, { label: 'Value', width: 100 }], rows)
+      .toBuffer()
+      .toString('latin1');
+
+    assert.ok(pdf.includes('(Back\\\\slash)'));
+    assert.ok(pdf.includes('(\\(x\\))'));
+    assert.match(pdf, /\/Count 2 >>/);
+    assert.equal(pdf.match(/\(Name\)/g).length, 2);
+  });
+});
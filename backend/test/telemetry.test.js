@@ -0,0 +1,146 @@
+// test/telemetry.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, createUser, startApp, request, deviceHeaders } = require('./helpers');
+const { validateBatch, ingestTelemetry, compactTelemetry, getTelemetry } = require('../services/telemetryService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let server;
+let secret;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+const adminKey = { 'x-admin-key': 'test-admin-key' };
+
+function signed(method, path, body) {
+  const raw = body === undefined ? '' : JSON.stringify(body);
+  return call(method, path, {
+    body: body === undefined ? undefined : raw,
+    headers: deviceHeaders('MTR001', secret, method, path, raw)
+  });
+}
+
+const upload = body => signed('POST', '/api/iot/meter/MTR001/telemetry', body);
+
+// Readings one minute apart, ending now
+function readings(count, fields = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return Array.from({ length: count }, (_, i) => ({ timestamp: now - (count - 1 - i) * 60, voltage: 240, current: 5, power_factor: 0.9, ...fields }));
+}
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  await createUser('alice', { meter_no: 'MTR001' });
+  secret = (await call('POST', '/admin/devices/MTR001/rotate', { headers: adminKey })).body.secret;
+});
+
+describe('POST /api/iot/meter/:meterNo/telemetry', () => {
+  it('stores readings and the device status', async () => {
+    const res = await upload({ readings: readings(3), status: { firmware: '1.4.2', rssi: -67, uptime_seconds: 3600 } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accepted, 3);
+    assert.deepEqual(res.body.events, []);
+
+    const raw = Object.values(await readDb('telemetry/MTR001/raw'));
+    assert.equal(raw.length, 3);
+    assert.equal(raw[0].power, 1080);
+
+    const health = await call('GET', '/admin/meters/MTR001/health', { headers: adminKey });
+    assert.equal(health.body.online, true);
+    assert.equal(health.body.firmware, '1.4.2');
+    assert.equal(health.body.rssi, -67);
+    assert.equal(health.body.last_reading.voltage, 240);
+  });
+
+  it('does not count a resent batch twice', async () => {
+    const batch = { readings: readings(5) };
+    await upload(batch);
+    await upload(batch);
+
+    const res = await call('GET', '/admin/meters/MTR001/telemetry', { headers: adminKey });
+    assert.equal(res.body.series.reduce((sum, point) => sum + point.count, 0), 5);
+  });
+
+  it('rejects malformed batches', async () => {
+    const res = await upload({ readings: [{ voltage: 240 }, { timestamp: Math.floor(Date.now() / 1000), voltage: -1 }] });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details.length, 3);
+
+    assert.equal((await upload({ events: [{ type: 'FIRE', timestamp: Math.floor(Date.now() / 1000) }] })).status, 400);
+    assert.equal((await upload({ readings: readings(501) })).status, 400);
+  });
+
+  it('requires the meter\'s own device signature', async () => {
+    assert.equal((await call('POST', '/api/iot/meter/MTR001/telemetry', { body: { readings: readings(1) } })).status, 401);
+  });
+});
+
+describe('tamper and anomaly events', () => {
+  it('raises tamper reports and anomalies for operators', async () => {
+    const batch = {
+      readings: [...readings(2), ...readings(1, { voltage: 180 })].map((reading, i) => ({ ...reading, timestamp: reading.timestamp - 10 + i })),
+      events: [{ type: 'COVER_OPEN', timestamp: Math.floor(Date.now() / 1000), detail: 'Terminal cover switch' }]
+    };
+    const res = await upload(batch);
+    assert.equal(res.body.events.length, 2);
+
+    const events = (await call('GET', '/admin/meter-events?open=true', { headers: adminKey })).body;
+    assert.deepEqual(events.map(e => [e.category, e.type]).sort(), [['ANOMALY', 'UNDER_VOLTAGE'], ['TAMPER', 'COVER_OPEN']]);
+    const anomaly = events.find(e => e.type === 'UNDER_VOLTAGE');
+    assert.equal(anomaly.detail.value, 180);
+    assert.equal(anomaly.detail.readings, 1);
+
+    // Another low reading within the cooldown adds nothing
+    await upload({ readings: readings(1, { voltage: 190 }) });
+    assert.equal(Object.keys(await readDb('meter_events')).length, 2);
+
+    const health = (await call('GET', '/admin/meters/MTR001/health', { headers: adminKey })).body;
+    assert.equal(health.open_events.length, 2);
+  });
+
+  it('lets an admin acknowledge an event', async () => {
+    await upload({ events: [{ type: 'MAGNET', timestamp: Math.floor(Date.now() / 1000) }] });
+    const [event] = (await call('GET', '/admin/meter-events', { headers: adminKey })).body;
+
+    const ack = await call('POST', `/admin/meter-events/${event.id}/acknowledge`, { headers: adminKey, body: { note: 'Site visit booked' } });
+    assert.equal(ack.status, 200);
+    assert.equal(ack.body.event.note, 'Site visit booked');
+    assert.deepEqual((await call('GET', '/admin/meter-events?open=true', { headers: adminKey })).body, []);
+    assert.equal((await call('POST', '/admin/meter-events/nope/acknowledge', { headers: adminKey })).status, 404);
+  });
+});
+
+describe('compactTelemetry', () => {
+  it('rolls old readings up into hourly summaries and keeps queries unchanged', async () => {
+    const now = Date.now();
+    const hourStart = Math.floor((now - 72 * HOUR_MS) / HOUR_MS) * HOUR_MS;
+    const { batch } = validateBatch({
+      readings: [
+        { timestamp: new Date(hourStart + 1000).toISOString(), voltage: 230, current: 2 },
+        { timestamp: new Date(hourStart + 2000).toISOString(), voltage: 250, current: 4 },
+        { timestamp: new Date(now - 1000).toISOString(), voltage: 240, current: 3 }
+      ]
+    }, now);
+    await ingestTelemetry('MTR001', batch);
+    const range = { from: hourStart, to: now };
+    const before = await getTelemetry('MTR001', range);
+
+    const result = await compactTelemetry(now);
+    assert.equal(result.rolled_up, 2);
+    assert.equal(Object.keys(await readDb('telemetry/MTR001/raw')).length, 1);
+    assert.deepEqual(await getTelemetry('MTR001', range), before);
+    assert.deepEqual(before.series[0].voltage, { min: 230, max: 250, avg: 240 });
+
+    // Summaries past their retention are dropped
+    await compactTelemetry(now + 91 * 24 * HOUR_MS);
+    assert.equal(await readDb('telemetry/MTR001/hourly'), null);
+  });
+});
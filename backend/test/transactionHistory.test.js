@@ -0,0 +1,127 @@
+// test/transactionHistory.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, updateDb, createUser, startApp, request } = require('./helpers');
+const { saveCallbackTransaction } = require('../transactions');
+
+let server;
+let alice;
+
+const call = (method, path, options) => request(server.baseUrl, method, path, options);
+const history = (query = '') => call('GET', `/transactions/alice${query ? `?${query}` : ''}`, { token: alice.token });
+const ids = res => res.body.transactions.map(t => t.id);
+
+// KSH 100 buys 4 units at the default tariff
+function pay(receipt) {
+  return saveCallbackTransaction({ ResultCode: 0, MpesaReceiptNumber: receipt, Amount: 100, BillRefNumber: 'MTR001' });
+}
+
+before(async () => {
+  server = await startApp();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetDb();
+  alice = await createUser('alice', { email: 'alice@example.com', meter_no: 'MTR001' });
+});
+
+describe('GET /transactions/:userId pagination', () => {
+  it('pages through the history newest first', async () => {
+    const payments = [];
+    for (let i = 1; i <= 5; i++) payments.push(await pay(`RKT000000${i}`));
+    const newestFirst = payments.map(payment => payment.transaction_id).reverse();
+
+    const first = await history('limit=2');
+    assert.equal(first.status, 200);
+    assert.deepEqual(ids(first), newestFirst.slice(0, 2));
+    assert.equal(first.body.next_cursor, newestFirst[1]);
+
+    const second = await history(`limit=2&cursor=${first.body.next_cursor}`);
+    assert.deepEqual(ids(second), newestFirst.slice(2, 4));
+
+    const last = await history(`limit=2&cursor=${second.body.next_cursor}`);
+    assert.deepEqual(ids(last), newestFirst.slice(4));
+    assert.equal(last.body.next_cursor, null);
+  });
+
+  it('returns only the public fields of each transaction', async () => {
+    await pay('RKT0000001');
+    const [transaction] = (await history()).body.transactions;
+    assert.deepEqual(Object.keys(transaction).sort(), [
+      'amount', 'channel', 'id', 'meter_no', 'mpesa_receipt', 'remainder', 'status', 'timestamp', 'token', 'transaction_id', 'units'
+    ]);
+  });
+
+  it('indexes transactions recorded before the index existed', async () => {
+    await updateDb({
+      'transactions/t1': { user_id: 'alice', status: 'SUCCESS', amount: 50 },
+      'transactions/t2': { user_id: 'bob', payer_user_id: 'alice', status: 'SUCCESS', amount: 70 }
+    });
+    assert.deepEqual(ids(await history()), ['t2', 't1']);
+    assert.ok(await readDb('user_transactions_indexed/alice'));
+
+    const payment = await pay('RKT0000001');
+    // Seeded IDs sort after push IDs, so compare as sets
+    assert.deepEqual(ids(await history()).sort(), [payment.transaction_id, 't1', 't2'].sort());
+  });
+});
+
+describe('GET /transactions/:userId filters', () => {
+  beforeEach(async () => {
+    await updateDb({
+      'transactions/t1': { user_id: 'alice', status: 'SUCCESS', amount: 50, mpesa_receipt: 'RKA1111111', timestamp: '2026-01-05T10:00:00.000Z' },
+      'transactions/t2': { user_id: 'alice', status: 'FAILED', amount: 200, timestamp: '2026-01-20T10:00:00.000Z' },
+      'transactions/t3': { user_id: 'alice', status: 'completed', amount: 500, mpesa_receipt: 'RKB2222222', timestamp: '2026-02-03T10:00:00.000Z' },
+      'transactions/t4': { user_id: 'alice', status: 'REVERSED', amount: 100, mpesa_receipt: 'RKB3333333', timestamp: '2026-02-10T10:00:00.000Z' },
+      'transactions/t5': { user_id: 'bob', status: 'SUCCESS', amount: 100, mpesa_receipt: 'RKB4444444', timestamp: '2026-02-11T10:00:00.000Z' }
+    });
+  });
+
+  it('filters by status, date range, amount and receipt', async () => {
+    assert.deepEqual(ids(await history('status=SUCCESS')), ['t3', 't1']);
+    assert.deepEqual(ids(await history('status=failed,reversed')), ['t4', 't2']);
+    assert.deepEqual(ids(await history('from=2026-01-10T00:00:00Z&to=2026-02-10T10:00:00Z')), ['t3', 't2']);
+    assert.deepEqual(ids(await history('min_amount=100&max_amount=200')), ['t4', 't2']);
+    assert.deepEqual(ids(await history('q=rkb')), ['t4', 't3']);
+    assert.deepEqual(ids(await history('q=RKB2&status=SUCCESS')), ['t3']);
+  });
+
+  it('pages through filtered results', async () => {
+    const first = await history('q=RKB&limit=1');
+    assert.deepEqual(ids(first), ['t4']);
+    const second = await history(`q=RKB&limit=1&cursor=${first.body.next_cursor}`);
+    assert.deepEqual(ids(second), ['t3']);
+    assert.equal(second.body.next_cursor, null);
+  });
+
+  it('rejects invalid filters', async () => {
+    for (const query of ['status=LOST', 'from=yesterday', 'from=2026-02-01&to=2026-01-01', 'min_amount=-1', 'min_amount=500&max_amount=100', 'cursor=a/b']) {
+      const res = await history(query);
+      assert.equal(res.status, 400, query);
+      assert.equal(res.body.error, 'Invalid transaction query');
+    }
+  });
+});
+
+describe('GET /transactions/:userId on a long history', () => {
+  it('stops a narrow search after a bounded walk and returns a cursor to carry on', async () => {
+    const seed = {};
+    for (let i = 0; i < 1100; i++) {
+      seed[`transactions/t${String(i).padStart(4, '0')}`] = { user_id: 'alice', status: 'SUCCESS', amount: 10, mpesa_receipt: `RKX${i}` };
+    }
+    seed['transactions/t0000'].mpesa_receipt = 'RKFOUND';
+    await updateDb(seed);
+
+    const first = await history('q=RKFOUND');
+    assert.deepEqual(ids(first), []);
+    assert.equal(first.body.next_cursor, 't0100');
+
+    const second = await history(`q=RKFOUND&cursor=${first.body.next_cursor}`);
+    assert.deepEqual(ids(second), ['t0000']);
+    assert.equal(second.body.next_cursor, null);
+  });
+});
@@ -0,0 +1,267 @@
+// test/transactions.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDb, readDb, createUser } = require('./helpers');
+const {
+  TRANSACTION_STATUS,
+  calculateUnits,
+  calculateAvailableUnits,
+  createTransactionForMeter,
+  transitionTransaction,
+  formatDarajaTimestamp,
+  saveCallbackTransaction
+} = require('../transactions');
+const { getBalance } = require('../services/ledgerService');
+
+function callback(fields = {}) {
+  return {
+    ResultCode: 0,
+    ResultDesc: 'The service request is processed successfully.',
+    MpesaReceiptNumber: 'RKT0000001',
+    Amount: 100,
+    TransactionDate: '20260105143000',
+    BillRefNumber: 'MTR001',
+    PhoneNumber: '254712345678',
+    ...fields
+  };
+}
+
+async function transactionsFor(meterNo) {
+  return Object.entries(await readDb('transactions') || {})
+    .map(([id, transaction]) => ({ id, ...transaction }))
+    .filter(transaction => transaction.meter_no === meterNo);
+}
+
+describe('calculateUnits', () => {
+  it('prices at the flat rate of 1 unit = KSH 25', () => {
+    assert.equal(calculateUnits(100), 4);
+    assert.equal(calculateUnits(250), 10);
+  });
+
+  it('rounds partial units down to two decimals', () => {
+    assert.equal(calculateUnits(10), 0.4);
+    assert.equal(calculateUnits(33), 1.32);
+  });
+
+  it('returns zero for nothing paid', () => {
+    assert.equal(calculateUnits(0), 0);
+  });
+});
+
+describe('formatDarajaTimestamp', () => {
+  it('parses the Daraja YYYYMMDDHHMMSS format', () => {
+    assert.equal(formatDarajaTimestamp('20241228160000'), '2024-12-28T16:00:00.000Z');
+    assert.equal(formatDarajaTimestamp(20260105143000), '2026-01-05T14:30:00.000Z');
+  });
+
+  it('passes ISO dates through', () => {
+    assert.equal(formatDarajaTimestamp('2026-03-01T08:15:00.000Z'), '2026-03-01T08:15:00.000Z');
+  });
+
+  it('falls back to the current time for missing or unparsable dates', () => {
+    for (const value of [undefined, null, 'not a date']) {
+      const before = Date.now();
+      const parsed = new Date(formatDarajaTimestamp(value)).getTime();
+      assert.ok(parsed >= before && parsed <= Date.now(), `${value} should map to now`);
+    }
+  });
+});
+
+describe('calculateAvailableUnits', () => {
+  beforeEach(async () => {
+    resetDb();
+    await createUser('user1');
+  });
+
+  it('is zero for a user with no history', async () => {
+    assert.equal(await calculateAvailableUnits('user1'), 0);
+  });
+
+  it('counts successful purchases, including legacy statuses, minus consumption', async () => {
+    resetDb({
+      transactions: {
+        t1: { user_id: 'user1', status: 'SUCCESS', units: 4 },
+        t2: { user_id: 'user1', status: 'completed', units: 2.5 },
+        t3: { user_id: 'user1', status: 'PENDING', units: 10 },
+        t4: { user_id: 'user1', status: 'FAILED', units: 10 },
+        t5: { user_id: 'other', status: 'SUCCESS', units: 10 }
+      },
+      unit_consumption: {
+        c1: { user_id: 'user1', units_consumed: 1.25 },
+        c2: { user_id: 'other', units_consumed: 3 }
+      }
+    });
+    assert.equal(await calculateAvailableUnits('user1'), 5.25);
+  });
+
+  it('never goes below zero', async () => {
+    resetDb({
+      transactions: { t1: { user_id: 'user1', status: 'SUCCESS', units: 1 } },
+      unit_consumption: { c1: { user_id: 'user1', units_consumed: 5 } }
+    });
+    assert.equal(await calculateAvailableUnits('user1'), 0);
+  });
+});
+
+describe('saveCallbackTransaction', () => {
+  beforeEach(async () => {
+    resetDb();
+    await createUser('user1');
+  });
+
+  it('records and credits a confirmed payment it did not initiate', async () => {
+    const result = await saveCallbackTransaction(callback());
+
+    assert.equal(result.success, true);
+    assert.equal(result.duplicate, false);
+    assert.equal(result.status, TRANSACTION_STATUS.SUCCESS);
+    assert.match(result.token, /^\d{20}$/);
+
+    const transaction = await readDb(`transactions/${result.transaction_id}`);
+    assert.equal(transaction.status, TRANSACTION_STATUS.SUCCESS);
+    assert.equal(transaction.user_id, 'user1');
+    assert.equal(transaction.mpesa_receipt, 'RKT0000001');
+    assert.equal(transaction.amount, 100);
+    assert.equal(transaction.units, 4);
+    assert.ok(transaction.settled_at);
+    assert.equal(await getBalance('MTR001'), 4);
+    assert.equal((await readDb('users/user1')).latest_transaction_id, result.transaction_id);
+  });
+
+  it('stores the Daraja transaction date as an ISO timestamp', async () => {
+    const result = await saveCallbackTransaction(callback({ TransactionDate: '20241228160000' }));
+    const transaction = await readDb(`transactions/${result.transaction_id}`);
+    assert.equal(transaction.timestamp, '2024-12-28T16:00:00.000Z');
+  });
+
+  it('accepts camelCase and C2B field names', async () => {
+    const result = await saveCallbackTransaction({
+      resultCode: 0,
+      TransactionID: 'RKT0000002',
+      TransAmount: '50',
+      transactionDate: '20260105143000',
+      AccountReference: 'MTR001',
+      MSISDN: '254700000001'
+    });
+    assert.equal(result.success, true);
+
+    const transaction = await readDb(`transactions/${result.transaction_id}`);
+    assert.equal(transaction.mpesa_receipt, 'RKT0000002');
+    assert.equal(transaction.amount, 50);
+    assert.equal(transaction.phone_number, '254700000001');
+    assert.equal(transaction.timestamp, '2026-01-05T14:30:00.000Z');
+  });
+
+  it('treats a repeated receipt as a duplicate and credits it once', async () => {
+    const first = await saveCallbackTransaction(callback());
+    const second = await saveCallbackTransaction(callback());
+
+    assert.equal(second.success, true);
+    assert.equal(second.duplicate, true);
+    assert.equal(second.transaction_id, first.transaction_id);
+    assert.equal(second.token, first.token);
+    assert.equal((await transactionsFor('MTR001')).length, 1);
+    assert.equal(await getBalance('MTR001'), 4);
+  });
+
+  it('finishes a confirmation that was interrupted before it was credited', async () => {
+    const pending = await createTransactionForMeter('MTR001', 100, TRANSACTION_STATUS.PENDING, 'conv-123');
+    // Crashed after the status change, before the credit; its lease has run out
+    await transitionTransaction(pending.transaction_id, TRANSACTION_STATUS.SUCCESS, {
+      mpesa_receipt: 'RKT0000001',
+      settle_lease_until: Date.now() - 1
+    });
+
+    const retry = await saveCallbackTransaction(callback());
+
+    assert.equal(retry.success, true);
+    assert.equal(retry.duplicate, false);
+    assert.equal(retry.transaction_id, pending.transaction_id);
+    assert.equal(await getBalance('MTR001'), 4);
+    assert.ok((await readDb(`transactions/${pending.transaction_id}`)).settled_at);
+  });
+
+  it('confirms the transaction whose reference matches OriginatorCoversationID', async () => {
+    const pending = await createTransactionForMeter('MTR001', 100, TRANSACTION_STATUS.PENDING, 'conv-123');
+
+    const result = await saveCallbackTransaction(callback({ OriginatorCoversationID: 'conv-123' }));
+
+    assert.equal(result.success, true);
+    assert.equal(result.transaction_id, pending.transaction_id);
+    assert.equal((await transactionsFor('MTR001')).length, 1);
+    assert.equal((await readDb(`transactions/${pending.transaction_id}`)).status, TRANSACTION_STATUS.SUCCESS);
+  });
+
+  it('matches a pending simulated C2B payment by meter and amount', async () => {
+    const simulated = await createTransactionForMeter('MTR001', 100, TRANSACTION_STATUS.INITIATED, null, { channel: 'C2B' });
+    await transitionTransaction(simulated.transaction_id, TRANSACTION_STATUS.PENDING, { reference: 'conv-sim' });
+    const otherAmount = await createTransactionForMeter('MTR001', 200, TRANSACTION_STATUS.PENDING, 'conv-other', { channel: 'C2B' });
+
+    const result = await saveCallbackTransaction(callback());
+
+    assert.equal(result.transaction_id, simulated.transaction_id);
+    const transaction = await readDb(`transactions/${simulated.transaction_id}`);
+    assert.equal(transaction.status, TRANSACTION_STATUS.SUCCESS);
+    assert.equal(transaction.matched_receipt, 'RKT0000001');
+    assert.equal((await readDb(`transactions/${otherAmount.transaction_id}`)).status, TRANSACTION_STATUS.PENDING);
+  });
+
+  it('does not let a second receipt claim an already matched transaction', async () => {
+    await createTransactionForMeter('MTR001', 100, TRANSACTION_STATUS.PENDING, 'conv-sim', { channel: 'C2B' });
+
+    const first = await saveCallbackTransaction(callback());
+    const second = await saveCallbackTransaction(callback({ MpesaReceiptNumber: 'RKT0000009' }));
+
+    assert.notEqual(second.transaction_id, first.transaction_id);
+    assert.equal((await transactionsFor('MTR001')).length, 2);
+    assert.equal(await getBalance('MTR001'), 8);
+  });
+
+  it('marks a declined payment FAILED without crediting it', async () => {
+    const pending = await createTransactionForMeter('MTR001', 100, TRANSACTION_STATUS.PENDING, 'conv-123');
+
+    const result = await saveCallbackTransaction(callback({
+      OriginatorCoversationID: 'conv-123',
+      ResultCode: 1032,
+      ResultDesc: 'Request cancelled by user'
+    }));
+
+    assert.equal(result.success, true);
+    assert.equal(result.status, TRANSACTION_STATUS.FAILED);
+    const transaction = await readDb(`transactions/${pending.transaction_id}`);
+    assert.equal(transaction.status, TRANSACTION_STATUS.FAILED);
+    assert.equal(transaction.result_code, 1032);
+    assert.equal(transaction.result_desc, 'Request cancelled by user');
+    assert.equal(await getBalance('MTR001'), 0);
+  });
+
+  it('treats a callback without a ResultCode as a failure', async () => {
+    const { ResultCode, ...withoutResultCode } = callback();
+    const result = await saveCallbackTransaction(withoutResultCode);
+    assert.equal(result.status, TRANSACTION_STATUS.FAILED);
+    assert.equal(await getBalance('MTR001'), 0);
+  });
+
+  it('does not fail an already successful transaction', async () => {
+    const first = await saveCallbackTransaction(callback({ OriginatorCoversationID: 'conv-123' }));
+    const late = await saveCallbackTransaction(callback({ OriginatorCoversationID: 'conv-123', ResultCode: 1 }));
+
+    assert.equal(late.duplicate, true);
+    assert.equal(late.status, TRANSACTION_STATUS.SUCCESS);
+    assert.equal((await readDb(`transactions/${first.transaction_id}`)).status, TRANSACTION_STATUS.SUCCESS);
+  });
+
+  it('rejects a callback without a meter number', async () => {
+    const { BillRefNumber, ...withoutMeter } = callback();
+    const result = await saveCallbackTransaction(withoutMeter);
+    assert.equal(result.success, false);
+    assert.match(result.message, /BillRefNumber/);
+  });
+
+  it('rejects a callback for an unknown meter', async () => {
+    const result = await saveCallbackTransaction(callback({ BillRefNumber: 'UNKNOWN' }));
+    assert.equal(result.success, false);
+    assert.match(result.message, /No user found/);
+    assert.equal(await readDb('transactions'), null);
+  });
+});
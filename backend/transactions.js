@@ -1,4 +1,11 @@
-const { db } = require('./firebase');
+const { db } = require('./storage');
+const userRepo = require('./repositories/usersRepository');
+const meterRepo = require('./repositories/metersRepository');
+const transactionRepo = require('./repositories/transactionsRepository');
+const consumptionRepo = require('./repositories/consumptionRepository');
+const { issueToken } = require('./services/tokenService');
+const ledger = require('./services/ledgerService');
+const { calculatePurchase, quotePurchase, DEFAULT_TARIFF } = require('./services/tariffService');
 
 /**
  * Find user ID by meter number
@@ -9,17 +16,12 @@ async function findUserIdByMeter(meterNo) {
   try {
     console.log(`Searching for user with meter_no: ${meterNo}`);
     
-    const usersRef = db.ref('users');
-    const snapshot = await usersRef.orderByChild('meter_no').equalTo(meterNo).once('value');
-    
-    if (!snapshot.exists()) {
+    const userId = await userRepo.findUserIdByMeter(meterNo);
+    if (!userId) {
       console.log(`No user found with meter_no: ${meterNo}`);
       return null;
     }
     
-    const users = snapshot.val();
-    const userId = Object.keys(users)[0]; // Get first matching user
-    
     console.log(`Found user ${userId} for meter_no: ${meterNo}`);
     return userId;
   } catch (error) {
@@ -28,24 +30,205 @@ async function findUserIdByMeter(meterNo) {
 }
 
 /**
- * Calculate units from amount (1 unit = KSH 25)
+ * Calculate units from amount under a tariff (defaults to the flat 1 unit = KSH 25 rate).
+ * Use quotePurchase() from services/tariffService.js for the tariff in force for a meter.
  * @param {number} amount - The amount in KSH
+ * @param {Object} tariff - Tariff version
  * @returns {number} - Number of units (float with 2 decimal places)
  */
-function calculateUnits(amount) {
-  return parseFloat((parseFloat(amount) / 25).toFixed(2));
+function calculateUnits(amount, tariff = DEFAULT_TARIFF) {
+  return calculatePurchase(amount, tariff).units;
+}
+
+/*
+ * Transaction lifecycle. Keep in sync with TransactionStatus in frontend/src/lib/api.ts.
+ *
+ *   INITIATED -> PENDING -> SUCCESS -> REVERSED
+ *       |           |-----> FAILED
+ *       |           '-----> EXPIRED -> SUCCESS (late confirmation)
+ *       '-------> FAILED
+ *
+ * INITIATED: created before the Daraja request is sent.
+ * PENDING:   Daraja accepted the request; waiting for the confirming callback.
+ * SUCCESS:   the callback confirmed the payment; units are credited (only here).
+ * FAILED:    Daraja rejected the request or the payment was declined.
+ * EXPIRED:   no confirmation arrived in time (see expireStaleTransactions()).
+ * REVERSED:  Daraja returned the money and the units were taken back
+ *            (see services/reversalService.js).
+ */
+const TRANSACTION_STATUS = Object.freeze({
+  INITIATED: 'INITIATED',
+  PENDING: 'PENDING',
+  SUCCESS: 'SUCCESS',
+  FAILED: 'FAILED',
+  EXPIRED: 'EXPIRED',
+  REVERSED: 'REVERSED'
+});
+
+const STATUS_TRANSITIONS = {
+  INITIATED: ['PENDING', 'FAILED'],
+  PENDING: ['SUCCESS', 'FAILED', 'EXPIRED'],
+  EXPIRED: ['SUCCESS'],
+  SUCCESS: ['REVERSED'],
+  FAILED: [],
+  REVERSED: []
+};
+
+// Statuses written by older versions of the app
+const LEGACY_STATUSES = { completed: 'SUCCESS', pending: 'PENDING', failed: 'FAILED' };
+
+// How long a confirmation may take to issue the token and credit the ledger
+// before a retried callback can take it over
+const SETTLE_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Map a stored status (including legacy lowercase values) to TRANSACTION_STATUS
+ * @param {string} status - Stored status
+ * @returns {string} - Normalized status (PENDING if unknown)
+ */
+function normalizeStatus(status) {
+  const value = String(status || '');
+  if (LEGACY_STATUSES[value]) return LEGACY_STATUSES[value];
+  const upper = value.toUpperCase();
+  return TRANSACTION_STATUS[upper] || TRANSACTION_STATUS.PENDING;
+}
+
+/**
+ * A transaction as shown to the people it belongs to. Raw callbacks, phone
+ * numbers, user IDs and settlement bookkeeping stay in storage.
+ * @param {Object} transaction - Stored transaction (with id)
+ * @returns {Object} { id, transaction_id, meter_no, amount, units, remainder, token, status, channel, mpesa_receipt, timestamp }
+ */
+function toPublicTransaction(transaction) {
+  const id = transaction.id || transaction.transaction_id;
+  return {
+    id,
+    transaction_id: id,
+    meter_no: transaction.meter_no || null,
+    amount: Number(transaction.amount) || 0,
+    units: Number(transaction.units) || 0,
+    remainder: Number(transaction.remainder) || 0,
+    token: transaction.token || null,
+    status: normalizeStatus(transaction.status),
+    channel: transaction.channel || null,
+    mpesa_receipt: transaction.mpesa_receipt || null,
+    timestamp: transaction.timestamp || null
+  };
+}
+
+/**
+ * Whether a transaction may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return STATUS_TRANSITIONS[normalizeStatus(from)].includes(to);
+}
+
+/**
+ * Move a transaction to a new status, atomically and only along STATUS_TRANSITIONS
+ * @param {string} transactionId - The transaction ID
+ * @param {string} to - Target status
+ * @param {Object} fields - Other fields to write with the status change
+ * @returns {Promise<Object>} { success, code?, message, from?, transaction }
+ */
+async function transitionTransaction(transactionId, to, fields = {}) {
+  if (!STATUS_TRANSITIONS[to]) {
+    throw new Error(`Unknown transaction status: ${to}`);
+  }
+
+  let from = null;
+  const result = await transactionRepo.mutateTransaction(transactionId, current => {
+    if (current === null) return null;
+    if (!canTransition(current.status, to)) return; // abort
+    from = normalizeStatus(current.status);
+    return {
+      ...current,
+      ...fields,
+      status: to,
+      status_updated_at: new Date().toISOString()
+    };
+  });
+
+  const transaction = result.transaction;
+  if (!transaction) {
+    return { success: false, code: 'NOT_FOUND', message: `Transaction ${transactionId} not found`, transaction: null };
+  }
+  if (!result.committed) {
+    return {
+      success: false,
+      code: 'INVALID_TRANSITION',
+      message: `Transaction ${transactionId} cannot move from ${normalizeStatus(transaction.status)} to ${to}`,
+      transaction
+    };
+  }
+
+  console.log(`Transaction ${transactionId}: ${from} -> ${to}`);
+  return { success: true, message: `Transaction is now ${to}`, from, transaction };
+}
+
+/**
+ * Issue a prepaid token for a successful transaction
+ * @param {string} transactionId - The transaction ID
+ * @param {string} meterNo - The meter number
+ * @param {number} units - Units purchased
+ * @returns {Promise<string|null>} - The 20-digit token or null if it could not be issued
+ */
+async function issueTransactionToken(transactionId, meterNo, units) {
+  try {
+    if (!units || units <= 0) {
+      console.warn(`Not issuing token for transaction ${transactionId}: no units purchased`);
+      return null;
+    }
+    const { token } = await issueToken({ meterNo, units, transactionId });
+    return token;
+  } catch (err) {
+    console.warn(`Failed to issue token for transaction ${transactionId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Credit a successful transaction's units to the meter's ledger
+ * @param {string} transactionId - The transaction ID
+ * @param {string} meterNo - The meter number
+ * @param {string} userId - The user ID
+ * @param {number} units - Units purchased
+ * @returns {Promise<number|null>} - The ledger entry sequence or null if the credit failed
+ */
+async function creditTransactionUnits(transactionId, meterNo, userId, units) {
+  try {
+    const entry = await ledger.credit(meterNo, units, {
+      source: 'PAYMENT',
+      reference: transactionId,
+      userId
+    });
+    await transactionRepo.updateTransaction(transactionId, { ledger_seq: entry.seq });
+    console.log(`Credited ${entry.units} units to meter ${meterNo} for transaction ${transactionId} (balance: ${entry.balance_after})`);
+    return entry.seq;
+  } catch (err) {
+    console.warn(`Failed to credit units for transaction ${transactionId}:`, err.message);
+    return null;
+  }
 }
 
 /**
- * Create a transaction for a specific meter number
+ * Create a transaction for a specific meter number. Transactions start as
+ * INITIATED (before the Daraja request) or PENDING; units are only credited
+ * by confirmTransaction() once Daraja confirms the payment.
  * @param {string} meterNo - The meter number
  * @param {number} amount - The transaction amount
- * @param {string} status - The transaction status (SUCCESS, FAILED, PENDING)
+ * @param {string} status - INITIATED or PENDING
  * @param {string} reference - Optional reference (e.g., OriginatorCoversationID)
+ * @param {Object} fields - Other fields to store (e.g. channel, phone_number)
  * @returns {Promise<Object>} - The created transaction object
  */
-async function createTransactionForMeter(meterNo, amount, status = 'SUCCESS', reference = null) {
+async function createTransactionForMeter(meterNo, amount, status = TRANSACTION_STATUS.INITIATED, reference = null, fields = {}) {
   try {
+    if (status !== TRANSACTION_STATUS.INITIATED && status !== TRANSACTION_STATUS.PENDING) {
+      throw new Error(`Transactions must be created as INITIATED or PENDING, not ${status}`);
+    }
     console.log(`Creating transaction for meter ${meterNo}, amount: ${amount}, status: ${status}`);
     
     // Find user by meter number
@@ -54,49 +237,35 @@ async function createTransactionForMeter(meterNo, amount, status = 'SUCCESS', re
       throw new Error(`No user found with meter_no: ${meterNo}`);
     }
     
-    // Calculate units
-    const units = calculateUnits(amount);
-    const remainder = parseFloat(amount) % 25;
+    // Price the purchase under the tariff in force for this meter
+    const quote = await quotePurchase(meterNo, amount);
+    const units = quote.units;
+    const remainder = quote.remainder;
     
     // Generate transaction ID and create transaction object
-    const transactionRef = db.ref('transactions').push();
-    const transactionId = transactionRef.key;
+    const transactionId = transactionRepo.newTransactionId();
+    const now = new Date().toISOString();
     
     const transaction = {
+      ...fields,
       transaction_id: transactionId,
       user_id: userId,
       meter_no: meterNo,
       amount: parseFloat(amount),
       units: units,
       remainder: remainder,
+      tariff_id: quote.tariff.id,
+      charges: quote.breakdown,
       status: status,
-      timestamp: new Date().toISOString(),
+      created_at: now,
+      status_updated_at: now,
+      timestamp: now,
       reference: reference // Store the OriginatorCoversationID for callback matching
     };
     
     // Write transaction to database
-    await transactionRef.set(transaction);
-    console.log(`Created transaction ${transactionId} for user ${userId}: ${units} units (${remainder.toFixed(2)} remainder)`);
-    
-    // Update user's latest_transaction_id if successful
-    if (status === 'SUCCESS') {
-      const userRef = db.ref(`users/${userId}`);
-      await userRef.update({
-        latest_transaction_id: transactionId,
-        last_payment_timestamp: transaction.timestamp,
-        last_payment_amount: amount,
-        last_units_purchased: units
-      });
-      console.log(`Updated user ${userId} with latest_transaction_id: ${transactionId}`);
-      try {
-        // Recalculate user's available units (sum of successful transactions) and persist to users/<userId>/balance
-        const availableUnits = await calculateAvailableUnits(userId);
-        await userRef.update({ balance: availableUnits });
-        console.log(`Updated user ${userId} balance: ${availableUnits}`);
-      } catch (err) {
-        console.warn(`Failed to update user ${userId} balance after creating transaction:`, err.message);
-      }
-    }
+    await transactionRepo.saveTransaction(transactionId, transaction);
+    console.log(`Created ${status} transaction ${transactionId} for user ${userId}: ${units} units (${remainder.toFixed(2)} remainder)`);
     
     return transaction;
   } catch (error) {
@@ -105,6 +274,97 @@ async function createTransactionForMeter(meterNo, amount, status = 'SUCCESS', re
   }
 }
 
+/**
+ * Issue the token, update the user and credit the ledger for a confirmed transaction
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} transaction - The transaction in SUCCESS state
+ * @returns {Promise<Object>} { success, message, token }
+ */
+async function settleTransaction(transactionId, transaction) {
+  const units = transaction.units || calculateUnits(transaction.amount);
+
+  const token = transaction.token || await issueTransactionToken(transactionId, transaction.meter_no, units);
+
+  await userRepo.updateUser(transaction.user_id, {
+    latest_transaction_id: transactionId,
+    last_payment_timestamp: transaction.timestamp,
+    last_payment_amount: transaction.amount,
+    last_units_purchased: units
+  });
+  console.log(`Updated user ${transaction.user_id} with latest_transaction_id: ${transactionId}`);
+
+  if (!transaction.ledger_seq) {
+    const seq = await creditTransactionUnits(transactionId, transaction.meter_no, transaction.user_id, units);
+    if (!seq) {
+      // Release the lease so the retried callback settles it
+      await transactionRepo.updateTransaction(transactionId, { settle_lease_until: 0 });
+      return { success: false, message: `Failed to credit units for transaction ${transactionId}`, token };
+    }
+  }
+
+  await transactionRepo.updateTransaction(transactionId, { settled_at: new Date().toISOString() });
+  return { success: true, message: 'Transaction settled', token };
+}
+
+/**
+ * Mark a PENDING (or EXPIRED) transaction SUCCESS after Daraja confirms the
+ * payment, then issue its token and credit its units. This is the only place
+ * payments are credited. Safe to call again for the same transaction: a
+ * confirmation interrupted by a crash is finished by the next call once its
+ * lease runs out.
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} fields - Fields from the callback (mpesa_receipt, result_code, timestamp, ...)
+ * @returns {Promise<Object>} { success, duplicate, code?, message, transaction_id, status?, token? }
+ */
+async function confirmTransaction(transactionId, fields = {}) {
+  const leaseUntil = Date.now() + SETTLE_LEASE_MS;
+  const transition = await transitionTransaction(transactionId, TRANSACTION_STATUS.SUCCESS, {
+    ...fields,
+    settle_lease_until: leaseUntil
+  });
+  let transaction = transition.transaction;
+
+  if (!transition.success) {
+    if (!transaction || normalizeStatus(transaction.status) !== TRANSACTION_STATUS.SUCCESS) {
+      return { success: false, duplicate: false, code: transition.code, message: transition.message, transaction_id: transactionId };
+    }
+
+    // Records confirmed before settle leases existed were credited when they were written
+    if (transaction.settled_at || transaction.settle_lease_until === undefined) {
+      console.log(`Transaction ${transactionId} already confirmed. Skipping.`);
+      return {
+        success: true,
+        duplicate: true,
+        message: 'Transaction already processed',
+        transaction_id: transactionId,
+        status: TRANSACTION_STATUS.SUCCESS,
+        token: transaction.token || null
+      };
+    }
+
+    const takeover = await transactionRepo.mutateTransaction(transactionId, current => {
+      if (current === null) return null;
+      if (current.settled_at || current.settle_lease_until > Date.now()) return; // abort
+      return { ...current, settle_lease_until: leaseUntil };
+    });
+    transaction = takeover.transaction;
+    if (!takeover.committed || !transaction || transaction.settle_lease_until !== leaseUntil) {
+      return { success: false, duplicate: false, message: `Transaction ${transactionId} is being settled`, transaction_id: transactionId };
+    }
+    console.log(`Resuming settlement of transaction ${transactionId}`);
+  }
+
+  const settled = await settleTransaction(transactionId, transaction);
+  return {
+    success: settled.success,
+    duplicate: false,
+    message: settled.success ? 'Transaction success processed successfully' : settled.message,
+    transaction_id: transactionId,
+    status: TRANSACTION_STATUS.SUCCESS,
+    token: settled.token || null
+  };
+}
+
 /**
  * Check if a transaction with the given MpesaReceiptNumber already exists
  * @param {string} mpesaReceiptNumber - The M-Pesa receipt number
@@ -112,12 +372,7 @@ async function createTransactionForMeter(meterNo, amount, status = 'SUCCESS', re
  */
 async function transactionExists(mpesaReceiptNumber) {
   try {
-    if (!mpesaReceiptNumber) return false;
-    
-    const transactionsRef = db.ref('transactions');
-    const snapshot = await transactionsRef.orderByChild('mpesa_receipt').equalTo(mpesaReceiptNumber).once('value');
-    
-    return snapshot.exists();
+    return (await transactionRepo.listByReceipt(mpesaReceiptNumber)).length > 0;
   } catch (error) {
     console.error('Error checking transaction existence:', error.message);
     return false;
@@ -131,21 +386,7 @@ async function transactionExists(mpesaReceiptNumber) {
  */
 async function findTransactionByReference(reference) {
   try {
-    if (!reference) return null;
-    
-    const transactionsRef = db.ref('transactions');
-    const snapshot = await transactionsRef.orderByChild('reference').equalTo(reference).once('value');
-    
-    if (!snapshot.exists()) {
-      return null;
-    }
-    
-    const transactions = snapshot.val();
-    const transactionId = Object.keys(transactions)[0];
-    return {
-      id: transactionId,
-      ...transactions[transactionId]
-    };
+    return await transactionRepo.findByReference(reference);
   } catch (error) {
     console.error('Error finding transaction by reference:', error.message);
     return null;
@@ -153,37 +394,27 @@ async function findTransactionByReference(reference) {
 }
 
 /**
- * Calculate available units for a user (purchased - consumed)
+ * Calculate available units for a user (purchased - consumed) by replaying
+ * transactions and consumption records. The ledger (services/ledgerService.js)
+ * is authoritative; this recomputation is only useful for auditing.
  * @param {string} userId - The user ID
  * @returns {Promise<number>} - Available units
  */
 async function calculateAvailableUnits(userId) {
   try {
     // Get purchased units from transactions
-    const transactionsRef = db.ref('transactions');
-    const transactionsSnapshot = await transactionsRef.orderByChild('user_id').equalTo(userId).once('value');
-
     let totalPurchasedUnits = 0;
-    if (transactionsSnapshot.exists()) {
-      const transactions = transactionsSnapshot.val();
-      Object.values(transactions).forEach(transaction => {
-        if (transaction.status === 'SUCCESS' || transaction.status === 'completed') {
-          totalPurchasedUnits += parseFloat(transaction.units || 0);
-        }
-      });
-    }
+    (await transactionRepo.listByUser(userId)).forEach(transaction => {
+      if (normalizeStatus(transaction.status) === TRANSACTION_STATUS.SUCCESS) {
+        totalPurchasedUnits += parseFloat(transaction.units || 0);
+      }
+    });
 
     // Get consumed units
-    const consumptionRef = db.ref('unit_consumption');
-    const consumptionSnapshot = await consumptionRef.orderByChild('user_id').equalTo(userId).once('value');
-
     let totalConsumedUnits = 0;
-    if (consumptionSnapshot.exists()) {
-      const consumptions = consumptionSnapshot.val();
-      Object.values(consumptions).forEach(consumption => {
-        totalConsumedUnits += parseFloat(consumption.units_consumed || 0);
-      });
-    }
+    (await consumptionRepo.listByUser(userId)).forEach(consumption => {
+      totalConsumedUnits += parseFloat(consumption.units_consumed || 0);
+    });
 
     return parseFloat(Math.max(0, totalPurchasedUnits - totalConsumedUnits).toFixed(2));
   } catch (error) {
@@ -201,10 +432,9 @@ async function calculateUserBalance(userId) {
   try {
     console.log(`Calculating balance for user: ${userId}`);
     
-    const transactionsRef = db.ref('transactions');
-    const snapshot = await transactionsRef.orderByChild('user_id').equalTo(userId).once('value');
+    const transactions = await transactionRepo.listByUser(userId);
     
-    if (!snapshot.exists()) {
+    if (transactions.length === 0) {
       console.log(`No transactions found for user ${userId}`);
       return {
         totalAmountPaid: 0,
@@ -214,22 +444,22 @@ async function calculateUserBalance(userId) {
       };
     }
     
-    const transactions = snapshot.val();
     let totalAmountPaid = 0;
     let totalUnitsPurchased = 0;
     let successfulTransactions = 0;
     
-    Object.values(transactions).forEach(transaction => {
+    transactions.forEach(transaction => {
       // Only count successful transactions
-      if (transaction.status === 'SUCCESS' || transaction.status === 'completed') {
+      if (normalizeStatus(transaction.status) === TRANSACTION_STATUS.SUCCESS) {
         totalAmountPaid += parseFloat(transaction.amount || 0);
         totalUnitsPurchased += parseFloat(transaction.units || 0);
         successfulTransactions++;
       }
     });
     
-    // Calculate available units (purchased - consumed)
-    const availableUnits = await calculateAvailableUnits(userId);
+    // Available units come from the meter's ledger
+    const user = await userRepo.getUser(userId);
+    const availableUnits = user && user.meter_no ? await ledger.getBalance(user.meter_no) : 0;
     
     console.log(`User ${userId}: ${successfulTransactions} successful transactions, total paid: ${totalAmountPaid}, purchased units: ${totalUnitsPurchased}, available units: ${availableUnits}`);
     return {
@@ -249,6 +479,64 @@ async function calculateUserBalance(userId) {
   }
 }
 
+/**
+ * Convert a Daraja transaction date to an ISO string
+ * @param {string|number} transactionDate - Daraja date (YYYYMMDDHHMMSS) or any Date-parsable value
+ * @returns {string} - ISO timestamp (current time if the date cannot be parsed)
+ */
+function formatDarajaTimestamp(transactionDate) {
+  try {
+    const value = transactionDate !== undefined && transactionDate !== null ? String(transactionDate) : '';
+
+    // Daraja date format: YYYYMMDDHHMMSS
+    if (/^\d{14}$/.test(value)) {
+      const year = value.substring(0, 4);
+      const month = value.substring(4, 6);
+      const day = value.substring(6, 8);
+      const hour = value.substring(8, 10);
+      const minute = value.substring(10, 12);
+      const second = value.substring(12, 14);
+      return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`).toISOString();
+    }
+    return new Date(value || Date.now()).toISOString();
+  } catch (error) {
+    console.warn('Error parsing transaction date, using current time:', error.message);
+    return new Date().toISOString();
+  }
+}
+
+/**
+ * Claim the oldest PENDING (or EXPIRED) C2B transaction started with
+ * /daraja/simulate for this meter and amount, so its confirmation completes
+ * it instead of creating a second transaction. Only one receipt can claim a
+ * transaction.
+ * @param {string} meterNo - The meter number (BillRefNumber)
+ * @param {number} amount - Amount paid
+ * @param {string} receipt - M-Pesa receipt number claiming the transaction
+ * @returns {Promise<Object|null>} - The claimed transaction (with id) or null
+ */
+async function claimPendingC2BTransaction(meterNo, amount, receipt) {
+  const candidates = (await transactionRepo.listByMeter(meterNo))
+    .filter(transaction => transaction.channel === 'C2B' &&
+      [TRANSACTION_STATUS.PENDING, TRANSACTION_STATUS.EXPIRED].includes(normalizeStatus(transaction.status)) &&
+      parseFloat(transaction.amount) === parseFloat(amount) &&
+      (!transaction.matched_receipt || transaction.matched_receipt === receipt))
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+
+  for (const candidate of candidates) {
+    const claim = await transactionRepo.mutateTransaction(candidate.id, current => {
+      if (current === null) return null;
+      if (current.matched_receipt && current.matched_receipt !== receipt) return; // abort: taken by another receipt
+      return { ...current, matched_receipt: receipt };
+    });
+    if (claim.committed && claim.transaction && claim.transaction.matched_receipt === receipt) {
+      console.log(`Matched receipt ${receipt} to pending transaction ${candidate.id}`);
+      return claim.transaction;
+    }
+  }
+  return null;
+}
+
 /**
  * Save transaction from Daraja callback
  * @param {Object} callbackData - The callback data from Daraja
@@ -259,7 +547,7 @@ async function saveCallbackTransaction(callbackData) {
     console.log('Processing Daraja callback:', JSON.stringify(callbackData, null, 2));
     
     // Extract fields from callback data with fallbacks for different payload formats
-    const resultCode = callbackData.ResultCode || callbackData.resultCode || 1;
+    const resultCode = Number(callbackData.ResultCode ?? callbackData.resultCode ?? 1);
     const resultDesc = callbackData.ResultDesc || callbackData.resultDesc || 'Unknown result';
     const mpesaReceiptNumber = callbackData.MpesaReceiptNumber || callbackData.mpesaReceiptNumber || callbackData.TransactionID;
     const amount = parseFloat(callbackData.Amount || callbackData.amount || callbackData.TransAmount || 0);
@@ -274,18 +562,7 @@ async function saveCallbackTransaction(callbackData) {
       throw new Error('BillRefNumber (meter_no) is required but not found in callback');
     }
     
-    // Check for duplicate transaction by MpesaReceiptNumber
-    if (mpesaReceiptNumber && await transactionExists(mpesaReceiptNumber)) {
-      console.log(`Transaction with MpesaReceiptNumber ${mpesaReceiptNumber} already exists. Skipping.`);
-      return {
-        success: true,
-        duplicate: true,
-        message: 'Transaction already processed',
-        transaction_id: null
-      };
-    }
-    
-    // Try to find existing transaction by reference (for updates)
+    // Try to find the transaction this callback confirms by reference
     const conversationId = callbackData.OriginatorCoversationID || callbackData.originatorCoversationID;
     let existingTransaction = null;
     
@@ -293,113 +570,61 @@ async function saveCallbackTransaction(callbackData) {
       existingTransaction = await findTransactionByReference(conversationId);
       console.log(`Found existing transaction for reference ${conversationId}:`, existingTransaction?.id);
     }
+
+    // A receipt that was already recorded is confirmed again: a no-op unless
+    // the first confirmation was interrupted before it was credited
+    if (!existingTransaction && mpesaReceiptNumber) {
+      const [receiptTransaction] = await transactionRepo.listByReceipt(mpesaReceiptNumber);
+      if (receiptTransaction) {
+        existingTransaction = receiptTransaction;
+        console.log(`Transaction with MpesaReceiptNumber ${mpesaReceiptNumber} already exists (${receiptTransaction.id})`);
+      }
+    }
     
     // Find user by meter number
     const userId = await findUserIdByMeter(billRefNumber);
     if (!userId) {
       throw new Error(`No user found with meter_no: ${billRefNumber}`);
     }
-    
-    // Determine transaction status
-    const status = resultCode === 0 ? 'SUCCESS' : 'FAILED';
-    
-    // Format transaction date to ISO string
-    let formattedTimestamp;
-    try {
-      // Daraja date format: YYYYMMDDHHMMSS
-      if (transactionDate && transactionDate.length === 14) {
-        const year = transactionDate.substring(0, 4);
-        const month = transactionDate.substring(4, 6);
-        const day = transactionDate.substring(6, 8);
-        const hour = transactionDate.substring(8, 10);
-        const minute = transactionDate.substring(10, 12);
-        const second = transactionDate.substring(12, 14);
-        formattedTimestamp = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`).toISOString();
-      } else {
-        formattedTimestamp = new Date(transactionDate).toISOString();
-      }
-    } catch (error) {
-      console.warn('Error parsing transaction date, using current time:', error.message);
-      formattedTimestamp = new Date().toISOString();
+
+    if (!existingTransaction && resultCode === 0 && mpesaReceiptNumber) {
+      existingTransaction = await claimPendingC2BTransaction(billRefNumber, amount, mpesaReceiptNumber);
     }
     
-    let transactionId;
-    let transaction;
+    const callbackFields = {
+      mpesa_receipt: mpesaReceiptNumber || null,
+      phone_number: phoneNumber || (existingTransaction && existingTransaction.phone_number) || null,
+      result_code: resultCode,
+      result_desc: resultDesc,
+      timestamp: formatDarajaTimestamp(transactionDate),
+      raw_callback: callbackData // Store full payload for auditing
+    };
     
+    let transactionId;
     if (existingTransaction) {
-      // Update existing transaction
       transactionId = existingTransaction.id;
-      transaction = {
-        ...existingTransaction,
-        status: status,
-        mpesa_receipt: mpesaReceiptNumber || existingTransaction.mpesa_receipt,
-        phone_number: phoneNumber || existingTransaction.phone_number,
-        result_code: resultCode,
-        result_desc: resultDesc,
-        timestamp: formattedTimestamp,
-        raw_callback: callbackData // Store full payload for auditing
-      };
-      
-      const transactionRef = db.ref(`transactions/${transactionId}`);
-      await transactionRef.update({
-        status: status,
-        mpesa_receipt: mpesaReceiptNumber || null,
-        phone_number: phoneNumber || null,
-        result_code: resultCode,
-        result_desc: resultDesc,
-        timestamp: formattedTimestamp,
-        raw_callback: callbackData
-      });
-      console.log(`Updated existing transaction ${transactionId} for user ${userId} with status ${status}`);
     } else {
-      // Create new transaction
-      const transactionRef = db.ref('transactions').push();
-      transactionId = transactionRef.key;
-      
-      transaction = {
-        transaction_id: transactionId,
-        user_id: userId,
-        meter_no: billRefNumber,
-        amount: amount,
-        status: status,
-        mpesa_receipt: mpesaReceiptNumber || null,
-        phone_number: phoneNumber || null,
-        result_code: resultCode,
-        result_desc: resultDesc,
-        timestamp: formattedTimestamp,
-        raw_callback: callbackData // Store full payload for auditing
-      };
-      
-      await transactionRef.set(transaction);
-      console.log(`Created new transaction ${transactionId} for user ${userId} with status ${status}`);
+      // A payment we did not initiate: record it, then confirm or fail it below
+      const created = await createTransactionForMeter(billRefNumber, amount, TRANSACTION_STATUS.PENDING, conversationId || null);
+      transactionId = created.transaction_id;
+      console.log(`Created new transaction ${transactionId} for user ${userId}`);
     }
     
-    // Update user's latest_transaction_id only for successful transactions
-    if (status === 'SUCCESS') {
-      const userRef = db.ref(`users/${userId}`);
-      await userRef.update({
-        latest_transaction_id: transactionId,
-        last_payment_timestamp: formattedTimestamp,
-        last_payment_amount: amount
-      });
-      console.log(`Updated user ${userId} with latest_transaction_id: ${transactionId}`);
-      try {
-        // Recalculate user's balance (sum of successful transactions) and persist
-        // Prefer using stored units if present, otherwise derive from amount
-        const availableUnits = await calculateAvailableUnits(userId);
-        await userRef.update({ balance: availableUnits });
-        console.log(`Updated user ${userId} balance: ${availableUnits}`);
-      } catch (err) {
-        console.warn(`Failed to update user ${userId} balance after callback processing:`, err.message);
-      }
+    if (resultCode === 0) {
+      return await confirmTransaction(transactionId, callbackFields);
+    }
+
+    const failed = await transitionTransaction(transactionId, TRANSACTION_STATUS.FAILED, callbackFields);
+    if (!failed.success && failed.code === 'NOT_FOUND') {
+      throw new Error(failed.message);
     }
-    
     return {
       success: true,
-      duplicate: false,
-      message: `Transaction ${status.toLowerCase()} processed successfully`,
+      duplicate: !failed.success,
+      message: failed.success ? 'Transaction failed processed successfully' : failed.message,
       transaction_id: transactionId,
-      status: status
+      status: failed.transaction ? normalizeStatus(failed.transaction.status) : TRANSACTION_STATUS.FAILED,
+      token: null
     };
     
   } catch (error) {
@@ -413,10 +638,384 @@ async function saveCallbackTransaction(callbackData) {
   }
 }
 
+/**
+ * Flatten the CallbackMetadata.Item array of an STK callback into an object
+ * @param {Object} callbackMetadata - The CallbackMetadata object ({ Item: [{ Name, Value }] })
+ * @returns {Object} - Map of item Name to Value
+ */
+function parseStkCallbackMetadata(callbackMetadata) {
+  const items = (callbackMetadata && Array.isArray(callbackMetadata.Item)) ? callbackMetadata.Item : [];
+  return items.reduce((metadata, item) => {
+    if (item && item.Name) {
+      metadata[item.Name] = item.Value;
+    }
+    return metadata;
+  }, {});
+}
+
+/**
+ * Save transaction from a Daraja STK Push (Lipa Na M-Pesa Online) callback
+ * @param {Object} callbackData - The callback data from Daraja ({ Body: { stkCallback: {...} } })
+ * @returns {Promise<Object>} - Result object with success status and transaction details
+ */
+async function saveStkCallbackTransaction(callbackData) {
+  try {
+    const stkCallback = callbackData && callbackData.Body && callbackData.Body.stkCallback;
+    if (!stkCallback) {
+      throw new Error('Body.stkCallback is required but not found in callback');
+    }
+
+    const checkoutRequestId = stkCallback.CheckoutRequestID;
+    const resultCode = Number(stkCallback.ResultCode);
+    const resultDesc = stkCallback.ResultDesc || 'Unknown result';
+    const metadata = parseStkCallbackMetadata(stkCallback.CallbackMetadata);
+
+    console.log(`Extracted STK data: CheckoutRequestID=${checkoutRequestId}, ResultCode=${resultCode}, MpesaReceipt=${metadata.MpesaReceiptNumber}`);
+
+    if (!checkoutRequestId) {
+      throw new Error('CheckoutRequestID is required but not found in callback');
+    }
+
+    // The pending transaction was created with the CheckoutRequestID as reference
+    const existingTransaction = await findTransactionByReference(checkoutRequestId);
+    if (!existingTransaction) {
+      throw new Error(`No transaction found for CheckoutRequestID: ${checkoutRequestId}`);
+    }
+
+    const transactionId = existingTransaction.id;
+    const succeeded = resultCode === 0;
+    const callbackFields = {
+      mpesa_receipt: metadata.MpesaReceiptNumber || null,
+      phone_number: metadata.PhoneNumber ? String(metadata.PhoneNumber) : (existingTransaction.phone_number || null),
+      result_code: resultCode,
+      result_desc: resultDesc,
+      timestamp: succeeded ? formatDarajaTimestamp(metadata.TransactionDate) : new Date().toISOString(),
+      raw_callback: callbackData
+    };
+
+    if (succeeded) {
+      return await confirmTransaction(transactionId, callbackFields);
+    }
+
+    const failed = await transitionTransaction(transactionId, TRANSACTION_STATUS.FAILED, callbackFields);
+    if (!failed.success) {
+      console.log(`Transaction ${transactionId} already ${failed.transaction ? normalizeStatus(failed.transaction.status) : 'gone'}. Skipping.`);
+      return {
+        success: true,
+        duplicate: true,
+        message: 'Transaction already processed',
+        transaction_id: transactionId
+      };
+    }
+
+    return {
+      success: true,
+      duplicate: false,
+      message: 'Transaction failed processed successfully',
+      transaction_id: transactionId,
+      status: TRANSACTION_STATUS.FAILED,
+      token: null
+    };
+  } catch (error) {
+    console.error('Error saving STK callback transaction:', error.message);
+    return {
+      success: false,
+      duplicate: false,
+      message: error.message,
+      transaction_id: null
+    };
+  }
+}
+
+// Daraja C2B validation result codes
+const C2B_REJECT = {
+  INVALID_ACCOUNT: 'C2B00012',
+  INVALID_AMOUNT: 'C2B00013',
+  INVALID_SHORTCODE: 'C2B00015'
+};
+
+// How long a C2B confirmation may take before another attempt can take it over
+const C2B_LEASE_MS = 5 * 60 * 1000;
+
+function getMinVendAmount() {
+  return parseFloat(process.env.MIN_VEND_AMOUNT || '10');
+}
+
+// Largest single M-Pesa payment, in KSH
+const MPESA_MAX_AMOUNT = 250000;
+
+/**
+ * Check the amount of a payment request (simulate and STK Push). M-Pesa only
+ * moves whole shillings, so the amount that is priced is the amount charged.
+ * @param {*} value - Amount from the request body
+ * @returns {Object} { errors, amount } - amount is a number when there are no errors
+ */
+function validatePaymentAmount(value) {
+  const amount = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    return { errors: ['amount must be a number'], amount: null };
+  }
+  const errors = [];
+  if (!Number.isInteger(amount)) errors.push('amount must be a whole number of shillings');
+  if (amount < 1 || amount > MPESA_MAX_AMOUNT) errors.push(`amount must be between 1 and ${MPESA_MAX_AMOUNT}`);
+  return { errors, amount: errors.length === 0 ? amount : null };
+}
+
+/**
+ * Decide whether Daraja should accept a C2B payment (validation URL)
+ * - BillRefNumber must be a meter assigned to a user whose device has not been revoked
+ * - TransAmount must be at least MIN_VEND_AMOUNT and buy a non-zero number of units
+ * @param {Object} payload - Daraja C2B validation request
+ * @returns {Promise<Object>} { accepted, code?, message }
+ */
+async function validateC2BPayment(payload) {
+  const shortCode = process.env.DARAJA_SHORTCODE;
+  if (shortCode && payload.BusinessShortCode && String(payload.BusinessShortCode) !== String(shortCode)) {
+    return { accepted: false, code: C2B_REJECT.INVALID_SHORTCODE, message: `Unknown short code ${payload.BusinessShortCode}` };
+  }
+
+  const meterNo = String(payload.BillRefNumber || '').trim();
+  const userId = meterNo ? await findUserIdByMeter(meterNo) : null;
+  if (!userId) {
+    return { accepted: false, code: C2B_REJECT.INVALID_ACCOUNT, message: `Unknown meter number: ${meterNo || '(empty)'}` };
+  }
+
+  if (await meterRepo.getDeviceStatus(meterNo) === 'REVOKED') {
+    return { accepted: false, code: C2B_REJECT.INVALID_ACCOUNT, message: `Meter ${meterNo} is not active` };
+  }
+
+  const amount = parseFloat(payload.TransAmount);
+  const minVend = getMinVendAmount();
+  if (!(amount >= minVend)) {
+    return { accepted: false, code: C2B_REJECT.INVALID_AMOUNT, message: `Amount must be at least KSH ${minVend}` };
+  }
+
+  const quote = await quotePurchase(meterNo, amount);
+  if (!(quote.units > 0)) {
+    return { accepted: false, code: C2B_REJECT.INVALID_AMOUNT, message: 'Amount does not cover the charges for any units' };
+  }
+
+  return { accepted: true, message: `Accepted payment of KSH ${amount} for meter ${meterNo}` };
+}
+
+/**
+ * Record a Daraja C2B confirmation (confirmation URL). Only the documented
+ * fields are read: TransID, TransAmount, MSISDN, BillRefNumber and TransTime.
+ * A confirmation completes the pending transaction /daraja/simulate started
+ * for the same meter and amount, if there is one.
+ * Each TransID is credited once; payments for unknown meters are parked
+ * under c2b_unmatched/ and fail, so they can be replayed from the webhook
+ * inbox once the meter is registered.
+ * @param {Object} confirmation - Daraja C2B confirmation request
+ * @returns {Promise<Object>} { success, duplicate, message, transaction_id, token? }
+ */
+async function saveC2BConfirmation(confirmation) {
+  try {
+    const required = ['TransID', 'TransAmount', 'MSISDN', 'BillRefNumber', 'TransTime'];
+    const missing = required.filter(field => confirmation[field] === undefined || confirmation[field] === null || confirmation[field] === '');
+    if (missing.length > 0) {
+      throw new Error(`C2B confirmation is missing: ${missing.join(', ')}`);
+    }
+
+    const transId = String(confirmation.TransID);
+    const amount = parseFloat(confirmation.TransAmount);
+    const meterNo = String(confirmation.BillRefNumber).trim();
+    const phoneNumber = String(confirmation.MSISDN);
+    const formattedTimestamp = formatDarajaTimestamp(confirmation.TransTime);
+
+    if (!/^[A-Za-z0-9]+$/.test(transId)) {
+      throw new Error(`Invalid TransID: ${transId}`);
+    }
+    if (!(amount > 0)) {
+      throw new Error(`Invalid TransAmount: ${confirmation.TransAmount}`);
+    }
+
+    // Receipts already recorded through the legacy /daraja/callback route
+    if ((await transactionRepo.listByReceipt(transId)).some(transaction => transaction.channel !== 'C2B')) {
+      console.log(`Transaction with MpesaReceiptNumber ${transId} already exists. Skipping.`);
+      return { success: true, duplicate: true, message: 'Transaction already processed', transaction_id: null };
+    }
+
+    // Lease the receipt number so concurrent or retried confirmations are not credited twice.
+    // An unfinished lease left by a crash expires and the retry resumes with the same transaction.
+    const receiptRef = db.ref(`c2b_receipts/${transId}`);
+    const leaseUntil = Date.now() + C2B_LEASE_MS;
+    const newTransactionId = transactionRepo.newTransactionId();
+    const claim = await receiptRef.transaction(current => {
+      if (current && (current.completed_at || current.lease_until > Date.now())) return; // abort
+      return {
+        transaction_id: (current && current.transaction_id) || newTransactionId,
+        lease_until: leaseUntil,
+        claimed_at: new Date().toISOString()
+      };
+    });
+    const receipt = claim.snapshot.val() || {};
+    if (!claim.committed || receipt.lease_until !== leaseUntil) {
+      if (receipt.completed_at) {
+        console.log(`C2B confirmation ${transId} already processed. Skipping.`);
+        return { success: true, duplicate: true, message: 'Transaction already processed', transaction_id: receipt.transaction_id };
+      }
+      return { success: false, duplicate: false, message: `C2B confirmation ${transId} is being processed`, transaction_id: null };
+    }
+
+    const userId = await findUserIdByMeter(meterNo);
+    if (!userId) {
+      await db.ref(`c2b_unmatched/${transId}`).set({
+        meter_no: meterNo,
+        amount,
+        phone_number: phoneNumber,
+        timestamp: formattedTimestamp,
+        raw_confirmation: confirmation
+      });
+      // Release the lease so a replay can credit the meter once it is registered
+      await receiptRef.update({ lease_until: 0 });
+      console.warn(`C2B confirmation ${transId} for unknown meter ${meterNo} parked in c2b_unmatched`);
+      return {
+        success: false,
+        duplicate: false,
+        message: `No user found with meter_no: ${meterNo}`,
+        transaction_id: null
+      };
+    }
+
+    let transactionId = receipt.transaction_id;
+    const transaction = await transactionRepo.getTransaction(transactionId);
+    if (!transaction) {
+      // A payment started with /daraja/simulate is waiting for this confirmation
+      const pending = await claimPendingC2BTransaction(meterNo, amount, transId);
+      if (pending) {
+        transactionId = pending.id;
+        await receiptRef.update({ transaction_id: transactionId });
+      } else {
+        const quote = await quotePurchase(meterNo, amount);
+        const now = new Date().toISOString();
+        await transactionRepo.saveTransaction(transactionId, {
+          transaction_id: transactionId,
+          user_id: userId,
+          meter_no: meterNo,
+          amount,
+          units: quote.units,
+          remainder: quote.remainder,
+          tariff_id: quote.tariff.id,
+          charges: quote.breakdown,
+          status: TRANSACTION_STATUS.PENDING,
+          reference: transId,
+          channel: 'C2B',
+          created_at: now,
+          status_updated_at: now,
+          timestamp: formattedTimestamp
+        });
+        console.log(`Created C2B transaction ${transactionId} for user ${userId} (${transId})`);
+      }
+    }
+
+    const confirmed = await confirmTransaction(transactionId, {
+      mpesa_receipt: transId,
+      phone_number: phoneNumber,
+      timestamp: formattedTimestamp,
+      raw_callback: confirmation
+    });
+    if (!confirmed.success) {
+      // Release the lease so the inbox retry picks it up again
+      await receiptRef.update({ lease_until: 0 });
+      return confirmed;
+    }
+    await receiptRef.update({ completed_at: new Date().toISOString() });
+
+    return confirmed;
+  } catch (error) {
+    console.error('Error saving C2B confirmation:', error.message);
+    return {
+      success: false,
+      duplicate: false,
+      message: error.message,
+      transaction_id: null
+    };
+  }
+}
+
+function getPendingTimeoutMs() {
+  return parseFloat(process.env.TRANSACTION_PENDING_TIMEOUT_MINUTES || '15') * 60 * 1000;
+}
+
+/**
+ * Expire PENDING transactions that were never confirmed, and fail INITIATED
+ * ones whose Daraja request never completed (e.g. the server crashed)
+ * @returns {Promise<Object>} { expired, failed }
+ */
+async function expireStaleTransactions() {
+  const cutoff = Date.now() - getPendingTimeoutMs();
+  const isStale = transaction =>
+    new Date(transaction.status_updated_at || transaction.created_at || transaction.timestamp).getTime() < cutoff;
+
+  const [pending, initiated] = await Promise.all([
+    transactionRepo.listByStatus(TRANSACTION_STATUS.PENDING),
+    transactionRepo.listByStatus(TRANSACTION_STATUS.INITIATED)
+  ]);
+
+  let expired = 0;
+  for (const transaction of pending) {
+    if (!isStale(transaction)) continue;
+    const result = await transitionTransaction(transaction.id, TRANSACTION_STATUS.EXPIRED, {
+      result_desc: transaction.result_desc || 'No payment confirmation received'
+    });
+    if (result.success) expired++;
+  }
+
+  let failed = 0;
+  for (const transaction of initiated) {
+    if (!isStale(transaction)) continue;
+    const result = await transitionTransaction(transaction.id, TRANSACTION_STATUS.FAILED, {
+      result_desc: 'Payment request was never sent to Daraja'
+    });
+    if (result.success) failed++;
+  }
+
+  if (expired > 0 || failed > 0) {
+    console.log(`Transaction sweep: ${expired} expired, ${failed} failed`);
+  }
+  return { expired, failed };
+}
+
+/**
+ * Run expireStaleTransactions() on an interval
+ * @param {number} intervalMs - How often to sweep
+ * @returns {NodeJS.Timeout} The timer
+ */
+function startExpiryWorker(intervalMs) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await expireStaleTransactions();
+    } catch (err) {
+      console.error('Transaction sweep failed:', err.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
 module.exports = {
+  TRANSACTION_STATUS,
+  normalizeStatus,
+  toPublicTransaction,
+  canTransition,
+  transitionTransaction,
+  confirmTransaction,
+  expireStaleTransactions,
+  startExpiryWorker,
   findUserIdByMeter,
   createTransactionForMeter,
   saveCallbackTransaction,
+  saveStkCallbackTransaction,
+  validatePaymentAmount,
+  validateC2BPayment,
+  saveC2BConfirmation,
+  formatDarajaTimestamp,
   transactionExists,
   findTransactionByReference,
   calculateUserBalance,
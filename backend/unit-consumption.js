@@ -6,7 +6,10 @@
  */
 
 require('dotenv').config();
-const { db } = require('./firebase');
+const userRepo = require('./repositories/usersRepository');
+const transactionRepo = require('./repositories/transactionsRepository');
+const consumptionRepo = require('./repositories/consumptionRepository');
+const { TRANSACTION_STATUS, normalizeStatus } = require('./transactions');
 
 class UnitConsumptionService {
   constructor() {
@@ -73,30 +76,18 @@ class UnitConsumptionService {
   async calculateAvailableUnits(userId) {
     try {
       // Get all transactions (purchases)
-      const transactionsRef = db.ref('transactions');
-      const transactionsSnapshot = await transactionsRef.orderByChild('user_id').equalTo(userId).once('value');
-
       let totalPurchasedUnits = 0;
-      if (transactionsSnapshot.exists()) {
-        const transactions = transactionsSnapshot.val();
-        Object.values(transactions).forEach(transaction => {
-          if (transaction.status === 'SUCCESS' || transaction.status === 'completed') {
-            totalPurchasedUnits += parseFloat(transaction.units || 0);
-          }
-        });
-      }
+      (await transactionRepo.listByUser(userId)).forEach(transaction => {
+        if (normalizeStatus(transaction.status) === TRANSACTION_STATUS.SUCCESS) {
+          totalPurchasedUnits += parseFloat(transaction.units || 0);
+        }
+      });
 
       // Get all consumption records
-      const consumptionRef = db.ref('unit_consumption');
-      const consumptionSnapshot = await consumptionRef.orderByChild('user_id').equalTo(userId).once('value');
-
       let totalConsumedUnits = 0;
-      if (consumptionSnapshot.exists()) {
-        const consumptions = consumptionSnapshot.val();
-        Object.values(consumptions).forEach(consumption => {
-          totalConsumedUnits += parseFloat(consumption.units_consumed || 0);
-        });
-      }
+      (await consumptionRepo.listByUser(userId)).forEach(consumption => {
+        totalConsumedUnits += parseFloat(consumption.units_consumed || 0);
+      });
 
       return Math.max(0, totalPurchasedUnits - totalConsumedUnits);
     } catch (error) {
@@ -110,8 +101,7 @@ class UnitConsumptionService {
    */
   async recordUnitConsumption(userId, unitsConsumed, unitsBefore, unitsAfter) {
     try {
-      const consumptionRef = db.ref('unit_consumption').push();
-      const consumptionId = consumptionRef.key;
+      const consumptionId = consumptionRepo.newConsumptionId();
 
       const consumptionRecord = {
         consumption_id: consumptionId,
@@ -124,11 +114,10 @@ class UnitConsumptionService {
         type: 'automatic_consumption'
       };
 
-      await consumptionRef.set(consumptionRecord);
+      await consumptionRepo.saveConsumption(consumptionId, consumptionRecord);
 
       // Update user's current units
-      const userRef = db.ref(`users/${userId}`);
-      await userRef.update({
+      await userRepo.updateUser(userId, {
         current_units: parseFloat(unitsAfter.toFixed(2)),
         last_consumption_timestamp: consumptionRecord.timestamp,
         last_consumption_amount: parseFloat(unitsConsumed.toFixed(2))
@@ -144,10 +133,9 @@ class UnitConsumptionService {
    */
   async getUserConsumptionStats(userId) {
     try {
-      const consumptionRef = db.ref('unit_consumption');
-      const snapshot = await consumptionRef.orderByChild('user_id').equalTo(userId).once('value');
+      const consumptions = await consumptionRepo.listByUser(userId);
 
-      if (!snapshot.exists()) {
+      if (consumptions.length === 0) {
         return {
           totalConsumed: 0,
           consumptionCount: 0,
@@ -156,7 +144,6 @@ class UnitConsumptionService {
         };
       }
 
-      const consumptions = Object.values(snapshot.val());
       const totalConsumed = consumptions.reduce((sum, c) => sum + parseFloat(c.units_consumed || 0), 0);
       const lastConsumption = consumptions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
 
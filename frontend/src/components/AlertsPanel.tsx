@@ -0,0 +1,218 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  AlertChannel,
+  AlertSettings,
+  AppNotification,
+  getAlertSettings,
+  getNotifications,
+  markNotificationRead,
+  subscribeToMeterEvents,
+  updateAlertSettings
+} from '../lib/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Badge } from '@/components/ui/badge';
+import { LoadingSpinner } from '@/components/ui/loading-spinner';
+import { useToast } from '@/hooks/use-toast';
+import { Bell } from 'lucide-react';
+
+const CHANNEL_LABELS: Record<AlertChannel, string> = {
+  sms: 'SMS',
+  email: 'Email',
+  in_app: 'In-app'
+};
+
+interface AlertsPanelProps {
+  meterNo: string;
+}
+
+const AlertsPanel: React.FC<AlertsPanelProps> = ({ meterNo }) => {
+  const [settings, setSettings] = useState<AlertSettings | null>(null);
+  const [unitsInput, setUnitsInput] = useState('');
+  const [daysInput, setDaysInput] = useState('');
+  const [notifications, setNotifications] = useState<AppNotification[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const { toast } = useToast();
+
+  const applySettings = (next: AlertSettings) => {
+    setSettings(next);
+    setUnitsInput(String(next.low_balance_units));
+    setDaysInput(String(next.forecast_days));
+  };
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      setNotifications(await getNotifications());
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    Promise.all([getAlertSettings().then(applySettings), fetchNotifications()])
+      .catch((error) => console.error('Error fetching alert settings:', error))
+      .finally(() => setIsLoading(false));
+  }, [fetchNotifications]);
+
+  // Alerts are raised when the balance moves, so look for new ones then
+  useEffect(() => {
+    let first = true;
+    return subscribeToMeterEvents(meterNo, (event) => {
+      if (event.type !== 'balance') return;
+      if (first) {
+        first = false;
+        return;
+      }
+      fetchNotifications();
+    });
+  }, [meterNo, fetchNotifications]);
+
+  const save = async (changes: Parameters<typeof updateAlertSettings>[0]) => {
+    setIsSaving(true);
+    try {
+      applySettings(await updateAlertSettings(changes));
+    } catch (error) {
+      toast({
+        title: 'Could not save alert settings',
+        description: error instanceof Error ? error.message : 'Please try again',
+        variant: 'destructive'
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const saveThresholds = (e: React.FormEvent) => {
+    e.preventDefault();
+    save({ low_balance_units: Number(unitsInput), forecast_days: Number(daysInput) });
+  };
+
+  const markRead = async (notification: AppNotification) => {
+    try {
+      await markNotificationRead(notification.id);
+      setNotifications((current) => current.map((item) => (item.id === notification.id ? { ...item, read: true } : item)));
+    } catch (error) {
+      console.error('Error marking notification read:', error);
+    }
+  };
+
+  const unread = notifications.filter((notification) => !notification.read).length;
+
+  return (
+    <Card className="bg-white border border-gray-200 shadow-sm">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-black">
+          <Bell className="h-5 w-5 text-gray-600" />
+          Alerts
+          {unread > 0 && <Badge className="bg-red-100 text-red-800">{unread} new</Badge>}
+        </CardTitle>
+        <CardDescription className="text-gray-600">
+          Get warned before your units run out
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <div className="grid md:grid-cols-2 gap-8">
+            <div className="space-y-3">
+              {notifications.length === 0 ? (
+                <p className="text-sm text-gray-600 py-4">No alerts yet</p>
+              ) : (
+                notifications.map((notification) => (
+                  <div
+                    key={notification.id}
+                    className={`rounded-md border p-3 ${notification.read ? 'border-gray-200' : 'border-orange-300 bg-orange-50'}`}
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <p className="font-medium text-black">{notification.title}</p>
+                      <span className="text-xs text-gray-600 whitespace-nowrap">
+                        {new Date(notification.created_at).toLocaleString()}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1">{notification.body}</p>
+                    {!notification.read && (
+                      <Button variant="link" size="sm" className="px-0 h-auto mt-1" onClick={() => markRead(notification)}>
+                        Mark as read
+                      </Button>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+
+            {settings ? (
+              <form onSubmit={saveThresholds} className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="alerts-enabled">Low-balance alerts</Label>
+                  <Switch
+                    id="alerts-enabled"
+                    checked={settings.enabled}
+                    disabled={isSaving}
+                    onCheckedChange={(enabled) => save({ enabled })}
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="space-y-1">
+                    <Label htmlFor="low-balance-units">Below (kWh)</Label>
+                    <Input
+                      id="low-balance-units"
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={unitsInput}
+                      onChange={(e) => setUnitsInput(e.target.value)}
+                      disabled={!settings.enabled}
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="forecast-days">Days left</Label>
+                    <Input
+                      id="forecast-days"
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={daysInput}
+                      onChange={(e) => setDaysInput(e.target.value)}
+                      disabled={!settings.enabled}
+                    />
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  {(Object.keys(CHANNEL_LABELS) as AlertChannel[]).map((channel) => (
+                    <div key={channel} className="flex items-center justify-between">
+                      <Label htmlFor={`alert-channel-${channel}`} className="font-normal">{CHANNEL_LABELS[channel]}</Label>
+                      <Switch
+                        id={`alert-channel-${channel}`}
+                        checked={settings.channels[channel]}
+                        disabled={isSaving || !settings.enabled}
+                        onCheckedChange={(on) => save({ channels: { [channel]: on } })}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <Button
+                  type="submit"
+                  disabled={isSaving || !settings.enabled}
+                  className="bg-black hover:bg-black/90 text-white"
+                >
+                  {isSaving ? 'Saving...' : 'Save thresholds'}
+                </Button>
+              </form>
+            ) : (
+              <p className="text-sm text-gray-600 py-4">Alert settings are unavailable</p>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,236 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { UserMeter, getUserMeters, linkMeter, unlinkMeter } from '../lib/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { LoadingSpinner } from '@/components/ui/loading-spinner';
+import { useToast } from '@/hooks/use-toast';
+import { Gauge, PlusCircle } from 'lucide-react';
+
+// Select items cannot have an empty value
+const NO_CARRY = 'none';
+
+interface MetersPanelProps {
+  userId: string;
+  selectedMeter: string;
+  // Called with the meter to show, or '' when the account has none left
+  onSelect: (meterNo: string) => void;
+}
+
+const MetersPanel: React.FC<MetersPanelProps> = ({ userId, selectedMeter, onSelect }) => {
+  const [meters, setMeters] = useState<UserMeter[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isAddOpen, setIsAddOpen] = useState(false);
+  const [newMeter, setNewMeter] = useState({ meter_no: '', label: '' });
+  const [removeTarget, setRemoveTarget] = useState<UserMeter | null>(null);
+  const [carryTo, setCarryTo] = useState(NO_CARRY);
+  const { toast } = useToast();
+
+  const fetchMeters = useCallback(async () => {
+    try {
+      setMeters(await getUserMeters(userId));
+    } catch (error) {
+      console.error('Error fetching meters:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchMeters();
+  }, [fetchMeters]);
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newMeter.meter_no.trim()) return;
+    setIsSubmitting(true);
+    try {
+      setMeters(await linkMeter(userId, newMeter.meter_no.trim(), newMeter.label.trim() || undefined));
+      toast({ title: 'Meter added', description: `Meter ${newMeter.meter_no.trim()} is now on your account` });
+      setIsAddOpen(false);
+      setNewMeter({ meter_no: '', label: '' });
+    } catch (error) {
+      toast({
+        title: 'Could not add meter',
+        description: error instanceof Error ? error.message : 'Request failed',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRemove = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!removeTarget) return;
+    setIsSubmitting(true);
+    try {
+      const result = await unlinkMeter(userId, removeTarget.meter_no, carryTo === NO_CARRY ? undefined : carryTo);
+      setMeters(result.meters);
+      toast({
+        title: 'Meter removed',
+        description: result.carried_to
+          ? `${(result.closing_balance || 0).toFixed(2)} units moved to meter ${result.carried_to}`
+          : `Meter ${removeTarget.meter_no} is no longer on your account`,
+      });
+      if (removeTarget.meter_no === selectedMeter) {
+        onSelect(result.meters[0]?.meter_no || '');
+      }
+      setRemoveTarget(null);
+      setCarryTo(NO_CARRY);
+    } catch (error) {
+      toast({
+        title: 'Could not remove meter',
+        description: error instanceof Error ? error.message : 'Request failed',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const otherMeters = meters.filter((meter) => meter.meter_no !== removeTarget?.meter_no);
+
+  return (
+    <Card className="bg-white border border-gray-200 shadow-sm">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2 text-black">
+              <Gauge className="h-5 w-5 text-gray-600" />
+              Your Meters
+            </CardTitle>
+            <CardDescription className="text-gray-600">
+              Pick the meter to view and pay for
+            </CardDescription>
+          </div>
+          <Button variant="outline" onClick={() => setIsAddOpen(true)} className="border-gray-300 text-black hover:bg-gray-50">
+            <PlusCircle className="h-4 w-4 mr-2" />
+            Add Meter
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-6">
+            <LoadingSpinner />
+          </div>
+        ) : meters.length === 0 ? (
+          <div className="text-center py-6 text-gray-600">No meters on your account yet</div>
+        ) : (
+          <div className="rounded-md border border-gray-200 divide-y">
+            {meters.map((meter) => (
+              <div
+                key={meter.meter_no}
+                className={`flex items-center justify-between px-4 py-3 ${meter.meter_no === selectedMeter ? 'bg-gray-50' : ''}`}
+              >
+                <button type="button" onClick={() => onSelect(meter.meter_no)} className="text-left">
+                  <p className="font-mono font-medium text-black">
+                    {meter.meter_no}
+                    {meter.label && <span className="font-sans text-sm text-gray-600 ml-2">{meter.label}</span>}
+                  </p>
+                  <p className="text-xs text-gray-600">{meter.balance.toFixed(2)} units</p>
+                </button>
+                <div className="flex items-center gap-2">
+                  {meter.primary && <Badge variant="secondary">Primary</Badge>}
+                  {meter.meter_no === selectedMeter && <Badge>Viewing</Badge>}
+                  <Button size="sm" variant="outline" onClick={() => setRemoveTarget(meter)}>
+                    Remove
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      {/* Add a meter */}
+      <Dialog open={isAddOpen} onOpenChange={setIsAddOpen}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle className="text-black">Add Meter</DialogTitle>
+            <DialogDescription className="text-gray-600">
+              Add another meter, such as a shop or a second house, to pay for it from this account.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleAdd} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="newMeterNo">Meter number</Label>
+              <Input
+                id="newMeterNo"
+                value={newMeter.meter_no}
+                onChange={(e) => setNewMeter((prev) => ({ ...prev, meter_no: e.target.value }))}
+                disabled={isSubmitting}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="newMeterLabel">Name (optional)</Label>
+              <Input
+                id="newMeterLabel"
+                placeholder="e.g. Shop"
+                maxLength={40}
+                value={newMeter.label}
+                onChange={(e) => setNewMeter((prev) => ({ ...prev, label: e.target.value }))}
+                disabled={isSubmitting}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="submit" disabled={isSubmitting || !newMeter.meter_no.trim()} className="bg-black hover:bg-black/90 text-white">
+                {isSubmitting ? <LoadingSpinner size="sm" className="mr-2" /> : null}
+                Add Meter
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Remove a meter */}
+      <Dialog open={removeTarget !== null} onOpenChange={(open) => !open && setRemoveTarget(null)}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle className="text-black">Remove Meter</DialogTitle>
+            <DialogDescription className="text-gray-600">
+              {removeTarget && removeTarget.balance > 0
+                ? `Meter ${removeTarget.meter_no} has ${removeTarget.balance.toFixed(2)} units left. Move them to another of your meters, or they stay behind when the meter is removed.`
+                : `Meter ${removeTarget?.meter_no} will no longer be on your account.`}
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleRemove} className="space-y-4">
+            {removeTarget && removeTarget.balance > 0 && otherMeters.length > 0 && (
+              <div className="space-y-2">
+                <Label>Move remaining units to</Label>
+                <Select value={carryTo} onValueChange={setCarryTo}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_CARRY}>Don't move them</SelectItem>
+                    {otherMeters.map((meter) => (
+                      <SelectItem key={meter.meter_no} value={meter.meter_no}>
+                        {meter.meter_no}{meter.label ? ` (${meter.label})` : ''}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+            <DialogFooter>
+              <Button type="submit" variant="destructive" disabled={isSubmitting}>
+                {isSubmitting ? <LoadingSpinner size="sm" className="mr-2" /> : null}
+                Remove Meter
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default MetersPanel;
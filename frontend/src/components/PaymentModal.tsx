@@ -1,78 +1,257 @@
-import React, { useState } from 'react';
-import { simulatePayment, PaymentResponse } from '../lib/api';
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  initiateStkPush,
+  getStkPushStatus,
+  createIdempotencyKey,
+  getTariffQuote,
+  formatToken,
+  isInFlight,
+  lookupMeter,
+  getFavouriteMeters,
+  saveFavouriteMeter,
+  removeFavouriteMeter,
+  FavouriteMeter,
+  MeterLookup,
+  PaymentResponse,
+  TariffQuote,
+  TRANSACTION_STATUS_LABELS
+} from '../lib/api';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
 import { LoadingSpinner } from '@/components/ui/loading-spinner';
 import { useToast } from '@/hooks/use-toast';
-import { CheckCircle } from 'lucide-react';
+import { CheckCircle, Smartphone, Star, X, XCircle } from 'lucide-react';
 
 interface PaymentModalProps {
   isOpen: boolean;
   onClose: () => void;
+  userId: string;
+  // The user's own meter; they can also pay for any other registered meter
   meterNo: string;
+  phoneNumber?: string | null;
   onSuccess: () => void;
 }
 
+// Poll the STK Push status every 3 seconds for up to 90 seconds
+const STATUS_POLL_INTERVAL = 3000;
+const STATUS_POLL_ATTEMPTS = 30;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
 const PaymentModal: React.FC<PaymentModalProps> = ({ 
   isOpen, 
   onClose, 
+  userId,
   meterNo, 
+  phoneNumber,
   onSuccess 
 }) => {
   const [amount, setAmount] = useState('');
+  const [phone, setPhone] = useState(phoneNumber || '');
   const [isLoading, setIsLoading] = useState(false);
+  const [isAwaitingPhone, setIsAwaitingPhone] = useState(false);
   const [paymentResult, setPaymentResult] = useState<PaymentResponse | null>(null);
+  // Paying for someone else's meter once it has been looked up
+  const [payForOther, setPayForOther] = useState(false);
+  const [otherMeter, setOtherMeter] = useState('');
+  const [confirmedMeter, setConfirmedMeter] = useState<MeterLookup | null>(null);
+  const [isLookingUp, setIsLookingUp] = useState(false);
+  const [favourites, setFavourites] = useState<FavouriteMeter[]>([]);
+  const pollCancelledRef = useRef(false);
+  // One key per payment attempt: retrying after an error reuses it, so the backend never charges twice
+  const attemptKeyRef = useRef<string | null>(null);
+  const isSubmittingRef = useRef(false);
   const { toast } = useToast();
-  const calculateUnits = (amount: number) => {
-    return parseFloat((amount / 25).toFixed(2));
-  };
+
+  useEffect(() => {
+    if (isOpen) {
+      setPhone(phoneNumber || '');
+      pollCancelledRef.current = false;
+    }
+  }, [isOpen, phoneNumber]);
+  const [quote, setQuote] = useState<TariffQuote | null>(null);
+  const [isQuoting, setIsQuoting] = useState(false);
 
   const amountValue = parseFloat(amount) || 0;
-  const calculatedUnits = calculateUnits(amountValue);
+  const targetMeter = payForOther ? confirmedMeter?.meter_no ?? '' : meterNo;
+  const isFavourite = favourites.some((favourite) => favourite.meter_no === confirmedMeter?.meter_no);
+
+  // A different amount, phone number or meter is a new attempt
+  useEffect(() => {
+    attemptKeyRef.current = null;
+  }, [amount, phone, targetMeter]);
+
+  useEffect(() => {
+    if (!isOpen || !payForOther) return;
+    getFavouriteMeters(userId)
+      .then(setFavourites)
+      .catch((error) => console.error('Error fetching saved meters:', error));
+  }, [isOpen, payForOther, userId]);
+  const calculatedUnits = quote?.units ?? 0;
+
+  // Ask the backend for the exact units under the current tariff while the user types
+  useEffect(() => {
+    if (!isOpen || amountValue <= 0 || !targetMeter) {
+      setQuote(null);
+      return;
+    }
+
+    let cancelled = false;
+    setIsQuoting(true);
+    const timer = setTimeout(async () => {
+      try {
+        const result = await getTariffQuote(targetMeter, amountValue);
+        if (!cancelled) setQuote(result);
+      } catch (error) {
+        console.error('Error fetching quote:', error);
+        if (!cancelled) setQuote(null);
+      } finally {
+        if (!cancelled) setIsQuoting(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isOpen, targetMeter, amountValue]);
+
+  const handleLookup = async (number: string) => {
+    const trimmed = number.trim();
+    if (!trimmed) return;
+    setOtherMeter(trimmed);
+    setConfirmedMeter(null);
+    setIsLookingUp(true);
+    try {
+      setConfirmedMeter(await lookupMeter(trimmed));
+    } catch (error) {
+      toast({
+        title: "Meter Not Found",
+        description: error instanceof Error ? error.message : 'Check the meter number and try again',
+        variant: "destructive",
+      });
+    } finally {
+      setIsLookingUp(false);
+    }
+  };
+
+  const handleSaveFavourite = async () => {
+    if (!confirmedMeter) return;
+    try {
+      const saved = await saveFavouriteMeter(userId, confirmedMeter.meter_no);
+      setFavourites((current) => [...current, saved]);
+      toast({ title: "Meter Saved", description: `Meter ${saved.meter_no} is in your saved meters` });
+    } catch (error) {
+      toast({
+        title: "Could Not Save Meter",
+        description: error instanceof Error ? error.message : 'Request failed',
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleRemoveFavourite = async (favourite: FavouriteMeter) => {
+    try {
+      await removeFavouriteMeter(userId, favourite.meter_no);
+      setFavourites((current) => current.filter((other) => other.meter_no !== favourite.meter_no));
+    } catch (error) {
+      console.error('Error removing saved meter:', error);
+    }
+  };
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
-    const numAmount = parseFloat(amount);
-    if (!numAmount || numAmount <= 0) {
+    const numAmount = Number(amount);
+    if (!Number.isInteger(numAmount) || numAmount <= 0) {
       toast({
         title: "Invalid Amount",
-        description: "Please enter a valid amount greater than 0",
+        description: "Please enter a whole number of shillings greater than 0",
         variant: "destructive",
       });
       return;
     }
 
+    if (!targetMeter) {
+      toast({
+        title: "Meter Required",
+        description: "Look up the meter you want to pay for first",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    if (!phone.trim()) {
+      toast({
+        title: "Phone Number Required",
+        description: "Please enter the M-Pesa phone number to charge",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    // Ignore a double click before the button is disabled
+    if (isSubmittingRef.current) return;
+    isSubmittingRef.current = true;
     setIsLoading(true);
+    pollCancelledRef.current = false;
+    if (!attemptKeyRef.current) attemptKeyRef.current = createIdempotencyKey();
 
     try {
-      console.log('Frontend: Starting payment simulation...');
-      // Call backend API to simulate payment
-      const result = await simulatePayment({
-        meter_no: meterNo,
-        amount: numAmount
+      // Prompt the customer's phone to authorize the payment
+      const result = await initiateStkPush({
+        meter_no: targetMeter,
+        amount: numAmount,
+        phone_number: phone.trim()
+      }, attemptKeyRef.current);
+      // The prompt was sent; paying again is a new attempt
+      attemptKeyRef.current = null;
+
+      toast({
+        title: "Check Your Phone",
+        description: result.CustomerMessage || `Enter your M-Pesa PIN on ${result.phone_number} to complete the payment.`,
       });
-      
-      console.log('Frontend: Payment simulation result:', result);
-      
-      // Transform Daraja response to expected format
+
+      // Wait for the STK callback to confirm or reject the payment
+      setIsAwaitingPhone(true);
+      let status = await getStkPushStatus(result.CheckoutRequestID);
+      for (let attempt = 0; attempt < STATUS_POLL_ATTEMPTS && isInFlight(status.status); attempt++) {
+        await sleep(STATUS_POLL_INTERVAL);
+        if (pollCancelledRef.current) return;
+        status = await getStkPushStatus(result.CheckoutRequestID);
+      }
+      if (pollCancelledRef.current) return;
+
       const transformedResult: PaymentResponse = {
-        transaction_id: result.transaction_id || result.OriginatorCoversationID || 'PENDING',
-        amount: numAmount, // Use the amount we sent
-        status: result.status === 'SUCCESS' ? 'completed' : result.ResponseCode === '0' ? 'completed' : 'failed',
-        meter_no: meterNo, // Use the meter number we sent
-        timestamp: new Date().toISOString()
+        transaction_id: status.mpesa_receipt || status.transaction_id,
+        amount: numAmount,
+        status: status.status,
+        meter_no: targetMeter,
+        timestamp: new Date().toISOString(),
+        token: status.token
       };
-      
       setPaymentResult(transformedResult);
-      onSuccess();
-      
-      toast({
-        title: "Payment Initiated",
-        description: `Payment simulation successful. Transaction will be processed shortly.`,
-      });
+
+      if (status.status === 'SUCCESS') {
+        onSuccess();
+        toast({
+          title: "Payment Successful",
+          description: `${(status.units || 0).toFixed(2)} units have been added to meter ${targetMeter}.`,
+        });
+      } else if (!isInFlight(status.status)) {
+        toast({
+          title: "Payment Failed",
+          description: status.result_desc || 'The payment was cancelled or declined',
+          variant: "destructive",
+        });
+      } else {
+        toast({
+          title: "Payment Pending",
+          description: 'We have not received confirmation yet. Your units will be credited once M-Pesa confirms the payment.',
+        });
+      }
     } catch (error) {
       console.error('Frontend: Payment error details:', error);
       
@@ -99,13 +278,20 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
       
       // Don't close the modal on error, let user try again
     } finally {
+      isSubmittingRef.current = false;
       setIsLoading(false);
+      setIsAwaitingPhone(false);
     }
   };
 
   const handleClose = () => {
+    pollCancelledRef.current = true;
+    attemptKeyRef.current = null;
     setAmount('');
     setPaymentResult(null);
+    setPayForOther(false);
+    setOtherMeter('');
+    setConfirmedMeter(null);
     onClose();
   };
 
@@ -116,7 +302,11 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
           <DialogTitle className="flex items-center gap-2">
             {paymentResult ? (
               <>
-                <CheckCircle className="h-5 w-5 text-green-600" />
+                {paymentResult.status !== 'SUCCESS' && !isInFlight(paymentResult.status) ? (
+                  <XCircle className="h-5 w-5 text-red-600" />
+                ) : (
+                  <CheckCircle className="h-5 w-5 text-green-600" />
+                )}
                 Payment Confirmation
               </>
             ) : (
@@ -124,9 +314,13 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
             )}
           </DialogTitle>
           <DialogDescription>
-            {paymentResult 
-              ? 'Your payment has been processed successfully'
-              : 'Enter the amount you wish to pay'
+            {paymentResult
+              ? paymentResult.status === 'SUCCESS'
+                ? 'Your payment has been processed successfully'
+                : !isInFlight(paymentResult.status)
+                ? 'Your payment was not completed'
+                : 'Your payment is awaiting confirmation from M-Pesa'
+              : 'Enter the amount and the M-Pesa number to charge'
             }
           </DialogDescription>
         </DialogHeader>
@@ -148,32 +342,153 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
               </div>
               <div className="flex justify-between">
                 <span className="font-medium">Status:</span>
-                <span className={`capitalize px-2 py-1 rounded text-sm ${
-                  paymentResult.status === 'completed' 
+                <span className={`px-2 py-1 rounded text-sm ${
+                  paymentResult.status === 'SUCCESS'
                     ? 'bg-green-100 text-green-800' 
-                    : paymentResult.status === 'failed'
+                    : !isInFlight(paymentResult.status)
                     ? 'bg-red-100 text-red-800'
                     : 'bg-gray-100 text-black'
                 }`}>
-                  {paymentResult.status}
+                  {TRANSACTION_STATUS_LABELS[paymentResult.status]}
                 </span>
               </div>
+              {paymentResult.token && (
+                <div className="border-t border-gray-200 pt-2 mt-2">
+                  <span className="font-medium">Token:</span>
+                  <p className="font-mono text-lg font-semibold text-black tracking-wider mt-1">
+                    {formatToken(paymentResult.token)}
+                  </p>
+                </div>
+              )}
             </div>
             
             <Button onClick={handleClose} className="w-full">
               Close
             </Button>
           </div>
+        ) : isAwaitingPhone ? (
+          <div className="flex flex-col items-center text-center space-y-4 py-6">
+            <Smartphone className="h-10 w-10 text-black" />
+            <div className="space-y-1">
+              <p className="font-medium text-black">Check your phone</p>
+              <p className="text-sm text-gray-600">
+                Enter your M-Pesa PIN on {phone} to pay KSH {amountValue.toFixed(2)}
+              </p>
+            </div>
+            <LoadingSpinner size="lg" />
+            <Button type="button" variant="outline" onClick={handleClose} className="w-full">
+              Close
+            </Button>
+          </div>
         ) : (
           <form onSubmit={handleSubmit} className="space-y-4">
             <div className="space-y-2">
-              <Label htmlFor="meterNo">Meter Number</Label>
+              <Label htmlFor={payForOther ? 'otherMeterNo' : 'meterNo'}>Pay For</Label>
+              <div className="flex gap-2">
+                <Button
+                  type="button"
+                  size="sm"
+                  variant={payForOther ? 'outline' : 'default'}
+                  onClick={() => setPayForOther(false)}
+                  disabled={isLoading}
+                >
+                  My meter
+                </Button>
+                <Button
+                  type="button"
+                  size="sm"
+                  variant={payForOther ? 'default' : 'outline'}
+                  onClick={() => setPayForOther(true)}
+                  disabled={isLoading}
+                >
+                  Another meter
+                </Button>
+              </div>
+              {!payForOther ? (
+                <Input
+                  id="meterNo"
+                  value={meterNo}
+                  disabled
+                  className="bg-gray-100 text-black"
+                />
+              ) : (
+                <div className="space-y-2">
+                  {favourites.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {favourites.map((favourite) => (
+                        <span key={favourite.meter_no} className="inline-flex items-center rounded-md border border-gray-300 text-xs">
+                          <button
+                            type="button"
+                            onClick={() => handleLookup(favourite.meter_no)}
+                            disabled={isLoading || isLookingUp}
+                            className="px-2 py-1 hover:bg-gray-50"
+                          >
+                            {favourite.label || favourite.meter_no}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveFavourite(favourite)}
+                            disabled={isLoading}
+                            aria-label={`Remove ${favourite.meter_no} from saved meters`}
+                            className="px-1 py-1 text-gray-500 hover:text-black"
+                          >
+                            <X className="h-3 w-3" />
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex gap-2">
+                    <Input
+                      id="otherMeterNo"
+                      placeholder="Meter number"
+                      value={otherMeter}
+                      onChange={(e) => {
+                        setOtherMeter(e.target.value);
+                        setConfirmedMeter(null);
+                      }}
+                      disabled={isLoading}
+                    />
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => handleLookup(otherMeter)}
+                      disabled={isLoading || isLookingUp || !otherMeter.trim()}
+                    >
+                      {isLookingUp ? <LoadingSpinner size="sm" /> : 'Look Up'}
+                    </Button>
+                  </div>
+                  {confirmedMeter && (
+                    <div className="flex items-center justify-between rounded-md border border-gray-200 bg-gray-50 px-3 py-2 text-sm">
+                      <span className="text-gray-600">
+                        Registered to <span className="font-medium text-black">{confirmedMeter.owner_name || 'a customer'}</span>
+                      </span>
+                      {!isFavourite && !confirmedMeter.own && (
+                        <Button type="button" variant="ghost" size="sm" onClick={handleSaveFavourite} className="h-auto px-2 py-1">
+                          <Star className="h-3 w-3 mr-1" />
+                          Save
+                        </Button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="phoneNumber">M-Pesa Phone Number</Label>
               <Input
-                id="meterNo"
-                value={meterNo}
-                disabled
-                className="bg-gray-100 text-black"
+                id="phoneNumber"
+                type="tel"
+                placeholder="e.g. 0712345678"
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)}
+                disabled={isLoading}
+                required
               />
+              <p className="text-xs text-gray-600">
+                You will receive a prompt on this phone to enter your M-Pesa PIN
+              </p>
             </div>
 
             <div className="space-y-2">
@@ -186,7 +501,7 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
                 onChange={(e) => setAmount(e.target.value)}
                 disabled={isLoading}
                 min="1"
-                step="0.01"
+                step="1"
                 required
               />
               
@@ -204,9 +519,6 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
                     className="text-xs px-2 py-1 h-auto"
                   >
                     {quickAmount} KSH
-                    <span className="ml-1 text-green-600">
-                      ({(quickAmount / 25).toFixed(2)}⚡)
-                    </span>
                   </Button>
                 ))}
               </div>
@@ -218,7 +530,7 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
                 <Input
                   id="units"
                   type="text"
-                  value={amountValue > 0 ? `${calculatedUnits.toFixed(2)} units` : ''}
+                  value={amountValue > 0 ? (isQuoting ? 'Calculating...' : `${calculatedUnits.toFixed(2)} units`) : ''}
                   disabled
                   placeholder="Enter amount to see units"
                   className="bg-white border border-gray-300 text-lg font-semibold text-center text-black"
@@ -230,33 +542,46 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
                 )}
               </div>
               
-              {/* Enhanced unit calculation display */}
+              {/* Tariff breakdown from the backend quote */}
               <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-2">
                 <div className="flex justify-between items-center text-sm">
-                  <span className="text-gray-600">Rate:</span>
-                  <span className="font-medium text-black">1 unit = KSH 25.00</span>
+                  <span className="text-gray-600">Tariff:</span>
+                  <span className="font-medium text-black">{quote?.tariff.name ?? '—'}</span>
                 </div>
                 
-                {amountValue > 0 && (
+                {amountValue > 0 && quote && (
                   <>
-                    <div className="flex justify-between items-center text-sm">
-                      <span className="text-gray-600">Amount:</span>
-                      <span className="font-medium text-black">KSH {amountValue.toFixed(2)}</span>
-                    </div>
-                    
-                    <div className="flex justify-between items-center text-sm">
-                      <span className="text-gray-600">Units:</span>
-                      <span className="font-bold text-black">{calculatedUnits.toFixed(2)} units</span>
-                    </div>
+                    {quote.bands.map((band) => (
+                      <div key={band.name} className="flex justify-between items-center text-sm">
+                        <span className="text-gray-600">
+                          {band.name} ({band.units.toFixed(2)} × KSH {band.rate.toFixed(2)}):
+                        </span>
+                        <span className="font-medium text-black">KSH {band.amount.toFixed(2)}</span>
+                      </div>
+                    ))}
+                    {[
+                      ['Fuel cost', quote.breakdown.fuel_charge],
+                      ['ERC levy', quote.breakdown.erc_levy],
+                      ['REP levy', quote.breakdown.rep_levy],
+                      ['Fixed charge', quote.breakdown.fixed_charge],
+                      ['VAT', quote.breakdown.vat],
+                    ].filter(([, value]) => Number(value) > 0).map(([label, value]) => (
+                      <div key={label} className="flex justify-between items-center text-sm">
+                        <span className="text-gray-600">{label}:</span>
+                        <span className="font-medium text-black">KSH {Number(value).toFixed(2)}</span>
+                      </div>
+                    ))}
                     
                     <div className="border-t border-gray-200 pt-2 mt-2">
                       <div className="flex justify-between items-center text-sm font-semibold">
                         <span className="text-black">Total Units:</span>
                         <span className="text-black text-lg">{calculatedUnits.toFixed(2)} ⚡</span>
                       </div>
-                      <div className="text-xs text-gray-600 mt-1">
-                        Precise calculation: {amountValue} ÷ 25 = {calculatedUnits.toFixed(2)}
-                      </div>
+                      {quote.remainder > 0 && (
+                        <div className="text-xs text-gray-600 mt-1">
+                          KSH {quote.remainder.toFixed(2)} of your payment is below the price of 0.01 units and will not be converted
+                        </div>
+                      )}
                     </div>
                   </>
                 )}
@@ -281,7 +606,7 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
               </Button>
               <Button
                 type="submit"
-                disabled={isLoading}
+                disabled={isLoading || !targetMeter}
                 className="flex-1"
               >
                 {isLoading ? (
@@ -290,7 +615,7 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
                     Processing...
                   </>
                 ) : (
-                  'Confirm Payment'
+                  'Send Payment Prompt'
                 )}
               </Button>
             </div>
@@ -1,52 +1,209 @@
-import React, { useEffect, useState } from 'react';
-import { Transaction, getTransactions } from '../lib/api';
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Transaction,
+  TransactionStatus,
+  TransactionFilters,
+  StatementFormat,
+  TRANSACTION_STATUSES,
+  TRANSACTION_STATUS_LABELS,
+  getTransactions,
+  formatToken,
+  subscribeToMeterEvents,
+  downloadReceipt,
+  downloadStatement,
+} from '../lib/api';
 import { useAuth } from '../contexts/AuthContext';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationItem,
+  PaginationNext,
+  PaginationPrevious,
+} from '@/components/ui/pagination';
 import { LoadingSpinner } from '@/components/ui/loading-spinner';
-const TransactionList: React.FC = () => {
+import { useToast } from '@/hooks/use-toast';
+import { Download } from 'lucide-react';
+
+// This month as YYYY-MM, in local time
+const currentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Payments that have a receipt
+const hasReceipt = (status: TransactionStatus) => status === 'SUCCESS' || status === 'REVERSED';
+
+const PAGE_SIZE = 10;
+
+// Select items cannot have an empty value
+const ALL_STATUSES = 'all';
+
+interface FilterForm {
+  status: string;
+  // YYYY-MM-DD, both days included
+  from: string;
+  to: string;
+  minAmount: string;
+  maxAmount: string;
+  receipt: string;
+}
+
+const EMPTY_FILTERS: FilterForm = { status: ALL_STATUSES, from: '', to: '', minAmount: '', maxAmount: '', receipt: '' };
+
+// The form as API filters; dates are local days
+const toApiFilters = (form: FilterForm): TransactionFilters => {
+  const filters: TransactionFilters = {};
+  if (form.status !== ALL_STATUSES) filters.status = form.status;
+  if (form.from) filters.from = new Date(`${form.from}T00:00:00`).toISOString();
+  if (form.to) {
+    const end = new Date(`${form.to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    filters.to = end.toISOString();
+  }
+  if (form.minAmount) filters.min_amount = Number(form.minAmount);
+  if (form.maxAmount) filters.max_amount = Number(form.maxAmount);
+  if (form.receipt.trim()) filters.q = form.receipt.trim();
+  return filters;
+};
+
+interface TransactionListProps {
+  // Meter whose live updates to follow; the list covers all of the user's meters
+  meterNo: string;
+  // Change to refetch, e.g. after buying units for someone else's meter (those send no live update)
+  refreshKey?: number;
+}
+
+const TransactionList: React.FC<TransactionListProps> = ({ meterNo, refreshKey = 0 }) => {
   const [transactions, setTransactions] = useState<Transaction[]>([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [isFetching, setIsFetching] = useState(false);
+  const [filterForm, setFilterForm] = useState<FilterForm>(EMPTY_FILTERS);
+  const [filters, setFilters] = useState<TransactionFilters>({});
+  // cursors[i] fetches page i; the first page has none
+  const [cursors, setCursors] = useState<(string | null)[]>([null]);
+  const [pageIndex, setPageIndex] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [statementMonth, setStatementMonth] = useState(currentMonth);
+  const [downloading, setDownloading] = useState<string | null>(null);
   const { user } = useAuth();
+  const { toast } = useToast();
+
+  // key identifies the button that shows the spinner
+  const download = async (key: string, fetchFile: () => Promise<void>) => {
+    setDownloading(key);
+    try {
+      await fetchFile();
+    } catch (error) {
+      toast({
+        title: 'Download failed',
+        description: error instanceof Error ? error.message : 'Request failed',
+        variant: 'destructive',
+      });
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleStatement = (format: StatementFormat) => {
+    if (!user?.user_id) return;
+    download(format, () => downloadStatement(user.user_id, { month: statementMonth, format, meterNo: meterNo || undefined }));
+  };
 
   const fetchTransactions = async () => {
     if (!user?.user_id) return;
-    
-    setIsLoading(true);
+
+    setIsFetching(true);
     try {
-      const userTransactions = await getTransactions(user.user_id);
-      setTransactions(userTransactions);
+      const page = await getTransactions(user.user_id, { ...filters, cursor: cursors[pageIndex], limit: PAGE_SIZE });
+      setTransactions(page.transactions);
+      setNextCursor(page.next_cursor);
     } catch (error) {
       console.error('Error fetching transactions:', error);
       setTransactions([]);
+      setNextCursor(null);
     } finally {
+      setIsFetching(false);
       setIsLoading(false);
     }
   };
 
   useEffect(() => {
     fetchTransactions();
-  }, [user?.user_id]);
+  }, [user?.user_id, refreshKey, filters, pageIndex]);
 
-  // Refresh transactions every 30 seconds to get updates
+  // The live update listener outlives renders, so it reads the page through refs
+  const reloadRef = useRef(fetchTransactions);
+  reloadRef.current = fetchTransactions;
+  const shownRef = useRef(transactions);
+  shownRef.current = transactions;
+
+  // Apply live updates to the page shown; new transactions only appear on the first page
   useEffect(() => {
-    const interval = setInterval(fetchTransactions, 30000);
-    return () => clearInterval(interval);
-  }, [user?.user_id]);
+    if (!meterNo) return;
+    return subscribeToMeterEvents(meterNo, (event) => {
+      if (event.type === 'reconnected') {
+        reloadRef.current();
+      } else if (event.type === 'transaction') {
+        const updated = event.data;
+        if (shownRef.current.some((transaction) => transaction.transaction_id === updated.transaction_id)) {
+          setTransactions((current) => current.map((transaction) =>
+            transaction.transaction_id === updated.transaction_id ? { ...transaction, ...updated } : transaction
+          ));
+        } else {
+          reloadRef.current();
+        }
+      }
+    });
+  }, [meterNo]);
+
+  const applyFilters = (form: FilterForm) => {
+    setFilterForm(form);
+    setFilters(toApiFilters(form));
+    setCursors([null]);
+    setPageIndex(0);
+  };
+
+  const handleFilter = (e: React.FormEvent) => {
+    e.preventDefault();
+    applyFilters(filterForm);
+  };
+
+  const goToNextPage = () => {
+    if (!nextCursor || isFetching) return;
+    setCursors((current) => [...current.slice(0, pageIndex + 1), nextCursor]);
+    setPageIndex((index) => index + 1);
+  };
+
+  const goToPreviousPage = () => {
+    if (pageIndex === 0 || isFetching) return;
+    setPageIndex((index) => index - 1);
+  };
 
-  const getStatusBadge = (status: string) => {
+  const getStatusBadge = (status: TransactionStatus) => {
+    const completed = { variant: 'default' as const, className: 'bg-green-100 text-green-800' };
+    const pending = { variant: 'secondary' as const, className: 'bg-gray-100 text-black' };
+    const failed = { variant: 'destructive' as const, className: 'bg-red-100 text-red-800' };
     const statusConfig = {
-      completed: { variant: 'default' as const, className: 'bg-green-100 text-green-800' },
-      pending: { variant: 'secondary' as const, className: 'bg-gray-100 text-black' },
-      failed: { variant: 'destructive' as const, className: 'bg-red-100 text-red-800' }
+      INITIATED: pending,
+      PENDING: pending,
+      SUCCESS: completed,
+      FAILED: failed,
+      EXPIRED: failed,
+      REVERSED: failed
     };
     
-    const config = statusConfig[status as keyof typeof statusConfig] || statusConfig.pending;
+    const config = statusConfig[status] || pending;
     
     return (
       <Badge variant={config.variant} className={config.className}>
-        {status.charAt(0).toUpperCase() + status.slice(1)}
+        {TRANSACTION_STATUS_LABELS[status] || status}
       </Badge>
     );
   };
@@ -76,18 +233,124 @@ const TransactionList: React.FC = () => {
     );
   }
 
+  // Name the meter on each payment once the user has paid for more than one
+  const showMeter = new Set(transactions.map((transaction) => transaction.meter_no)).size > 1;
+
   return (
     <Card className="bg-white border border-gray-200 shadow-sm">
       <CardHeader>
-        <CardTitle className="text-black">Transaction History</CardTitle>
-        <CardDescription className="text-gray-600">
-          Your recent payment transactions
-        </CardDescription>
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <CardTitle className="text-black">Transaction History</CardTitle>
+            <CardDescription className="text-gray-600">
+              Your payments, newest first
+            </CardDescription>
+          </div>
+          {meterNo && (
+            <div className="flex items-center gap-2">
+              <Input
+                type="month"
+                aria-label="Statement month"
+                value={statementMonth}
+                max={currentMonth()}
+                onChange={(e) => setStatementMonth(e.target.value)}
+                className="w-40"
+              />
+              {(['pdf', 'csv'] as const).map((format) => (
+                <Button
+                  key={format}
+                  variant="outline"
+                  size="sm"
+                  disabled={downloading !== null || !statementMonth}
+                  onClick={() => handleStatement(format)}
+                  className="border-gray-300 text-black hover:bg-gray-50"
+                >
+                  {downloading === format ? <LoadingSpinner size="sm" className="mr-2" /> : <Download className="h-4 w-4 mr-2" />}
+                  Statement {format.toUpperCase()}
+                </Button>
+              ))}
+            </div>
+          )}
+        </div>
       </CardHeader>
-      <CardContent>
+      <CardContent className="space-y-4">
+        <form onSubmit={handleFilter} className="grid gap-3 sm:grid-cols-3 lg:grid-cols-7 items-end">
+          <div className="space-y-1">
+            <Label htmlFor="txStatus" className="text-xs text-gray-600">Status</Label>
+            <Select value={filterForm.status} onValueChange={(status) => setFilterForm((prev) => ({ ...prev, status }))}>
+              <SelectTrigger id="txStatus">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_STATUSES}>All</SelectItem>
+                {TRANSACTION_STATUSES.map((status) => (
+                  <SelectItem key={status} value={status}>{TRANSACTION_STATUS_LABELS[status]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="txFrom" className="text-xs text-gray-600">From</Label>
+            <Input
+              id="txFrom"
+              type="date"
+              value={filterForm.from}
+              onChange={(e) => setFilterForm((prev) => ({ ...prev, from: e.target.value }))}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="txTo" className="text-xs text-gray-600">To</Label>
+            <Input
+              id="txTo"
+              type="date"
+              value={filterForm.to}
+              min={filterForm.from || undefined}
+              onChange={(e) => setFilterForm((prev) => ({ ...prev, to: e.target.value }))}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="txMinAmount" className="text-xs text-gray-600">Min KSH</Label>
+            <Input
+              id="txMinAmount"
+              type="number"
+              min={0}
+              value={filterForm.minAmount}
+              onChange={(e) => setFilterForm((prev) => ({ ...prev, minAmount: e.target.value }))}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="txMaxAmount" className="text-xs text-gray-600">Max KSH</Label>
+            <Input
+              id="txMaxAmount"
+              type="number"
+              min={0}
+              value={filterForm.maxAmount}
+              onChange={(e) => setFilterForm((prev) => ({ ...prev, maxAmount: e.target.value }))}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="txReceipt" className="text-xs text-gray-600">M-Pesa receipt</Label>
+            <Input
+              id="txReceipt"
+              placeholder="e.g. RKT12"
+              maxLength={20}
+              value={filterForm.receipt}
+              onChange={(e) => setFilterForm((prev) => ({ ...prev, receipt: e.target.value }))}
+            />
+          </div>
+          <div className="flex gap-2">
+            <Button type="submit" disabled={isFetching} className="bg-black hover:bg-black/90 text-white">
+              Filter
+            </Button>
+            <Button type="button" variant="outline" disabled={isFetching} onClick={() => applyFilters(EMPTY_FILTERS)}>
+              Clear
+            </Button>
+          </div>
+        </form>
+
         {transactions.length === 0 ? (
           <div className="text-center py-8 text-gray-600">
-            No transactions found
+            {isFetching ? <LoadingSpinner /> : nextCursor ? 'No matches yet - try the next page' : 'No transactions found'}
           </div>
         ) : (
           <div className="rounded-md border border-gray-200">
@@ -95,10 +358,13 @@ const TransactionList: React.FC = () => {
               <TableHeader>
                 <TableRow>
                   <TableHead>Transaction ID</TableHead>
+                  {showMeter && <TableHead>Meter</TableHead>}
                   <TableHead>Amount</TableHead>
                   <TableHead>Units</TableHead>
+                  <TableHead>Token</TableHead>
                   <TableHead>Status</TableHead>
                   <TableHead>Date</TableHead>
+                  <TableHead>Receipt</TableHead>
                 </TableRow>
               </TableHeader>
               <TableBody>
@@ -107,8 +373,18 @@ const TransactionList: React.FC = () => {
                     <TableCell className="font-mono text-sm text-black">
                       {transaction.transaction_id}
                     </TableCell>
+                    {showMeter && (
+                      <TableCell className="font-mono text-sm text-black">{transaction.meter_no}</TableCell>
+                    )}
                     <TableCell className="font-semibold text-black">
                       KSH {(transaction.amount || 0).toFixed(2)}
+                      {transaction.gift && (
+                        <span className="block text-xs font-normal text-gray-600">
+                          {transaction.gift === 'SENT'
+                            ? `Gift to ${transaction.counterparty_name || 'another customer'}`
+                            : `Gift from ${transaction.counterparty_name || 'another customer'}`}
+                        </span>
+                      )}
                     </TableCell>
                     <TableCell className="font-medium text-black">
                       {(transaction.units || 0).toFixed(2)} ⚡
@@ -118,18 +394,66 @@ const TransactionList: React.FC = () => {
                         </span>
                       )}
                     </TableCell>
+                    <TableCell className="font-mono text-sm text-black whitespace-nowrap">
+                      {transaction.token ? formatToken(transaction.token) : '—'}
+                    </TableCell>
                     <TableCell>
                       {getStatusBadge(transaction.status)}
                     </TableCell>
                     <TableCell className="text-gray-600">
                       {formatDate(transaction.timestamp)}
                     </TableCell>
+                    <TableCell>
+                      {hasReceipt(transaction.status) && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          aria-label="Download receipt"
+                          disabled={downloading !== null}
+                          onClick={() => download(transaction.transaction_id, () => downloadReceipt(transaction.transaction_id))}
+                        >
+                          {downloading === transaction.transaction_id ? <LoadingSpinner size="sm" /> : <Download className="h-4 w-4" />}
+                        </Button>
+                      )}
+                    </TableCell>
                   </TableRow>
                 ))}
               </TableBody>
             </Table>
           </div>
         )}
+
+        {(pageIndex > 0 || nextCursor) && (
+          <Pagination>
+            <PaginationContent>
+              <PaginationItem>
+                <PaginationPrevious
+                  href="#"
+                  aria-disabled={pageIndex === 0}
+                  className={pageIndex === 0 ? 'pointer-events-none opacity-50' : ''}
+                  onClick={(e) => {
+                    e.preventDefault();
+                    goToPreviousPage();
+                  }}
+                />
+              </PaginationItem>
+              <PaginationItem>
+                <span className="px-3 text-sm text-gray-600">Page {pageIndex + 1}</span>
+              </PaginationItem>
+              <PaginationItem>
+                <PaginationNext
+                  href="#"
+                  aria-disabled={!nextCursor}
+                  className={!nextCursor ? 'pointer-events-none opacity-50' : ''}
+                  onClick={(e) => {
+                    e.preventDefault();
+                    goToNextPage();
+                  }}
+                />
+              </PaginationItem>
+            </PaginationContent>
+          </Pagination>
+        )}
       </CardContent>
     </Card>
   );
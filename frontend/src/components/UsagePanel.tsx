@@ -0,0 +1,128 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Bar, CartesianGrid, ComposedChart, Line, XAxis, YAxis } from 'recharts';
+import { ConsumptionBucket, ConsumptionHistory, getConsumptionHistory, subscribeToMeterEvents } from '../lib/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { ChartConfig, ChartContainer, ChartLegend, ChartLegendContent, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart';
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { LoadingSpinner } from '@/components/ui/loading-spinner';
+import { Activity } from 'lucide-react';
+
+const chartConfig = {
+  units_consumed: { label: 'Consumed (kWh)', color: '#111827' },
+  units_purchased: { label: 'Purchased (kWh)', color: '#16a34a' }
+} satisfies ChartConfig;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Labels come in Nairobi local time: "2026-01-05" or "2026-01"
+const formatLabel = (label: string, bucket: ConsumptionBucket) => {
+  const [year, month, day] = label.split('-');
+  const monthName = MONTHS[Number(month) - 1];
+  return bucket === 'month' ? `${monthName} ${year.slice(2)}` : `${Number(day)} ${monthName}`;
+};
+
+interface UsagePanelProps {
+  meterNo: string;
+}
+
+const UsagePanel: React.FC<UsagePanelProps> = ({ meterNo }) => {
+  const [bucket, setBucket] = useState<ConsumptionBucket>('day');
+  const [history, setHistory] = useState<ConsumptionHistory | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchHistory = useCallback(async (selected: ConsumptionBucket) => {
+    try {
+      setHistory(await getConsumptionHistory(meterNo, { bucket: selected }));
+    } catch (error) {
+      console.error('Error fetching consumption history:', error);
+      setHistory(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [meterNo]);
+
+  useEffect(() => {
+    setIsLoading(true);
+    fetchHistory(bucket);
+  }, [fetchHistory, bucket]);
+
+  // A balance change means a reading or payment landed; refresh the totals quietly
+  useEffect(() => {
+    let first = true;
+    return subscribeToMeterEvents(meterNo, (event) => {
+      if (event.type !== 'balance') return;
+      if (first) {
+        first = false;
+        return;
+      }
+      fetchHistory(bucket);
+    });
+  }, [meterNo, bucket, fetchHistory]);
+
+  const data = history?.series.map((point) => ({ ...point, label: formatLabel(point.label, bucket) })) ?? [];
+
+  return (
+    <Card className="bg-white border border-gray-200 shadow-sm">
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle className="flex items-center gap-2 text-black">
+            <Activity className="h-5 w-5 text-gray-600" />
+            Usage
+          </CardTitle>
+          <CardDescription className="text-gray-600">
+            {bucket === 'day' ? 'Daily consumption over the last 30 days' : 'Monthly consumption over the last year'}, with purchases
+          </CardDescription>
+        </div>
+        <Tabs value={bucket} onValueChange={(value) => setBucket(value as ConsumptionBucket)}>
+          <TabsList>
+            <TabsTrigger value="day">Daily</TabsTrigger>
+            <TabsTrigger value="month">Monthly</TabsTrigger>
+          </TabsList>
+        </Tabs>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : !history ? (
+          <div className="text-center py-8 text-gray-600">Usage history is unavailable</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <p className="text-sm text-gray-600">Average daily burn</p>
+                <p className="text-xl font-semibold text-black">{history.average_daily_units.toFixed(2)} kWh</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600">Consumed</p>
+                <p className="text-xl font-semibold text-black">{history.totals.units_consumed.toFixed(2)} kWh</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600">Purchased</p>
+                <p className="text-xl font-semibold text-black">
+                  {history.totals.units_purchased.toFixed(2)} kWh
+                  <span className="text-sm font-normal text-gray-600 ml-1">(KSH {history.totals.amount_paid.toFixed(2)})</span>
+                </p>
+              </div>
+            </div>
+
+            <ChartContainer config={chartConfig} className="h-64 w-full aspect-auto">
+              <ComposedChart data={data}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="label" tickLine={false} axisLine={false} minTickGap={16} />
+                <YAxis tickLine={false} axisLine={false} width={40} />
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <ChartLegend content={<ChartLegendContent />} />
+                <Bar dataKey="units_consumed" fill="var(--color-units_consumed)" radius={2} />
+                <Line dataKey="units_purchased" stroke="var(--color-units_purchased)" strokeWidth={2} dot={false} type="stepAfter" />
+              </ComposedChart>
+            </ChartContainer>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default UsagePanel;
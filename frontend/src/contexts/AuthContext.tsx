@@ -1,9 +1,9 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { User } from '../lib/api';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { User, AuthSession, getAuthTokens, setAuthTokens, setAuthFailureHandler, getCurrentUser, logoutSession } from '../lib/api';
 
 interface AuthContextType {
   user: User | null;
-  login: (user: User) => void;
+  login: (session: AuthSession) => void;
   logout: () => void;
   isLoading: boolean;
 }
@@ -22,23 +22,50 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   const [user, setUser] = useState<User | null>(null);
   const [isLoading, setIsLoading] = useState(true);
 
+  const clearSession = useCallback(() => {
+    setUser(null);
+    setAuthTokens(null);
+    localStorage.removeItem('user');
+  }, []);
+
   useEffect(() => {
-    // Check for saved user in localStorage
+    // The API client calls this when a 401 cannot be fixed by refreshing the tokens
+    setAuthFailureHandler(clearSession);
+
+    // Restore the saved session, then confirm it with the backend
     const savedUser = localStorage.getItem('user');
-    if (savedUser) {
-      setUser(JSON.parse(savedUser));
+    if (!savedUser || !getAuthTokens()) {
+      clearSession();
+      setIsLoading(false);
+      return () => setAuthFailureHandler(null);
     }
-    setIsLoading(false);
-  }, []);
 
-  const login = (userData: User) => {
-    setUser(userData);
-    localStorage.setItem('user', JSON.stringify(userData));
+    setUser(JSON.parse(savedUser));
+    getCurrentUser()
+      .then((currentUser) => {
+        setUser(currentUser);
+        localStorage.setItem('user', JSON.stringify(currentUser));
+      })
+      .catch((error) => {
+        console.error('Error restoring session:', error);
+      })
+      .finally(() => setIsLoading(false));
+
+    return () => setAuthFailureHandler(null);
+  }, [clearSession]);
+
+  const login = (session: AuthSession) => {
+    setAuthTokens(session);
+    setUser(session.user);
+    localStorage.setItem('user', JSON.stringify(session.user));
   };
 
   const logout = () => {
-    setUser(null);
-    localStorage.removeItem('user');
+    const tokens = getAuthTokens();
+    if (tokens) {
+      logoutSession(tokens.refresh_token);
+    }
+    clearSession();
   };
 
   return (
@@ -46,4 +73,4 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       {children}
     </AuthContext.Provider>
   );
-};
\ No newline at end of file
+};
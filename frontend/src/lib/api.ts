@@ -1,12 +1,122 @@
-import axios from 'axios';
+import axios, { AxiosError, InternalAxiosRequestConfig } from 'axios';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000';
 
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000',
+  baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+export interface AuthTokens {
+  access_token: string;
+  refresh_token: string;
+}
+
+const TOKENS_KEY = 'auth_tokens';
+
+/**
+ * Tokens of the signed-in user, kept in localStorage so sessions survive reloads
+ */
+export const getAuthTokens = (): AuthTokens | null => {
+  const saved = localStorage.getItem(TOKENS_KEY);
+  return saved ? JSON.parse(saved) : null;
+};
+
+export const setAuthTokens = (tokens: AuthTokens | null) => {
+  if (tokens) {
+    localStorage.setItem(TOKENS_KEY, JSON.stringify({ access_token: tokens.access_token, refresh_token: tokens.refresh_token }));
+  } else {
+    localStorage.removeItem(TOKENS_KEY);
+  }
+};
+
+let authFailureHandler: (() => void) | null = null;
+
+/**
+ * Register a callback for when the session cannot be refreshed (AuthContext logs out)
+ */
+export const setAuthFailureHandler = (handler: (() => void) | null) => {
+  authFailureHandler = handler;
+};
+
+api.interceptors.request.use((config) => {
+  const tokens = getAuthTokens();
+  if (tokens) {
+    config.headers.Authorization = `Bearer ${tokens.access_token}`;
+  }
+  return config;
+});
+
+// Concurrent 401s share one refresh request
+let refreshRequest: Promise<AuthTokens | null> | null = null;
+
+const refreshTokens = (): Promise<AuthTokens | null> => {
+  if (!refreshRequest) {
+    const tokens = getAuthTokens();
+    refreshRequest = (tokens
+      ? axios.post<AuthSession>(`${API_BASE_URL}/auth/refresh`, { refresh_token: tokens.refresh_token })
+        .then((response) => {
+          setAuthTokens(response.data);
+          return response.data;
+        })
+        .catch(() => null)
+      : Promise.resolve(null)
+    ).finally(() => {
+      refreshRequest = null;
+    });
+  }
+  return refreshRequest;
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error: AxiosError) => {
+    const original = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+    const isAuthRoute = typeof original?.url === 'string' && original.url.startsWith('/auth/') && original.url !== '/auth/me';
+
+    if (error.response?.status !== 401 || !original || original._retried || isAuthRoute) {
+      return Promise.reject(error);
+    }
+
+    const tokens = await refreshTokens();
+    if (!tokens) {
+      setAuthTokens(null);
+      authFailureHandler?.();
+      return Promise.reject(error);
+    }
+
+    original._retried = true;
+    original.headers.Authorization = `Bearer ${tokens.access_token}`;
+    return api(original);
+  }
+);
+
+/**
+ * Transaction lifecycle, as enforced by backend/transactions.js (TRANSACTION_STATUS):
+ * INITIATED -> PENDING -> SUCCESS | FAILED | EXPIRED, and SUCCESS -> REVERSED.
+ * Units are only credited once a transaction reaches SUCCESS.
+ */
+export const TRANSACTION_STATUSES = ['INITIATED', 'PENDING', 'SUCCESS', 'FAILED', 'EXPIRED', 'REVERSED'] as const;
+
+export type TransactionStatus = typeof TRANSACTION_STATUSES[number];
+
+export const TRANSACTION_STATUS_LABELS: Record<TransactionStatus, string> = {
+  INITIATED: 'Initiated',
+  PENDING: 'Pending',
+  SUCCESS: 'Completed',
+  FAILED: 'Failed',
+  EXPIRED: 'Expired',
+  REVERSED: 'Reversed'
+};
+
+/**
+ * Whether a transaction may still change without operator action
+ * @param status Transaction status
+ */
+export const isInFlight = (status: TransactionStatus): boolean => status === 'INITIATED' || status === 'PENDING';
+
 export interface PaymentRequest {
   meter_no: string;
   amount: number;
@@ -15,37 +125,85 @@ export interface PaymentRequest {
 export interface PaymentResponse {
   transaction_id: string;
   amount: number;
-  status: string;
+  status: TransactionStatus;
   meter_no: string;
   timestamp: string;
+  token?: string | null;
 }
 
+/**
+ * Format a 20-digit token in groups of four for display
+ * @param token The raw token
+ * @returns e.g. "1234 5678 9012 3456 7890"
+ */
+export const formatToken = (token: string): string => token.replace(/(\d{4})(?=\d)/g, '$1 ');
+
 export interface Transaction {
   transaction_id: string;
   amount: number;
   units: number;
   remainder?: number;
-  status: 'pending' | 'completed' | 'failed';
+  status: TransactionStatus;
   timestamp: string;
   meter_no: string;
+  token?: string | null;
+  mpesa_receipt?: string | null;
+  channel?: string | null;
+  // Set when the units were bought for someone else's meter, or by someone else
+  gift?: 'SENT' | 'RECEIVED';
+  // The other party of a gift, masked ("J*** W***")
+  counterparty_name?: string | null;
 }
 
+export type UserRole = 'customer' | 'support' | 'admin';
+
 export interface User {
   user_id: string;
   name: string;
   email: string;
+  // The primary meter; meters lists every meter on the account, primary first
   meter_no: string;
+  meters: string[];
+  phone_number?: string | null;
+  role?: UserRole;
   balance: number;
   latest_transaction_id?: string;
 }
 
-export const getTransactions = async (userId: string): Promise<Transaction[]> => {
+export interface TransactionFilters {
+  // Comma-separated statuses
+  status?: string;
+  // ISO dates; to is exclusive
+  from?: string;
+  to?: string;
+  min_amount?: number;
+  max_amount?: number;
+  // Part of the M-Pesa receipt number
+  q?: string;
+}
+
+export interface TransactionPage {
+  transactions: Transaction[];
+  // Pass back as cursor for the next page; null on the last page
+  next_cursor: string | null;
+}
+
+/**
+ * Get one page of a user's transactions, newest first
+ * @param userId User whose transactions to list
+ * @param options Filters, page size and the cursor of the page to fetch
+ * @returns The page and the cursor of the next one
+ */
+export const getTransactions = async (
+  userId: string,
+  options: TransactionFilters & { cursor?: string | null; limit?: number } = {}
+): Promise<TransactionPage> => {
   try {
-    const response = await api.get(`/transactions/${userId}`);
+    const response = await api.get(`/transactions/${userId}`, { params: { ...options, cursor: options.cursor || undefined } });
     return response.data;
   } catch (error) {
     console.error('Error fetching transactions:', error);
-    throw new Error('Failed to fetch transactions');
+    throw new Error(apiErrorMessage(error, 'Failed to fetch transactions'));
   }
 };
 
@@ -81,32 +239,362 @@ export const getUserBalance = async (meterNo: string): Promise<UserBalance> => {
   }
 };
 
+export interface BalanceUpdate {
+  meter_no: string;
+  availableUnits: number;
+  timestamp: string;
+}
+
+export type MeterEvent =
+  | { type: 'balance'; data: BalanceUpdate }
+  | { type: 'transaction'; data: Transaction }
+  // The stream reconnected; updates sent while it was down were missed
+  | { type: 'reconnected' };
+
+type MeterEventListener = (event: MeterEvent) => void;
+
+interface MeterStream {
+  listeners: Set<MeterEventListener>;
+  controller: AbortController;
+  lastBalance: BalanceUpdate | null;
+}
+
+const STREAM_RETRY_MS = 5000;
+const meterStreams = new Map<string, MeterStream>();
+
+const parseEventBlock = (block: string): MeterEvent | null => {
+  let type = '';
+  const data: string[] = [];
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event: ')) type = line.slice(7);
+    if (line.startsWith('data: ')) data.push(line.slice(6));
+  });
+  if (data.length === 0) return null;
+
+  const payload = JSON.parse(data.join('\n'));
+  if (type === 'balance') return { type, data: payload };
+  if (type === 'transaction') return { type, data: payload };
+  return null;
+};
+
+// Reads the Server-Sent Events stream with fetch, since EventSource cannot send the Authorization header
+const runMeterStream = async (meterNo: string, stream: MeterStream) => {
+  const { signal } = stream.controller;
+  const emit = (event: MeterEvent) => stream.listeners.forEach((listener) => listener(event));
+  let connectedBefore = false;
+  let refreshed = false;
+
+  while (!signal.aborted) {
+    try {
+      const tokens = getAuthTokens();
+      const response = await fetch(`${API_BASE_URL}/meter/${encodeURIComponent(meterNo)}/events`, {
+        headers: tokens ? { Authorization: `Bearer ${tokens.access_token}` } : {},
+        signal
+      });
+
+      if (response.status === 401 && !refreshed) {
+        refreshed = true;
+        if (await refreshTokens()) continue;
+        setAuthTokens(null);
+        authFailureHandler?.();
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Event stream returned status ${response.status}`);
+      }
+
+      refreshed = false;
+      if (connectedBefore) emit({ type: 'reconnected' });
+      connectedBefore = true;
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const event = parseEventBlock(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (event?.type === 'balance') stream.lastBalance = event.data;
+          if (event) emit(event);
+        }
+      }
+    } catch (error) {
+      if (signal.aborted) return;
+      console.error('Meter event stream error:', error);
+    }
+    await new Promise((resolve) => setTimeout(resolve, STREAM_RETRY_MS));
+  }
+};
+
+/**
+ * Receive live balance and transaction updates for a meter (GET /meter/:meterNo/events)
+ * Listeners of the same meter share one connection, which reconnects after errors.
+ * @param meterNo Meter to watch
+ * @param listener Called with each event; a late listener first gets the latest balance
+ * @returns Function that stops listening
+ */
+export const subscribeToMeterEvents = (meterNo: string, listener: MeterEventListener): (() => void) => {
+  let stream = meterStreams.get(meterNo);
+  if (!stream) {
+    stream = { listeners: new Set(), controller: new AbortController(), lastBalance: null };
+    meterStreams.set(meterNo, stream);
+    runMeterStream(meterNo, stream);
+  } else if (stream.lastBalance) {
+    listener({ type: 'balance', data: stream.lastBalance });
+  }
+  stream.listeners.add(listener);
+
+  const current = stream;
+  return () => {
+    current.listeners.delete(listener);
+    if (current.listeners.size === 0) {
+      current.controller.abort();
+      meterStreams.delete(meterNo);
+    }
+  };
+};
+
+export interface AuthSession extends AuthTokens {
+  token_type: 'Bearer';
+  expires_in: number;
+  user: User;
+}
+
+export interface RegisterRequest {
+  name: string;
+  email: string;
+  meter_no: string;
+  phone_number: string;
+  password?: string;
+}
+
+const apiErrorMessage = (error: unknown, fallback: string): string => {
+  if (axios.isAxiosError(error) && error.response?.data?.error) {
+    return error.response.data.error;
+  }
+  return fallback;
+};
+
 /**
- * Login user by email and meter number
+ * Login user by email and password
  * @param email User's email address
- * @param meterNo User's meter number
- * @returns User data if found
+ * @param password User's password
+ * @returns Session with access and refresh tokens
  */
-export const loginUser = async (email: string, meterNo: string): Promise<User> => {
+export const loginUser = async (email: string, password: string): Promise<AuthSession> => {
   try {
-    const response = await api.get(`/users/lookup?email=${encodeURIComponent(email)}&meter_no=${encodeURIComponent(meterNo)}`);
+    const response = await api.post('/auth/login', { email, password });
     return response.data;
   } catch (error) {
-    if (axios.isAxiosError(error) && error.response?.status === 404) {
-      throw new Error('Invalid email or meter number');
-    }
-    throw new Error('Failed to connect to server');
+    throw new Error(apiErrorMessage(error, 'Failed to connect to server'));
+  }
+};
+
+/**
+ * Send a one-time login code
+ * @param email User's email address
+ * @param channel Deliver the code by SMS (registered phone) or email
+ */
+export const requestOtp = async (email: string, channel: 'sms' | 'email'): Promise<void> => {
+  try {
+    await api.post('/auth/otp/request', { email, channel });
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to send code'));
+  }
+};
+
+/**
+ * Login user with a one-time code
+ * @param email User's email address
+ * @param code The 6-digit code
+ * @returns Session with access and refresh tokens
+ */
+export const verifyOtp = async (email: string, code: string): Promise<AuthSession> => {
+  try {
+    const response = await api.post('/auth/otp/verify', { email, code });
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to verify code'));
+  }
+};
+
+/**
+ * End the session behind a refresh token
+ * @param refreshToken The refresh token to revoke
+ */
+export const logoutSession = async (refreshToken: string): Promise<void> => {
+  try {
+    await api.post('/auth/logout', { refresh_token: refreshToken });
+  } catch (error) {
+    console.error('Error logging out:', error);
+  }
+};
+
+/**
+ * Get the signed-in user
+ * @returns Current user data
+ */
+export const getCurrentUser = async (): Promise<User> => {
+  const response = await api.get('/auth/me');
+  return response.data;
+};
+
+/**
+ * Register a new user
+ * @param data Registration details; without a password the user signs in with one-time codes
+ * @returns The created user
+ */
+export const registerUser = async (data: RegisterRequest): Promise<User> => {
+  try {
+    const response = await api.post('/users', data);
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to register user'));
+  }
+};
+
+export interface UserMeter {
+  meter_no: string;
+  label: string | null;
+  primary: boolean;
+  balance: number;
+  linked_at: string | null;
+}
+
+export interface UnlinkResult {
+  meter_no: string;
+  closing_balance: number | null;
+  carried_to: string | null;
+  meters: UserMeter[];
+}
+
+/**
+ * The user's meters with their balances, primary meter first
+ */
+export const getUserMeters = async (userId: string): Promise<UserMeter[]> => {
+  try {
+    const response = await api.get(`/users/${encodeURIComponent(userId)}/meters`);
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch meters'));
+  }
+};
+
+/**
+ * Add a meter to the user's account
+ * @param label Optional name for the meter, e.g. "Shop"
+ * @returns The user's meters after linking
+ */
+export const linkMeter = async (userId: string, meterNo: string, label?: string): Promise<UserMeter[]> => {
+  try {
+    const response = await api.post(`/users/${encodeURIComponent(userId)}/meters`, { meter_no: meterNo, label });
+    return response.data.meters;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to add meter'));
   }
 };
 
+/**
+ * Remove a meter from the user's account. Its balance is closed out, or
+ * carried over to carryTo when that is another of the user's meters.
+ */
+export const unlinkMeter = async (userId: string, meterNo: string, carryTo?: string): Promise<UnlinkResult> => {
+  try {
+    const response = await api.post(`/users/${encodeURIComponent(userId)}/meters`, {
+      meter_no: meterNo,
+      action: 'unlink',
+      carry_to_meter: carryTo
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to remove meter'));
+  }
+};
+
+export interface MeterLookup {
+  meter_no: string;
+  // Masked, e.g. "J*** W***"
+  owner_name: string | null;
+  own: boolean;
+}
+
+/**
+ * Confirm a meter before paying for it
+ * @returns The meter with its owner's name masked; fails for an unregistered meter
+ */
+export const lookupMeter = async (meterNo: string): Promise<MeterLookup> => {
+  try {
+    const response = await api.get(`/meters/${encodeURIComponent(meterNo)}/lookup`);
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to look up meter'));
+  }
+};
+
+export interface FavouriteMeter {
+  meter_no: string;
+  label: string | null;
+  // null when the meter is no longer registered
+  owner_name: string | null;
+  added_at: string | null;
+}
+
+export const getFavouriteMeters = async (userId: string): Promise<FavouriteMeter[]> => {
+  try {
+    const response = await api.get(`/users/${encodeURIComponent(userId)}/favourites`);
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch saved meters'));
+  }
+};
+
+/**
+ * Save a meter to pay for again later; saving it again changes the label
+ */
+export const saveFavouriteMeter = async (userId: string, meterNo: string, label?: string): Promise<FavouriteMeter> => {
+  try {
+    const response = await api.put(
+      `/users/${encodeURIComponent(userId)}/favourites/${encodeURIComponent(meterNo)}`,
+      { label }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to save meter'));
+  }
+};
+
+export const removeFavouriteMeter = async (userId: string, meterNo: string): Promise<void> => {
+  try {
+    await api.delete(`/users/${encodeURIComponent(userId)}/favourites/${encodeURIComponent(meterNo)}`);
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to remove saved meter'));
+  }
+};
+
+/**
+ * Create a key for one payment attempt. Send the same key when retrying that
+ * attempt so the backend returns the original result instead of paying twice.
+ */
+export const createIdempotencyKey = (): string => crypto.randomUUID();
+
 /**
  * Simulate a payment
  * @param paymentData Payment request data
+ * @param idempotencyKey Key for this payment attempt; reuse it for retries
  * @returns Payment response
  */
-export const simulatePayment = async (paymentData: PaymentRequest): Promise<any> => {
+export const simulatePayment = async (
+  paymentData: PaymentRequest,
+  idempotencyKey: string = createIdempotencyKey()
+): Promise<any> => {
   try {
-    const response = await api.post('/daraja/simulate', paymentData);
+    const response = await api.post('/daraja/simulate', paymentData, {
+      headers: { 'Idempotency-Key': idempotencyKey }
+    });
     return response.data;
   } catch (error) {
     console.error('Error simulating payment:', error);
@@ -114,15 +602,678 @@ export const simulatePayment = async (paymentData: PaymentRequest): Promise<any>
   }
 };
 
+export interface StkPushRequest {
+  meter_no: string;
+  amount: number;
+  phone_number?: string;
+}
+
+export interface StkPushResponse {
+  MerchantRequestID: string;
+  CheckoutRequestID: string;
+  ResponseCode: string;
+  ResponseDescription: string;
+  CustomerMessage: string;
+  transaction_id: string;
+  phone_number: string;
+  status: TransactionStatus;
+}
+
+export interface StkPushStatus {
+  transaction_id: string;
+  checkout_request_id: string;
+  meter_no: string;
+  amount: number;
+  units: number;
+  status: TransactionStatus;
+  mpesa_receipt: string | null;
+  token: string | null;
+  result_desc: string | null;
+}
+
+/**
+ * Prompt the customer's phone to authorize a payment (STK Push)
+ * @param paymentData Meter, amount and optional phone number (defaults to the registered one)
+ * @param idempotencyKey Key for this payment attempt; reuse it for retries
+ * @returns Daraja response with the pending transaction id
+ */
+export const initiateStkPush = async (
+  paymentData: StkPushRequest,
+  idempotencyKey: string = createIdempotencyKey()
+): Promise<StkPushResponse> => {
+  try {
+    const response = await api.post('/daraja/stkpush', paymentData, {
+      headers: { 'Idempotency-Key': idempotencyKey }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error initiating STK Push:', error);
+    if (axios.isAxiosError(error) && error.response?.data?.error) {
+      throw new Error(error.response.data.error);
+    }
+    throw new Error('Failed to initiate payment');
+  }
+};
+
+/**
+ * Get the status of an STK Push payment
+ * @param checkoutRequestId CheckoutRequestID returned by initiateStkPush
+ * @returns Current transaction status
+ */
+export const getStkPushStatus = async (checkoutRequestId: string): Promise<StkPushStatus> => {
+  try {
+    const response = await api.get(`/daraja/stkpush/${encodeURIComponent(checkoutRequestId)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching STK Push status:', error);
+    throw new Error('Failed to fetch payment status');
+  }
+};
+
+export interface TariffBand {
+  name?: string;
+  up_to?: number | null;
+  rate: number;
+}
+
+export interface Tariff {
+  id: string;
+  name: string;
+  effective_from: string;
+  bands: TariffBand[];
+  fixed_charge: number;
+  fuel_cost_per_unit: number;
+  erc_levy_per_unit: number;
+  rep_levy_rate: number;
+  vat_rate: number;
+}
+
+export interface TariffQuote {
+  meter_no: string;
+  amount: number;
+  units: number;
+  remainder: number;
+  month_to_date_units: number;
+  bands: Array<{ name: string; from: number; up_to: number | null; rate: number; units: number; amount: number }>;
+  breakdown: {
+    energy_charge: number;
+    fuel_charge: number;
+    erc_levy: number;
+    rep_levy: number;
+    fixed_charge: number;
+    vat: number;
+    total: number;
+  };
+  tariff: {
+    id: string;
+    name: string;
+    effective_from: string;
+  };
+}
+
+/**
+ * Get the tariff in force right now
+ * @returns Active tariff version
+ */
+export const getActiveTariff = async (): Promise<Tariff> => {
+  try {
+    const response = await api.get('/tariffs/active');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching tariff:', error);
+    throw new Error('Failed to fetch tariff');
+  }
+};
+
+/**
+ * Get the exact units and charges a payment would buy
+ * @param meterNo Meter to buy for
+ * @param amount Amount in KSH
+ * @returns Quote with units and charge breakdown
+ */
+export const getTariffQuote = async (meterNo: string, amount: number): Promise<TariffQuote> => {
+  try {
+    const response = await api.get('/tariffs/quote', { params: { meter_no: meterNo, amount } });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching tariff quote:', error);
+    throw new Error('Failed to fetch quote');
+  }
+};
+
+export type ConsumptionBucket = 'hour' | 'day' | 'month';
+
+export interface ConsumptionPoint {
+  period_start: string;
+  // Nairobi local period, e.g. "2026-01-05T14:00", "2026-01-05" or "2026-01"
+  label: string;
+  units_consumed: number;
+  units_purchased: number;
+  amount_paid: number;
+  readings: number;
+}
+
+export interface ConsumptionHistory {
+  meter_no: string;
+  bucket: ConsumptionBucket;
+  from: string;
+  to: string;
+  utc_offset: string;
+  series: ConsumptionPoint[];
+  totals: Omit<ConsumptionPoint, 'period_start' | 'label'>;
+  average_daily_units: number;
+}
+
+/**
+ * Get a meter's usage and purchases per hour, day or month
+ * @param meterNo Meter to report on
+ * @param range Bucket size and optional ISO from/to (defaults: last day, 30 days or year)
+ * @returns One point per bucket, including empty ones
+ */
+export const getConsumptionHistory = async (
+  meterNo: string,
+  range: { bucket: ConsumptionBucket; from?: string; to?: string }
+): Promise<ConsumptionHistory> => {
+  try {
+    const response = await api.get(`/meters/${encodeURIComponent(meterNo)}/consumption`, { params: range });
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch consumption history'));
+  }
+};
+
+// Fetch a file and hand it to the browser as a download
+const downloadFile = async (url: string, params: Record<string, string | undefined>, fallbackName: string): Promise<void> => {
+  let response;
+  try {
+    response = await api.get(url, { params, responseType: 'blob' });
+  } catch (error) {
+    // Error bodies arrive as blobs too
+    if (axios.isAxiosError(error) && error.response?.data instanceof Blob) {
+      try {
+        const body = JSON.parse(await error.response.data.text());
+        if (body.error) throw new Error(body.error);
+      } catch (parsed) {
+        if (parsed instanceof Error && !(parsed instanceof SyntaxError)) throw parsed;
+      }
+    }
+    throw new Error(apiErrorMessage(error, 'Download failed'));
+  }
+
+  const disposition = String(response.headers['content-disposition'] || '');
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+  const href = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(href);
+};
+
+/**
+ * Download the PDF receipt of a completed payment
+ * @param transactionId Transaction to download
+ */
+export const downloadReceipt = async (transactionId: string): Promise<void> =>
+  downloadFile(`/transactions/${encodeURIComponent(transactionId)}/receipt`, {}, `receipt-${transactionId}.pdf`);
+
+export type StatementFormat = 'pdf' | 'csv';
+
+/**
+ * Download a meter's monthly statement
+ * @param userId Owner of the meter
+ * @param options Month as YYYY-MM (default: this month), format and meter (default: primary)
+ */
+export const downloadStatement = async (
+  userId: string,
+  options: { month?: string; format: StatementFormat; meterNo?: string }
+): Promise<void> =>
+  downloadFile(
+    `/users/${encodeURIComponent(userId)}/statement`,
+    { month: options.month, format: options.format, meter_no: options.meterNo },
+    `statement-${options.month || 'current'}.${options.format}`
+  );
+
+export interface Forecast {
+  meter_no: string;
+  balance: number;
+  average_daily_units: number;
+  // null when the meter reported no use in the forecast window
+  days_remaining: number | null;
+  runs_out_at: string | null;
+  window_days: number;
+  readings: number;
+}
+
+/**
+ * Estimate how long a meter's balance will last at its recent rate of use
+ * @param meterNo Meter to forecast
+ */
+export const getForecast = async (meterNo: string): Promise<Forecast> => {
+  try {
+    const response = await api.get(`/meters/${encodeURIComponent(meterNo)}/forecast`);
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch forecast'));
+  }
+};
+
+export type AlertChannel = 'sms' | 'email' | 'in_app';
+
+export interface AlertSettings {
+  enabled: boolean;
+  low_balance_units: number;
+  forecast_days: number;
+  channels: Record<AlertChannel, boolean>;
+}
+
+export interface AppNotification {
+  id: string;
+  type: 'LOW_BALANCE' | 'FORECAST';
+  meter_no: string;
+  title: string;
+  body: string;
+  read: boolean;
+  created_at: string;
+}
+
+export const getAlertSettings = async (): Promise<AlertSettings> => {
+  try {
+    const response = await api.get('/alerts/settings');
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch alert settings'));
+  }
+};
+
+/**
+ * Change the signed-in user's alert settings
+ * @param changes Any of the settings; channels are merged with the current ones
+ * @returns The settings now in force
+ */
+export const updateAlertSettings = async (
+  changes: Partial<Omit<AlertSettings, 'channels'>> & { channels?: Partial<AlertSettings['channels']> }
+): Promise<AlertSettings> => {
+  try {
+    const response = await api.put('/alerts/settings', changes);
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to save alert settings'));
+  }
+};
+
+export const getNotifications = async (limit = 20): Promise<AppNotification[]> => {
+  try {
+    const response = await api.get('/alerts/notifications', { params: { limit } });
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch notifications'));
+  }
+};
+
+export const markNotificationRead = async (notificationId: string): Promise<void> => {
+  try {
+    await api.post(`/alerts/notifications/${encodeURIComponent(notificationId)}/read`);
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to update notification'));
+  }
+};
+
+export interface AdminUser extends User {
+  created_at: string | null;
+}
+
+export interface AdminMeter {
+  meter_no: string;
+  user_id: string | null;
+  user_name: string | null;
+  user_email: string | null;
+  balance: number;
+  ledger_opened: boolean;
+  device_status: string;
+  // Relay state the server wants the meter in
+  relay: 'ON' | 'OFF';
+  last_seen: string | null;
+  updated_at: string | null;
+}
+
+export interface LedgerEntry {
+  seq: number;
+  type: 'CREDIT' | 'DEBIT';
+  source: string;
+  units: number;
+  balance_before: number;
+  balance_after: number;
+  reference: string | null;
+  description: string | null;
+  timestamp: string;
+}
+
+export interface MeterLedger {
+  meterNo: string;
+  balance: number;
+  entries: LedgerEntry[];
+}
+
+/** Transaction as stored by the backend (admin views show the raw record) */
+export interface AdminTransaction {
+  id: string;
+  user_id: string;
+  meter_no: string;
+  amount: number;
+  units: number;
+  status: TransactionStatus;
+  reference?: string | null;
+  token?: string | null;
+  timestamp: string | number;
+  reversal_reason?: string;
+  reversal?: TransactionReversal | null;
+}
+
+/** A reversal sent to Daraja; the transaction becomes REVERSED once it is COMPLETED */
+export interface TransactionReversal {
+  status: 'PENDING' | 'COMPLETED' | 'FAILED';
+  reason: string;
+  requested_by: string;
+  requested_at: string;
+  forced: boolean;
+  held_units: number;
+  result_desc?: string | null;
+  reversal_receipt?: string | null;
+  completed_at?: string | null;
+}
+
+export interface AdminUserDetail {
+  user: AdminUser;
+  transactions: AdminTransaction[];
+}
+
+/**
+ * Search users (admin console)
+ * @param q Matches name, email, meter number or phone
+ */
+export const searchAdminUsers = async (q: string): Promise<AdminUser[]> => {
+  try {
+    const response = await api.get('/admin/users', { params: { q } });
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch users'));
+  }
+};
+
+/**
+ * Get a user with their recent transactions (admin console)
+ */
+export const getAdminUser = async (userId: string): Promise<AdminUserDetail> => {
+  try {
+    const response = await api.get(`/admin/users/${encodeURIComponent(userId)}`);
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch user'));
+  }
+};
+
+/**
+ * Change a user's role (admin only)
+ */
+export const setUserRole = async (userId: string, role: UserRole): Promise<void> => {
+  try {
+    await api.put(`/admin/users/${encodeURIComponent(userId)}/role`, { role });
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to change role'));
+  }
+};
+
+/**
+ * Search meters (admin console)
+ * @param q Matches meter number, owner name or email
+ */
+export const listAdminMeters = async (q: string): Promise<AdminMeter[]> => {
+  try {
+    const response = await api.get('/admin/meters', { params: { q } });
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch meters'));
+  }
+};
+
 /**
- * Get user by email and meter number (alias for loginUser)
- * @deprecated Use loginUser instead
+ * Get any meter's balance and latest ledger entries (admin console)
  */
-export const getUserByMeterNo = async (email: string, meterNo: string): Promise<User | null> => {
+export const getMeterLedger = async (meterNo: string, limit = 100): Promise<MeterLedger> => {
   try {
-    return await loginUser(email, meterNo);
-  } catch {
-    return null;
+    const response = await api.get(`/admin/ledger/${encodeURIComponent(meterNo)}`, { params: { limit } });
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch ledger'));
+  }
+};
+
+/**
+ * Manually credit or debit a meter (admin only)
+ */
+export const adjustMeterBalance = async (
+  meterNo: string,
+  adjustment: { type: 'CREDIT' | 'DEBIT'; units: number; reason: string }
+): Promise<LedgerEntry> => {
+  try {
+    const response = await api.post(`/admin/meters/${encodeURIComponent(meterNo)}/adjustments`, adjustment);
+    return response.data.entry;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to adjust balance'));
+  }
+};
+
+export type MeterCommandType = 'RELAY_OFF' | 'RELAY_ON' | 'SYNC_BALANCE';
+
+export interface MeterCommand {
+  id: string;
+  type: MeterCommandType;
+  status: 'PENDING' | 'SENT' | 'ACKED' | 'FAILED' | 'SUPERSEDED' | 'EXPIRED';
+  reason: string | null;
+  payload?: { balance?: number; emergency_credit_units?: number };
+  requested_by?: string | null;
+  attempts: number;
+  created_at: string;
+  sent_at?: string;
+  acked_at?: string;
+  result?: { success: boolean; error: string | null };
+}
+
+export interface MeterCommandStatus {
+  meter_no: string;
+  relay: {
+    desired: 'ON' | 'OFF';
+    reason?: string;
+    desired_at?: string;
+    // Last position reported by the device
+    state?: 'ON' | 'OFF' | null;
+    reported_at?: string;
+  };
+  emergency_credit_units: number;
+  commands: MeterCommand[];
+}
+
+export const getMeterCommands = async (meterNo: string): Promise<MeterCommandStatus> => {
+  try {
+    const response = await api.get(`/admin/meters/${encodeURIComponent(meterNo)}/commands`);
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch meter commands'));
+  }
+};
+
+/**
+ * Queue a command for a meter's device (admin only)
+ */
+export const sendMeterCommand = async (meterNo: string, type: MeterCommandType, reason: string): Promise<void> => {
+  try {
+    await api.post(`/admin/meters/${encodeURIComponent(meterNo)}/commands`, { type, reason });
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to send command'));
+  }
+};
+
+export interface MeterHealthEvent {
+  id: string;
+  meter_no: string;
+  category: 'TAMPER' | 'ANOMALY' | 'REGISTER';
+  type:
+    | 'COVER_OPEN'
+    | 'MAGNET'
+    | 'UNDER_VOLTAGE'
+    | 'OVER_VOLTAGE'
+    | 'OVER_CURRENT'
+    | 'LOW_POWER_FACTOR'
+    | 'REGISTER_DECREASE'
+    | 'METER_REPLACED';
+  severity: 'HIGH' | 'MEDIUM';
+  message: string;
+  occurred_at: string;
+  created_at: string;
+  acknowledged_at: string | null;
+  acknowledged_by: string | null;
+  note?: string | null;
+}
+
+export interface TelemetryReading {
+  timestamp: string;
+  voltage?: number;
+  current?: number;
+  power_factor?: number;
+  // Watts
+  power?: number;
+}
+
+export interface MeterHealth {
+  meter_no: string;
+  online: boolean;
+  last_seen: string | null;
+  firmware: string | null;
+  // Wi-Fi signal in dBm
+  rssi: number | null;
+  uptime_seconds: number | null;
+  last_reading: TelemetryReading | null;
+  open_events: MeterHealthEvent[];
+  // Cumulative register reading billed last
+  register: MeterRegister | null;
+  register_gaps: RegisterGap[];
+}
+
+export interface MeterRegister {
+  register_id: string;
+  seq: number;
+  kwh: number;
+  timestamp: string;
+  updated_at: string;
+}
+
+// Register readings the device never sent; the consumption across them was still billed
+export interface RegisterGap {
+  id: string;
+  register_id: string;
+  from_seq: number;
+  to_seq: number;
+  missing: number;
+  units: number;
+  from: string;
+  to: string;
+  recorded_at: string;
+}
+
+export const getMeterHealth = async (meterNo: string): Promise<MeterHealth> => {
+  try {
+    const response = await api.get(`/admin/meters/${encodeURIComponent(meterNo)}/health`);
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch meter health'));
+  }
+};
+
+/**
+ * Tamper and anomaly events across meters, newest first
+ * @param open Only events nobody has acknowledged
+ */
+export const listMeterHealthEvents = async (open = true): Promise<MeterHealthEvent[]> => {
+  try {
+    const response = await api.get('/admin/meter-events', { params: { open } });
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch meter events'));
+  }
+};
+
+/**
+ * Mark a tamper or anomaly event as handled (admin only)
+ */
+export const acknowledgeMeterHealthEvent = async (eventId: string, note?: string): Promise<void> => {
+  try {
+    await api.post(`/admin/meter-events/${encodeURIComponent(eventId)}/acknowledge`, { note });
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to acknowledge event'));
+  }
+};
+
+/**
+ * Move a meter and its balance to another user (admin only)
+ */
+export const reassignMeter = async (meterNo: string, userId: string, reason: string): Promise<void> => {
+  try {
+    await api.post(`/admin/meters/${encodeURIComponent(meterNo)}/reassign`, { user_id: userId, reason });
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to reassign meter'));
+  }
+};
+
+export interface MeterOwnership {
+  id: string;
+  user_id: string;
+  reason: string | null;
+  started_at: string | null;
+  ended_at: string | null;
+  end_reason?: string;
+  closing_balance?: number | null;
+  carried_to?: string | null;
+}
+
+/**
+ * Everyone who has owned a meter, newest first (admin only)
+ */
+export const getMeterOwnership = async (meterNo: string): Promise<MeterOwnership[]> => {
+  try {
+    const response = await api.get(`/admin/meters/${encodeURIComponent(meterNo)}/ownership`);
+    return response.data;
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to fetch ownership history'));
+  }
+};
+
+/**
+ * Change of tenancy: close out the current owner's balance and hand the meter
+ * to userId, or leave it without an owner when userId is empty (admin only)
+ */
+export const transferMeter = async (
+  meterNo: string,
+  transfer: { user_id?: string; reason: string; carry_to_meter?: string }
+): Promise<void> => {
+  try {
+    await api.post(`/admin/meters/${encodeURIComponent(meterNo)}/transfer`, transfer);
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to transfer meter'));
+  }
+};
+
+/**
+ * Ask Daraja to reverse a successful transaction (admin only). Its units are
+ * held until Daraja answers; force takes back what is left if some were used.
+ */
+export const reverseTransaction = async (transactionId: string, reason: string, force = false): Promise<void> => {
+  try {
+    await api.post(`/admin/transactions/${encodeURIComponent(transactionId)}/reverse`, { reason, force });
+  } catch (error) {
+    throw new Error(apiErrorMessage(error, 'Failed to reverse transaction'));
   }
 };
 
@@ -0,0 +1,783 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  AdminMeter,
+  AdminTransaction,
+  AdminUser,
+  LedgerEntry,
+  MeterCommandStatus,
+  MeterCommandType,
+  MeterHealth,
+  MeterOwnership,
+  getMeterHealth,
+  getMeterOwnership,
+  acknowledgeMeterHealthEvent,
+  listAdminMeters,
+  getMeterCommands,
+  sendMeterCommand,
+  getMeterLedger,
+  getAdminUser,
+  searchAdminUsers,
+  adjustMeterBalance,
+  reassignMeter,
+  transferMeter,
+  reverseTransaction,
+  formatToken
+} from '../lib/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { LoadingSpinner } from '@/components/ui/loading-spinner';
+import { useToast } from '@/hooks/use-toast';
+import { ArrowLeft, Home, PlusCircle, Power, Repeat } from 'lucide-react';
+
+const formatDate = (value: string | number) => new Date(value).toLocaleString();
+
+const AdminMeterPage = () => {
+  const { meterNo = '' } = useParams<{ meterNo: string }>();
+  const [meter, setMeter] = useState<AdminMeter | null>(null);
+  const [balance, setBalance] = useState(0);
+  const [entries, setEntries] = useState<LedgerEntry[]>([]);
+  const [transactions, setTransactions] = useState<AdminTransaction[]>([]);
+  const [commandStatus, setCommandStatus] = useState<MeterCommandStatus | null>(null);
+  const [health, setHealth] = useState<MeterHealth | null>(null);
+  const [owners, setOwners] = useState<MeterOwnership[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Adjustment dialog
+  const [isAdjustOpen, setIsAdjustOpen] = useState(false);
+  const [adjustment, setAdjustment] = useState<{ type: 'CREDIT' | 'DEBIT'; units: string; reason: string }>({ type: 'CREDIT', units: '', reason: '' });
+
+  // Reassign dialog; a change of tenancy uses the same dialog but closes out the balance
+  const [isReassignOpen, setIsReassignOpen] = useState(false);
+  const [isTenancyChange, setIsTenancyChange] = useState(false);
+  const [userQuery, setUserQuery] = useState('');
+  const [userResults, setUserResults] = useState<AdminUser[]>([]);
+  const [reassignTo, setReassignTo] = useState<AdminUser | null>(null);
+  const [reassignReason, setReassignReason] = useState('');
+
+  // Command dialog
+  const [commandType, setCommandType] = useState<MeterCommandType | null>(null);
+  const [commandReason, setCommandReason] = useState('');
+
+  // Reverse dialog
+  const [reverseTarget, setReverseTarget] = useState<AdminTransaction | null>(null);
+  const [reverseReason, setReverseReason] = useState('');
+  const [reverseForce, setReverseForce] = useState(false);
+
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { user } = useAuth();
+  const { toast } = useToast();
+  const isAdmin = user?.role === 'admin';
+
+  const loadMeter = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [ledger, matches, commands, meterHealth, ownership] = await Promise.all([
+        getMeterLedger(meterNo),
+        listAdminMeters(meterNo),
+        getMeterCommands(meterNo),
+        getMeterHealth(meterNo),
+        getMeterOwnership(meterNo)
+      ]);
+      const current = matches.find((m) => m.meter_no === meterNo) || null;
+      setBalance(ledger.balance);
+      setEntries(ledger.entries);
+      setMeter(current);
+      setCommandStatus(commands);
+      setHealth(meterHealth);
+      setOwners(ownership);
+
+      if (current?.user_id) {
+        const detail = await getAdminUser(current.user_id);
+        setTransactions(detail.transactions.filter((t) => t.meter_no === meterNo));
+      } else {
+        setTransactions([]);
+      }
+    } catch (error) {
+      toast({
+        title: "Failed to load meter",
+        description: error instanceof Error ? error.message : 'Failed to load meter',
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [meterNo, toast]);
+
+  useEffect(() => {
+    loadMeter();
+  }, [loadMeter]);
+
+  useEffect(() => {
+    if (!isReassignOpen || !userQuery.trim()) {
+      setUserResults([]);
+      return;
+    }
+    const timer = setTimeout(() => {
+      searchAdminUsers(userQuery.trim())
+        .then((results) => setUserResults(results.slice(0, 5)))
+        .catch(() => setUserResults([]));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [userQuery, isReassignOpen]);
+
+  const runAction = async (action: () => Promise<void>, successTitle: string, onDone: () => void) => {
+    setIsSubmitting(true);
+    try {
+      await action();
+      toast({ title: successTitle });
+      onDone();
+      await loadMeter();
+    } catch (error) {
+      toast({
+        title: "Action Failed",
+        description: error instanceof Error ? error.message : 'Request failed',
+        variant: "destructive",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleAdjust = (e: React.FormEvent) => {
+    e.preventDefault();
+    const units = parseFloat(adjustment.units);
+    if (!(units > 0) || !adjustment.reason.trim()) {
+      toast({ title: "Validation Error", description: "Enter a positive number of units and a reason", variant: "destructive" });
+      return;
+    }
+    runAction(
+      async () => { await adjustMeterBalance(meterNo, { type: adjustment.type, units, reason: adjustment.reason.trim() }); },
+      adjustment.type === 'CREDIT' ? 'Units credited' : 'Units debited',
+      () => {
+        setIsAdjustOpen(false);
+        setAdjustment({ type: 'CREDIT', units: '', reason: '' });
+      }
+    );
+  };
+
+  const openReassign = (tenancyChange: boolean) => {
+    setIsTenancyChange(tenancyChange);
+    setIsReassignOpen(true);
+  };
+
+  const handleReassign = (e: React.FormEvent) => {
+    e.preventDefault();
+    const reason = reassignReason.trim();
+    let action: () => Promise<void>;
+    let successTitle: string;
+    if (isTenancyChange) {
+      if (!reason) return;
+      action = () => transferMeter(meterNo, { user_id: reassignTo?.user_id, reason });
+      successTitle = reassignTo ? `Meter transferred to ${reassignTo.name}` : 'Tenancy closed';
+    } else {
+      if (!reassignTo) return;
+      action = () => reassignMeter(meterNo, reassignTo.user_id, reason);
+      successTitle = `Meter reassigned to ${reassignTo.name}`;
+    }
+    runAction(
+      action,
+      successTitle,
+      () => {
+        setIsReassignOpen(false);
+        setReassignTo(null);
+        setUserQuery('');
+        setReassignReason('');
+      }
+    );
+  };
+
+  const handleCommand = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!commandType) return;
+    runAction(
+      () => sendMeterCommand(meterNo, commandType, commandReason.trim()),
+      'Command queued',
+      () => {
+        setCommandType(null);
+        setCommandReason('');
+      }
+    );
+  };
+
+  const handleReverse = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!reverseTarget || !reverseReason.trim()) return;
+    runAction(
+      () => reverseTransaction(reverseTarget.id, reverseReason.trim(), reverseForce),
+      'Reversal requested',
+      () => {
+        setReverseTarget(null);
+        setReverseReason('');
+        setReverseForce(false);
+      }
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-white">
+      {/* Header */}
+      <header className="bg-white border-b border-gray-200 shadow-sm">
+        <div className="max-w-6xl mx-auto px-6 py-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-black">
+                Meter <span className="font-mono">{meterNo}</span>
+              </h1>
+              <p className="text-gray-600 mt-1">
+                {meter?.user_name ? `${meter.user_name} (${meter.user_email})` : 'Unassigned'}
+              </p>
+            </div>
+            <Button asChild variant="outline" className="border-gray-300 text-black hover:bg-gray-50">
+              <Link to="/admin">
+                <ArrowLeft className="h-4 w-4 mr-2" />
+                Admin Console
+              </Link>
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-16">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <div className="max-w-6xl mx-auto px-6 py-8 space-y-8">
+          <Card className="bg-white border border-gray-200 shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-black">Balance</CardTitle>
+              <CardDescription className="text-gray-600">
+                Device: {meter?.device_status || 'UNPROVISIONED'}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="flex flex-wrap items-center justify-between gap-4">
+              <p className="text-3xl font-bold text-black">{balance.toFixed(2)} ⚡</p>
+              {isAdmin && (
+                <div className="flex gap-2">
+                  <Button onClick={() => setIsAdjustOpen(true)} className="bg-black hover:bg-black/90 text-white">
+                    <PlusCircle className="h-4 w-4 mr-2" />
+                    Adjust Balance
+                  </Button>
+                  <Button variant="outline" onClick={() => openReassign(false)} className="border-gray-300 text-black hover:bg-gray-50">
+                    <Repeat className="h-4 w-4 mr-2" />
+                    Reassign Meter
+                  </Button>
+                  <Button variant="outline" onClick={() => openReassign(true)} className="border-gray-300 text-black hover:bg-gray-50">
+                    <Home className="h-4 w-4 mr-2" />
+                    Change Tenancy
+                  </Button>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card className="bg-white border border-gray-200 shadow-sm">
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2 text-black">
+                Health
+                {health && (
+                  <Badge variant={health.online ? 'secondary' : 'destructive'}>{health.online ? 'Online' : 'Offline'}</Badge>
+                )}
+              </CardTitle>
+              <CardDescription className="text-gray-600">
+                {health?.last_seen ? `Last seen ${formatDate(health.last_seen)}` : 'The device has not reported yet'}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div>
+                  <p className="text-sm text-gray-600">Firmware</p>
+                  <p className="font-medium text-black">{health?.firmware || '—'}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">Signal</p>
+                  <p className="font-medium text-black">{health?.rssi != null ? `${health.rssi} dBm` : '—'}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">Voltage / Current</p>
+                  <p className="font-medium text-black">
+                    {health?.last_reading
+                      ? `${health.last_reading.voltage?.toFixed(1) ?? '—'} V / ${health.last_reading.current?.toFixed(2) ?? '—'} A`
+                      : '—'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">Power</p>
+                  <p className="font-medium text-black">
+                    {health?.last_reading?.power != null
+                      ? `${health.last_reading.power.toFixed(0)} W${health.last_reading.power_factor != null ? ` (PF ${health.last_reading.power_factor.toFixed(2)})` : ''}`
+                      : '—'}
+                  </p>
+                </div>
+              </div>
+              {health?.register && (
+                <div className="text-sm text-gray-600">
+                  <p>
+                    Register <span className="font-medium text-black">{health.register.register_id}</span> at{' '}
+                    <span className="font-medium text-black">{health.register.kwh.toFixed(2)} kWh</span>, reading #{health.register.seq} of{' '}
+                    {formatDate(health.register.timestamp)}
+                  </p>
+                  {health.register_gaps.length > 0 && (
+                    <p>
+                      Missing readings:{' '}
+                      {health.register_gaps
+                        .map((gap) => `#${gap.from_seq}${gap.to_seq > gap.from_seq ? `–${gap.to_seq}` : ''} (${gap.units.toFixed(2)} kWh)`)
+                        .join(', ')}
+                    </p>
+                  )}
+                </div>
+              )}
+              {health && health.open_events.length > 0 && (
+                <div className="space-y-2">
+                  {health.open_events.map((event) => (
+                    <div key={event.id} className="flex items-center justify-between gap-4 rounded-md border border-orange-300 bg-orange-50 p-3">
+                      <div>
+                        <p className="font-medium text-black">
+                          {event.message}
+                          <Badge variant={event.category === 'TAMPER' ? 'destructive' : 'secondary'} className="ml-2">{event.category}</Badge>
+                        </p>
+                        <p className="text-xs text-gray-600">{formatDate(event.occurred_at)}</p>
+                      </div>
+                      {isAdmin && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          disabled={isSubmitting}
+                          onClick={() => runAction(() => acknowledgeMeterHealthEvent(event.id), 'Event acknowledged', () => undefined)}
+                        >
+                          Acknowledge
+                        </Button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card className="bg-white border border-gray-200 shadow-sm">
+            <CardHeader className="flex flex-row items-start justify-between space-y-0">
+              <div>
+                <CardTitle className="text-black">Supply</CardTitle>
+                <CardDescription className="text-gray-600">
+                  {commandStatus
+                    ? `Relay should be ${commandStatus.relay.desired}${commandStatus.relay.reason ? ` (${commandStatus.relay.reason})` : ''}; device reports ${commandStatus.relay.state || 'nothing yet'}`
+                    : 'Relay state unavailable'}
+                </CardDescription>
+              </div>
+              {isAdmin && (
+                <div className="flex gap-2">
+                  <Button variant="outline" onClick={() => setCommandType(commandStatus?.relay.desired === 'OFF' ? 'RELAY_ON' : 'RELAY_OFF')} className="border-gray-300 text-black hover:bg-gray-50">
+                    <Power className="h-4 w-4 mr-2" />
+                    {commandStatus?.relay.desired === 'OFF' ? 'Reconnect' : 'Disconnect'}
+                  </Button>
+                  <Button variant="outline" onClick={() => setCommandType('SYNC_BALANCE')} className="border-gray-300 text-black hover:bg-gray-50">
+                    Sync Balance
+                  </Button>
+                </div>
+              )}
+            </CardHeader>
+            <CardContent>
+              {!commandStatus || commandStatus.commands.length === 0 ? (
+                <div className="text-center py-8 text-gray-600">No commands sent yet</div>
+              ) : (
+                <div className="rounded-md border border-gray-200">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Command</TableHead>
+                        <TableHead>Reason</TableHead>
+                        <TableHead>Status</TableHead>
+                        <TableHead>Attempts</TableHead>
+                        <TableHead>Queued</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {commandStatus.commands.map((command) => (
+                        <TableRow key={command.id}>
+                          <TableCell className="font-mono text-sm">{command.type}</TableCell>
+                          <TableCell className="text-gray-600">{command.reason || '—'}</TableCell>
+                          <TableCell>
+                            <Badge variant={command.status === 'FAILED' || command.status === 'EXPIRED' ? 'destructive' : 'secondary'}>
+                              {command.status}
+                            </Badge>
+                            {command.result?.error && <span className="text-xs text-red-700 ml-2">{command.result.error}</span>}
+                          </TableCell>
+                          <TableCell>{command.attempts}</TableCell>
+                          <TableCell className="text-gray-600">{formatDate(command.created_at)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card className="bg-white border border-gray-200 shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-black">Transactions</CardTitle>
+              <CardDescription className="text-gray-600">Purchases by the current owner</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {transactions.length === 0 ? (
+                <div className="text-center py-8 text-gray-600">No transactions found</div>
+              ) : (
+                <div className="rounded-md border border-gray-200">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Transaction ID</TableHead>
+                        <TableHead>Amount</TableHead>
+                        <TableHead>Units</TableHead>
+                        <TableHead>Token</TableHead>
+                        <TableHead>Status</TableHead>
+                        <TableHead>Date</TableHead>
+                        {isAdmin && <TableHead />}
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {transactions.map((transaction) => (
+                        <TableRow key={transaction.id}>
+                          <TableCell className="font-mono text-sm text-black">{transaction.id}</TableCell>
+                          <TableCell className="text-black">KSH {(transaction.amount || 0).toFixed(2)}</TableCell>
+                          <TableCell className="text-black">{(transaction.units || 0).toFixed(2)}</TableCell>
+                          <TableCell className="font-mono text-sm whitespace-nowrap">
+                            {transaction.token ? formatToken(transaction.token) : '—'}
+                          </TableCell>
+                          <TableCell>
+                            <Badge variant={transaction.status === 'REVERSED' || transaction.status === 'FAILED' || transaction.status === 'EXPIRED' ? 'destructive' : 'secondary'}>
+                              {transaction.status}
+                            </Badge>
+                          </TableCell>
+                          <TableCell className="text-gray-600">{formatDate(transaction.timestamp)}</TableCell>
+                          {isAdmin && (
+                            <TableCell>
+                              {transaction.status === 'SUCCESS' && transaction.reversal?.status === 'PENDING' && (
+                                <Badge variant="outline">Reversal pending</Badge>
+                              )}
+                              {transaction.status === 'SUCCESS' && transaction.reversal?.status !== 'PENDING' && (
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  title={transaction.reversal?.status === 'FAILED' ? `Last reversal failed: ${transaction.reversal.result_desc || 'unknown error'}` : undefined}
+                                  onClick={() => {
+                                    setReverseForce(false);
+                                    setReverseTarget(transaction);
+                                  }}
+                                >
+                                  Reverse
+                                </Button>
+                              )}
+                            </TableCell>
+                          )}
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card className="bg-white border border-gray-200 shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-black">Ownership</CardTitle>
+              <CardDescription className="text-gray-600">Everyone who has held this meter, newest first</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {owners.length === 0 ? (
+                <div className="text-center py-8 text-gray-600">No ownership recorded</div>
+              ) : (
+                <div className="rounded-md border border-gray-200">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>User</TableHead>
+                        <TableHead>From</TableHead>
+                        <TableHead>Until</TableHead>
+                        <TableHead>Closing Balance</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {owners.map((owner) => (
+                        <TableRow key={owner.id}>
+                          <TableCell className="font-mono text-sm text-black">{owner.user_id}</TableCell>
+                          <TableCell className="text-gray-600">
+                            {owner.started_at ? formatDate(owner.started_at) : '—'}{owner.reason ? ` (${owner.reason})` : ''}
+                          </TableCell>
+                          <TableCell className="text-gray-600">
+                            {owner.ended_at ? `${formatDate(owner.ended_at)} (${owner.end_reason})` : 'Current'}
+                          </TableCell>
+                          <TableCell className="text-black">
+                            {typeof owner.closing_balance === 'number' ? owner.closing_balance.toFixed(2) : '—'}
+                            {owner.carried_to && <span className="text-xs text-gray-600 ml-2">to {owner.carried_to}</span>}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card className="bg-white border border-gray-200 shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-black">Ledger</CardTitle>
+              <CardDescription className="text-gray-600">Latest credits and debits, newest first</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {entries.length === 0 ? (
+                <div className="text-center py-8 text-gray-600">No ledger entries yet</div>
+              ) : (
+                <div className="rounded-md border border-gray-200">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>#</TableHead>
+                        <TableHead>Source</TableHead>
+                        <TableHead>Units</TableHead>
+                        <TableHead>Balance</TableHead>
+                        <TableHead>Reference / Reason</TableHead>
+                        <TableHead>Date</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {entries.map((entry) => (
+                        <TableRow key={entry.seq}>
+                          <TableCell className="font-mono text-sm">{entry.seq}</TableCell>
+                          <TableCell>{entry.source}</TableCell>
+                          <TableCell className={entry.type === 'DEBIT' ? 'text-red-700' : 'text-green-700'}>
+                            {entry.type === 'DEBIT' ? '−' : '+'}{entry.units.toFixed(2)}
+                          </TableCell>
+                          <TableCell className="text-black">{entry.balance_after.toFixed(2)}</TableCell>
+                          <TableCell className="text-gray-600">{entry.description || entry.reference || '—'}</TableCell>
+                          <TableCell className="text-gray-600">{formatDate(entry.timestamp)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+      )}
+
+      {/* Adjust balance */}
+      <Dialog open={isAdjustOpen} onOpenChange={setIsAdjustOpen}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle className="text-black">Adjust Balance</DialogTitle>
+            <DialogDescription className="text-gray-600">
+              The adjustment is posted to the ledger with your reason.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleAdjust} className="space-y-4">
+            <div className="space-y-2">
+              <Label>Type</Label>
+              <Select value={adjustment.type} onValueChange={(type) => setAdjustment(prev => ({ ...prev, type: type as 'CREDIT' | 'DEBIT' }))}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="CREDIT">Credit</SelectItem>
+                  <SelectItem value="DEBIT">Debit</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="adjustUnits">Units</Label>
+              <Input
+                id="adjustUnits"
+                type="number"
+                min="0"
+                step="0.01"
+                value={adjustment.units}
+                onChange={(e) => setAdjustment(prev => ({ ...prev, units: e.target.value }))}
+                disabled={isSubmitting}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="adjustReason">Reason</Label>
+              <Input
+                id="adjustReason"
+                value={adjustment.reason}
+                onChange={(e) => setAdjustment(prev => ({ ...prev, reason: e.target.value }))}
+                disabled={isSubmitting}
+                required
+              />
+            </div>
+            <DialogFooter>
+              <Button type="submit" disabled={isSubmitting} className="bg-black hover:bg-black/90 text-white">
+                {isSubmitting ? <LoadingSpinner size="sm" className="mr-2" /> : null}
+                Post Adjustment
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Reassign meter */}
+      <Dialog open={isReassignOpen} onOpenChange={setIsReassignOpen}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle className="text-black">{isTenancyChange ? 'Change Tenancy' : 'Reassign Meter'}</DialogTitle>
+            <DialogDescription className="text-gray-600">
+              {isTenancyChange
+                ? `The current owner's balance of ${balance.toFixed(2)} units is closed out and the new tenant starts from zero. Leave the new owner empty for a vacated meter.`
+                : `The meter and its balance of ${balance.toFixed(2)} units move to the selected user.`}
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleReassign} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="reassignSearch">{isTenancyChange ? 'New tenant (optional)' : 'New owner'}</Label>
+              <Input
+                id="reassignSearch"
+                placeholder="Search by name or email"
+                value={userQuery}
+                onChange={(e) => {
+                  setUserQuery(e.target.value);
+                  setReassignTo(null);
+                }}
+                disabled={isSubmitting}
+              />
+              {!reassignTo && userResults.length > 0 && (
+                <div className="rounded-md border border-gray-200 divide-y">
+                  {userResults.map((candidate) => (
+                    <button
+                      key={candidate.user_id}
+                      type="button"
+                      onClick={() => {
+                        setReassignTo(candidate);
+                        setUserQuery(`${candidate.name} (${candidate.email})`);
+                      }}
+                      className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                    >
+                      {candidate.name} ({candidate.email}){candidate.meter_no ? ` — meter ${candidate.meter_no}` : ''}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="reassignReason">Reason</Label>
+              <Input
+                id="reassignReason"
+                value={reassignReason}
+                onChange={(e) => setReassignReason(e.target.value)}
+                disabled={isSubmitting}
+              />
+            </div>
+            <DialogFooter>
+              <Button
+                type="submit"
+                disabled={isSubmitting || (isTenancyChange ? !reassignReason.trim() : !reassignTo)}
+                className="bg-black hover:bg-black/90 text-white"
+              >
+                {isSubmitting ? <LoadingSpinner size="sm" className="mr-2" /> : null}
+                {isTenancyChange ? 'Transfer' : 'Reassign'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Send a device command */}
+      <Dialog open={commandType !== null} onOpenChange={(open) => !open && setCommandType(null)}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle className="text-black">
+              {commandType === 'RELAY_OFF' ? 'Disconnect Meter' : commandType === 'RELAY_ON' ? 'Reconnect Meter' : 'Sync Balance'}
+            </DialogTitle>
+            <DialogDescription className="text-gray-600">
+              {commandType === 'RELAY_OFF'
+                ? 'The supply is cut when the device next checks in. Top-ups do not reconnect it; send a reconnect when the issue is resolved.'
+                : commandType === 'RELAY_ON'
+                  ? 'The supply is restored when the device next checks in.'
+                  : `The device is told its balance is ${balance.toFixed(2)} units.`}
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleCommand} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="commandReason">Reason</Label>
+              <Input
+                id="commandReason"
+                value={commandReason}
+                onChange={(e) => setCommandReason(e.target.value)}
+                disabled={isSubmitting}
+                required={commandType !== 'SYNC_BALANCE'}
+              />
+            </div>
+            <DialogFooter>
+              <Button
+                type="submit"
+                variant={commandType === 'RELAY_OFF' ? 'destructive' : 'default'}
+                disabled={isSubmitting || (commandType !== 'SYNC_BALANCE' && !commandReason.trim())}
+              >
+                {isSubmitting ? <LoadingSpinner size="sm" className="mr-2" /> : null}
+                Send
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Reverse transaction */}
+      <Dialog open={reverseTarget !== null} onOpenChange={(open) => !open && setReverseTarget(null)}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle className="text-black">Reverse Transaction</DialogTitle>
+            <DialogDescription className="text-gray-600">
+              {reverseTarget
+                ? `KSH ${(reverseTarget.amount || 0).toFixed(2)} is returned through M-Pesa. ${reverseTarget.units} units are held until Daraja confirms, then the token is voided if it has not been used.`
+                : ''}
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleReverse} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="reverseReason">Reason</Label>
+              <Input
+                id="reverseReason"
+                value={reverseReason}
+                onChange={(e) => setReverseReason(e.target.value)}
+                disabled={isSubmitting}
+                required
+              />
+            </div>
+            <div className="flex items-start space-x-2">
+              <Checkbox
+                id="reverseForce"
+                checked={reverseForce}
+                onCheckedChange={(checked) => setReverseForce(checked === true)}
+                disabled={isSubmitting}
+              />
+              <Label htmlFor="reverseForce" className="font-normal leading-snug">
+                Reverse even if some units were used (takes back what is left)
+              </Label>
+            </div>
+            <DialogFooter>
+              <Button type="submit" variant="destructive" disabled={isSubmitting || !reverseReason.trim()}>
+                {isSubmitting ? <LoadingSpinner size="sm" className="mr-2" /> : null}
+                Reverse
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default AdminMeterPage;
@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { AdminUser, AdminMeter, MeterHealthEvent, UserRole, searchAdminUsers, listAdminMeters, listMeterHealthEvents, setUserRole } from '../lib/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { LoadingSpinner } from '@/components/ui/loading-spinner';
+import { useToast } from '@/hooks/use-toast';
+import { ArrowLeft, LogOut, Search } from 'lucide-react';
+
+const ROLES: UserRole[] = ['customer', 'support', 'admin'];
+
+const AdminPage = () => {
+  const [query, setQuery] = useState('');
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [meters, setMeters] = useState<AdminMeter[]>([]);
+  const [events, setEvents] = useState<MeterHealthEvent[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const { user, logout } = useAuth();
+  const { toast } = useToast();
+  const isAdmin = user?.role === 'admin';
+
+  const search = useCallback(async (q: string) => {
+    setIsLoading(true);
+    try {
+      const [userResults, meterResults] = await Promise.all([searchAdminUsers(q), listAdminMeters(q)]);
+      setUsers(userResults);
+      setMeters(meterResults);
+    } catch (error) {
+      toast({
+        title: "Search Failed",
+        description: error instanceof Error ? error.message : 'Failed to load data',
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    // Debounce searches while typing
+    const timer = setTimeout(() => search(query.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [query, search]);
+
+  useEffect(() => {
+    listMeterHealthEvents()
+      .then(setEvents)
+      .catch((error) => console.error('Error fetching meter events:', error));
+  }, []);
+
+  const handleRoleChange = async (target: AdminUser, role: UserRole) => {
+    try {
+      await setUserRole(target.user_id, role);
+      setUsers(prev => prev.map(u => (u.user_id === target.user_id ? { ...u, role } : u)));
+      toast({ title: "Role Updated", description: `${target.name} is now ${role}` });
+    } catch (error) {
+      toast({
+        title: "Update Failed",
+        description: error instanceof Error ? error.message : 'Failed to change role',
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-white">
+      {/* Header */}
+      <header className="bg-white border-b border-gray-200 shadow-sm">
+        <div className="max-w-6xl mx-auto px-6 py-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-black">
+                Admin Console
+              </h1>
+              <p className="text-gray-600 mt-1">Users, meters and balances</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Button asChild variant="outline" className="border-gray-300 text-black hover:bg-gray-50">
+                <Link to="/dashboard">
+                  <ArrowLeft className="h-4 w-4 mr-2" />
+                  Dashboard
+                </Link>
+              </Button>
+              <Button
+                variant="outline"
+                onClick={logout}
+                className="flex items-center gap-2 border-gray-300 text-black hover:bg-gray-50"
+              >
+                <LogOut className="h-4 w-4" />
+                Logout
+              </Button>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-6xl mx-auto px-6 py-8 space-y-6">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <Input
+            placeholder="Search by name, email, meter number or phone"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            className="pl-9"
+          />
+        </div>
+
+        <Tabs defaultValue="users">
+          <TabsList>
+            <TabsTrigger value="users">Users ({users.length})</TabsTrigger>
+            <TabsTrigger value="meters">Meters ({meters.length})</TabsTrigger>
+            <TabsTrigger value="events">Events ({events.length})</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="users">
+            <Card className="bg-white border border-gray-200 shadow-sm">
+              <CardHeader>
+                <CardTitle className="text-black">Users</CardTitle>
+                <CardDescription className="text-gray-600">
+                  {isAdmin ? 'Change roles or open a meter to manage its balance' : 'Read-only view'}
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {isLoading ? (
+                  <div className="flex items-center justify-center py-8">
+                    <LoadingSpinner size="lg" />
+                  </div>
+                ) : users.length === 0 ? (
+                  <div className="text-center py-8 text-gray-600">No users found</div>
+                ) : (
+                  <div className="rounded-md border border-gray-200">
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Name</TableHead>
+                          <TableHead>Email</TableHead>
+                          <TableHead>Phone</TableHead>
+                          <TableHead>Meter</TableHead>
+                          <TableHead>Role</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {users.map((u) => (
+                          <TableRow key={u.user_id}>
+                            <TableCell className="font-medium text-black">{u.name}</TableCell>
+                            <TableCell className="text-gray-600">{u.email}</TableCell>
+                            <TableCell className="text-gray-600">{u.phone_number || '—'}</TableCell>
+                            <TableCell className="font-mono text-sm">
+                              {u.meter_no ? (
+                                <Link to={`/admin/meters/${encodeURIComponent(u.meter_no)}`} className="underline text-black">
+                                  {u.meter_no}
+                                </Link>
+                              ) : '—'}
+                            </TableCell>
+                            <TableCell>
+                              {isAdmin && u.user_id !== user?.user_id ? (
+                                <Select value={u.role || 'customer'} onValueChange={(role) => handleRoleChange(u, role as UserRole)}>
+                                  <SelectTrigger className="w-32">
+                                    <SelectValue />
+                                  </SelectTrigger>
+                                  <SelectContent>
+                                    {ROLES.map((role) => (
+                                      <SelectItem key={role} value={role}>{role}</SelectItem>
+                                    ))}
+                                  </SelectContent>
+                                </Select>
+                              ) : (
+                                <Badge variant="secondary">{u.role || 'customer'}</Badge>
+                              )}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="meters">
+            <Card className="bg-white border border-gray-200 shadow-sm">
+              <CardHeader>
+                <CardTitle className="text-black">Meters</CardTitle>
+                <CardDescription className="text-gray-600">
+                  Open a meter to view its ledger
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {isLoading ? (
+                  <div className="flex items-center justify-center py-8">
+                    <LoadingSpinner size="lg" />
+                  </div>
+                ) : meters.length === 0 ? (
+                  <div className="text-center py-8 text-gray-600">No meters found</div>
+                ) : (
+                  <div className="rounded-md border border-gray-200">
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Meter</TableHead>
+                          <TableHead>Owner</TableHead>
+                          <TableHead>Balance</TableHead>
+                          <TableHead>Device</TableHead>
+                          <TableHead>Last Entry</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {meters.map((meter) => (
+                          <TableRow key={meter.meter_no}>
+                            <TableCell className="font-mono text-sm">
+                              <Link to={`/admin/meters/${encodeURIComponent(meter.meter_no)}`} className="underline text-black">
+                                {meter.meter_no}
+                              </Link>
+                            </TableCell>
+                            <TableCell className="text-gray-600">
+                              {meter.user_name ? `${meter.user_name} (${meter.user_email})` : 'Unassigned'}
+                            </TableCell>
+                            <TableCell className="font-medium text-black">{meter.balance.toFixed(2)} ⚡</TableCell>
+                            <TableCell>
+                              <Badge variant="secondary">{meter.device_status}</Badge>
+                              {meter.relay === 'OFF' && <Badge variant="destructive" className="ml-2">Supply off</Badge>}
+                              {meter.last_seen && (
+                                <span className="block text-xs text-gray-600 mt-1">Seen {new Date(meter.last_seen).toLocaleString()}</span>
+                              )}
+                            </TableCell>
+                            <TableCell className="text-gray-600">
+                              {meter.updated_at ? new Date(meter.updated_at).toLocaleString() : '—'}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="events">
+            <Card className="bg-white border border-gray-200 shadow-sm">
+              <CardHeader>
+                <CardTitle className="text-black">Open Events</CardTitle>
+                <CardDescription className="text-gray-600">
+                  Tamper reports and electrical anomalies nobody has acknowledged yet
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {events.length === 0 ? (
+                  <div className="text-center py-8 text-gray-600">No open events</div>
+                ) : (
+                  <div className="rounded-md border border-gray-200">
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Meter</TableHead>
+                          <TableHead>Event</TableHead>
+                          <TableHead>Kind</TableHead>
+                          <TableHead>Occurred</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {events.map((event) => (
+                          <TableRow key={event.id}>
+                            <TableCell className="font-mono text-sm">
+                              <Link to={`/admin/meters/${encodeURIComponent(event.meter_no)}`} className="underline text-black">
+                                {event.meter_no}
+                              </Link>
+                            </TableCell>
+                            <TableCell className="text-black">{event.message}</TableCell>
+                            <TableCell>
+                              <Badge variant={event.category === 'TAMPER' ? 'destructive' : 'secondary'}>{event.category}</Badge>
+                            </TableCell>
+                            <TableCell className="text-gray-600">{new Date(event.occurred_at).toLocaleString()}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
+        </Tabs>
+      </div>
+    </div>
+  );
+};
+
+export default AdminPage;
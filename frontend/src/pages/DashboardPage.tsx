@@ -1,11 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { getUserBalance } from '../lib/api';
+import { getUserBalance, getActiveTariff, getForecast, subscribeToMeterEvents, Forecast, Tariff } from '../lib/api';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import TransactionList from '../components/TransactionList';
+import UsagePanel from '../components/UsagePanel';
+import AlertsPanel from '../components/AlertsPanel';
+import MetersPanel from '../components/MetersPanel';
 import PaymentModal from '../components/PaymentModal';
-import { CreditCard, User, Hash, LogOut } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { CreditCard, User, Hash, LogOut, Shield } from 'lucide-react';
 
 const DashboardPage = () => {
   const [isPaymentModalOpen, setIsPaymentModalOpen] = useState(false);
@@ -15,15 +19,21 @@ const DashboardPage = () => {
   const [transactionCount, setTransactionCount] = useState<number>(0);
   const [isLoadingBalance, setIsLoadingBalance] = useState(true);
   const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
+  const [tariff, setTariff] = useState<Tariff | null>(null);
+  const [forecast, setForecast] = useState<Forecast | null>(null);
   const { user, logout } = useAuth();
+  // The meter being viewed; starts on the user's primary meter
+  const [selectedMeter, setSelectedMeter] = useState<string | null>(null);
+  const meterNo = selectedMeter ?? user?.meter_no ?? '';
+  const [transactionsVersion, setTransactionsVersion] = useState(0);
 
   // Fetch calculated balance from transactions
   const fetchBalance = async () => {
-    if (!user?.meter_no) return;
+    if (!meterNo) return;
     
     try {
       setIsLoadingBalance(true);
-      const balanceData = await getUserBalance(user.meter_no);
+      const balanceData = await getUserBalance(meterNo);
       setTotalAmountPaid(balanceData.totalAmountPaid || 0);
       setTotalUnitsPurchased(balanceData.totalUnitsPurchased || 0);
       setAvailableUnits(typeof balanceData.availableUnits === 'number' ? balanceData.availableUnits : parseFloat(String(balanceData.availableUnits)) || 0);
@@ -43,21 +53,49 @@ const DashboardPage = () => {
   useEffect(() => {
     // Fetch persisted balance once when user changes
     fetchBalance();
-  }, [user?.user_id]);
+  }, [user?.user_id, meterNo]);
+
+  // Live updates when a payment is confirmed or the meter reports consumption
+  useEffect(() => {
+    if (!meterNo) return;
+    return subscribeToMeterEvents(meterNo, (event) => {
+      if (event.type !== 'balance') return;
+      setAvailableUnits(event.data.availableUnits);
+      setLastUpdated(new Date(event.data.timestamp));
+      setIsLoadingBalance(false);
+    });
+  }, [meterNo]);
+
+  // Days remaining, recalculated whenever the balance moves
+  useEffect(() => {
+    setForecast(null);
+    if (!meterNo) return;
+    const fetchForecast = () => {
+      getForecast(meterNo)
+        .then(setForecast)
+        .catch((error) => console.error('Error fetching forecast:', error));
+    };
+    return subscribeToMeterEvents(meterNo, (event) => {
+      if (event.type === 'balance') fetchForecast();
+    });
+  }, [meterNo]);
+
+  useEffect(() => {
+    getActiveTariff()
+      .then(setTariff)
+      .catch((error) => console.error('Error fetching tariff:', error));
+  }, []);
 
   const handlePaymentSuccess = () => {
     // Refresh balance after successful payment
     fetchBalance();
+    setTransactionsVersion((version) => version + 1);
   };
 
   if (!user) {
     return null; // This shouldn't happen due to routing, but good fallback
   }
 
-  const calculateUnits = (amount: number) => {
-    return Math.floor(amount / 25);
-  };
-
   // Use calculated balance and units from transactions
   const userBalance = totalAmountPaid;
 
@@ -73,14 +111,24 @@ const DashboardPage = () => {
               </h1>
               <p className="text-gray-600 mt-1">Smart Meter Payment Dashboard</p>
             </div>
-            <Button
-              variant="outline"
-              onClick={logout}
-              className="flex items-center gap-2 border-gray-300 text-black hover:bg-gray-50"
-            >
-              <LogOut className="h-4 w-4" />
-              Logout
-            </Button>
+            <div className="flex items-center gap-2">
+              {(user.role === 'support' || user.role === 'admin') && (
+                <Button asChild variant="outline" className="flex items-center gap-2 border-gray-300 text-black hover:bg-gray-50">
+                  <Link to="/admin">
+                    <Shield className="h-4 w-4" />
+                    Admin Console
+                  </Link>
+                </Button>
+              )}
+              <Button
+                variant="outline"
+                onClick={logout}
+                className="flex items-center gap-2 border-gray-300 text-black hover:bg-gray-50"
+              >
+                <LogOut className="h-4 w-4" />
+                Logout
+              </Button>
+            </div>
           </div>
         </div>
       </header>
@@ -107,7 +155,7 @@ const DashboardPage = () => {
                 </div>
                 <div>
                   <p className="text-sm text-gray-600">Meter Number</p>
-                  <p className="font-mono font-medium text-black">{user.meter_no}</p>
+                  <p className="font-mono font-medium text-black">{meterNo || '—'}</p>
                 </div>
               </div>
             </CardContent>
@@ -159,6 +207,18 @@ const DashboardPage = () => {
                       </p>
                       <span className="text-sm text-gray-600">units remaining</span>
                     </div>
+                    {availableUnits < 0 && (
+                      <p className="text-sm text-orange-600 font-medium">
+                        Using emergency credit; your next top-up repays {Math.abs(availableUnits).toFixed(2)} units first
+                      </p>
+                    )}
+                    {forecast && (
+                      <p className={`text-sm ${forecast.days_remaining !== null && forecast.days_remaining <= 2 ? 'text-orange-600 font-medium' : 'text-gray-600'}`}>
+                        {forecast.days_remaining === null
+                          ? 'No recent usage to forecast from'
+                          : `About ${forecast.days_remaining < 1 ? 'less than a day' : `${forecast.days_remaining.toFixed(1)} days`} left at ${forecast.average_daily_units.toFixed(2)} kWh/day`}
+                      </p>
+                    )}
                     <div className="text-xs text-gray-600">
                       {/* <p>Purchased: {totalUnitsPurchased.toFixed(2)} units</p> */}
                       {/* <p>Consumed: {(totalUnitsPurchased - availableUnits).toFixed(2)} units</p> */}
@@ -167,9 +227,11 @@ const DashboardPage = () => {
                 )}
                 <div className="flex justify-between items-center mt-3">
                   <p className="text-xs text-gray-600">
-                    Rate: 1 unit = KSH 25.00
+                    {tariff
+                      ? `Tariff: ${tariff.name} (from KSH ${tariff.bands[0].rate.toFixed(2)}/unit)`
+                      : 'Tariff: loading...'}
                   </p>
-                  {/* Automatic consumption simulation disabled — balance only updates on transactions */}
+                  {/* Balance updates live from the meter's event stream */}
                 </div>
               </div>
             </CardContent>
@@ -196,15 +258,30 @@ const DashboardPage = () => {
           </CardContent>
         </Card>
 
+        {/* Meters on the account */}
+        <MetersPanel userId={user.user_id} selectedMeter={meterNo} onSelect={setSelectedMeter} />
+
+        {meterNo && (
+          <>
+            {/* Usage */}
+            <UsagePanel meterNo={meterNo} />
+
+            {/* Alerts */}
+            <AlertsPanel meterNo={meterNo} />
+          </>
+        )}
+
         {/* Transaction History */}
-        <TransactionList />
+        <TransactionList meterNo={meterNo} refreshKey={transactionsVersion} />
       </div>
 
       {/* Payment Modal */}
       <PaymentModal
         isOpen={isPaymentModalOpen}
         onClose={() => setIsPaymentModalOpen(false)}
-        meterNo={user.meter_no}
+        userId={user.user_id}
+        meterNo={meterNo}
+        phoneNumber={user.phone_number}
         onSuccess={handlePaymentSuccess}
       />
     </div>
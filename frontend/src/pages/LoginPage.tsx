@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { loginUser } from '../lib/api';
+import { loginUser, requestOtp, verifyOtp, registerUser, AuthSession } from '../lib/api';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
@@ -9,12 +9,19 @@ import { Label } from '@/components/ui/label';
 import { LoadingSpinner } from '@/components/ui/loading-spinner';
 import { useToast } from '@/hooks/use-toast';
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
 import { UserPlus } from 'lucide-react';
 
 const LoginPage = () => {
   const [email, setEmail] = useState('');
-  const [meterNo, setMeterNo] = useState('');
+  const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+
+  // One-time code login state
+  const [otpChannel, setOtpChannel] = useState<'sms' | 'email'>('email');
+  const [otpCode, setOtpCode] = useState('');
+  const [isOtpSent, setIsOtpSent] = useState(false);
   
   // Registration modal state
   const [isRegisterModalOpen, setIsRegisterModalOpen] = useState(false);
@@ -22,7 +29,8 @@ const LoginPage = () => {
     name: '',
     email: '',
     meter_no: '',
-    phone_number: ''
+    phone_number: '',
+    password: ''
   });
   const [isRegistering, setIsRegistering] = useState(false);
   
@@ -30,10 +38,31 @@ const LoginPage = () => {
   const navigate = useNavigate();
   const { toast } = useToast();
 
+  const completeLogin = (session: AuthSession) => {
+    login(session);
+    navigate('/dashboard');
+
+    toast({
+      title: "Login Successful",
+      description: `Welcome back, ${session.user.name}!`,
+    });
+  };
+
+  const showLoginError = (error: unknown) => {
+    console.error('Login error:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Failed to connect to server';
+
+    toast({
+      title: "Login Failed",
+      description: errorMessage,
+      variant: "destructive",
+    });
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
-    if (!email.trim() || !meterNo.trim()) {
+    if (!email.trim() || !password) {
       toast({
         title: "Validation Error",
         description: "Please fill in all fields",
@@ -45,26 +74,61 @@ const LoginPage = () => {
     setIsLoading(true);
 
     try {
-      // Call backend API for authentication
-      const userData = await loginUser(email, meterNo);
-      
-      // Login successful - store user data and navigate
-      login(userData);
-      navigate('/dashboard');
-      
+      completeLogin(await loginUser(email.trim(), password));
+    } catch (error) {
+      showLoginError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRequestOtp = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!email.trim()) {
       toast({
-        title: "Login Successful",
-        description: `Welcome back, ${userData.name}!`,
+        title: "Validation Error",
+        description: "Please enter your email address",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      await requestOtp(email.trim(), otpChannel);
+      setIsOtpSent(true);
+      setOtpCode('');
+      toast({
+        title: "Code Sent",
+        description: otpChannel === 'sms' ? 'Check your phone for a 6-digit code' : 'Check your email for a 6-digit code',
       });
     } catch (error) {
-      console.error('Login error:', error);
-      const errorMessage = error instanceof Error ? error.message : 'Failed to connect to server';
-      
+      showLoginError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleVerifyOtp = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (otpCode.length !== 6) {
       toast({
-        title: "Login Failed",
-        description: errorMessage,
+        title: "Validation Error",
+        description: "Enter the 6-digit code",
         variant: "destructive",
       });
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      completeLogin(await verifyOtp(email.trim(), otpCode));
+    } catch (error) {
+      showLoginError(error);
     } finally {
       setIsLoading(false);
     }
@@ -82,22 +146,18 @@ const LoginPage = () => {
       return;
     }
 
-    setIsRegistering(true);
-    try {
-      const response = await fetch('http://localhost:3000/users', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(registerData),
+    if (registerData.password && registerData.password.length < 8) {
+      toast({
+        title: "Validation Error",
+        description: "Password must be at least 8 characters",
+        variant: "destructive",
       });
+      return;
+    }
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to register user');
-      }
-
-      const newUser = await response.json();
+    setIsRegistering(true);
+    try {
+      await registerUser({ ...registerData, password: registerData.password || undefined });
       
       toast({
         title: "Registration Successful",
@@ -106,7 +166,7 @@ const LoginPage = () => {
       });
 
       // Reset form and close modal
-      setRegisterData({ name: '', email: '', meter_no: '', phone_number: '' });
+      setRegisterData({ name: '', email: '', meter_no: '', phone_number: '', password: '' });
       setIsRegisterModalOpen(false);
 
     } catch (error) {
@@ -136,48 +196,140 @@ const LoginPage = () => {
             </CardDescription>
           </CardHeader>
           <CardContent>
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div className="space-y-2">
-                <Label htmlFor="email">Email Address</Label>
-                <Input
-                  id="email"
-                  type="email"
-                  placeholder="Enter your email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  disabled={isLoading}
-                  required
-                />
-              </div>
-              
-              <div className="space-y-2">
-                <Label htmlFor="meterNo">Meter Number</Label>
-                <Input
-                  id="meterNo"
-                  type="text"
-                  placeholder="Enter your meter number"
-                  value={meterNo}
-                  onChange={(e) => setMeterNo(e.target.value)}
-                  disabled={isLoading}
-                  required
-                />
-              </div>
-
-              <Button 
-                type="submit" 
-                className="w-full bg-black hover:bg-black/90 text-white" 
+            <div className="space-y-2 mb-4">
+              <Label htmlFor="email">Email Address</Label>
+              <Input
+                id="email"
+                type="email"
+                placeholder="Enter your email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setIsOtpSent(false);
+                }}
                 disabled={isLoading}
-              >
-                {isLoading ? (
-                  <>
-                    <LoadingSpinner size="sm" className="mr-2" />
-                    Logging in...
-                  </>
+                required
+              />
+            </div>
+
+            <Tabs defaultValue="password">
+              <TabsList className="grid w-full grid-cols-2">
+                <TabsTrigger value="password">Password</TabsTrigger>
+                <TabsTrigger value="otp">One-time code</TabsTrigger>
+              </TabsList>
+
+              <TabsContent value="password">
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="password">Password</Label>
+                    <Input
+                      id="password"
+                      type="password"
+                      placeholder="Enter your password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      disabled={isLoading}
+                      required
+                    />
+                  </div>
+
+                  <Button 
+                    type="submit" 
+                    className="w-full bg-black hover:bg-black/90 text-white" 
+                    disabled={isLoading}
+                  >
+                    {isLoading ? (
+                      <>
+                        <LoadingSpinner size="sm" className="mr-2" />
+                        Logging in...
+                      </>
+                    ) : (
+                      'Login'
+                    )}
+                  </Button>
+                </form>
+              </TabsContent>
+
+              <TabsContent value="otp">
+                {!isOtpSent ? (
+                  <form onSubmit={handleRequestOtp} className="space-y-4">
+                    <div className="space-y-2">
+                      <Label>Send code by</Label>
+                      <div className="grid grid-cols-2 gap-2">
+                        <Button
+                          type="button"
+                          variant={otpChannel === 'email' ? 'default' : 'outline'}
+                          onClick={() => setOtpChannel('email')}
+                          disabled={isLoading}
+                        >
+                          Email
+                        </Button>
+                        <Button
+                          type="button"
+                          variant={otpChannel === 'sms' ? 'default' : 'outline'}
+                          onClick={() => setOtpChannel('sms')}
+                          disabled={isLoading}
+                        >
+                          SMS
+                        </Button>
+                      </div>
+                    </div>
+
+                    <Button
+                      type="submit"
+                      className="w-full bg-black hover:bg-black/90 text-white"
+                      disabled={isLoading}
+                    >
+                      {isLoading ? (
+                        <>
+                          <LoadingSpinner size="sm" className="mr-2" />
+                          Sending code...
+                        </>
+                      ) : (
+                        'Send Code'
+                      )}
+                    </Button>
+                  </form>
                 ) : (
-                  'Login'
+                  <form onSubmit={handleVerifyOtp} className="space-y-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="otpCode">6-digit code</Label>
+                      <InputOTP id="otpCode" maxLength={6} value={otpCode} onChange={setOtpCode} disabled={isLoading}>
+                        <InputOTPGroup>
+                          {[0, 1, 2, 3, 4, 5].map((index) => (
+                            <InputOTPSlot key={index} index={index} />
+                          ))}
+                        </InputOTPGroup>
+                      </InputOTP>
+                    </div>
+
+                    <Button
+                      type="submit"
+                      className="w-full bg-black hover:bg-black/90 text-white"
+                      disabled={isLoading}
+                    >
+                      {isLoading ? (
+                        <>
+                          <LoadingSpinner size="sm" className="mr-2" />
+                          Verifying...
+                        </>
+                      ) : (
+                        'Verify and Login'
+                      )}
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="link"
+                      className="w-full"
+                      onClick={() => setIsOtpSent(false)}
+                      disabled={isLoading}
+                    >
+                      Send a new code
+                    </Button>
+                  </form>
                 )}
-              </Button>
-            </form>
+              </TabsContent>
+            </Tabs>
             
             {/* Register User Button */}
             <div className="mt-4 pt-4 border-t border-gray-200">
@@ -256,6 +408,20 @@ const LoginPage = () => {
                       />
                     </div>
                     
+                    <div className="space-y-2">
+                      <Label htmlFor="registerPassword">Password</Label>
+                      <Input
+                        id="registerPassword"
+                        type="password"
+                        placeholder="At least 8 characters"
+                        value={registerData.password}
+                        onChange={(e) => setRegisterData(prev => ({ ...prev, password: e.target.value }))}
+                        disabled={isRegistering}
+                        className="bg-white border-gray-300 text-black"
+                      />
+                      <p className="text-xs text-gray-500">Optional. Without a password, sign in with a one-time code.</p>
+                    </div>
+                    
                     <div className="flex gap-2 pt-4">
                       <Button
                         type="button"